@@ -0,0 +1,79 @@
+/**
+ * ============================================
+ * 🗺️ JURISDICTION MIDDLEWARE
+ * ============================================
+ * Limits requests to the caller's school / district / region
+ * (see services/scopeService.js)
+ */
+
+const scopeService = require("../services/scopeService");
+const { logSuspiciousActivity } = require("../utils/logger");
+
+// Multi-school data isolation middleware
+// Sets req.jurisdiction and req.scopeQuery(modelName, query), which limits a
+// query on User, School, Grade, AttendanceRecord, Event, PaymentHistory or
+// Invoice to the caller's school / district / region (see scopeService).
+const enforceSchoolIsolation = (req, res, next) => {
+  const jurisdiction = scopeService.getJurisdiction(req.user);
+
+  req.jurisdiction = jurisdiction;
+  req.scopeQuery = (modelName, query = {}) =>
+    scopeService.scopeQuery(jurisdiction, modelName, query);
+
+  if (jurisdiction.level === "school") {
+    req.schoolFilter = { schoolId: jurisdiction.schoolId };
+  }
+  if (jurisdiction.level === "district") {
+    req.districtFilter = { districtId: jurisdiction.districtId };
+  }
+  if (jurisdiction.level === "region") {
+    req.regionFilter = { regionId: jurisdiction.regionId };
+  }
+
+  next();
+};
+
+// Rejects regional/district officials reading or changing a record outside
+// their area. Other roles keep their route-level checks.
+const requireJurisdiction = (modelName, paramName = "id") => {
+  return async (req, res, next) => {
+    try {
+      const jurisdiction = scopeService.getJurisdiction(req.user);
+
+      if (
+        scopeService.isOfficialJurisdiction(jurisdiction) &&
+        !(await scopeService.isInScope(
+          jurisdiction,
+          modelName,
+          req.params[paramName],
+        ))
+      ) {
+        logSuspiciousActivity("CROSS_JURISDICTION_ACCESS", req, {
+          userId: req.user.id,
+          role: req.user.role,
+          model: modelName,
+          targetId: req.params[paramName],
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: "This record is outside your jurisdiction",
+          errorType: "OUTSIDE_JURISDICTION",
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("❌ Jurisdiction check error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to check access",
+      });
+    }
+  };
+};
+
+module.exports = {
+  enforceSchoolIsolation,
+  requireJurisdiction,
+};
@@ -108,6 +108,29 @@ const smsLimiter = rateLimit({
   },
 });
 
+/**
+ * Per-socket event limiter for Socket.io (fixed window)
+ * Returns a function that reports whether the next event is allowed.
+ * e.g. const allow = createSocketEventLimiter({ windowMs: 10000, max: 10 });
+ *      if (!allow()) return socket.emit("error", ...);
+ */
+function createSocketEventLimiter({ windowMs, max }) {
+  let windowStart = Date.now();
+  let count = 0;
+
+  return function allowEvent() {
+    const now = Date.now();
+
+    if (now - windowStart >= windowMs) {
+      windowStart = now;
+      count = 0;
+    }
+
+    count++;
+    return count <= max;
+  };
+}
+
 /**
  * Apply rate limiters to Express app
  */
@@ -141,4 +164,5 @@ module.exports = {
   registrationLimiter,
   passwordResetLimiter,
   smsLimiter,
+  createSocketEventLimiter,
 };
@@ -0,0 +1,340 @@
+// ============================================
+// API KEY SERVICE
+// ============================================
+// ✅ Issues API keys for partner service accounts (shown once, stored hashed)
+// ✅ Validates keys: revocation, expiry, IP allowlist and scopes
+// ✅ Per-key rate limiting (fixed window, counted in MongoDB so every
+//    server instance shares the limit)
+// ============================================
+
+const crypto = require("crypto");
+
+// Models (injected when service is initialized)
+let ApiKey;
+let ApiKeyRateWindow;
+let ServiceAccount;
+
+const KEY_PREFIX = "ek";
+
+/**
+ * Scopes a key can be granted (what the partner may call)
+ */
+const API_KEY_SCOPES = {
+  "reports.schools": "Read school performance reports (/api/reports/schools)",
+  "certificates.verify":
+    "Verify certificates (/api/certificates/verify/:identifier)",
+};
+
+const DEFAULT_RATE_LIMIT = { windowSeconds: 60, maxRequests: 60 };
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  ApiKey = models.ApiKey;
+  ApiKeyRateWindow = models.ApiKeyRateWindow;
+  ServiceAccount = models.ServiceAccount;
+
+  console.log("✅ API Key Service initialized");
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function hashKey(rawKey) {
+  return crypto.createHash("sha256").update(rawKey).digest("hex");
+}
+
+function isValidScope(scope) {
+  return Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope);
+}
+
+// Express may report IPv4 clients as "::ffff:1.2.3.4"
+function normalizeIp(ip = "") {
+  return ip.startsWith("::ffff:") ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split(".").map(Number);
+  if (
+    parts.length !== 4 ||
+    parts.some((part) => !Number.isInteger(part) || part < 0 || part > 255)
+  ) {
+    return null;
+  }
+  return parts.reduce((total, part) => total * 256 + part, 0);
+}
+
+/**
+ * Whether an allowlist entry is an IP or IPv4 CIDR range we understand
+ */
+function isValidAllowlistEntry(entry) {
+  const [ip, bits, ...rest] = entry.split("/");
+  if (bits !== undefined) {
+    // Prefix must be 0-32 written as plain digits ("", "-4" and "1e1" are out)
+    return (
+      rest.length === 0 &&
+      ipv4ToInt(ip) !== null &&
+      /^\d{1,2}$/.test(bits) &&
+      Number(bits) <= 32
+    );
+  }
+  return ipv4ToInt(ip) !== null || ip.includes(":");
+}
+
+/**
+ * Check an IP against an allowlist (exact IPs and IPv4 CIDR ranges)
+ * An empty allowlist allows every IP.
+ */
+function isIpAllowed(ip, allowlist = []) {
+  if (!allowlist.length) return true;
+
+  const clientIp = normalizeIp(ip);
+  const clientInt = ipv4ToInt(clientIp);
+
+  return allowlist.some((entry) => {
+    const [rangeIp, bits] = entry.split("/");
+
+    if (bits === undefined) {
+      return normalizeIp(rangeIp) === clientIp;
+    }
+
+    const rangeInt = ipv4ToInt(rangeIp);
+    if (clientInt === null || rangeInt === null) return false;
+
+    const size = Number(bits);
+    const blockSize = 2 ** (32 - size);
+    return (
+      Math.floor(clientInt / blockSize) === Math.floor(rangeInt / blockSize)
+    );
+  });
+}
+
+// ============================================
+// KEY MANAGEMENT
+// ============================================
+
+/**
+ * Issue a new key for a service account. The plain key is only returned
+ * here - store it safely, it cannot be shown again.
+ * @param {string} serviceAccountId
+ * @param {object} options - { name, scopes, expiresAt, ipAllowlist, rateLimit }
+ * @param {string} adminId - Super admin creating the key
+ * @returns {Promise<{apiKey: object, plainKey: string}>}
+ */
+async function createKey(serviceAccountId, options, adminId) {
+  const invalidScopes = (options.scopes || []).filter(
+    (scope) => !isValidScope(scope),
+  );
+  if (!options.scopes?.length || invalidScopes.length) {
+    throw new Error(
+      `Invalid scopes: ${invalidScopes.join(", ") || "at least one scope is required"}`,
+    );
+  }
+
+  const invalidIps = (options.ipAllowlist || []).filter(
+    (entry) => !isValidAllowlistEntry(entry),
+  );
+  if (invalidIps.length) {
+    throw new Error(`Invalid IP allowlist entries: ${invalidIps.join(", ")}`);
+  }
+
+  const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString("hex")}`;
+  const plainKey = `${prefix}_${crypto.randomBytes(24).toString("base64url")}`;
+
+  const apiKey = await ApiKey.create({
+    serviceAccountId,
+    name: options.name,
+    prefix,
+    keyHash: hashKey(plainKey),
+    scopes: options.scopes,
+    ipAllowlist: options.ipAllowlist || [],
+    rateLimit: { ...DEFAULT_RATE_LIMIT, ...options.rateLimit },
+    expiresAt: options.expiresAt || null,
+    createdBy: adminId,
+  });
+
+  return { apiKey, plainKey };
+}
+
+/**
+ * Revoke a key
+ * @returns {Promise<object|null>} The revoked key, or null if not found/already revoked
+ */
+async function revokeKey(keyId, adminId) {
+  await ApiKeyRateWindow.deleteMany({ keyId });
+
+  return await ApiKey.findOneAndUpdate(
+    { _id: keyId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy: adminId },
+    { new: true },
+  );
+}
+
+/**
+ * List a service account's keys (hashes are never returned)
+ */
+async function listKeys(serviceAccountId) {
+  return await ApiKey.find({ serviceAccountId })
+    .populate("createdBy", "firstName lastName username")
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+/**
+ * Validate a raw API key for a request
+ * @param {string} rawKey - Key from the X-API-Key header
+ * @param {string} ip - Client IP
+ * @param {string[]} requiredScopes - Scopes the route needs
+ * @returns {Promise<object>} { success, apiKey, serviceAccount } or
+ *   { success: false, status, error, errorType }
+ */
+async function authenticateKey(rawKey, ip, requiredScopes = []) {
+  const apiKey = rawKey
+    ? await ApiKey.findOne({ keyHash: hashKey(rawKey) }).lean()
+    : null;
+
+  if (!apiKey) {
+    return {
+      success: false,
+      status: 401,
+      error: "Invalid API key",
+      errorType: "INVALID_API_KEY",
+    };
+  }
+
+  if (apiKey.revokedAt) {
+    return {
+      success: false,
+      status: 401,
+      error: "API key has been revoked",
+      errorType: "API_KEY_REVOKED",
+    };
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return {
+      success: false,
+      status: 401,
+      error: "API key has expired",
+      errorType: "API_KEY_EXPIRED",
+    };
+  }
+
+  const serviceAccount = await ServiceAccount.findById(
+    apiKey.serviceAccountId,
+  ).lean();
+
+  if (!serviceAccount || !serviceAccount.isActive) {
+    return {
+      success: false,
+      status: 403,
+      error: "Service account is disabled",
+      errorType: "SERVICE_ACCOUNT_DISABLED",
+    };
+  }
+
+  if (!isIpAllowed(ip, apiKey.ipAllowlist)) {
+    return {
+      success: false,
+      status: 403,
+      error: "Requests from this IP address are not allowed for this key",
+      errorType: "IP_NOT_ALLOWED",
+      apiKey,
+      serviceAccount,
+    };
+  }
+
+  const missingScopes = requiredScopes.filter(
+    (scope) => !apiKey.scopes.includes(scope),
+  );
+  if (missingScopes.length) {
+    return {
+      success: false,
+      status: 403,
+      error: `API key is missing required scope: ${missingScopes.join(", ")}`,
+      errorType: "INSUFFICIENT_SCOPE",
+      apiKey,
+      serviceAccount,
+    };
+  }
+
+  return { success: true, apiKey, serviceAccount };
+}
+
+/**
+ * Count a request against a key's rate limit. Windows are aligned to the
+ * clock so every server instance increments the same counter.
+ * @returns {Promise<object>} { allowed, limit, remaining, retryAfter }
+ */
+async function consumeRateLimit(apiKey) {
+  const { windowSeconds, maxRequests } = {
+    ...DEFAULT_RATE_LIMIT,
+    ...apiKey.rateLimit,
+  };
+  const windowMs = windowSeconds * 1000;
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  const increment = () =>
+    ApiKeyRateWindow.findOneAndUpdate(
+      { keyId: apiKey._id, windowStart: new Date(windowStart) },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(windowStart + windowMs) },
+      },
+      { upsert: true, new: true },
+    ).lean();
+
+  let window;
+  try {
+    window = await increment();
+  } catch (error) {
+    // Two requests created the window at once; the loser increments it
+    if (error.code !== 11000) throw error;
+    window = await increment();
+  }
+
+  return {
+    allowed: window.count <= maxRequests,
+    limit: maxRequests,
+    remaining: Math.max(maxRequests - window.count, 0),
+    retryAfter: Math.ceil((windowStart + windowMs - now) / 1000),
+  };
+}
+
+/**
+ * Record that a key was used
+ */
+async function recordUsage(apiKey, ip) {
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    {
+      $inc: { usageCount: 1 },
+      $set: { lastUsedAt: new Date(), lastUsedIp: normalizeIp(ip) },
+    },
+  );
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT,
+  isValidScope,
+  isValidAllowlistEntry,
+  isIpAllowed,
+  createKey,
+  revokeKey,
+  listKeys,
+  authenticateKey,
+  consumeRateLimit,
+  recordUsage,
+};
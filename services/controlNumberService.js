@@ -0,0 +1,329 @@
+// ============================================
+// CONTROL NUMBER SERVICE (GePG-style bills)
+// ============================================
+// ✅ Every invoice gets a 12-digit control number (with a check digit)
+//    the payer quotes at a bank, mobile money menu or agent
+// ✅ Control numbers expire; an expired or missing one can be reissued
+// ✅ Bill status for the payment aggregator to check before collecting
+// ✅ Payment notifications settle the bill through paymentSettlementService
+//    (same deduplication and suspense queue as payment webhooks)
+// ✅ Local aggregator simulator signs requests like the real gateway
+// ============================================
+
+const crypto = require("crypto");
+const paymentSettlementService = require("./paymentSettlementService");
+const installmentService = require("./installmentService");
+
+// Models (injected when service is initialized)
+let Invoice, User;
+
+// Provider name of aggregator requests (signed with
+// PAYMENT_WEBHOOK_SECRET_GEPG, or the shared PAYMENT_WEBHOOK_SECRET)
+const PROVIDER = "gepg";
+
+const CONTROL_NUMBER_LENGTH = 12;
+
+// Control numbers stay payable this many days after the due date
+const DEFAULT_VALIDITY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Initialize service with models
+ * @param {object} models - { Invoice, User }
+ */
+function initialize(models) {
+  Invoice = models.Invoice;
+  User = models.User;
+
+  console.log("✅ Control Number Service initialized");
+}
+
+// ============================================
+// CONTROL NUMBERS
+// ============================================
+
+function getPrefix() {
+  return process.env.CONTROL_NUMBER_PREFIX || "99";
+}
+
+function getValidityDays() {
+  return (
+    parseInt(process.env.CONTROL_NUMBER_VALIDITY_DAYS) || DEFAULT_VALIDITY_DAYS
+  );
+}
+
+/**
+ * Luhn check digit, so mistyped control numbers are rejected before lookup
+ */
+function checkDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isValidControlNumber(controlNumber) {
+  const value = String(controlNumber || "");
+  return (
+    new RegExp(`^\\d{${CONTROL_NUMBER_LENGTH}}$`).test(value) &&
+    checkDigit(value.slice(0, -1)) === value.slice(-1)
+  );
+}
+
+function generateControlNumber() {
+  let digits = getPrefix();
+  while (digits.length < CONTROL_NUMBER_LENGTH - 1) {
+    digits += crypto.randomInt(0, 10);
+  }
+  return digits + checkDigit(digits);
+}
+
+/**
+ * Give an invoice a new control number (in memory; the caller saves it).
+ * It expires CONTROL_NUMBER_VALIDITY_DAYS after the due date, or after
+ * today when the invoice is already past due.
+ * @param {object} invoice - Invoice document
+ */
+async function assignControlNumber(invoice) {
+  let controlNumber;
+  do {
+    controlNumber = generateControlNumber();
+  } while (await Invoice.exists({ controlNumber }));
+
+  const now = new Date();
+  const validFrom = Math.max(
+    now.getTime(),
+    new Date(invoice.dueDate).getTime() || 0,
+  );
+
+  invoice.controlNumber = controlNumber;
+  invoice.controlNumberIssuedAt = now;
+  invoice.controlNumberExpiresAt = new Date(
+    validFrom + getValidityDays() * DAY_MS,
+  );
+  return invoice;
+}
+
+function isExpired(invoice, asOf = new Date()) {
+  return (
+    !!invoice.controlNumberExpiresAt &&
+    new Date(asOf) > new Date(invoice.controlNumberExpiresAt)
+  );
+}
+
+/**
+ * Issue a control number for an invoice that has none or whose number has
+ * expired. An unexpired number is returned unchanged.
+ * @returns {Promise<object>} { success, invoice, reissued } or { success: false, error, errorType }
+ */
+async function reissueControlNumber(invoiceId) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) {
+    return {
+      success: false,
+      error: "Invoice not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  if (
+    !paymentSettlementService.SETTLEABLE_INVOICE_STATUSES.includes(
+      invoice.status,
+    )
+  ) {
+    return {
+      success: false,
+      error: `Invoice ${invoice.invoiceNumber} is ${invoice.status}`,
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  if (invoice.controlNumber && !isExpired(invoice)) {
+    return { success: true, invoice, reissued: false };
+  }
+
+  await assignControlNumber(invoice);
+  await invoice.save();
+  return { success: true, invoice, reissued: true };
+}
+
+// ============================================
+// BILLS
+// ============================================
+
+function getBillStatus(invoice) {
+  if (["paid", "verified"].includes(invoice.status)) return "paid";
+  if (
+    !paymentSettlementService.SETTLEABLE_INVOICE_STATUSES.includes(
+      invoice.status,
+    )
+  ) {
+    return "cancelled";
+  }
+  return isExpired(invoice) ? "expired" : "active";
+}
+
+/**
+ * Bill for a control number, as the aggregator sees it. Only an "active"
+ * bill can be paid.
+ * @returns {Promise<object>} { success, bill } or { success: false, error, errorType }
+ */
+async function getBill(controlNumber) {
+  if (!isValidControlNumber(controlNumber)) {
+    return {
+      success: false,
+      error: "Invalid control number",
+      errorType: "INVALID_CONTROL_NUMBER",
+    };
+  }
+
+  const invoice = await Invoice.findOne({ controlNumber }).lean();
+  if (!invoice) {
+    return {
+      success: false,
+      error: "Control number not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  const payer = await User.findById(invoice.userId)
+    .select("firstName lastName username phoneNumber")
+    .lean();
+  const settled = await installmentService.sumSettled(invoice);
+  const creditedAmount = invoice.creditedAmount || 0;
+
+  return {
+    success: true,
+    bill: {
+      controlNumber,
+      billNumber: invoice.invoiceNumber,
+      status: getBillStatus(invoice),
+      description: invoice.description,
+      payerName: payer
+        ? `${payer.firstName || ""} ${payer.lastName || ""}`.trim() ||
+          payer.username
+        : null,
+      payerPhone: payer?.phoneNumber || null,
+      currency: invoice.currency || "TZS",
+      billedAmount: invoice.amount,
+      creditedAmount,
+      paidAmount: settled - creditedAmount,
+      outstandingAmount: Math.max(0, invoice.amount - settled),
+      dueDate: invoice.dueDate,
+      issuedAt: invoice.controlNumberIssuedAt,
+      expiresAt: invoice.controlNumberExpiresAt,
+    },
+  };
+}
+
+/**
+ * Settle a bill from an aggregator payment notification. Payments on an
+ * expired or closed bill go to the suspense queue.
+ * @param {object} payload - { transactionId, controlNumber, amount, currency,
+ *   paidAt, payerName, phoneNumber }
+ * @returns {Promise<object>} { success, outcome, event, settlement } or { success: false, error, errorType }
+ */
+async function handlePaymentNotification(payload) {
+  if (!isValidControlNumber(payload.controlNumber)) {
+    return {
+      success: false,
+      error: "Invalid control number",
+      errorType: "INVALID_CONTROL_NUMBER",
+    };
+  }
+  if (!payload.transactionId || !(Number(payload.amount) > 0)) {
+    return {
+      success: false,
+      error: "transactionId and a positive amount are required",
+      errorType: "INVALID_NOTIFICATION",
+    };
+  }
+
+  const result = await paymentSettlementService.handleWebhook(PROVIDER, {
+    transactionId: payload.transactionId,
+    amount: payload.amount,
+    currency: payload.currency,
+    controlNumber: payload.controlNumber,
+    paidAt: payload.paidAt,
+    payerName: payload.payerName,
+    phoneNumber: payload.phoneNumber,
+    status: "success",
+  });
+
+  return { success: true, ...result };
+}
+
+// ============================================
+// AGGREGATOR SIMULATOR
+// ============================================
+
+/**
+ * The simulator needs the aggregator's secret and never runs in production
+ */
+function isSimulatorEnabled() {
+  return (
+    process.env.NODE_ENV !== "production" &&
+    !!paymentSettlementService.getWebhookSecret(PROVIDER)
+  );
+}
+
+/**
+ * Sign a request body the way the aggregator does
+ * @returns {object} { body, rawBody, timestamp, signature }
+ */
+function buildAggregatorRequest(body) {
+  const rawBody = JSON.stringify(body);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return {
+    body,
+    rawBody,
+    timestamp,
+    signature: paymentSettlementService.signWebhook(
+      paymentSettlementService.getWebhookSecret(PROVIDER),
+      timestamp,
+      rawBody,
+    ),
+  };
+}
+
+/**
+ * Payment notification the aggregator would send for a bill
+ * @param {object} bill - From getBill
+ * @param {number} amount - Default: the outstanding amount
+ */
+function simulatePaymentNotification(bill, amount) {
+  return buildAggregatorRequest({
+    transactionId: `SIM-${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+    controlNumber: bill.controlNumber,
+    amount: amount || bill.outstandingAmount,
+    currency: bill.currency,
+    paidAt: new Date().toISOString(),
+    payerName: bill.payerName,
+    phoneNumber: bill.payerPhone,
+  });
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  PROVIDER,
+  isValidControlNumber,
+  assignControlNumber,
+  isExpired,
+  reissueControlNumber,
+  getBill,
+  handlePaymentNotification,
+  isSimulatorEnabled,
+  buildAggregatorRequest,
+  simulatePaymentNotification,
+};
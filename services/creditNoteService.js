@@ -0,0 +1,676 @@
+// ============================================
+// CREDIT NOTE SERVICE
+// ============================================
+// ✅ Credit notes against an invoice (billing errors, goodwill, cancellation)
+// ✅ Partial or full refunds of a verified payment
+// ✅ Notes above the approval threshold need a second admin to approve
+// ✅ Each issued note records a reversal entry in the revenue ledger
+// ✅ Uncollectable balances can be written off
+// ✅ Credit notes, refunds and write-offs are posted to the general ledger
+// ============================================
+
+const paymentSettlementService = require("./paymentSettlementService");
+const ledgerService = require("./ledgerService");
+const taxService = require("./taxService");
+const { calculateRevenueSplit } = require("../utils/revenueSplit");
+
+// Models (injected when service is initialized)
+let CreditNote, Invoice, PaymentHistory, User, Transaction, Revenue;
+
+// Credit notes above this amount (TZS) need approval by a second admin
+const APPROVAL_THRESHOLD =
+  parseInt(process.env.CREDIT_NOTE_APPROVAL_THRESHOLD) || 100000;
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+// Invoice types with their own revenue type (the rest are booked as "other")
+const REVENUE_TYPES = [
+  "registration_fee",
+  "monthly_fee",
+  "annual_fee",
+  "event_fee",
+];
+
+// School invoice statuses that still hold their student invoices
+const OPEN_INVOICE_STATUSES = [
+  "unpaid",
+  "pending",
+  "submitted",
+  "partially_paid",
+  "overdue",
+];
+
+/**
+ * Initialize service with models
+ * @param {object} models - { CreditNote, Invoice, PaymentHistory, User, Transaction, Revenue }
+ */
+function initialize(models) {
+  CreditNote = models.CreditNote;
+  Invoice = models.Invoice;
+  PaymentHistory = models.PaymentHistory;
+  User = models.User;
+  Transaction = models.Transaction;
+  Revenue = models.Revenue;
+
+  console.log("✅ Credit Note Service initialized");
+}
+
+// ============================================
+// LIMITS
+// ============================================
+
+async function sumPaid(invoiceId) {
+  const payments = await PaymentHistory.find({
+    invoiceId,
+    status: { $in: PAID_HISTORY_STATUSES },
+    isDeleted: { $ne: true },
+  })
+    .select("amount refundedAmount")
+    .lean();
+
+  return payments.reduce(
+    (sum, payment) => sum + payment.amount - (payment.refundedAmount || 0),
+    0,
+  );
+}
+
+/**
+ * Check a credit note fits what is left on the invoice (or the payment, for
+ * refunds), counting other notes still waiting for approval
+ * @param {object} invoice - Invoice document
+ * @param {object} note - { type, amount, paymentHistoryId }
+ * @param {string} excludeId - Credit note being issued (not counted as pending)
+ * @returns {Promise<object>} { success, payment } or { success: false, error, errorType }
+ */
+async function checkAmount(invoice, note, excludeId = null) {
+  const pending = await CreditNote.find({
+    invoiceId: invoice._id,
+    status: "pending_approval",
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  })
+    .select("type amount paymentHistoryId")
+    .lean();
+
+  if (note.type === "refund") {
+    const payment = await PaymentHistory.findOne({
+      _id: note.paymentHistoryId,
+      invoiceId: invoice._id,
+      status: { $in: PAID_HISTORY_STATUSES },
+      isDeleted: { $ne: true },
+    });
+
+    if (!payment) {
+      return {
+        success: false,
+        error:
+          "Refunds must be made against a verified payment on this invoice",
+        errorType: "INVALID_PAYMENT",
+      };
+    }
+
+    const refundable =
+      payment.amount -
+      (payment.refundedAmount || 0) -
+      pending
+        .filter(
+          (other) =>
+            other.type === "refund" &&
+            other.paymentHistoryId?.toString() === payment._id.toString(),
+        )
+        .reduce((sum, other) => sum + other.amount, 0);
+
+    if (note.amount > refundable) {
+      return {
+        success: false,
+        error: `At most TZS ${Math.max(refundable, 0)} of this payment can be refunded`,
+        errorType: "INVALID_AMOUNT",
+      };
+    }
+
+    return { success: true, payment };
+  }
+
+  // A credit only reduces what is still owed; paid amounts need a refund
+  const creditable =
+    invoice.amount -
+    (invoice.creditedAmount || 0) -
+    (await sumPaid(invoice._id)) -
+    pending
+      .filter((other) => other.type === "credit")
+      .reduce((sum, other) => sum + other.amount, 0);
+
+  if (note.amount > creditable) {
+    return {
+      success: false,
+      error:
+        creditable > 0
+          ? `At most TZS ${creditable} can be credited; refund paid amounts instead`
+          : "Nothing is left to credit on this invoice; refund paid amounts instead",
+      errorType: "INVALID_AMOUNT",
+    };
+  }
+
+  return { success: true };
+}
+
+async function checkInvoice(invoice) {
+  if (!invoice) {
+    return {
+      success: false,
+      error: "Invoice not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  if (invoice.status === "cancelled" || invoice.status === "written_off") {
+    return {
+      success: false,
+      error: `Invoice is already ${invoice.status === "cancelled" ? "cancelled" : "written off"}`,
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  if (invoice.coveredInvoices?.length > 0) {
+    return {
+      success: false,
+      error:
+        "Credit the student invoices covered by a school invoice individually",
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  if (
+    invoice.consolidatedInvoiceId &&
+    (await Invoice.exists({
+      _id: invoice.consolidatedInvoiceId,
+      status: { $in: OPEN_INVOICE_STATUSES },
+    }))
+  ) {
+    return {
+      success: false,
+      error:
+        "This invoice is on an open school invoice; cancel the school invoice first",
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  return { success: true };
+}
+
+// ============================================
+// CREDIT NOTES
+// ============================================
+
+/**
+ * Request a credit note or refund. Notes that keep the invoice's total
+ * credited within APPROVAL_THRESHOLD are issued straight away; the rest wait
+ * for a second admin.
+ * @param {string} invoiceId
+ * @param {object} data - { type, amount, reason, paymentHistoryId, refund: { method, reference }, cancelsInvoice }
+ * @param {string} adminId
+ * @returns {Promise<object>} { success, creditNote, requiresApproval, invoice } or { success: false, error, errorType }
+ */
+async function requestCreditNote(invoiceId, data, adminId) {
+  const invoice = await Invoice.findById(invoiceId);
+  const invoiceCheck = await checkInvoice(invoice);
+  if (!invoiceCheck.success) return invoiceCheck;
+
+  const amountCheck = await checkAmount(invoice, data);
+  if (!amountCheck.success) return amountCheck;
+
+  const creditNote = await CreditNote.create({
+    creditNoteNumber: `CN-${Date.now()}-${Math.random()
+      .toString(36)
+      .substring(2, 7)
+      .toUpperCase()}`,
+    invoiceId: invoice._id,
+    userId: invoice.userId,
+    type: data.type,
+    amount: data.amount,
+    taxAmount: taxService.prorateInvoiceTax(invoice, data.amount),
+    currency: invoice.currency || "TZS",
+    reason: data.reason,
+    cancelsInvoice: !!data.cancelsInvoice,
+    paymentHistoryId:
+      data.type === "refund" ? data.paymentHistoryId : undefined,
+    refund: data.type === "refund" ? data.refund : undefined,
+    requestedBy: adminId,
+    history: [{ action: "requested", by: adminId, notes: data.reason }],
+  });
+
+  // The threshold applies to the total credited on the invoice, so a large
+  // credit can't skip approval by being split into small notes
+  if ((invoice.creditedAmount || 0) + creditNote.amount > APPROVAL_THRESHOLD) {
+    return { success: true, creditNote, requiresApproval: true };
+  }
+
+  const result = await issueCreditNote(creditNote, adminId, {
+    creditLimit: APPROVAL_THRESHOLD,
+  });
+  if (result.errorType === "APPROVAL_REQUIRED") {
+    return { success: true, creditNote, requiresApproval: true };
+  }
+  return { ...result, requiresApproval: false };
+}
+
+/**
+ * Cancel an invoice nothing has been paid on, with a credit note for the
+ * whole balance (subject to the same approval threshold)
+ */
+async function cancelInvoice(invoiceId, reason, adminId) {
+  const invoice = await Invoice.findById(invoiceId);
+  const invoiceCheck = await checkInvoice(invoice);
+  if (!invoiceCheck.success) return invoiceCheck;
+
+  if ((await sumPaid(invoice._id)) > 0) {
+    return {
+      success: false,
+      error:
+        "Payments were made on this invoice; refund them before cancelling it",
+      errorType: "HAS_PAYMENTS",
+    };
+  }
+
+  const pendingCredits = await CreditNote.find({
+    invoiceId: invoice._id,
+    status: "pending_approval",
+    type: "credit",
+  })
+    .select("amount")
+    .lean();
+
+  const balance =
+    invoice.amount -
+    (invoice.creditedAmount || 0) -
+    pendingCredits.reduce((sum, note) => sum + note.amount, 0);
+
+  if (balance <= 0) {
+    return {
+      success: false,
+      error: "The whole invoice is already credited or awaiting approval",
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  return requestCreditNote(
+    invoiceId,
+    { type: "credit", amount: balance, reason, cancelsInvoice: true },
+    adminId,
+  );
+}
+
+/**
+ * Add a note to the invoice's credited (and refunded) amounts, only while the
+ * total credited stays within the invoice amount and creditLimit
+ * @returns {Promise<object|null>} Updated invoice, or null when over the limit
+ */
+async function addCredit(invoice, creditNote, creditLimit) {
+  const maxCredited = Math.min(invoice.amount, creditLimit) - creditNote.amount;
+  if (maxCredited < 0) return null;
+
+  return Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      $or: [
+        { creditedAmount: { $lte: maxCredited } },
+        { creditedAmount: null },
+      ],
+    },
+    {
+      $inc: {
+        creditedAmount: creditNote.amount,
+        ...(creditNote.type === "refund" && {
+          refundedAmount: creditNote.amount,
+        }),
+      },
+    },
+    { new: true },
+  );
+}
+
+/**
+ * Apply a credit note: invoice and payment amounts, statuses, the user's
+ * payment status and a reversal entry in the revenue ledger
+ * @param {object} options - { creditLimit } - most the invoice's total
+ *   credited may reach; over it the note is left waiting (APPROVAL_REQUIRED)
+ */
+async function issueCreditNote(
+  creditNote,
+  adminId,
+  { creditLimit = Infinity } = {},
+) {
+  const current = await Invoice.findById(creditNote.invoiceId);
+  const invoiceCheck = await checkInvoice(current);
+  if (!invoiceCheck.success) return invoiceCheck;
+
+  const amountCheck = await checkAmount(current, creditNote, creditNote._id);
+  if (!amountCheck.success) return amountCheck;
+
+  // Credit the invoice first; the guard stops concurrent notes over-crediting
+  const invoice = await addCredit(current, creditNote, creditLimit);
+  if (!invoice) {
+    const { creditedAmount = 0 } = await Invoice.findById(current._id)
+      .select("creditedAmount")
+      .lean();
+    return creditedAmount + creditNote.amount > current.amount
+      ? {
+          success: false,
+          error:
+            "The invoice was credited by another note; try a smaller amount",
+          errorType: "INVALID_AMOUNT",
+        }
+      : {
+          success: false,
+          error: "The total credited on this invoice needs approval",
+          errorType: "APPROVAL_REQUIRED",
+        };
+  }
+
+  // Claim the note so it is only ever applied once
+  const issuedAt = new Date();
+  const issued = await CreditNote.findOneAndUpdate(
+    { _id: creditNote._id, status: "pending_approval" },
+    {
+      $set: { status: "issued", approvedBy: adminId, issuedAt },
+      $push: { history: { action: "issued", by: adminId, at: issuedAt } },
+    },
+    { new: true },
+  );
+
+  if (!issued) {
+    // Another request applied (or rejected) it - give the credit back
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      {
+        $inc: {
+          creditedAmount: -creditNote.amount,
+          ...(creditNote.type === "refund" && {
+            refundedAmount: -creditNote.amount,
+          }),
+        },
+      },
+    );
+    return {
+      success: false,
+      error: "Credit note is no longer awaiting approval",
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  const isRefund = issued.type === "refund";
+
+  if (isRefund) {
+    const { payment } = amountCheck;
+    payment.refundedAmount = (payment.refundedAmount || 0) + issued.amount;
+
+    if (payment.refundedAmount >= payment.amount) {
+      await payment.changeStatus(
+        "refunded",
+        adminId,
+        issued.reason,
+        `Credit note ${issued.creditNoteNumber}`,
+      );
+    } else {
+      await payment.save();
+    }
+  }
+
+  const { userStatus } = await paymentSettlementService.refreshInvoice(invoice);
+  await recordReversal(issued, invoice);
+  await ledgerService.postCreditNote(issued, invoice);
+
+  console.log(
+    `🧾 Credit note ${issued.creditNoteNumber}: TZS ${issued.amount} ${isRefund ? "refunded" : "credited"} on ${invoice.invoiceNumber} (${invoice.status})`,
+  );
+
+  return { success: true, creditNote: issued, invoice, userStatus };
+}
+
+async function recordReversal(creditNote, invoice) {
+  const revenueType = REVENUE_TYPES.includes(invoice.type)
+    ? invoice.type
+    : "other";
+  const { commission, netAmount } = calculateRevenueSplit(
+    creditNote.amount,
+    revenueType,
+  );
+  const date = creditNote.issuedAt;
+  const user = await User.findById(invoice.userId).select("schoolId").lean();
+
+  const transaction = await Transaction.create({
+    userId: invoice.userId,
+    schoolId: user?.schoolId,
+    transactionType: invoice.type,
+    amount: creditNote.amount,
+    currency: creditNote.currency,
+    status: creditNote.type === "refund" ? "refunded" : "cancelled",
+    referenceId: creditNote.creditNoteNumber,
+    paymentReference: creditNote.refund?.reference,
+    description: `Credit note ${creditNote.creditNoteNumber} on ${invoice.invoiceNumber}: ${creditNote.reason}`,
+    metadata: {
+      creditNoteId: creditNote._id.toString(),
+      invoiceId: invoice._id.toString(),
+    },
+    completedAt: date,
+  });
+
+  const revenue = await Revenue.create({
+    transactionId: transaction._id,
+    schoolId: user?.schoolId,
+    userId: invoice.userId,
+    amount: -creditNote.amount,
+    commission: -commission,
+    netAmount: -netAmount,
+    revenueType,
+    revenueDate: date,
+    month: date.getMonth() + 1,
+    year: date.getFullYear(),
+    quarter: Math.ceil((date.getMonth() + 1) / 3),
+    category: creditNote.type === "refund" ? "refund" : "credit_note",
+    isReversal: true,
+    creditNoteId: creditNote._id,
+  });
+
+  creditNote.transactionId = transaction._id;
+  creditNote.revenueId = revenue._id;
+  await creditNote.save();
+}
+
+// ============================================
+// WRITE-OFFS
+// ============================================
+
+/**
+ * Write off what is still owed on an invoice as uncollectable
+ * @returns {Promise<object>} { success, invoice } or { success: false, error, errorType }
+ */
+async function writeOffInvoice(invoiceId, reason, adminId) {
+  const invoice = await Invoice.findById(invoiceId);
+  const invoiceCheck = await checkInvoice(invoice);
+  if (!invoiceCheck.success) return invoiceCheck;
+
+  if (
+    await CreditNote.exists({
+      invoiceId: invoice._id,
+      status: "pending_approval",
+    })
+  ) {
+    return {
+      success: false,
+      error:
+        "Approve or reject the credit notes waiting on this invoice before writing it off",
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  const balance =
+    invoice.amount -
+    (invoice.creditedAmount || 0) -
+    (await sumPaid(invoice._id));
+
+  if (balance <= 0) {
+    return {
+      success: false,
+      error: "Nothing is owed on this invoice",
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  invoice.status = "written_off";
+  invoice.writeOff = {
+    amount: balance,
+    reason,
+    writtenOffBy: adminId,
+    writtenOffAt: new Date(),
+  };
+  await invoice.save();
+
+  await ledgerService.postWriteOff(invoice);
+
+  console.log(
+    `🧾 Invoice ${invoice.invoiceNumber}: TZS ${balance} written off`,
+  );
+
+  return { success: true, invoice };
+}
+
+// ============================================
+// APPROVAL
+// ============================================
+
+/**
+ * Approve a credit note waiting for approval; the approver must not be the
+ * admin who requested it
+ */
+async function approveCreditNote(creditNoteId, approverId) {
+  const creditNote = await CreditNote.findById(creditNoteId);
+  if (!creditNote) {
+    return {
+      success: false,
+      error: "Credit note not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  if (creditNote.status !== "pending_approval") {
+    return {
+      success: false,
+      error: `Credit note is already ${creditNote.status}`,
+      errorType: "INVALID_STATUS",
+    };
+  }
+
+  if (creditNote.requestedBy.toString() === approverId.toString()) {
+    return {
+      success: false,
+      error:
+        "A credit note must be approved by a different admin than the one who requested it",
+      errorType: "SAME_APPROVER",
+    };
+  }
+
+  return issueCreditNote(creditNote, approverId);
+}
+
+async function rejectCreditNote(creditNoteId, adminId, reason) {
+  const rejectedAt = new Date();
+  const creditNote = await CreditNote.findOneAndUpdate(
+    { _id: creditNoteId, status: "pending_approval" },
+    {
+      $set: {
+        status: "rejected",
+        rejectedBy: adminId,
+        rejectedAt,
+        rejectionReason: reason,
+      },
+      $push: {
+        history: {
+          action: "rejected",
+          by: adminId,
+          at: rejectedAt,
+          notes: reason,
+        },
+      },
+    },
+    { new: true },
+  );
+
+  if (!creditNote) {
+    const exists = await CreditNote.exists({ _id: creditNoteId });
+    return exists
+      ? {
+          success: false,
+          error: "Only credit notes awaiting approval can be rejected",
+          errorType: "INVALID_STATUS",
+        }
+      : {
+          success: false,
+          error: "Credit note not found",
+          errorType: "NOT_FOUND",
+        };
+  }
+
+  return { success: true, creditNote };
+}
+
+/**
+ * List credit notes
+ * @param {object} filter - { status, type, invoiceId, userId }
+ * @param {object} options - { page, limit, scopeFilter } - scopeFilter
+ *   limits the list to the caller's jurisdiction (see scopeService)
+ */
+async function listCreditNotes(
+  filter = {},
+  { page = 1, limit = 20, scopeFilter = {} } = {},
+) {
+  const conditions = {};
+  if (filter.status) conditions.status = filter.status;
+  if (filter.type) conditions.type = filter.type;
+  if (filter.invoiceId) conditions.invoiceId = filter.invoiceId;
+  if (filter.userId) conditions.userId = filter.userId;
+
+  const query =
+    Object.keys(scopeFilter).length > 0
+      ? { $and: [conditions, scopeFilter] }
+      : conditions;
+
+  const [creditNotes, total] = await Promise.all([
+    CreditNote.find(query)
+      .populate("invoiceId", "invoiceNumber type amount status")
+      .populate("userId", "firstName lastName username")
+      .populate("requestedBy", "firstName lastName username")
+      .populate("approvedBy", "firstName lastName username")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CreditNote.countDocuments(query),
+  ]);
+
+  return { creditNotes, total };
+}
+
+async function getCreditNote(creditNoteId) {
+  return CreditNote.findById(creditNoteId)
+    .populate("invoiceId", "invoiceNumber type amount creditedAmount status")
+    .populate("userId", "firstName lastName username")
+    .populate("paymentHistoryId", "amount refundedAmount status paymentDate")
+    .populate("history.by", "firstName lastName username")
+    .lean();
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  APPROVAL_THRESHOLD,
+  requestCreditNote,
+  cancelInvoice,
+  writeOffInvoice,
+  approveCreditNote,
+  rejectCreditNote,
+  listCreditNotes,
+  getCreditNote,
+};
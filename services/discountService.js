@@ -0,0 +1,637 @@
+// ============================================
+// DISCOUNT & SPONSORSHIP SERVICE
+// ============================================
+// ✅ Discount, waiver, scholarship and sponsorship rules (percentage or
+//    fixed) scoped to users, schools, regions, packages or roles
+// ✅ Prices invoices: the invoice amount is the net the user pays, with
+//    the original amount and each discount recorded on the invoice
+// ✅ Sponsorship shares are billed to the sponsor on consolidated
+//    SponsorInvoices, posted to the general ledger
+// ✅ Gives getRequiredTotal the user's discounts (and VAT) so
+//    auto-activation compares payments with what the user actually owes
+// ============================================
+
+const mongoose = require("mongoose");
+const { applyDiscounts, getRequiredTotal } = require("../utils/packagePricing");
+const ledgerService = require("./ledgerService");
+const taxService = require("./taxService");
+
+// Models (injected when service is initialized)
+let DiscountRule, Sponsor, SponsorInvoice, Invoice;
+
+const DISCOUNT_KINDS = ["discount", "waiver", "scholarship", "sponsorship"];
+const VALUE_TYPES = ["percentage", "fixed"];
+const DISCOUNTABLE_INVOICE_TYPES = [
+  "registration_fee",
+  "monthly_fee",
+  "annual_fee",
+];
+const SCOPE_KEYS = ["userIds", "schoolIds", "regionIds", "packages", "roles"];
+
+// Days a sponsor has to pay a consolidated invoice
+const SPONSOR_INVOICE_DUE_DAYS = 30;
+
+/**
+ * Initialize service with models
+ * @param {object} models - { DiscountRule, Sponsor, SponsorInvoice, Invoice }
+ */
+function initialize(models) {
+  DiscountRule = models.DiscountRule;
+  Sponsor = models.Sponsor;
+  SponsorInvoice = models.SponsorInvoice;
+  Invoice = models.Invoice;
+
+  console.log("✅ Discount Service initialized");
+}
+
+// ============================================
+// RULE MATCHING
+// ============================================
+
+function includesId(list, id) {
+  return !!id && list.some((item) => item.toString() === id.toString());
+}
+
+function isRuleValidOn(rule, date) {
+  return (
+    (!rule.validFrom || new Date(rule.validFrom) <= date) &&
+    (!rule.validUntil || new Date(rule.validUntil) >= date)
+  );
+}
+
+/**
+ * Whether a rule's scope covers a user. Every scope list that is set must
+ * match; a rule with no scope at all matches nobody.
+ */
+function ruleMatchesUser(rule, user) {
+  const scope = rule.scope || {};
+  const packageType = user.registration_type || user.registrationType;
+  const criteria = [
+    [scope.userIds, (list) => includesId(list, user._id)],
+    [scope.schoolIds, (list) => includesId(list, user.schoolId)],
+    [scope.regionIds, (list) => includesId(list, user.regionId)],
+    [scope.packages, (list) => list.includes(packageType)],
+    [scope.roles, (list) => list.includes(user.role)],
+  ].filter(([list]) => list?.length > 0);
+
+  return criteria.length > 0 && criteria.every(([list, test]) => test(list));
+}
+
+/**
+ * Active rules that apply to a user's invoice of this type, in the order
+ * they are applied (highest priority first, then oldest first)
+ * @param {object} user - User with role, registration_type, schoolId, regionId
+ * @param {string} invoiceType - Invoice type
+ * @param {Date} asOf - Date the rules must be valid on (default: now)
+ */
+async function getApplicableRules(user, invoiceType, asOf = new Date()) {
+  if (!DISCOUNTABLE_INVOICE_TYPES.includes(invoiceType)) return [];
+
+  const rules = await DiscountRule.find({
+    isActive: true,
+    invoiceTypes: invoiceType,
+  })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  return rules.filter(
+    (rule) => isRuleValidOn(rule, asOf) && ruleMatchesUser(rule, user),
+  );
+}
+
+/**
+ * What an invoice keeps of a rule (so later rule edits don't change it)
+ */
+function toSnapshot(rule) {
+  return {
+    ruleId: rule._id,
+    name: rule.name,
+    kind: rule.kind,
+    valueType: rule.valueType,
+    value: rule.value,
+    sponsorId: rule.sponsorId || undefined,
+  };
+}
+
+// ============================================
+// PRICING
+// ============================================
+
+/**
+ * Apply a user's discounts to a new invoice
+ * @param {object} user - User document
+ * @param {string} invoiceType - Invoice type
+ * @param {number} amount - Full price
+ * @returns {Promise<object>} { amount, fields } - amount is the net to
+ *   invoice; spread fields into Invoice.create (empty when no discount)
+ */
+async function priceInvoice(user, invoiceType, amount) {
+  const rules = await getApplicableRules(user, invoiceType);
+  if (rules.length === 0 || !(amount > 0)) return { amount, fields: {} };
+
+  const priced = applyDiscounts(amount, rules.map(toSnapshot));
+  if (priced.discountAmount === 0) return { amount, fields: {} };
+
+  return {
+    amount: priced.netAmount,
+    fields: {
+      originalAmount: priced.originalAmount,
+      discountAmount: priced.discountAmount,
+      discounts: priced.lines,
+    },
+  };
+}
+
+/**
+ * Discounts on a user's registration fee: the ones recorded on their
+ * registration invoices, or the rules that apply today if they have none
+ */
+async function getRegistrationDiscounts(user) {
+  const invoices = await Invoice.find({
+    userId: user._id,
+    type: "registration_fee",
+    status: { $ne: "cancelled" },
+  })
+    .select("discounts")
+    .lean();
+
+  if (invoices.length === 0) {
+    return (await getApplicableRules(user, "registration_fee")).map(toSnapshot);
+  }
+
+  const byRule = new Map();
+  for (const invoice of invoices) {
+    for (const discount of invoice.discounts || []) {
+      const key = discount.ruleId.toString();
+      if (!byRule.has(key)) byRule.set(key, discount);
+    }
+  }
+  return [...byRule.values()];
+}
+
+/**
+ * Registration fee the user owes themselves (after discounts and
+ * sponsorships), priced as of registration. Gross of VAT, like the
+ * registration invoice: an exclusive rate adds the tax on top.
+ * @returns {Promise<number>}
+ */
+async function getRequiredTotalForUser(user) {
+  const netTotal = getRequiredTotal(
+    user.role,
+    user.registration_type,
+    user.institutionType,
+    user.createdAt,
+    await getRegistrationDiscounts(user),
+  );
+
+  const { grossAmount } = await taxService.calculateInvoiceTax(
+    netTotal,
+    "registration_fee",
+    user.role,
+    user.createdAt || new Date(),
+  );
+  return grossAmount;
+}
+
+/**
+ * Registration fee breakdown (original, discount, sponsored, net)
+ * @returns {Promise<object>} See applyDiscounts in utils/packagePricing
+ */
+async function getRegistrationPricing(user) {
+  const total = getRequiredTotal(
+    user.role,
+    user.registration_type,
+    user.institutionType,
+    user.createdAt,
+  );
+
+  return applyDiscounts(total, await getRegistrationDiscounts(user));
+}
+
+// ============================================
+// RULES
+// ============================================
+
+/**
+ * Check a rule (new or with changes applied)
+ * @returns {Promise<string[]>} Validation errors (empty when valid)
+ */
+async function validateRule(rule) {
+  const errors = [];
+
+  if (!rule.name) errors.push("name is required");
+  if (!DISCOUNT_KINDS.includes(rule.kind)) {
+    errors.push(`kind must be one of: ${DISCOUNT_KINDS.join(", ")}`);
+  }
+  if (!VALUE_TYPES.includes(rule.valueType)) {
+    errors.push(`valueType must be one of: ${VALUE_TYPES.join(", ")}`);
+  }
+  if (!(typeof rule.value === "number" && rule.value > 0)) {
+    errors.push("value must be greater than 0");
+  } else if (rule.valueType === "percentage" && rule.value > 100) {
+    errors.push("A percentage cannot be more than 100");
+  }
+
+  const invalidTypes = (rule.invoiceTypes || []).filter(
+    (type) => !DISCOUNTABLE_INVOICE_TYPES.includes(type),
+  );
+  if (rule.invoiceTypes && rule.invoiceTypes.length === 0) {
+    errors.push("invoiceTypes cannot be empty");
+  } else if (invalidTypes.length > 0) {
+    errors.push(`Discounts cannot apply to: ${invalidTypes.join(", ")}`);
+  }
+
+  if (!SCOPE_KEYS.some((key) => rule.scope?.[key]?.length > 0)) {
+    errors.push(
+      "scope must name at least one user, school, region, package or role",
+    );
+  }
+
+  if (
+    rule.validFrom &&
+    rule.validUntil &&
+    new Date(rule.validUntil) <= new Date(rule.validFrom)
+  ) {
+    errors.push("validUntil must be after validFrom");
+  }
+
+  if (rule.kind === "sponsorship") {
+    if (!rule.sponsorId) {
+      errors.push("sponsorId is required for a sponsorship");
+    } else if (
+      !(await Sponsor.exists({ _id: rule.sponsorId, isActive: true }))
+    ) {
+      errors.push("Sponsor not found or inactive");
+    }
+  } else if (rule.sponsorId) {
+    errors.push("Only sponsorships have a sponsor");
+  }
+
+  return errors;
+}
+
+/**
+ * List rules
+ * @param {object} filters - { kind, sponsorId, isActive }
+ */
+async function listRules(filters = {}) {
+  const query = {};
+  if (filters.kind) query.kind = filters.kind;
+  if (filters.sponsorId) query.sponsorId = filters.sponsorId;
+  if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+  return DiscountRule.find(query)
+    .populate("sponsorId", "name type")
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+}
+
+/**
+ * Create a rule. It applies to invoices issued from now on.
+ * @returns {Promise<object>} { success, rule } or { success: false, error, errorType, errors }
+ */
+async function createRule(data, adminId) {
+  const errors = await validateRule(data);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid discount rule",
+      errorType: "INVALID_RULE",
+      errors,
+    };
+  }
+
+  const rule = await DiscountRule.create({ ...data, createdBy: adminId });
+  return { success: true, rule };
+}
+
+/**
+ * Update a rule. Invoices already issued keep the discount they were given.
+ * @returns {Promise<object>} { success, rule } or { success: false, error, errorType, errors }
+ */
+async function updateRule(ruleId, changes) {
+  const rule = await DiscountRule.findById(ruleId);
+  if (!rule) {
+    return {
+      success: false,
+      error: "Discount rule not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  rule.set(changes);
+
+  const errors = await validateRule(rule.toObject());
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid discount rule",
+      errorType: "INVALID_RULE",
+      errors,
+    };
+  }
+
+  await rule.save();
+  return { success: true, rule };
+}
+
+// ============================================
+// SPONSORS
+// ============================================
+
+/**
+ * Sponsor with the amounts billed, paid and not yet billed
+ * @returns {Promise<object|null>}
+ */
+async function getSponsorSummary(sponsorId) {
+  const sponsor = await Sponsor.findById(sponsorId).lean();
+  if (!sponsor) return null;
+
+  const id = new mongoose.Types.ObjectId(sponsorId.toString());
+
+  const [billed] = await SponsorInvoice.aggregate([
+    { $match: { sponsorId: id, status: { $ne: "cancelled" } } },
+    {
+      $group: {
+        _id: null,
+        billed: { $sum: "$totalAmount" },
+        paid: { $sum: "$paidAmount" },
+      },
+    },
+  ]);
+
+  const [unbilled] = await Invoice.aggregate([
+    { $match: { "discounts.sponsorId": id, status: { $ne: "cancelled" } } },
+    { $unwind: "$discounts" },
+    {
+      $match: {
+        "discounts.sponsorId": id,
+        "discounts.sponsorInvoiceId": null,
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        amount: { $sum: "$discounts.amount" },
+        students: { $addToSet: "$userId" },
+      },
+    },
+  ]);
+
+  return {
+    ...sponsor,
+    activeRules: await DiscountRule.countDocuments({
+      sponsorId: id,
+      isActive: true,
+    }),
+    billedAmount: billed?.billed || 0,
+    paidAmount: billed?.paid || 0,
+    outstandingAmount: (billed?.billed || 0) - (billed?.paid || 0),
+    unbilledAmount: unbilled?.amount || 0,
+    unbilledStudents: unbilled?.students.length || 0,
+  };
+}
+
+// ============================================
+// CONSOLIDATED SPONSOR INVOICES
+// ============================================
+
+function lineFilter(sponsorId, sponsorInvoiceId) {
+  return {
+    "line.sponsorId": sponsorId,
+    "line.sponsorInvoiceId": sponsorInvoiceId,
+  };
+}
+
+/**
+ * Bill a sponsor for every student invoice share not billed yet
+ * @param {string} sponsorId
+ * @param {object} options - { periodStart, periodEnd } (student invoice dates, optional)
+ * @param {string} adminId
+ * @returns {Promise<object>} { success, sponsorInvoice } or { success: false, error, errorType }
+ */
+async function generateSponsorInvoice(sponsorId, options, adminId) {
+  const sponsor = await Sponsor.findById(sponsorId);
+  if (!sponsor) {
+    return {
+      success: false,
+      error: "Sponsor not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  const id = sponsor._id;
+  const sponsorInvoiceId = new mongoose.Types.ObjectId();
+  const createdAt = {};
+  if (options.periodStart) createdAt.$gte = new Date(options.periodStart);
+  if (options.periodEnd) createdAt.$lte = new Date(options.periodEnd);
+
+  // Claim the unbilled lines first so two runs never bill a line twice
+  await Invoice.updateMany(
+    {
+      status: { $ne: "cancelled" },
+      ...(Object.keys(createdAt).length > 0 && { createdAt }),
+      discounts: { $elemMatch: { sponsorId: id, sponsorInvoiceId: null } },
+    },
+    { $set: { "discounts.$[line].sponsorInvoiceId": sponsorInvoiceId } },
+    { arrayFilters: [lineFilter(id, null)] },
+  );
+
+  const invoices = await Invoice.find({
+    "discounts.sponsorInvoiceId": sponsorInvoiceId,
+  })
+    .populate("userId", "firstName lastName username")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  if (invoices.length === 0) {
+    return {
+      success: false,
+      error: "Nothing to bill: no unbilled sponsored invoices",
+      errorType: "NOTHING_TO_BILL",
+    };
+  }
+
+  const lines = invoices.flatMap((invoice) =>
+    invoice.discounts
+      .filter(
+        (discount) =>
+          discount.sponsorInvoiceId?.toString() === sponsorInvoiceId.toString(),
+      )
+      .map((discount) => ({
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        userId: invoice.userId?._id,
+        studentName: invoice.userId
+          ? `${invoice.userId.firstName || ""} ${invoice.userId.lastName || ""}`.trim() ||
+            invoice.userId.username
+          : null,
+        description: invoice.description,
+        ruleId: discount.ruleId,
+        originalAmount: invoice.originalAmount,
+        amount: discount.amount,
+      })),
+  );
+
+  try {
+    const sponsorInvoice = await SponsorInvoice.create({
+      _id: sponsorInvoiceId,
+      sponsorId: id,
+      invoiceNumber: `SPI-${Date.now()}-${Math.random()
+        .toString(36)
+        .substring(2, 7)
+        .toUpperCase()}`,
+      periodStart: options.periodStart || invoices[0].createdAt,
+      periodEnd: options.periodEnd || new Date(),
+      lines,
+      totalAmount: lines.reduce((sum, line) => sum + line.amount, 0),
+      dueDate: new Date(
+        Date.now() + SPONSOR_INVOICE_DUE_DAYS * 24 * 60 * 60 * 1000,
+      ),
+      createdBy: adminId,
+    });
+
+    await ledgerService.postSponsorInvoice(sponsorInvoice);
+
+    return { success: true, sponsorInvoice };
+  } catch (error) {
+    await releaseLines(id, sponsorInvoiceId);
+    throw error;
+  }
+}
+
+async function releaseLines(sponsorId, sponsorInvoiceId) {
+  await Invoice.updateMany(
+    { "discounts.sponsorInvoiceId": sponsorInvoiceId },
+    { $set: { "discounts.$[line].sponsorInvoiceId": null } },
+    { arrayFilters: [lineFilter(sponsorId, sponsorInvoiceId)] },
+  );
+}
+
+/**
+ * Record a payment from the sponsor against a consolidated invoice
+ * @param {string} sponsorInvoiceId
+ * @param {object} payment - { amount, reference, method, paidAt }
+ * @param {string} adminId
+ * @returns {Promise<object>} { success, sponsorInvoice } or { success: false, error, errorType }
+ */
+async function recordSponsorPayment(sponsorInvoiceId, payment, adminId) {
+  // Only applies while the payment fits in the outstanding balance
+  const sponsorInvoice = await SponsorInvoice.findOneAndUpdate(
+    {
+      _id: sponsorInvoiceId,
+      status: { $in: ["unpaid", "partially_paid"] },
+      $expr: {
+        $lte: [{ $add: ["$paidAmount", payment.amount] }, "$totalAmount"],
+      },
+    },
+    {
+      $inc: { paidAmount: payment.amount },
+      $push: {
+        payments: {
+          amount: payment.amount,
+          reference: payment.reference,
+          method: payment.method,
+          paidAt: payment.paidAt || new Date(),
+          recordedBy: adminId,
+        },
+      },
+    },
+    { new: true },
+  );
+
+  if (!sponsorInvoice) {
+    const existing = await SponsorInvoice.findById(sponsorInvoiceId).lean();
+    if (!existing) {
+      return {
+        success: false,
+        error: "Sponsor invoice not found",
+        errorType: "NOT_FOUND",
+      };
+    }
+    if (!["unpaid", "partially_paid"].includes(existing.status)) {
+      return {
+        success: false,
+        error: `Sponsor invoice is already ${existing.status}`,
+        errorType: "INVALID_STATUS",
+      };
+    }
+    return {
+      success: false,
+      error: `Payment is more than the balance of ${existing.currency} ${(
+        existing.totalAmount - existing.paidAmount
+      ).toLocaleString()}`,
+      errorType: "OVERPAYMENT",
+    };
+  }
+
+  if (sponsorInvoice.paidAmount >= sponsorInvoice.totalAmount) {
+    sponsorInvoice.status = "paid";
+    sponsorInvoice.paidDate = new Date();
+  } else {
+    sponsorInvoice.status = "partially_paid";
+  }
+  await sponsorInvoice.save();
+
+  await ledgerService.postSponsorPayment(
+    sponsorInvoice,
+    sponsorInvoice.payments.length - 1,
+  );
+
+  return { success: true, sponsorInvoice };
+}
+
+/**
+ * Cancel an unpaid consolidated invoice; its lines go back to unbilled
+ * @returns {Promise<object>} { success, sponsorInvoice } or { success: false, error, errorType }
+ */
+async function cancelSponsorInvoice(sponsorInvoiceId) {
+  const sponsorInvoice = await SponsorInvoice.findOneAndUpdate(
+    { _id: sponsorInvoiceId, status: "unpaid", paidAmount: 0 },
+    { $set: { status: "cancelled" } },
+    { new: true },
+  );
+
+  if (!sponsorInvoice) {
+    const exists = await SponsorInvoice.exists({ _id: sponsorInvoiceId });
+    return exists
+      ? {
+          success: false,
+          error: "Only unpaid sponsor invoices can be cancelled",
+          errorType: "INVALID_STATUS",
+        }
+      : {
+          success: false,
+          error: "Sponsor invoice not found",
+          errorType: "NOT_FOUND",
+        };
+  }
+
+  await releaseLines(sponsorInvoice.sponsorId, sponsorInvoice._id);
+  await ledgerService.postSponsorInvoiceCancelled(sponsorInvoice);
+  return { success: true, sponsorInvoice };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  DISCOUNT_KINDS,
+  VALUE_TYPES,
+  DISCOUNTABLE_INVOICE_TYPES,
+  ruleMatchesUser,
+  getApplicableRules,
+  priceInvoice,
+  getRegistrationDiscounts,
+  getRequiredTotalForUser,
+  getRegistrationPricing,
+  validateRule,
+  listRules,
+  createRule,
+  updateRule,
+  getSponsorSummary,
+  generateSponsorInvoice,
+  recordSponsorPayment,
+  cancelSponsorInvoice,
+};
@@ -0,0 +1,862 @@
+// ============================================
+// DOCUMENT SERVICE (PDF invoices & receipts)
+// ============================================
+// ✅ Branded PDF invoices and receipts (school logo, amount in words,
+//    payment method, receipt number, verification QR code)
+// ✅ VAT lines on invoices and receipts; fiscal receipt details (Z number,
+//    counters, fiscal verification code) on receipts
+// ✅ Each rendered document is cached on disk by a fingerprint of its data,
+//    so re-downloads are byte-identical and served with a content hash
+// ✅ Printed verification codes are signed so forged documents fail verification
+// ✅ Tabular report PDFs (aging, statements of account)
+// ============================================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const { amountInWords } = require("../utils/amountInWords");
+
+// Models (injected when service is initialized)
+let GeneratedDocument;
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, "../uploads/generated");
+const UPLOADS_ROOT = path.join(__dirname, "..");
+
+// Bump when the layout changes so cached documents are re-rendered
+const TEMPLATE_VERSION = 3;
+
+const COMPANY = {
+  name: "E Connect Limited",
+  address: "Dar es Salaam, Tanzania",
+  email: "info@econnect.co.tz",
+  vodacomLipa: "5130676",
+  crdbAccount: "0150814579600",
+  accountName: "E Connect Limited",
+};
+
+// PaymentHistory metadata.method -> printed label
+const PAYMENT_METHOD_LABELS = {
+  azampay: "AzamPesa",
+  vodacom_lipa: "Vodacom M-Pesa (Lipa)",
+  tigopesa: "Tigo Pesa",
+  halopesa: "HaloPesa",
+  crdb_bank: "CRDB Bank",
+  bank_transfer: "Bank Transfer",
+  cash: "Cash",
+  manual: "Recorded by administrator",
+  other: "Other",
+};
+
+const TYPE_LABELS = {
+  registration_fee: "Registration Fee",
+  monthly_fee: "Monthly Subscription",
+  annual_fee: "Annual Subscription",
+  certificate_fee: "Certificate Fee",
+  event_fee: "Event Fee",
+  school_fees: "School Fees",
+  tuition_fee: "Tuition Fee",
+  exam_fee: "Exam Fee",
+  other: "Other",
+};
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  GeneratedDocument = models.GeneratedDocument;
+
+  console.log("✅ Document Service initialized");
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function getCacheDir() {
+  return process.env.DOCUMENT_CACHE_DIR || DEFAULT_CACHE_DIR;
+}
+
+function formatMoney(amount, currency = "TZS") {
+  return `${currency} ${Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function formatDate(date) {
+  return date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        timeZone: "Africa/Dar_es_Salaam",
+      })
+    : "-";
+}
+
+function getReceiptNumber(payment) {
+  return `RCP-${payment._id.toString().slice(-8).toUpperCase()}`;
+}
+
+function getPaymentMethodLabel(method) {
+  return PAYMENT_METHOD_LABELS[method] || method || "-";
+}
+
+function readMetadata(metadata, key) {
+  if (!metadata) return undefined;
+  return metadata instanceof Map ? metadata.get(key) : metadata[key];
+}
+
+// Printed fields of invoice/fiscal receipt tax lines
+function toPrintedTaxLines(taxLines) {
+  return taxLines.map((line) => ({
+    name: line.name,
+    rate: line.rate,
+    pricing: line.pricing,
+    taxableAmount: line.taxableAmount,
+    taxAmount: line.taxAmount,
+  }));
+}
+
+/**
+ * Signed code printed on the document and encoded in the QR link
+ */
+function getVerificationCode(kind, number, amount) {
+  return crypto
+    .createHmac(
+      "sha256",
+      process.env.DOCUMENT_SIGNING_SECRET || process.env.JWT_SECRET,
+    )
+    .update(`${kind}:${number}:${Number(amount)}`)
+    .digest("hex")
+    .slice(0, 12)
+    .toUpperCase();
+}
+
+function buildVerificationUrl(kind, number, code) {
+  const baseUrl =
+    process.env.DOCUMENT_VERIFY_URL ||
+    `${process.env.FRONTEND_URL || "http://localhost:3000"}/verify-document`;
+
+  return `${baseUrl}/${kind}/${encodeURIComponent(number)}?code=${code}`;
+}
+
+/**
+ * Local logo file for a school, if it is an uploaded PNG/JPEG
+ */
+function resolveLogoPath(logo) {
+  if (!logo || !logo.startsWith("/uploads/")) return null;
+  if (![".png", ".jpg", ".jpeg"].includes(path.extname(logo).toLowerCase())) {
+    return null;
+  }
+
+  const filePath = path.join(UPLOADS_ROOT, path.normalize(logo));
+  if (!filePath.startsWith(path.join(UPLOADS_ROOT, "uploads"))) return null;
+
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+// ============================================
+// DOCUMENT DATA
+// ============================================
+
+/**
+ * Everything printed on an invoice
+ * @param {object} invoice - Invoice (plain object or document)
+ * @param {object} user - Payer { firstName, lastName, username, email, phoneNumber }
+ * @param {object|null} school - { name, logo, address, phoneNumber, email }
+ * @param {number} paidAmount - Amount already received
+ */
+function buildInvoiceData(invoice, user, school, paidAmount = 0) {
+  const number = invoice.invoiceNumber;
+  const code = getVerificationCode("invoice", number, invoice.amount);
+  const taxLines = invoice.taxLines || [];
+  const addedTax = taxLines
+    .filter((line) => line.pricing === "exclusive")
+    .reduce((sum, line) => sum + line.taxAmount, 0);
+
+  return {
+    kind: "invoice",
+    templateVersion: TEMPLATE_VERSION,
+    number,
+    controlNumber: invoice.controlNumber || null,
+    controlNumberExpiresAt: invoice.controlNumberExpiresAt || null,
+    issuedAt: invoice.createdAt,
+    dueDate: invoice.dueDate,
+    status: invoice.status,
+    type: TYPE_LABELS[invoice.type] || invoice.type,
+    description: invoice.description,
+    academicYear: invoice.academicYear || null,
+    amount: invoice.amount,
+    // Original price and each discount/sponsorship, when discounted
+    ...(invoice.discountAmount > 0 && {
+      originalAmount: invoice.originalAmount,
+      discounts: invoice.discounts.map((discount) => ({
+        name: discount.name,
+        kind: discount.kind,
+        amount: discount.amount,
+      })),
+    }),
+    // VAT lines; subtotal is the price before VAT added on top
+    ...(taxLines.length > 0 && {
+      subtotal: Math.round((invoice.amount - addedTax) * 100) / 100,
+      taxLines: toPrintedTaxLines(taxLines),
+    }),
+    paidAmount,
+    balance: Math.max(0, invoice.amount - paidAmount),
+    currency: invoice.currency || "TZS",
+    amountInWords: amountInWords(invoice.amount, invoice.currency || "TZS"),
+    payer: {
+      name:
+        `${user.firstName || ""} ${user.lastName || ""}`.trim() ||
+        user.username,
+      email: user.email || null,
+      phone: user.phoneNumber || null,
+    },
+    school: school
+      ? {
+          name: school.name,
+          logo: school.logo || null,
+          address: school.address || null,
+        }
+      : null,
+    verificationCode: code,
+    verificationUrl: buildVerificationUrl("invoice", number, code),
+  };
+}
+
+/**
+ * Everything printed on a receipt
+ * @param {object} payment - PaymentHistory with userId, invoiceId, schoolId populated
+ * @param {object|null} fiscalReceipt - The payment's FiscalReceipt, if any
+ */
+function buildReceiptData(payment, fiscalReceipt = null) {
+  const number = getReceiptNumber(payment);
+  const user = payment.userId || {};
+  // Older payments carry no schoolId - fall back to the payer's school
+  const school =
+    payment.schoolId || (user.schoolId?.name ? user.schoolId : null);
+  const currency = payment.currency || "TZS";
+  const code = getVerificationCode("receipt", number, payment.amount);
+  const method = readMetadata(payment.metadata, "method");
+
+  return {
+    kind: "receipt",
+    templateVersion: TEMPLATE_VERSION,
+    number,
+    issuedAt: payment.verifiedAt || payment.paymentDate || payment.createdAt,
+    paymentDate: payment.paymentDate,
+    status: payment.status,
+    type: TYPE_LABELS[payment.transactionType] || payment.transactionType,
+    description: payment.description || null,
+    amount: payment.amount,
+    currency,
+    amountInWords: amountInWords(payment.amount, currency),
+    paymentMethod: getPaymentMethodLabel(method),
+    reference:
+      readMetadata(payment.metadata, "reference") ||
+      readMetadata(payment.metadata, "providerTransactionId") ||
+      null,
+    invoiceNumber: payment.invoiceId?.invoiceNumber || null,
+    controlNumber: payment.invoiceId?.controlNumber || null,
+    ...(fiscalReceipt?.taxLines?.length > 0 && {
+      taxLines: toPrintedTaxLines(fiscalReceipt.taxLines),
+    }),
+    ...(fiscalReceipt?.status === "issued" && {
+      fiscal: {
+        verificationCode: fiscalReceipt.verificationCode,
+        verificationUrl: fiscalReceipt.verificationUrl,
+        zNumber: fiscalReceipt.zNumber,
+        globalCounter: fiscalReceipt.globalCounter,
+        dailyCounter: fiscalReceipt.dailyCounter,
+      },
+    }),
+    payer: {
+      name:
+        `${user.firstName || ""} ${user.lastName || ""}`.trim() ||
+        user.username,
+      email: user.email || null,
+      phone: user.phoneNumber || null,
+    },
+    school: school
+      ? {
+          name: school.name,
+          logo: school.logo || null,
+          address: school.address || null,
+        }
+      : null,
+    verificationCode: code,
+    verificationUrl: buildVerificationUrl("receipt", number, code),
+  };
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+function drawRow(doc, label, value, y) {
+  doc.font("Helvetica-Bold").fontSize(10).text(label, 50, y, { width: 150 });
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(String(value ?? "-"), 200, y, { width: 345 });
+  return doc.y + 6;
+}
+
+/**
+ * Render document data to a PDF buffer
+ * The creation date comes from the data, so the same data renders the same bytes
+ */
+async function renderPdf(data) {
+  const title = data.kind === "invoice" ? "INVOICE" : "PAYMENT RECEIPT";
+  const qrPng = await QRCode.toBuffer(data.verificationUrl, {
+    type: "png",
+    margin: 1,
+    width: 240,
+    errorCorrectionLevel: "M",
+  });
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: {
+      Title: `${title} ${data.number}`,
+      Author: COMPANY.name,
+      Creator: "ECONNECT",
+      Producer: "ECONNECT",
+      CreationDate: new Date(data.issuedAt || 0),
+      ModDate: new Date(data.issuedAt || 0),
+    },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  // Header: logo, issuer, title
+  const logoPath = resolveLogoPath(data.school?.logo);
+  let headerX = 50;
+  if (logoPath) {
+    try {
+      doc.image(logoPath, 50, 45, { fit: [70, 70] });
+      headerX = 130;
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not embed logo ${data.school.logo}:`,
+        error.message,
+      );
+    }
+  }
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text(data.school?.name || COMPANY.name, headerX, 50, { width: 280 });
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(data.school?.address || COMPANY.address, headerX, doc.y + 2, {
+      width: 280,
+    })
+    .text(data.school ? `Billed through ${COMPANY.name}` : COMPANY.email, {
+      width: 280,
+    });
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(title, 350, 50, { width: 195, align: "right" });
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(data.number, 350, doc.y + 2, { width: 195, align: "right" });
+
+  doc.moveTo(50, 130).lineTo(545, 130).stroke();
+
+  // Body
+  let y = 145;
+  y = drawRow(
+    doc,
+    data.kind === "invoice" ? "Bill to" : "Received from",
+    data.payer.name,
+    y,
+  );
+  if (data.payer.phone) y = drawRow(doc, "Phone", data.payer.phone, y);
+  if (data.payer.email) y = drawRow(doc, "Email", data.payer.email, y);
+  y += 8;
+
+  if (data.kind === "invoice") {
+    y = drawRow(doc, "Invoice number", data.number, y);
+    if (data.controlNumber)
+      y = drawRow(doc, "Control number", data.controlNumber, y);
+    if (data.controlNumberExpiresAt)
+      y = drawRow(
+        doc,
+        "Control number valid until",
+        formatDate(data.controlNumberExpiresAt),
+        y,
+      );
+    y = drawRow(doc, "Issue date", formatDate(data.issuedAt), y);
+    y = drawRow(doc, "Due date", formatDate(data.dueDate), y);
+    y = drawRow(doc, "Status", data.status.replace(/_/g, " ").toUpperCase(), y);
+    if (data.academicYear)
+      y = drawRow(doc, "Academic year", data.academicYear, y);
+  } else {
+    y = drawRow(doc, "Receipt number", data.number, y);
+    y = drawRow(doc, "Payment date", formatDate(data.paymentDate), y);
+    y = drawRow(doc, "Payment method", data.paymentMethod, y);
+    if (data.reference) y = drawRow(doc, "Reference", data.reference, y);
+    if (data.invoiceNumber)
+      y = drawRow(doc, "Invoice number", data.invoiceNumber, y);
+    if (data.controlNumber)
+      y = drawRow(doc, "Control number", data.controlNumber, y);
+    y = drawRow(doc, "Status", data.status.replace(/_/g, " ").toUpperCase(), y);
+    if (data.fiscal) {
+      y = drawRow(
+        doc,
+        "Fiscal receipt",
+        `Z ${data.fiscal.zNumber} / receipt ${data.fiscal.dailyCounter} (GC ${data.fiscal.globalCounter})`,
+        y,
+      );
+      y = drawRow(doc, "Fiscal verification", data.fiscal.verificationCode, y);
+      y = drawRow(doc, "Verify at", data.fiscal.verificationUrl, y);
+    }
+  }
+
+  // Amount table
+  y += 10;
+  doc.rect(50, y, 495, 22).fillAndStroke("#eeeeee", "#cccccc");
+  doc
+    .fillColor("#000000")
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .text("Description", 58, y + 7, { width: 330 })
+    .text("Amount", 390, y + 7, { width: 147, align: "right" });
+  y += 30;
+  doc
+    .font("Helvetica")
+    .text(
+      `${data.type}${data.description ? ` - ${data.description}` : ""}`,
+      58,
+      y,
+      {
+        width: 330,
+      },
+    );
+  doc.text(
+    formatMoney(
+      data.originalAmount ?? data.subtotal ?? data.amount,
+      data.currency,
+    ),
+    390,
+    y,
+    {
+      width: 147,
+      align: "right",
+    },
+  );
+  y = Math.max(doc.y, y + 14) + 8;
+
+  if (data.discounts) {
+    for (const discount of data.discounts) {
+      const label =
+        discount.kind === "sponsorship"
+          ? `${discount.name} (paid by sponsor)`
+          : discount.name;
+      doc.text(label, 58, y, { width: 330 });
+      doc.text(`- ${formatMoney(discount.amount, data.currency)}`, 390, y, {
+        width: 147,
+        align: "right",
+      });
+      y = Math.max(doc.y, y + 14) + 4;
+    }
+
+    doc.font("Helvetica-Bold").text("Net amount", 58, y, { width: 330 });
+    doc.text(formatMoney(data.subtotal ?? data.amount, data.currency), 390, y, {
+      width: 147,
+      align: "right",
+    });
+    doc.font("Helvetica");
+    y += 18;
+  }
+
+  // VAT: included in the amounts above, or added on top (invoices with an
+  // exclusive rate, followed by the total)
+  if (data.taxLines) {
+    for (const line of data.taxLines) {
+      const included = data.kind === "receipt" || line.pricing !== "exclusive";
+      doc.text(
+        `${line.name} ${line.rate}% on ${formatMoney(line.taxableAmount, data.currency)}${included ? " (included)" : ""}`,
+        58,
+        y,
+        { width: 330 },
+      );
+      doc.text(formatMoney(line.taxAmount, data.currency), 390, y, {
+        width: 147,
+        align: "right",
+      });
+      y = Math.max(doc.y, y + 14) + 4;
+    }
+
+    if (data.subtotal !== undefined && data.subtotal !== data.amount) {
+      doc.font("Helvetica-Bold").text("Total", 58, y, { width: 330 });
+      doc.text(formatMoney(data.amount, data.currency), 390, y, {
+        width: 147,
+        align: "right",
+      });
+      doc.font("Helvetica");
+      y += 18;
+    }
+  }
+
+  if (data.kind === "invoice" && data.paidAmount > 0) {
+    doc.text("Paid", 58, y, { width: 330 });
+    doc.text(`- ${formatMoney(data.paidAmount, data.currency)}`, 390, y, {
+      width: 147,
+      align: "right",
+    });
+    y += 18;
+  }
+
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 8;
+  const totalLabel =
+    data.kind === "invoice" ? "Balance due" : "Amount received";
+  const totalAmount = data.kind === "invoice" ? data.balance : data.amount;
+  doc.font("Helvetica-Bold").text(totalLabel, 58, y, { width: 330 });
+  doc.text(formatMoney(totalAmount, data.currency), 390, y, {
+    width: 147,
+    align: "right",
+  });
+  y += 22;
+
+  doc
+    .font("Helvetica-Oblique")
+    .fontSize(10)
+    .text(`Amount in words: ${data.amountInWords}`, 50, y, { width: 495 });
+  y = doc.y + 18;
+
+  if (data.kind === "invoice") {
+    doc.font("Helvetica-Bold").fontSize(10).text("How to pay", 50, y);
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(
+        [
+          data.controlNumber
+            ? `Pay with control number ${data.controlNumber} through your bank or mobile money.`
+            : `Quote invoice number ${data.number} as the payment reference.`,
+          `Vodacom Lipa number: ${COMPANY.vodacomLipa}`,
+          `CRDB Bank account: ${COMPANY.crdbAccount} (${COMPANY.accountName})`,
+        ].join("\n"),
+        50,
+        doc.y + 4,
+        { width: 330 },
+      );
+  }
+
+  // Verification block (bottom of the page)
+  const qrY = 640;
+  doc.image(qrPng, 50, qrY, { width: 110 });
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(9)
+    .text("Verify this document", 175, qrY + 10, { width: 370 });
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(`Verification code: ${data.verificationCode}`, 175, doc.y + 4, {
+      width: 370,
+    })
+    .text(data.verificationUrl, { width: 370, link: data.verificationUrl });
+
+  doc
+    .fontSize(8)
+    .fillColor("#666666")
+    .text(
+      `Generated by ECONNECT for ${COMPANY.name}. This is a computer-generated document and does not require a signature.`,
+      50,
+      770,
+      { width: 495, align: "center" },
+    );
+
+  doc.end();
+  return await finished;
+}
+
+// ============================================
+// CACHE
+// ============================================
+
+/**
+ * Return the PDF for document data, rendering it only the first time
+ * @param {object} data - From buildInvoiceData / buildReceiptData
+ * @param {string} sourceId - Invoice or PaymentHistory id
+ * @returns {Promise<object>} { buffer, contentHash, fileName, cached }
+ */
+async function getDocument(data, sourceId) {
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(data))
+    .digest("hex");
+
+  const existing = await GeneratedDocument.findOne({
+    kind: data.kind,
+    sourceId,
+    fingerprint,
+  }).lean();
+
+  if (existing) {
+    try {
+      const buffer = await fs.promises.readFile(existing.filePath);
+      return {
+        buffer,
+        contentHash: existing.contentHash,
+        fileName: existing.fileName,
+        cached: true,
+      };
+    } catch (error) {
+      console.warn(
+        `⚠️ Cached ${data.kind} ${data.number} missing on disk, re-rendering`,
+      );
+    }
+  }
+
+  const buffer = await renderPdf(data);
+  const contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+  const fileName = `${data.kind}-${data.number}.pdf`;
+  const filePath = path.join(
+    getCacheDir(),
+    `${data.kind}-${data.number}-${contentHash.slice(0, 16)}.pdf`,
+  );
+
+  await fs.promises.mkdir(getCacheDir(), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  await GeneratedDocument.findOneAndUpdate(
+    { kind: data.kind, sourceId, fingerprint },
+    {
+      documentNumber: data.number,
+      contentHash,
+      filePath,
+      fileName,
+      size: buffer.length,
+      verificationCode: data.verificationCode,
+    },
+    { upsert: true, setDefaultsOnInsert: true },
+  );
+
+  return { buffer, contentHash, fileName, cached: false };
+}
+
+/**
+ * Send a document as a PDF download with content-hash headers
+ * (answers If-None-Match with 304)
+ */
+function sendPdf(req, res, document) {
+  const etag = `"${document.contentHash}"`;
+
+  res.set({
+    ETag: etag,
+    "X-Content-Hash": `sha256=${document.contentHash}`,
+    "Cache-Control": "private, max-age=0, must-revalidate",
+  });
+
+  if (req.get("if-none-match") === etag) {
+    return res.status(304).end();
+  }
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Length": document.buffer.length,
+    "Content-Disposition": `attachment; filename="${document.fileName}"`,
+  });
+  res.send(document.buffer);
+}
+
+/**
+ * Look up an issued document by its printed number and verification code
+ * @returns {Promise<object|null>} GeneratedDocument or null
+ */
+async function findIssuedDocument(kind, number, code) {
+  if (!code) return null;
+
+  return await GeneratedDocument.findOne({
+    kind,
+    documentNumber: number,
+    verificationCode: String(code).toUpperCase(),
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * Render a tabular report (aging, statements) to a PDF buffer. Landscape
+ * A4; the header row is repeated on every page.
+ * @param {object} table - { title, subtitle, summary: [{ label, value, money }],
+ *   columns: [{ label, width, align, money }], rows, totalRow }
+ * @param {string} currency
+ * @returns {Promise<Buffer>}
+ */
+async function renderReportPdf(table, currency = "TZS") {
+  const doc = new PDFDocument({
+    size: "A4",
+    layout: "landscape",
+    margin: 40,
+    info: {
+      Title: table.title,
+      Author: COMPANY.name,
+      Creator: "ECONNECT",
+      Producer: "ECONNECT",
+    },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = 40;
+  const tableWidth = doc.page.width - 80;
+  const bottom = doc.page.height - 60;
+  const totalWeight = table.columns.reduce(
+    (sum, column) => sum + (column.width || 1),
+    0,
+  );
+  const columns = [];
+  let x = left;
+  for (const column of table.columns) {
+    const width = (tableWidth * (column.width || 1)) / totalWeight;
+    columns.push({
+      ...column,
+      x,
+      width,
+      align: column.align || (column.money ? "right" : "left"),
+    });
+    x += width;
+  }
+
+  const formatCell = (value, column) =>
+    column.money && typeof value === "number"
+      ? formatMoney(value, "").trim()
+      : String(value ?? "");
+
+  const drawCells = (values, y, font) => {
+    doc.font(font).fontSize(8);
+    let height = 0;
+    values.forEach((value, index) => {
+      const column = columns[index];
+      const text = formatCell(value, column);
+      doc.text(text, column.x + 3, y, {
+        width: column.width - 6,
+        align: column.align,
+      });
+      height = Math.max(
+        height,
+        doc.heightOfString(text, { width: column.width - 6 }),
+      );
+    });
+    return y + height + 6;
+  };
+
+  const drawHeader = (y) => {
+    doc.rect(left, y, tableWidth, 18).fillAndStroke("#eeeeee", "#cccccc");
+    doc.fillColor("#000000");
+    drawCells(
+      columns.map((column) => column.label),
+      y + 5,
+      "Helvetica-Bold",
+    );
+    return y + 24;
+  };
+
+  // Title block
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text(table.title, left, 40, { width: tableWidth });
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(table.subtitle || "", { width: tableWidth })
+    .text(
+      `${COMPANY.name} | Generated ${formatDate(new Date())} | Amounts in ${currency}`,
+      { width: tableWidth },
+    );
+
+  let y = doc.y + 8;
+  for (const item of table.summary || []) {
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(9)
+      .text(item.label, left, y, { width: 130 });
+    doc
+      .font("Helvetica")
+      .text(
+        item.money ? formatMoney(item.value, currency) : String(item.value),
+        left + 130,
+        y,
+        { width: 200 },
+      );
+    y += 13;
+  }
+
+  y = drawHeader(y + 8);
+  for (const row of table.rows) {
+    if (y > bottom) {
+      doc.addPage();
+      y = drawHeader(40);
+    }
+    y = drawCells(row, y, "Helvetica");
+    doc
+      .moveTo(left, y - 3)
+      .lineTo(left + tableWidth, y - 3)
+      .strokeColor("#eeeeee")
+      .stroke()
+      .strokeColor("#000000");
+  }
+
+  if (table.totalRow) {
+    if (y > bottom) {
+      doc.addPage();
+      y = drawHeader(40);
+    }
+    doc
+      .moveTo(left, y)
+      .lineTo(left + tableWidth, y)
+      .stroke();
+    drawCells(table.totalRow, y + 4, "Helvetica-Bold");
+  }
+
+  doc.end();
+  return await finished;
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  PAYMENT_METHOD_LABELS,
+  getReceiptNumber,
+  getPaymentMethodLabel,
+  getVerificationCode,
+  buildInvoiceData,
+  buildReceiptData,
+  renderPdf,
+  getDocument,
+  sendPdf,
+  findIssuedDocument,
+  renderReportPdf,
+};
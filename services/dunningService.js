@@ -0,0 +1,778 @@
+// ============================================
+// DUNNING SERVICE
+// ============================================
+// ✅ One nightly run chases unpaid invoices through configurable stages
+//    (e.g. T-7 SMS, T-0 notification, T+7 warning, T+14 suspension)
+// ✅ Stages come from the DunningPolicy matching the user's package and
+//    role, falling back to DEFAULT_STAGES
+// ✅ Installment plans are chased per installment
+// ✅ Each stage runs once per invoice and due date and is recorded on the
+//    invoice's dunningHistory
+// ✅ Dry-run preview of what a run would do
+// ============================================
+
+const mongoose = require("mongoose");
+const smsService = require("./smsService");
+const installmentService = require("./installmentService");
+
+// Models (injected when service is initialized)
+let DunningPolicy, Invoice, User, SMSLog, PaymentReminder;
+
+const CHANNELS = ["notification", "sms"];
+
+// Invoice statuses that are still being chased. School-billed invoices are
+// chased through the school's statement instead.
+const DUNNABLE_INVOICE_STATUSES = [
+  "unpaid",
+  "pending",
+  "partially_paid",
+  "overdue",
+];
+
+// Only accounts that pay for themselves are suspended
+const SUSPENDABLE_ROLES = ["student", "entrepreneur", "nonstudent"];
+
+// Placeholders a stage title or message can use
+const TEMPLATE_FIELDS = [
+  "name",
+  "amount",
+  "currency",
+  "description",
+  "installment",
+  "invoiceNumber",
+  "controlNumber",
+  "dueDate",
+  "daysUntilDue",
+  "daysOverdue",
+];
+
+// Used for users no active policy applies to
+const DEFAULT_STAGES = [
+  {
+    key: "reminder",
+    name: "Payment reminder",
+    offsetDays: -7,
+    channels: ["sms"],
+    suspend: false,
+    title: "Payment Reminder ⏰",
+    message:
+      "Hello {name}! Payment reminder: {currency} {amount} for {description}{installment} is due in {daysUntilDue} days ({dueDate}). Pay with control number {controlNumber}.",
+  },
+  {
+    key: "due",
+    name: "Due today",
+    offsetDays: 0,
+    channels: ["notification"],
+    suspend: false,
+    title: "Payment Due Today",
+    message:
+      "Your payment of {currency} {amount} for {description}{installment} is due today. Please complete your payment to avoid account suspension.",
+  },
+  {
+    key: "warning",
+    name: "Overdue warning",
+    offsetDays: 7,
+    channels: ["notification", "sms"],
+    suspend: false,
+    title: "Payment Overdue - Action Required ⚠️",
+    message:
+      "Your payment of {currency} {amount}{installment} is {daysOverdue} days overdue (invoice {invoiceNumber}). Your account will be suspended if it is not paid within 7 days.",
+  },
+  {
+    key: "suspension",
+    name: "Suspension",
+    offsetDays: 14,
+    channels: ["notification", "sms"],
+    suspend: true,
+    title: "Malipo Yaliyochelewa - Akaunti Imesimamishwa 🚫",
+    message:
+      "Samahani {name}! Akaunti yako ya ECONNECT imesimamishwa kwa sababu ya malipo yaliyochelewa (siku {daysOverdue}, {currency} {amount}). Tafadhali lipa mara moja ili kuruhusu tena akaunti yako. Asante!",
+  },
+];
+
+const DEFAULT_POLICY = { _id: null, name: "Default", stages: DEFAULT_STAGES };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Initialize service with models
+ * @param {object} models - { DunningPolicy, Invoice, User, SMSLog, PaymentReminder }
+ */
+function initialize(models) {
+  DunningPolicy = models.DunningPolicy;
+  Invoice = models.Invoice;
+  User = models.User;
+  SMSLog = models.SMSLog;
+  PaymentReminder = models.PaymentReminder;
+
+  console.log("✅ Dunning Service initialized");
+}
+
+// ============================================
+// POLICIES
+// ============================================
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Whole days from the due date to asOf (negative before the due date)
+ */
+function daysFromDue(dueDate, asOf) {
+  return Math.round((startOfDay(asOf) - startOfDay(dueDate)) / DAY_MS);
+}
+
+// Local calendar date, e.g. "2026-03-31"
+function dateKey(date) {
+  const day = new Date(date);
+  return [
+    day.getFullYear(),
+    String(day.getMonth() + 1).padStart(2, "0"),
+    String(day.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+function sortStages(stages) {
+  return [...stages].sort((a, b) => a.offsetDays - b.offsetDays);
+}
+
+/**
+ * Whether a policy covers a user. An empty packages or roles list matches
+ * everyone.
+ */
+function policyMatchesUser(policy, user) {
+  const { packages = [], roles = [] } = policy.appliesTo || {};
+  const packageType = user.registration_type || user.registrationType;
+
+  return (
+    (packages.length === 0 || packages.includes(packageType)) &&
+    (roles.length === 0 || roles.includes(user.role))
+  );
+}
+
+function specificity(policy) {
+  const { packages = [], roles = [] } = policy.appliesTo || {};
+  return (packages.length > 0 ? 1 : 0) + (roles.length > 0 ? 1 : 0);
+}
+
+/**
+ * Policy used for a user: the most specific matching policy (package and
+ * role before either alone), then the highest priority
+ * @param {object[]} policies - Active policies, highest priority first
+ */
+function selectPolicy(policies, user) {
+  const matching = policies.filter((policy) => policyMatchesUser(policy, user));
+  if (matching.length === 0) return DEFAULT_POLICY;
+
+  return matching.reduce((best, policy) =>
+    specificity(policy) > specificity(best) ? policy : best,
+  );
+}
+
+/**
+ * Check a policy (new or with changes applied)
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validatePolicy(policy) {
+  const errors = [];
+
+  if (!policy.name) errors.push("name is required");
+
+  const stages = policy.stages || [];
+  if (stages.length === 0) errors.push("At least one stage is required");
+
+  const keys = new Set();
+  const offsets = new Set();
+  stages.forEach((stage, index) => {
+    const label = `stages[${index}]`;
+
+    if (!stage.key) errors.push(`${label}: key is required`);
+    else if (keys.has(stage.key)) errors.push(`${label}: duplicate key`);
+    keys.add(stage.key);
+
+    if (!Number.isInteger(stage.offsetDays)) {
+      errors.push(`${label}: offsetDays must be a whole number`);
+    } else if (offsets.has(stage.offsetDays)) {
+      errors.push(`${label}: another stage runs on day ${stage.offsetDays}`);
+    }
+    offsets.add(stage.offsetDays);
+
+    const channels = stage.channels || [];
+    if (channels.length === 0 && !stage.suspend) {
+      errors.push(`${label}: needs a channel or suspend`);
+    }
+    if (channels.some((channel) => !CHANNELS.includes(channel))) {
+      errors.push(`${label}: channels must be ${CHANNELS.join(", ")}`);
+    }
+    if (stage.suspend && stage.offsetDays <= 0) {
+      errors.push(`${label}: suspension must be after the due date`);
+    }
+
+    if (!stage.title || !stage.message) {
+      errors.push(`${label}: title and message are required`);
+    }
+    const unknown = `${stage.title || ""} ${stage.message || ""}`
+      .match(/\{(\w+)\}/g)
+      ?.map((placeholder) => placeholder.slice(1, -1))
+      .filter((field) => !TEMPLATE_FIELDS.includes(field));
+    if (unknown?.length > 0) {
+      errors.push(`${label}: unknown placeholder(s) ${unknown.join(", ")}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * List policies
+ * @param {object} filters - { isActive }
+ */
+async function listPolicies(filters = {}) {
+  const query = {};
+  if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+  const policies = await DunningPolicy.find(query)
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  return { policies, defaultStages: DEFAULT_STAGES };
+}
+
+/**
+ * Create a policy. It applies from the next run.
+ * @returns {Promise<object>} { success, policy } or { success: false, error, errorType, errors }
+ */
+async function createPolicy(data, adminId) {
+  const errors = validatePolicy(data);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid dunning policy",
+      errorType: "INVALID_POLICY",
+      errors,
+    };
+  }
+
+  const policy = await DunningPolicy.create({
+    ...data,
+    stages: sortStages(data.stages),
+    createdBy: adminId,
+  });
+  return { success: true, policy };
+}
+
+/**
+ * Update a policy. Stages already run stay in each invoice's history.
+ * @returns {Promise<object>} { success, policy } or { success: false, error, errorType, errors }
+ */
+async function updatePolicy(policyId, changes, adminId) {
+  const policy = await DunningPolicy.findById(policyId);
+  if (!policy) {
+    return {
+      success: false,
+      error: "Dunning policy not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  policy.set(changes);
+
+  const errors = validatePolicy(policy.toObject());
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid dunning policy",
+      errorType: "INVALID_POLICY",
+      errors,
+    };
+  }
+
+  if (changes.stages) policy.stages = sortStages(policy.toObject().stages);
+  policy.updatedBy = adminId;
+  await policy.save();
+  return { success: true, policy };
+}
+
+// ============================================
+// PLANNING
+// ============================================
+
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, field) =>
+    values[field] !== undefined ? String(values[field]) : placeholder,
+  );
+}
+
+/**
+ * What is being chased on an invoice: the oldest unpaid installment of a
+ * plan, otherwise the whole outstanding balance
+ * @returns {Promise<object|null>} { installmentNumber, installmentCount, dueDate, amount }
+ */
+async function getDueTarget(invoice, asOf) {
+  const settled = await installmentService.sumSettled(invoice);
+
+  if (installmentService.hasPlan(invoice)) {
+    installmentService.allocatePayments(invoice, settled, asOf);
+    const installment = installmentService.getReminderInstallment(invoice);
+    if (!installment) return null;
+
+    return {
+      installmentNumber: installment.number,
+      installmentCount: invoice.installmentPlan.installments.length,
+      dueDate: installment.dueDate,
+      amount: installment.amount - (installment.paidAmount || 0),
+    };
+  }
+
+  const amount = invoice.amount - settled;
+  if (amount <= 0) return null;
+
+  return { installmentNumber: null, dueDate: invoice.dueDate, amount };
+}
+
+/**
+ * Latest stage reached that has not run for this due date. Stages skipped
+ * over (e.g. an invoice issued after its reminder date) are not sent late.
+ */
+function selectStage(stages, history, cycle, days) {
+  const reached = sortStages(stages).filter((s) => s.offsetDays <= days);
+  const stage = reached[reached.length - 1];
+  if (!stage) return null;
+
+  const alreadyRun = history.some(
+    (entry) => entry.cycle === cycle && entry.offsetDays >= stage.offsetDays,
+  );
+  return alreadyRun ? null : stage;
+}
+
+/**
+ * What a run on asOf would do for one invoice
+ * @returns {Promise<object|null>} Action, or null when there is nothing to do
+ */
+async function planInvoice(invoice, user, policy, asOf) {
+  const target = await getDueTarget(invoice, asOf);
+  if (!target) return null;
+
+  const days = daysFromDue(target.dueDate, asOf);
+  const cycle = `${target.installmentNumber || 0}:${dateKey(target.dueDate)}`;
+  const stage = selectStage(
+    policy.stages,
+    invoice.dunningHistory || [],
+    cycle,
+    days,
+  );
+  const markOverdue =
+    days > 0 &&
+    invoice.status !== "overdue" &&
+    !installmentService.hasPlan(invoice);
+
+  if (!stage && !markOverdue) return null;
+
+  const action = {
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    userId: invoice.userId,
+    userName: user
+      ? `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.username
+      : null,
+    role: user?.role,
+    package: user?.registration_type || user?.registrationType,
+    policy: { id: policy._id, name: policy.name },
+    cycle,
+    installmentNumber: target.installmentNumber,
+    dueDate: target.dueDate,
+    daysFromDue: days,
+    amount: target.amount,
+    markOverdue,
+    stage: null,
+  };
+
+  if (stage && user) {
+    const values = {
+      name: action.userName,
+      amount: target.amount.toLocaleString(),
+      currency: invoice.currency || "TZS",
+      description: invoice.description,
+      installment: target.installmentNumber
+        ? ` (installment ${target.installmentNumber} of ${target.installmentCount})`
+        : "",
+      invoiceNumber: invoice.invoiceNumber,
+      controlNumber: invoice.controlNumber || invoice.invoiceNumber,
+      dueDate: new Date(target.dueDate).toLocaleDateString("en-GB"),
+      daysUntilDue: Math.max(0, -days),
+      daysOverdue: Math.max(0, days),
+    };
+
+    action.stage = {
+      key: stage.key,
+      name: stage.name,
+      offsetDays: stage.offsetDays,
+      channels: stage.channels || [],
+      title: renderTemplate(stage.title, values),
+      message: renderTemplate(stage.message, values),
+      hasPhone: !!user.phoneNumber,
+      suspend:
+        !!stage.suspend &&
+        SUSPENDABLE_ROLES.includes(user.role) &&
+        user.accountStatus !== "suspended",
+    };
+  }
+
+  return action.stage || markOverdue ? action : null;
+}
+
+/**
+ * Actions a run on asOf would take
+ * @param {Date} asOf
+ * @param {object} filter - Extra invoice filter (e.g. one invoice)
+ * @returns {Promise<object>} { checked, actions, usersById }
+ */
+async function buildPlan(asOf, filter = {}) {
+  const policies = await DunningPolicy.find({ isActive: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  // Invoices within reach of the earliest pre-due stage
+  const leadDays = Math.max(
+    0,
+    ...[DEFAULT_POLICY, ...policies].flatMap((policy) =>
+      policy.stages.map((stage) => -stage.offsetDays),
+    ),
+  );
+  const horizon = new Date(
+    startOfDay(asOf).getTime() + (leadDays + 1) * DAY_MS,
+  );
+
+  const invoices = await Invoice.find({
+    ...filter,
+    status: { $in: DUNNABLE_INVOICE_STATUSES },
+    consolidatedInvoiceId: null,
+    "coveredInvoices.0": { $exists: false },
+    $or: [
+      { dueDate: { $lt: horizon } },
+      {
+        "installmentPlan.installments": {
+          $elemMatch: { status: { $ne: "paid" }, dueDate: { $lt: horizon } },
+        },
+      },
+    ],
+  }).lean();
+
+  const users = await User.find({
+    _id: { $in: [...new Set(invoices.map((i) => i.userId.toString()))] },
+  })
+    .select(
+      "firstName lastName username phoneNumber role registration_type registrationType accountStatus",
+    )
+    .lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const actions = [];
+  for (const invoice of invoices) {
+    const user = usersById.get(invoice.userId.toString());
+    const policy = user ? selectPolicy(policies, user) : DEFAULT_POLICY;
+    const action = await planInvoice(invoice, user, policy, asOf);
+    if (action) actions.push(action);
+  }
+
+  return { checked: invoices.length, actions, usersById };
+}
+
+function summarize(actions) {
+  const staged = actions.filter((action) => action.stage);
+  const byStage = {};
+  staged.forEach(({ stage }) => {
+    byStage[stage.name] = (byStage[stage.name] || 0) + 1;
+  });
+
+  return {
+    actions: actions.length,
+    notifications: staged.filter((a) =>
+      a.stage.channels.includes("notification"),
+    ).length,
+    sms: staged.filter((a) => a.stage.channels.includes("sms")).length,
+    suspensions: staged.filter((a) => a.stage.suspend).length,
+    markedOverdue: actions.filter((action) => action.markOverdue).length,
+    byStage,
+  };
+}
+
+// ============================================
+// RUN
+// ============================================
+
+// PaymentReminder type recorded for a stage
+function reminderTypeFor(stage) {
+  if (stage.offsetDays < 0) return "first_reminder";
+  if (stage.offsetDays === 0) return "final_notice";
+  return "overdue";
+}
+
+async function sendStageSMS(action, user) {
+  if (!user.phoneNumber) return "no_phone";
+
+  const smsResult = await smsService.sendSMS(
+    user.phoneNumber,
+    action.stage.message,
+    `dunning_${action.stage.key}_${action.invoiceNumber}`,
+  );
+
+  await SMSLog.create({
+    userId: user._id,
+    phone: user.phoneNumber,
+    message: action.stage.message,
+    type: "payment_reminder",
+    status: smsResult.success ? "sent" : "failed",
+    messageId: smsResult.messageId,
+    reference: `dunning_${action.stage.key}_${action.invoiceId}`,
+    errorMessage: smsResult.success ? undefined : smsResult.error,
+  });
+
+  return smsResult.success ? "sent" : "failed";
+}
+
+/**
+ * Carry out a stage. The stage is claimed on the invoice's dunningHistory
+ * first, so overlapping runs never send it twice.
+ * @returns {Promise<object|null>} History entry, or null if already run
+ */
+async function executeStage(action, user, notify) {
+  const { stage } = action;
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    stageKey: stage.key,
+    stageName: stage.name,
+    offsetDays: stage.offsetDays,
+    cycle: action.cycle,
+    installmentNumber: action.installmentNumber,
+    dueDate: action.dueDate,
+    amount: action.amount,
+    policyId: action.policy.id,
+    policyName: action.policy.name,
+    channels: stage.channels,
+    executedAt: new Date(),
+  };
+
+  const claimed = await Invoice.updateOne(
+    {
+      _id: action.invoiceId,
+      dunningHistory: {
+        $not: {
+          $elemMatch: {
+            cycle: action.cycle,
+            offsetDays: { $gte: stage.offsetDays },
+          },
+        },
+      },
+    },
+    { $push: { dunningHistory: entry } },
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  if (stage.channels.includes("notification")) {
+    await notify(
+      action.userId,
+      stage.title,
+      stage.message,
+      stage.suspend || stage.offsetDays > 0 ? "error" : "warning",
+      `/invoices/${action.invoiceId}`,
+    );
+    entry.notified = true;
+  }
+
+  if (stage.channels.includes("sms")) {
+    try {
+      entry.sms = await sendStageSMS(action, user);
+    } catch (error) {
+      console.error(`⚠️  Dunning SMS failed for ${user.phoneNumber}:`, error);
+      entry.sms = "failed";
+    }
+  }
+
+  if (stage.suspend) {
+    const suspended = await User.updateOne(
+      { _id: action.userId, accountStatus: { $ne: "suspended" } },
+      { accountStatus: "suspended", paymentStatus: "overdue", isActive: false },
+    );
+    entry.suspended = suspended.modifiedCount > 0;
+  }
+
+  await PaymentReminder.create({
+    userId: action.userId,
+    invoiceId: action.invoiceId,
+    reminderType: reminderTypeFor(stage),
+    installmentNumber: action.installmentNumber,
+    sentVia:
+      stage.channels.length > 1
+        ? "all"
+        : stage.channels[0] === "sms"
+          ? "sms"
+          : "notification",
+    dueDate: action.dueDate,
+    amount: action.amount,
+    message: stage.message,
+  });
+
+  await Invoice.updateOne(
+    { _id: action.invoiceId, "dunningHistory._id": entry._id },
+    {
+      $set: {
+        "dunningHistory.$.notified": !!entry.notified,
+        "dunningHistory.$.sms": entry.sms,
+        "dunningHistory.$.suspended": !!entry.suspended,
+      },
+    },
+  );
+
+  return entry;
+}
+
+/**
+ * Run dunning: mark past-due invoices overdue and run each invoice's next
+ * stage. With dryRun nothing is changed or sent.
+ * @param {object} options - { date (default: now), dryRun }
+ * @param {Function} notify - (userId, title, message, type, actionUrl) => Promise
+ * @returns {Promise<object>} Run summary (with the planned actions on a dry run)
+ */
+async function run(options = {}, notify) {
+  const asOf = options.date ? new Date(options.date) : new Date();
+  const { checked, actions, usersById } = await buildPlan(asOf);
+
+  if (options.dryRun) {
+    return {
+      asOf,
+      dryRun: true,
+      checked,
+      summary: summarize(actions),
+      actions,
+    };
+  }
+
+  const results = {
+    asOf,
+    dryRun: false,
+    checked,
+    stagesRun: 0,
+    notifications: 0,
+    sms: { sent: 0, failed: 0, noPhone: 0 },
+    suspended: 0,
+    markedOverdue: 0,
+    byStage: {},
+    errors: [],
+  };
+
+  for (const action of actions) {
+    try {
+      if (action.markOverdue) {
+        const marked = await Invoice.updateOne(
+          {
+            _id: action.invoiceId,
+            status: { $in: ["unpaid", "pending", "partially_paid"] },
+          },
+          { status: "overdue" },
+        );
+        results.markedOverdue += marked.modifiedCount;
+      }
+
+      if (!action.stage) continue;
+
+      const user = usersById.get(action.userId.toString());
+      const entry = await executeStage(action, user, notify);
+      if (!entry) continue;
+
+      results.stagesRun++;
+      results.byStage[entry.stageName] =
+        (results.byStage[entry.stageName] || 0) + 1;
+      if (entry.notified) results.notifications++;
+      if (entry.sms === "sent") results.sms.sent++;
+      if (entry.sms === "failed") results.sms.failed++;
+      if (entry.sms === "no_phone") results.sms.noPhone++;
+      if (entry.suspended) results.suspended++;
+    } catch (error) {
+      console.error(
+        `❌ Dunning failed for invoice ${action.invoiceNumber}:`,
+        error.message,
+      );
+      results.errors.push({
+        invoiceId: action.invoiceId,
+        invoiceNumber: action.invoiceNumber,
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * What tonight's run (or a run on the given date) would do
+ * @param {Date} date - Default: next midnight
+ */
+async function preview(date) {
+  const asOf = date
+    ? new Date(date)
+    : new Date(startOfDay(new Date()).getTime() + DAY_MS);
+
+  return run({ date: asOf, dryRun: true });
+}
+
+/**
+ * Dunning history of an invoice, the policy chasing it and what the next
+ * run would do
+ * @returns {Promise<object>} { success, data } or { success: false, error, errorType }
+ */
+async function getInvoiceDunning(invoiceId) {
+  const invoice = await Invoice.findById(invoiceId)
+    .select("invoiceNumber userId status dunningHistory")
+    .lean();
+  if (!invoice) {
+    return {
+      success: false,
+      error: "Invoice not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  const user = await User.findById(invoice.userId)
+    .select("role registration_type registrationType")
+    .lean();
+  const policies = await DunningPolicy.find({ isActive: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+  const policy = user ? selectPolicy(policies, user) : DEFAULT_POLICY;
+
+  const tonight = new Date(startOfDay(new Date()).getTime() + DAY_MS);
+  const { actions } = await buildPlan(tonight, { _id: invoice._id });
+
+  return {
+    success: true,
+    data: {
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      status: invoice.status,
+      policy: { id: policy._id, name: policy.name, stages: policy.stages },
+      history: invoice.dunningHistory || [],
+      nextRun: actions[0] || null,
+    },
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  CHANNELS,
+  TEMPLATE_FIELDS,
+  DEFAULT_STAGES,
+  validatePolicy,
+  listPolicies,
+  createPolicy,
+  updatePolicy,
+  run,
+  preview,
+  getInvoiceDunning,
+};
@@ -0,0 +1,241 @@
+// ============================================
+// EMAIL SERVICE
+// ============================================
+// ✅ Sends email through a pluggable transport (EMAIL_TRANSPORT)
+//    - smtp: nodemailer SMTP using EMAIL_HOST / EMAIL_PORT / EMAIL_USER / EMAIL_PASSWORD
+//    - file: writes each message as JSON to EMAIL_FILE_DIR (local testing)
+//    - none: logs the message only
+// ✅ Custom transports can be added with registerTransport()
+// ============================================
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const DEFAULT_FILE_DIR = path.join(__dirname, "../logs/emails");
+
+/**
+ * Transport factories. Each returns { send(message) } resolving to
+ * { messageId } and throwing on failure.
+ */
+const TRANSPORTS = {
+  smtp: () => {
+    const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+    const transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: process.env.EMAIL_SECURE
+        ? process.env.EMAIL_SECURE === "true"
+        : port === 465,
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+        : undefined,
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      },
+    };
+  },
+
+  file: () => {
+    const dir = process.env.EMAIL_FILE_DIR || DEFAULT_FILE_DIR;
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.json`;
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, fileName), info.message);
+
+        return { messageId: info.messageId, file: path.join(dir, fileName) };
+      },
+    };
+  },
+
+  none: () => ({
+    send: async (message) => {
+      console.log(
+        `⚠️  Email transport disabled. Email would have been sent to: ${message.to}`,
+      );
+      console.log(`📧 Subject: ${message.subject}`);
+      return { messageId: null, skipped: true };
+    },
+  }),
+};
+
+class EmailService {
+  constructor() {
+    this.from =
+      process.env.EMAIL_FROM ||
+      (process.env.EMAIL_USER
+        ? `ECONNECT <${process.env.EMAIL_USER}>`
+        : "ECONNECT <no-reply@econnect.co.tz>");
+    this.transportName = null;
+    this.transport = null;
+  }
+
+  /**
+   * Transport used when EMAIL_TRANSPORT is not set: SMTP when a host is
+   * configured, otherwise the file transport outside production
+   */
+  getDefaultTransportName() {
+    if (process.env.EMAIL_HOST) return "smtp";
+    return process.env.NODE_ENV === "production" ? "none" : "file";
+  }
+
+  /**
+   * Add (or replace) a transport
+   * @param {string} name - Value used in EMAIL_TRANSPORT
+   * @param {Function} factory - Returns { send(message) }
+   */
+  registerTransport(name, factory) {
+    TRANSPORTS[name] = factory;
+    if (this.transportName === name) {
+      this.transport = null;
+    }
+  }
+
+  getTransport() {
+    const name = process.env.EMAIL_TRANSPORT || this.getDefaultTransportName();
+
+    if (!this.transport || this.transportName !== name) {
+      const factory = TRANSPORTS[name];
+      if (!factory) {
+        throw new Error(`Unknown email transport: ${name}`);
+      }
+      this.transport = factory();
+      this.transportName = name;
+      console.log(`✅ Email transport ready: ${name}`);
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {object} email - { to, subject, text, html, attachments }
+   * @returns {Promise<object>} { success, messageId } or { success: false, error }
+   */
+  async sendEmail({ to, subject, text, html, attachments }) {
+    try {
+      if (!to) {
+        return { success: false, error: "Recipient email is required" };
+      }
+
+      const result = await this.getTransport().send({
+        from: this.from,
+        to,
+        subject,
+        text,
+        html,
+        attachments,
+      });
+
+      console.log(`✅ Email sent to ${to} (${subject})`);
+      return { success: true, transport: this.transportName, ...result };
+    } catch (error) {
+      console.error(`❌ Email to ${to} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ============================================
+  // TEMPLATES
+  // ============================================
+
+  /**
+   * Email address verification link
+   */
+  async sendVerificationEmail(to, userName, link, expiresInHours) {
+    const text = `Hello ${userName},
+
+Please confirm your email address for your ECONNECT account by opening this link:
+
+${link}
+
+The link expires in ${expiresInHours} hours. If you did not request this, you can ignore this email.
+
+ECONNECT`;
+
+    const html = `<p>Hello ${escapeHtml(userName)},</p>
+<p>Please confirm your email address for your ECONNECT account.</p>
+<p><a href="${escapeHtml(link)}">Verify my email address</a></p>
+<p>The link expires in ${expiresInHours} hours. If you did not request this, you can ignore this email.</p>
+<p>ECONNECT</p>`;
+
+    return await this.sendEmail({
+      to,
+      subject: "Verify your ECONNECT email address",
+      text,
+      html,
+    });
+  }
+
+  /**
+   * Payment receipt
+   * @param {object} receipt - { receiptNumber, amount, currency, paymentMethod, paymentReference, paymentDate, status }
+   * @param {Array} attachments - nodemailer attachments (e.g. the receipt PDF)
+   */
+  async sendPaymentReceiptEmail(to, userName, receipt, attachments = []) {
+    const amount = `${receipt.currency || "TZS"} ${Number(
+      receipt.amount,
+    ).toLocaleString()}`;
+    const paidOn = receipt.paymentDate
+      ? new Date(receipt.paymentDate).toLocaleDateString("en-GB")
+      : "-";
+
+    const rows = [
+      ["Receipt number", receipt.receiptNumber],
+      ["Amount", amount],
+      ["Payment method", receipt.paymentMethod || "-"],
+      ["Reference", receipt.paymentReference || "-"],
+      ["Payment date", paidOn],
+      ["Status", receipt.status],
+    ];
+
+    const text = `Hello ${userName},
+
+Here is your ECONNECT payment receipt.
+
+${rows.map(([label, value]) => `${label}: ${value}`).join("\n")}
+
+Thank you,
+ECONNECT`;
+
+    const html = `<p>Hello ${escapeHtml(userName)},</p>
+<p>Here is your ECONNECT payment receipt.</p>
+<table>
+${rows
+  .map(
+    ([label, value]) =>
+      `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(String(value))}</td></tr>`,
+  )
+  .join("\n")}
+</table>
+<p>Thank you,<br>ECONNECT</p>`;
+
+    return await this.sendEmail({
+      to,
+      subject: `ECONNECT payment receipt ${receipt.receiptNumber}`,
+      text,
+      html,
+      attachments,
+    });
+  }
+}
+
+function escapeHtml(value = "") {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Export singleton instance
+module.exports = new EmailService();
@@ -0,0 +1,202 @@
+// ============================================
+// EMAIL VERIFICATION SERVICE
+// ============================================
+// ✅ Sends signed, time-limited verification links
+// ✅ Links are bound to the address they were sent to, so changing the
+//    email invalidates old links and the verified status
+// ✅ Resend cooldown per user
+// ============================================
+
+const jwt = require("jsonwebtoken");
+const emailService = require("./emailService");
+
+// Models (injected when service is initialized)
+let User;
+
+const EMAIL_VERIFICATION_POLICY = {
+  linkTtlHours: 24,
+  resendCooldownSeconds: 60,
+};
+
+const TOKEN_PURPOSE = "email_verification";
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  User = models.User;
+
+  console.log("✅ Email Verification Service initialized");
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function getSecret() {
+  return process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+}
+
+function buildVerificationLink(token) {
+  const baseUrl =
+    process.env.EMAIL_VERIFICATION_URL ||
+    `${process.env.FRONTEND_URL || "http://localhost:3000"}/verify-email`;
+
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Whether the user's current email address has been verified
+ * @param {object} user - User with email, isEmailVerified and verifiedEmail
+ */
+function isEmailVerified(user) {
+  return (
+    !!user?.email &&
+    !!user.isEmailVerified &&
+    user.verifiedEmail === user.email.toLowerCase()
+  );
+}
+
+// ============================================
+// SEND / CONFIRM
+// ============================================
+
+/**
+ * Send (or resend) a verification link to the user's email
+ * @param {object} user - User document
+ * @returns {Promise<object>} { success, expiresAt, resendAvailableAt } or
+ *   { success: false, error, errorType, retryAfter }
+ */
+async function sendVerificationEmail(user) {
+  if (!user.email) {
+    return {
+      success: false,
+      error: "No email address associated with this account",
+      errorType: "NO_EMAIL",
+    };
+  }
+
+  if (isEmailVerified(user)) {
+    return {
+      success: false,
+      error: "Email address is already verified",
+      errorType: "ALREADY_VERIFIED",
+    };
+  }
+
+  const cooldownMs = EMAIL_VERIFICATION_POLICY.resendCooldownSeconds * 1000;
+  const lastSentAt = user.emailVerificationSentAt?.getTime() || 0;
+  if (Date.now() - lastSentAt < cooldownMs) {
+    const retryAfter = Math.ceil((lastSentAt + cooldownMs - Date.now()) / 1000);
+    return {
+      success: false,
+      error: `Please wait ${retryAfter} seconds before requesting another email`,
+      errorType: "RESEND_COOLDOWN",
+      retryAfter,
+    };
+  }
+
+  const token = jwt.sign(
+    { id: user._id, email: user.email.toLowerCase(), purpose: TOKEN_PURPOSE },
+    getSecret(),
+    { expiresIn: `${EMAIL_VERIFICATION_POLICY.linkTtlHours}h` },
+  );
+
+  const sendResult = await emailService.sendVerificationEmail(
+    user.email,
+    user.firstName || user.username,
+    buildVerificationLink(token),
+    EMAIL_VERIFICATION_POLICY.linkTtlHours,
+  );
+
+  if (!sendResult.success) {
+    return {
+      success: false,
+      error: "Failed to send verification email. Please try again.",
+      errorType: "EMAIL_SEND_FAILED",
+    };
+  }
+
+  const sentAt = new Date();
+  await User.updateOne({ _id: user._id }, { emailVerificationSentAt: sentAt });
+
+  return {
+    success: true,
+    expiresAt: new Date(
+      sentAt.getTime() + EMAIL_VERIFICATION_POLICY.linkTtlHours * 3600 * 1000,
+    ),
+    resendAvailableAt: new Date(sentAt.getTime() + cooldownMs),
+  };
+}
+
+/**
+ * Confirm a verification link token
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<object>} { success, user } or { success: false, error, errorType }
+ */
+async function confirmEmail(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getSecret());
+  } catch (error) {
+    return {
+      success: false,
+      error: "Verification link is invalid or has expired",
+      errorType: "INVALID_VERIFICATION_TOKEN",
+    };
+  }
+
+  if (decoded.purpose !== TOKEN_PURPOSE) {
+    return {
+      success: false,
+      error: "Verification link is invalid or has expired",
+      errorType: "INVALID_VERIFICATION_TOKEN",
+    };
+  }
+
+  const user = await User.findById(decoded.id)
+    .select("username email isEmailVerified verifiedEmail")
+    .lean();
+
+  if (!user) {
+    return {
+      success: false,
+      error: "Verification link is invalid or has expired",
+      errorType: "INVALID_VERIFICATION_TOKEN",
+    };
+  }
+
+  // The address changed after the link was sent
+  if (user.email !== decoded.email) {
+    return {
+      success: false,
+      error:
+        "This link was sent to a different email address. Please request a new one.",
+      errorType: "EMAIL_CHANGED",
+    };
+  }
+
+  if (!isEmailVerified(user)) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        isEmailVerified: true,
+        verifiedEmail: user.email,
+        emailVerifiedAt: new Date(),
+      },
+    );
+  }
+
+  return { success: true, user };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  EMAIL_VERIFICATION_POLICY,
+  isEmailVerified,
+  sendVerificationEmail,
+  confirmEmail,
+};
@@ -0,0 +1,459 @@
+// ============================================
+// FISCAL RECEIPT SERVICE (EFD / VFD)
+// ============================================
+// ✅ Every confirmed payment gets a fiscal receipt with its VAT lines,
+//    registered with the fiscal device (EFD) or virtual fiscal device (VFD)
+// ✅ Pluggable adapter (FISCAL_ADAPTER); the local "stub" adapter numbers
+//    receipts like a device: global counter, daily counter, Z number
+// ✅ Receipts the device could not register are retried
+// ✅ Z reports: receipts and VAT per fiscal day
+// ============================================
+
+const crypto = require("crypto");
+const taxService = require("./taxService");
+const documentService = require("./documentService");
+
+// Models (injected when service is initialized)
+let FiscalReceipt, Invoice, User;
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+// pending until the device registers the receipt; failed ones are retried
+const STATUSES = ["pending", "issued", "failed"];
+
+// Fiscal days (Z numbers) follow local time
+const FISCAL_TIME_ZONE = "Africa/Dar_es_Salaam";
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+/**
+ * Adapter factories. Each adapter implements:
+ * - issue(receipt, { previous }) -> { globalCounter, dailyCounter, zNumber,
+ *   verificationCode, verificationUrl, issuedAt }
+ *   (previous is the last receipt this adapter issued, or null; issue
+ *   throws when the device rejects the receipt)
+ */
+const ADAPTERS = {
+  // Local stand-in for a VFD: counters continue from the last receipt and
+  // the daily counter restarts with each fiscal day
+  stub: () => {
+    const receiptCode = (
+      process.env.FISCAL_STUB_RECEIPT_CODE ||
+      crypto
+        .createHash("sha256")
+        .update(process.env.JWT_SECRET || "stub")
+        .digest("hex")
+        .slice(0, 6)
+    ).toUpperCase();
+    const verifyUrl =
+      process.env.FISCAL_VERIFY_URL ||
+      `${process.env.FRONTEND_URL || "http://localhost:3000"}/verify-fiscal`;
+
+    return {
+      issue: async (receipt, { previous }) => {
+        const issuedAt = new Date();
+        const zNumber = getZNumber(issuedAt);
+        const globalCounter = (previous?.globalCounter || 0) + 1;
+        const verificationCode = `${receiptCode}${globalCounter}`;
+
+        return {
+          globalCounter,
+          dailyCounter:
+            previous?.zNumber === zNumber ? previous.dailyCounter + 1 : 1,
+          zNumber,
+          verificationCode,
+          verificationUrl: `${verifyUrl}/${verificationCode}`,
+          issuedAt,
+        };
+      },
+    };
+  },
+};
+
+const adapterInstances = new Map();
+
+/**
+ * Initialize service with models
+ * @param {object} models - { FiscalReceipt, Invoice, User }
+ */
+function initialize(models) {
+  FiscalReceipt = models.FiscalReceipt;
+  Invoice = models.Invoice;
+  User = models.User;
+
+  console.log(`✅ Fiscal Service initialized (adapter: ${getAdapterName()})`);
+}
+
+function getAdapterName() {
+  return process.env.FISCAL_ADAPTER || "stub";
+}
+
+function getAdapter(name = getAdapterName()) {
+  if (!adapterInstances.has(name)) {
+    const factory = ADAPTERS[name];
+    if (!factory) {
+      throw new Error(`Unknown fiscal adapter: ${name}`);
+    }
+    adapterInstances.set(name, factory());
+  }
+  return adapterInstances.get(name);
+}
+
+/**
+ * Add (or replace) a fiscal device adapter
+ * @param {string} name - Value used in FISCAL_ADAPTER
+ * @param {Function} factory - Returns { issue }
+ */
+function registerAdapter(name, factory) {
+  ADAPTERS[name] = factory;
+  adapterInstances.delete(name);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Fiscal day of a date, as YYYYMMDD in local time
+ */
+function getZNumber(date) {
+  return new Date(date)
+    .toLocaleDateString("en-CA", { timeZone: FISCAL_TIME_ZONE })
+    .replace(/-/g, "");
+}
+
+function getMetadata(record, key) {
+  const metadata = record.metadata;
+  if (!metadata) return undefined;
+  return metadata instanceof Map ? metadata.get(key) : metadata[key];
+}
+
+// ============================================
+// FISCAL RECEIPTS
+// ============================================
+
+/**
+ * Receipt contents for a payment. The VAT is the payment's share of its
+ * invoice's tax; unallocated money carries none.
+ */
+async function buildReceipt(payment) {
+  const invoice =
+    payment.invoiceId && !getMetadata(payment, "unallocated")
+      ? await Invoice.findById(payment.invoiceId)
+          .select("invoiceNumber amount taxLines")
+          .lean()
+      : null;
+  const customer = await User.findById(payment.userId)
+    .select("firstName lastName username phoneNumber")
+    .lean();
+
+  const taxLines = invoice
+    ? taxService.prorateTaxLines(
+        invoice.taxLines,
+        invoice.amount,
+        payment.amount,
+      )
+    : [];
+  const taxAmount = taxService.sumTax(taxLines);
+
+  return {
+    paymentHistoryId: payment._id,
+    receiptNumber: documentService.getReceiptNumber(payment),
+    invoiceId: invoice?._id,
+    invoiceNumber: invoice?.invoiceNumber,
+    userId: payment.userId,
+    schoolId: payment.schoolId,
+    transactionType: payment.transactionType,
+    currency: payment.currency || "TZS",
+    totalAmount: payment.amount,
+    netAmount: Math.round((payment.amount - taxAmount) * 100) / 100,
+    taxAmount,
+    taxLines,
+    customer: customer
+      ? {
+          name:
+            `${customer.firstName || ""} ${customer.lastName || ""}`.trim() ||
+            customer.username,
+          phone: customer.phoneNumber || null,
+        }
+      : undefined,
+  };
+}
+
+/**
+ * Register a receipt with the fiscal device. A failure is recorded on the
+ * receipt (status "failed") for retryFailed().
+ * @param {object} receipt - FiscalReceipt document
+ * @returns {Promise<object>} The receipt
+ */
+async function register(receipt) {
+  const adapterName = getAdapterName();
+  receipt.adapter = adapterName;
+  receipt.attempts = (receipt.attempts || 0) + 1;
+  receipt.lastAttemptAt = new Date();
+
+  // Two receipts registered at once can take the same stub counter; the
+  // unique counter index rejects the second, which then takes the next one
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const previous = await FiscalReceipt.findOne({
+        adapter: adapterName,
+        status: "issued",
+      })
+        .sort({ globalCounter: -1 })
+        .lean();
+      const result = await getAdapter(adapterName).issue(receipt.toObject(), {
+        previous,
+      });
+
+      receipt.set({
+        globalCounter: result.globalCounter,
+        dailyCounter: result.dailyCounter,
+        zNumber: result.zNumber,
+        verificationCode: result.verificationCode,
+        verificationUrl: result.verificationUrl,
+        issuedAt: result.issuedAt || new Date(),
+        status: "issued",
+        error: undefined,
+      });
+      await receipt.save();
+      return receipt;
+    } catch (error) {
+      if (
+        error.code === 11000 &&
+        error.keyPattern?.globalCounter &&
+        attempt < 5
+      ) {
+        continue;
+      }
+
+      console.error(
+        `❌ Fiscal receipt ${receipt.receiptNumber} not registered (${adapterName}):`,
+        error.message,
+      );
+      await FiscalReceipt.updateOne(
+        { _id: receipt._id },
+        {
+          status: "failed",
+          error: error.message,
+          adapter: adapterName,
+          attempts: receipt.attempts,
+          lastAttemptAt: receipt.lastAttemptAt,
+        },
+      );
+      receipt.status = "failed";
+      receipt.error = error.message;
+      return receipt;
+    }
+  }
+}
+
+/**
+ * Issue the fiscal receipt for a confirmed payment, once. Safe to call from
+ * hooks and retries; never throws.
+ * @param {object} payment - PaymentHistory
+ * @returns {Promise<object|null>} FiscalReceipt, or null
+ */
+async function issueForPayment(payment) {
+  if (!PAID_HISTORY_STATUSES.includes(payment.status)) return null;
+
+  try {
+    let receipt = await FiscalReceipt.findOne({
+      paymentHistoryId: payment._id,
+    });
+    if (receipt?.status === "issued") return receipt;
+
+    if (!receipt) {
+      receipt = await FiscalReceipt.create(await buildReceipt(payment));
+    }
+    return await register(receipt);
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.paymentHistoryId) {
+      return null;
+    }
+
+    console.error(
+      `❌ Fiscal receipt for payment ${payment._id} failed:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Register receipts that failed (or were interrupted) again
+ * @returns {Promise<object>} { checked, issued, failed }
+ */
+async function retryFailed({ limit = 100 } = {}) {
+  const receipts = await FiscalReceipt.find({
+    $or: [
+      { status: "failed" },
+      // Created but never registered (e.g. the process stopped)
+      { status: "pending", createdAt: { $lt: new Date(Date.now() - 60000) } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  const results = { checked: receipts.length, issued: 0, failed: 0 };
+  for (const receipt of receipts) {
+    const registered = await register(receipt);
+    if (registered.status === "issued") results.issued++;
+    else results.failed++;
+  }
+  return results;
+}
+
+/**
+ * Fiscal receipt of a payment
+ */
+async function getReceiptForPayment(paymentHistoryId) {
+  return await FiscalReceipt.findOne({ paymentHistoryId }).lean();
+}
+
+/**
+ * Registered receipt by its printed verification code
+ */
+async function findByVerificationCode(verificationCode) {
+  return await FiscalReceipt.findOne({
+    verificationCode: String(verificationCode).toUpperCase(),
+    status: "issued",
+  }).lean();
+}
+
+/**
+ * List receipts
+ * @param {object} filters - { status, zNumber, from, to }
+ */
+async function listReceipts(filters = {}, { page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.zNumber) query.zNumber = filters.zNumber;
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) query.createdAt.$lte = new Date(filters.to);
+  }
+
+  const [receipts, total] = await Promise.all([
+    FiscalReceipt.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    FiscalReceipt.countDocuments(query),
+  ]);
+
+  return {
+    receipts,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+// ============================================
+// Z REPORTS
+// ============================================
+
+const Z_REPORT_GROUP = {
+  receipts: { $sum: 1 },
+  firstGlobalCounter: { $min: "$globalCounter" },
+  lastGlobalCounter: { $max: "$globalCounter" },
+  grossAmount: { $sum: "$totalAmount" },
+  netAmount: { $sum: "$netAmount" },
+  taxAmount: { $sum: "$taxAmount" },
+  firstIssuedAt: { $min: "$issuedAt" },
+  lastIssuedAt: { $max: "$issuedAt" },
+};
+
+/**
+ * Z report of a fiscal day: receipt range and totals, with VAT per rate
+ * @param {string} zNumber - YYYYMMDD
+ * @returns {Promise<object|null>} null when no receipt was issued that day
+ */
+async function getZReport(zNumber, adapter = getAdapterName()) {
+  const match = { adapter, zNumber, status: "issued" };
+
+  const [totals] = await FiscalReceipt.aggregate([
+    { $match: match },
+    { $group: { _id: null, ...Z_REPORT_GROUP } },
+  ]);
+  if (!totals) return null;
+
+  const taxes = await FiscalReceipt.aggregate([
+    { $match: match },
+    { $unwind: "$taxLines" },
+    {
+      $group: {
+        _id: { code: "$taxLines.code", rate: "$taxLines.rate" },
+        taxableAmount: { $sum: "$taxLines.taxableAmount" },
+        taxAmount: { $sum: "$taxLines.taxAmount" },
+      },
+    },
+    { $sort: { "_id.code": 1, "_id.rate": -1 } },
+  ]);
+
+  const { _id, ...report } = totals;
+  return {
+    zNumber,
+    adapter,
+    ...report,
+    taxes: taxes.map((tax) => ({
+      code: tax._id.code,
+      rate: tax._id.rate,
+      taxableAmount: tax.taxableAmount,
+      taxAmount: tax.taxAmount,
+    })),
+  };
+}
+
+/**
+ * Receipts issued in a period, with one Z report line per fiscal day
+ * @returns {Promise<object>} { count, grossAmount, taxAmount, zReports }
+ */
+async function summarizeReceipts({ from, to }) {
+  const zReports = await FiscalReceipt.aggregate([
+    { $match: { status: "issued", issuedAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: { zNumber: "$zNumber", adapter: "$adapter" },
+        ...Z_REPORT_GROUP,
+      },
+    },
+    { $sort: { "_id.zNumber": 1 } },
+  ]);
+
+  const total = (field) =>
+    Math.round(zReports.reduce((sum, z) => sum + z[field], 0) * 100) / 100;
+
+  return {
+    count: zReports.reduce((sum, z) => sum + z.receipts, 0),
+    grossAmount: total("grossAmount"),
+    taxAmount: total("taxAmount"),
+    zReports: zReports.map(({ _id, ...report }) => ({
+      zNumber: _id.zNumber,
+      adapter: _id.adapter,
+      ...report,
+    })),
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  STATUSES,
+  getAdapterName,
+  registerAdapter,
+  getZNumber,
+  issueForPayment,
+  retryFailed,
+  getReceiptForPayment,
+  findByVerificationCode,
+  listReceipts,
+  getZReport,
+  summarizeReceipts,
+};
@@ -0,0 +1,189 @@
+// ============================================
+// IMPERSONATION SERVICE
+// ============================================
+// ✅ Super admins can view the platform as another user for a short time
+// ✅ Impersonation runs on its own session (no refresh token, short expiry)
+// ✅ Sensitive actions (passwords, 2FA, payments) are blocked while impersonating
+// ============================================
+
+const crypto = require("crypto");
+
+// Models (injected when service is initialized)
+let UserSession;
+
+const IMPERSONATION_POLICY = {
+  defaultMinutes: 30,
+  minMinutes: 5,
+  maxMinutes: 60,
+};
+
+// Roles that can never be impersonated
+const PROTECTED_ROLES = ["super_admin"];
+
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Requests refused while impersonating
+ * - methods: null means every method
+ */
+const BLOCKED_ACTIONS = [
+  {
+    pattern:
+      /^\/api\/auth\/(change-password|forgot-password|reset-password|logout-all)$/,
+    methods: null,
+  },
+  { pattern: /^\/api\/auth\/2fa(\/|$)/, methods: null },
+  { pattern: /^\/api\/auth\/verify-phone(\/|$)/, methods: null },
+  { pattern: /^\/api\/auth\/verify-email(\/|$)/, methods: null },
+  { pattern: /^\/api\/superadmin\//, methods: null },
+  {
+    pattern: /(payment|invoice|receipt|checkout|subscription)/,
+    methods: WRITE_METHODS,
+  },
+  { pattern: /\/password(\/|$)/, methods: WRITE_METHODS },
+];
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  UserSession = models.UserSession;
+
+  console.log("✅ Impersonation Service initialized");
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Clamp a requested duration to the policy limits
+ */
+function resolveDuration(durationMinutes) {
+  const minutes = parseInt(durationMinutes, 10);
+  if (!minutes) return IMPERSONATION_POLICY.defaultMinutes;
+
+  return Math.min(
+    Math.max(minutes, IMPERSONATION_POLICY.minMinutes),
+    IMPERSONATION_POLICY.maxMinutes,
+  );
+}
+
+/**
+ * Whether a user may be impersonated
+ * @returns {string|null} Reason it is not allowed, or null
+ */
+function getImpersonationBlocker(targetUser) {
+  if (PROTECTED_ROLES.includes(targetUser.role)) {
+    return "Super admin accounts cannot be impersonated";
+  }
+  if (!targetUser.isActive) {
+    return "Inactive accounts cannot be impersonated";
+  }
+  return null;
+}
+
+/**
+ * Path as Express routes it: decoded, case-insensitive and without a
+ * trailing slash, so "/API/Auth/Change-Password/" matches like the route
+ */
+function normalizePath(url) {
+  let path = url.split("?")[0];
+  try {
+    path = decodeURIComponent(path);
+  } catch (error) {
+    // Malformed escapes never match a route; check the raw path
+  }
+  return path.toLowerCase().replace(/\/+$/, "") || "/";
+}
+
+/**
+ * Whether a request is refused during impersonation
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+function isBlockedAction(req) {
+  const path = normalizePath(req.originalUrl || req.url || "");
+
+  return BLOCKED_ACTIONS.some(
+    ({ pattern, methods }) =>
+      pattern.test(path) &&
+      (!methods || methods.includes(String(req.method).toUpperCase())),
+  );
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+/**
+ * Start an impersonation session for a target user
+ * @param {object} targetUser - User document being impersonated
+ * @param {object} admin - { id, username } of the super admin
+ * @param {object} req - Express request
+ * @param {object} options - { durationMinutes, reason }
+ * @returns {Promise<object>} UserSession document
+ */
+async function startSession(targetUser, admin, req = {}, options = {}) {
+  const minutes = resolveDuration(options.durationMinutes);
+
+  return await UserSession.create({
+    userId: targetUser._id,
+    // Impersonation sessions never get a refresh token
+    refreshTokenHash: crypto.randomBytes(32).toString("hex"),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    lastUsedAt: new Date(),
+    ipAddress: req.ip || req.connection?.remoteAddress || "unknown",
+    userAgent:
+      req.get?.("user-agent") || req.headers?.["user-agent"] || "unknown",
+    impersonatedBy: admin.id,
+    metadata: {
+      impersonation: true,
+      impersonatorUsername: admin.username,
+      reason: options.reason,
+    },
+  });
+}
+
+/**
+ * End an impersonation session early
+ * @returns {Promise<boolean>} true if the session was ended
+ */
+async function endSession(sessionId) {
+  const result = await UserSession.updateOne(
+    { _id: sessionId, impersonatedBy: { $ne: null }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "impersonation_ended" },
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Active impersonation sessions (newest first)
+ */
+async function listActiveSessions() {
+  return await UserSession.find({
+    impersonatedBy: { $ne: null },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-refreshTokenHash")
+    .populate("userId", "firstName lastName username role")
+    .populate("impersonatedBy", "firstName lastName username")
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  IMPERSONATION_POLICY,
+  resolveDuration,
+  getImpersonationBlocker,
+  isBlockedAction,
+  startSession,
+  endSession,
+  listActiveSessions,
+};
@@ -0,0 +1,424 @@
+// ============================================
+// INSTALLMENT PLAN SERVICE
+// ============================================
+// ✅ Splits an Invoice into a schedule of installments (e.g. a 3-part
+//    CTM fee) stored on the invoice
+// ✅ Payments on the invoice are allocated to installments oldest first
+// ✅ Tracks overdue status per installment and picks the installment a
+//    payment reminder should be about (reminders are sent by dunningService)
+// ============================================
+
+const { shiftBillingPeriod } = require("./monthlyBillingService");
+
+// Models (injected when service is initialized)
+let Invoice, PaymentHistory;
+
+const MAX_INSTALLMENTS = 12;
+
+// Invoice statuses a plan can be set up (or rescheduled) for
+const PLANNABLE_INVOICE_STATUSES = [
+  "unpaid",
+  "pending",
+  "partially_paid",
+  "overdue",
+];
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+/**
+ * Initialize service with models
+ * @param {object} models - { Invoice, PaymentHistory }
+ */
+function initialize(models) {
+  Invoice = models.Invoice;
+  PaymentHistory = models.PaymentHistory;
+
+  console.log("✅ Installment Service initialized");
+}
+
+// ============================================
+// SCHEDULES
+// ============================================
+
+/**
+ * Split an amount into equal monthly installments
+ * Whole shillings; the rounding remainder goes on the first installment
+ * @param {number} total - Amount to split
+ * @param {number} count - Number of installments (2-12)
+ * @param {Date} firstDueDate - Due date of installment 1
+ * @param {number} intervalMonths - Months between installments (default 1)
+ * @returns {Array<{ amount: number, dueDate: Date }>}
+ */
+function buildSchedule(total, count, firstDueDate, intervalMonths = 1) {
+  const base = Math.floor(total / count);
+  const remainder = total - base * count;
+  const first = new Date(firstDueDate);
+
+  return Array.from({ length: count }, (_, index) => ({
+    amount: index === 0 ? base + remainder : base,
+    dueDate: shiftBillingPeriod(first, "monthly", index * intervalMonths),
+  }));
+}
+
+/**
+ * Check a schedule against the invoice amount
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateSchedule(schedule, total) {
+  const errors = [];
+
+  if (!Array.isArray(schedule) || schedule.length < 2) {
+    return ["A plan needs at least 2 installments"];
+  }
+  if (schedule.length > MAX_INSTALLMENTS) {
+    errors.push(`A plan can have at most ${MAX_INSTALLMENTS} installments`);
+  }
+
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+
+  let previousDueDate = null;
+  schedule.forEach((installment, index) => {
+    const label = `Installment ${index + 1}`;
+    const dueDate = new Date(installment.dueDate);
+
+    if (!(installment.amount > 0)) {
+      errors.push(`${label}: amount must be greater than 0`);
+    }
+    if (isNaN(dueDate.getTime())) {
+      errors.push(`${label}: invalid due date`);
+      return;
+    }
+    if (index === 0 && dueDate < startOfToday) {
+      errors.push(`${label}: due date cannot be in the past`);
+    }
+    if (previousDueDate && dueDate <= previousDueDate) {
+      errors.push(`${label}: due dates must be in order`);
+    }
+    previousDueDate = dueDate;
+  });
+
+  const sum = schedule.reduce((acc, i) => acc + (Number(i.amount) || 0), 0);
+  if (Math.abs(sum - total) > 0.009) {
+    errors.push(
+      `Installments add up to ${sum}, but the invoice amount is ${total}`,
+    );
+  }
+
+  return errors;
+}
+
+// ============================================
+// ALLOCATION
+// ============================================
+
+/**
+ * Amount settled on an invoice: verified payments net of refunds, plus
+ * credit notes
+ */
+async function sumSettled(invoice) {
+  const [result] = await PaymentHistory.aggregate([
+    {
+      $match: {
+        $or: [{ invoiceId: invoice._id }, { schoolInvoiceId: invoice._id }],
+        status: { $in: PAID_HISTORY_STATUSES },
+        isDeleted: { $ne: true },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+          },
+        },
+      },
+    },
+  ]);
+
+  return (result?.total || 0) + (invoice.creditedAmount || 0);
+}
+
+function hasPlan(invoice) {
+  return invoice.installmentPlan?.installments?.length > 0;
+}
+
+/**
+ * Allocate the amount paid on an invoice to its installments, oldest first,
+ * and work out each installment's status. Updates the invoice in memory.
+ * @param {object} invoice - Invoice document with installmentPlan
+ * @param {number} paidAmount - Total verified payments on the invoice
+ * @param {Date} asOf - Date overdue status is judged on (default: now)
+ */
+function allocatePayments(invoice, paidAmount, asOf = new Date()) {
+  let remaining = paidAmount;
+
+  for (const installment of invoice.installmentPlan.installments) {
+    const allocated = Math.min(installment.amount, Math.max(0, remaining));
+    remaining -= allocated;
+
+    installment.paidAmount = allocated;
+
+    if (allocated >= installment.amount) {
+      installment.status = "paid";
+      if (!installment.paidAt) installment.paidAt = asOf;
+    } else {
+      installment.paidAt = undefined;
+      if (new Date(installment.dueDate) < asOf) {
+        installment.status = "overdue";
+      } else if (allocated > 0) {
+        installment.status = "partially_paid";
+      } else {
+        installment.status = "pending";
+      }
+    }
+  }
+
+  return summarizePlan(invoice);
+}
+
+/**
+ * Invoice status for the amount paid, taking overdue installments into account
+ */
+function getInvoiceStatus(invoice, paidAmount) {
+  if (paidAmount >= invoice.amount) return "paid";
+
+  const overdue = invoice.installmentPlan.installments.some(
+    (installment) => installment.status === "overdue",
+  );
+  if (overdue) return "overdue";
+
+  return paidAmount > 0 ? "partially_paid" : "unpaid";
+}
+
+/**
+ * Totals of a plan (next installment due, overdue amount)
+ */
+function summarizePlan(invoice) {
+  const installments = invoice.installmentPlan.installments;
+  const unpaid = installments.filter((i) => i.status !== "paid");
+  const overdue = unpaid.filter((i) => i.status === "overdue");
+
+  return {
+    count: installments.length,
+    paidCount: installments.length - unpaid.length,
+    paidAmount: installments.reduce((sum, i) => sum + (i.paidAmount || 0), 0),
+    outstandingAmount: unpaid.reduce(
+      (sum, i) => sum + i.amount - (i.paidAmount || 0),
+      0,
+    ),
+    overdueCount: overdue.length,
+    overdueAmount: overdue.reduce(
+      (sum, i) => sum + i.amount - (i.paidAmount || 0),
+      0,
+    ),
+    nextInstallment: unpaid[0] || null,
+  };
+}
+
+/**
+ * Installment a reminder for this invoice should be about:
+ * the oldest overdue one, otherwise the next one due
+ * @returns {object|null} Installment subdocument
+ */
+function getReminderInstallment(invoice) {
+  if (!hasPlan(invoice)) return null;
+
+  return (
+    invoice.installmentPlan.installments.find((i) => i.status !== "paid") ||
+    null
+  );
+}
+
+/**
+ * Re-allocate payments and update the status of an invoice with a plan
+ * (call after a payment on the invoice is verified or reversed)
+ * @param {string} invoiceId
+ * @returns {Promise<object|null>} Plan summary, or null if the invoice has no plan
+ */
+async function syncInvoice(invoiceId) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice || !hasPlan(invoice) || invoice.status === "cancelled") {
+    return null;
+  }
+
+  const paidAmount = await sumSettled(invoice);
+  const summary = allocatePayments(invoice, paidAmount);
+
+  invoice.status = getInvoiceStatus(invoice, paidAmount);
+  if (invoice.status === "paid" && !invoice.paidDate) {
+    invoice.paidDate = new Date();
+  }
+  await invoice.save();
+
+  return summary;
+}
+
+// ============================================
+// PLANS
+// ============================================
+
+/**
+ * Set up (or reschedule) an installment plan on an invoice
+ * @param {string} invoiceId
+ * @param {object} options - { count, firstDueDate, intervalMonths } for equal
+ *   monthly parts, or { schedule: [{ amount, dueDate }] } for a custom split
+ * @param {string} adminId
+ * @returns {Promise<object>} { success, invoice, summary } or { success: false, error, errorType, errors }
+ */
+async function createPlan(invoiceId, options, adminId) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) {
+    return {
+      success: false,
+      error: "Invoice not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  if (!PLANNABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    return {
+      success: false,
+      error: `A ${invoice.status} invoice cannot be paid in installments`,
+      errorType: "INVOICE_NOT_PAYABLE",
+    };
+  }
+
+  const schedule = options.schedule
+    ? options.schedule.map((i) => ({
+        amount: Number(i.amount),
+        dueDate: new Date(i.dueDate),
+      }))
+    : buildSchedule(
+        invoice.amount,
+        options.count,
+        options.firstDueDate || invoice.dueDate,
+        options.intervalMonths || 1,
+      );
+
+  const errors = validateSchedule(schedule, invoice.amount);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid installment schedule",
+      errorType: "INVALID_SCHEDULE",
+      errors,
+    };
+  }
+
+  const rescheduled = hasPlan(invoice);
+
+  invoice.installmentPlan = {
+    installments: schedule.map((installment, index) => ({
+      number: index + 1,
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+    })),
+    createdBy: adminId,
+    createdAt: new Date(),
+    // Invoice due date before the first plan, restored if the plan is removed
+    originalDueDate: rescheduled
+      ? invoice.installmentPlan.originalDueDate
+      : invoice.dueDate,
+  };
+
+  // The invoice as a whole is due with its last installment
+  invoice.dueDate = schedule[schedule.length - 1].dueDate;
+
+  const paidAmount = await sumSettled(invoice);
+  const summary = allocatePayments(invoice, paidAmount);
+  invoice.status = getInvoiceStatus(invoice, paidAmount);
+  await invoice.save();
+
+  return { success: true, invoice, summary, rescheduled };
+}
+
+/**
+ * Remove the plan from an invoice (back to a single due date)
+ * @returns {Promise<object>} { success, invoice } or { success: false, error, errorType }
+ */
+async function removePlan(invoiceId) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice || !hasPlan(invoice)) {
+    return {
+      success: false,
+      error: "Installment plan not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  invoice.dueDate = invoice.installmentPlan.originalDueDate || invoice.dueDate;
+  invoice.installmentPlan = undefined;
+
+  if (invoice.status === "overdue" && invoice.dueDate >= new Date()) {
+    const paidAmount = await sumSettled(invoice);
+    invoice.status = paidAmount > 0 ? "partially_paid" : "unpaid";
+  }
+
+  await invoice.save();
+  return { success: true, invoice };
+}
+
+// ============================================
+// DAILY RUN (overdue status)
+// ============================================
+
+/**
+ * Refresh installment statuses (and the invoice status) on all open plans
+ * @returns {Promise<object>} { checked, overdueInstallments, errors }
+ */
+async function processInstallments() {
+  const now = new Date();
+  const results = { checked: 0, overdueInstallments: 0, errors: 0 };
+
+  const invoices = await Invoice.find({
+    "installmentPlan.installments.0": { $exists: true },
+    status: { $in: PLANNABLE_INVOICE_STATUSES },
+  });
+
+  for (const invoice of invoices) {
+    results.checked++;
+
+    try {
+      const paidAmount = await sumSettled(invoice);
+      const summary = allocatePayments(invoice, paidAmount, now);
+      invoice.status = getInvoiceStatus(invoice, paidAmount);
+      if (invoice.status === "paid" && !invoice.paidDate) {
+        invoice.paidDate = now;
+      }
+      await invoice.save();
+
+      results.overdueInstallments += summary.overdueCount;
+    } catch (error) {
+      console.error(
+        `❌ Installment processing failed for invoice ${invoice._id}:`,
+        error.message,
+      );
+      results.errors++;
+    }
+  }
+
+  return results;
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  MAX_INSTALLMENTS,
+  buildSchedule,
+  validateSchedule,
+  sumSettled,
+  hasPlan,
+  allocatePayments,
+  getInvoiceStatus,
+  summarizePlan,
+  getReminderInstallment,
+  syncInvoice,
+  createPlan,
+  removePlan,
+  processInstallments,
+};
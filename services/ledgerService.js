@@ -0,0 +1,801 @@
+// ============================================
+// LEDGER SERVICE
+// ============================================
+// ✅ Append-only double-entry journal behind Invoice, PaymentHistory,
+//    CreditNote, Transaction/Revenue and SponsorInvoice
+// ✅ Every money event posts one balanced entry, once (postingKey)
+// ✅ Trial balance, journal listing and revenue reports read the journal
+// ✅ Consistency checker flags records with no postings; backfill posts them
+// ============================================
+
+const { calculateRevenueSplit } = require("../utils/revenueSplit");
+
+// Models (injected when service is initialized)
+let JournalEntry,
+  Invoice,
+  PaymentHistory,
+  CreditNote,
+  Revenue,
+  Transaction,
+  SponsorInvoice,
+  User;
+
+// Chart of accounts. Balances are debit - credit for assets and expenses,
+// credit - debit for liabilities and income.
+const ACCOUNTS = {
+  cash: { name: "Cash & mobile money", type: "asset" },
+  accounts_receivable: { name: "Fees receivable", type: "asset" },
+  sponsor_receivable: { name: "Sponsor receivable", type: "asset" },
+  fee_revenue: { name: "Fee revenue", type: "income" },
+  commission_revenue: { name: "Commission revenue", type: "income" },
+  business_payable: { name: "Payable to businesses", type: "liability" },
+  vat_payable: { name: "Output VAT payable", type: "liability" },
+  unapplied_cash: { name: "Unapplied payments", type: "liability" },
+  bad_debt_expense: { name: "Bad debts written off", type: "expense" },
+};
+
+const EVENT_TYPES = [
+  "invoice_issued",
+  "payment_received",
+  "payment_reversed",
+  "credit_note",
+  "refund",
+  "write_off",
+  "sale",
+  "commission",
+  "sponsor_invoice_issued",
+  "sponsor_invoice_cancelled",
+  "sponsor_payment",
+];
+
+const SOURCE_TYPES = [
+  "Invoice",
+  "PaymentHistory",
+  "CreditNote",
+  "Transaction",
+  "SponsorInvoice",
+];
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+/**
+ * Initialize service with models
+ * @param {object} models - { JournalEntry, Invoice, PaymentHistory, CreditNote, Revenue, Transaction, SponsorInvoice, User }
+ */
+function initialize(models) {
+  JournalEntry = models.JournalEntry;
+  Invoice = models.Invoice;
+  PaymentHistory = models.PaymentHistory;
+  CreditNote = models.CreditNote;
+  Revenue = models.Revenue;
+  Transaction = models.Transaction;
+  SponsorInvoice = models.SponsorInvoice;
+  User = models.User;
+
+  console.log("✅ Ledger Service initialized");
+}
+
+// ============================================
+// POSTING
+// ============================================
+
+function isBalanced(lines) {
+  const debit = lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credit = lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+  return (
+    lines.length >= 2 && Math.round(debit * 100) === Math.round(credit * 100)
+  );
+}
+
+/**
+ * Post a balanced entry. Posting the same postingKey twice is a no-op, so
+ * callers can post from hooks and retries freely. Never throws: a failed
+ * posting is logged and later reported by checkConsistency().
+ * @param {object} entry - { postingKey, eventType, date, description,
+ *   sourceType, sourceId, userId, businessId, revenueType, currency, lines }
+ * @returns {Promise<object|null>} The entry, or null if not posted
+ */
+async function post(entry) {
+  const amount = entry.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  if (!(amount > 0)) return null;
+
+  try {
+    let schoolId = entry.schoolId;
+    if (!schoolId && entry.userId) {
+      const user = await User.findById(entry.userId).select("schoolId").lean();
+      schoolId = user?.schoolId;
+    }
+
+    return await JournalEntry.create({
+      ...entry,
+      entryNumber: `JE-${Date.now()}-${Math.random()
+        .toString(36)
+        .substring(2, 7)
+        .toUpperCase()}`,
+      date: entry.date || new Date(),
+      schoolId,
+      amount,
+    });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.postingKey) return null;
+
+    console.error(
+      `❌ Ledger posting ${entry.postingKey} failed:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Tax lines are left out when there is no tax
+function withoutEmptyLines(lines) {
+  return lines.filter((line) => line.debit > 0 || line.credit > 0);
+}
+
+function getMetadata(record, key) {
+  const metadata = record.metadata;
+  if (!metadata) return undefined;
+  return metadata instanceof Map ? metadata.get(key) : metadata[key];
+}
+
+/**
+ * Invoice issued: the payer owes the fee; the VAT in it is owed to the tax
+ * authority (consolidated school invoices are not posted - the student
+ * invoices they cover already are)
+ */
+async function postInvoiceIssued(invoice) {
+  if (!(invoice.amount > 0) || invoice.coveredInvoices?.length > 0) {
+    return null;
+  }
+  const taxAmount = invoice.taxAmount || 0;
+
+  return post({
+    postingKey: `invoice_issued:${invoice._id}`,
+    eventType: "invoice_issued",
+    date: invoice.createdAt,
+    description: `Invoice ${invoice.invoiceNumber}: ${invoice.description}`,
+    sourceType: "Invoice",
+    sourceId: invoice._id,
+    userId: invoice.userId,
+    revenueType: invoice.type,
+    currency: invoice.currency,
+    lines: withoutEmptyLines([
+      { account: "accounts_receivable", debit: invoice.amount },
+      {
+        account: "fee_revenue",
+        credit: roundMoney(invoice.amount - taxAmount),
+      },
+      { account: "vat_payable", credit: taxAmount },
+    ]),
+  });
+}
+
+// Posting keys for a payment's nth receipt/reversal (a payment can be
+// reversed and verified again); the first keeps the unversioned key
+function paymentPostingKey(eventType, paymentId, version) {
+  return version > 0
+    ? `${eventType}:${paymentId}:${version}`
+    : `${eventType}:${paymentId}`;
+}
+
+/**
+ * Payment confirmed (or un-confirmed): cash against the receivable. Money
+ * not tied to an invoice, or left over on a school invoice, is unapplied.
+ * A payment that leaves the paid statuses after posting (e.g. rejected by
+ * an admin) is reversed, and posted again if it is verified again; refunds
+ * go through credit notes instead.
+ */
+async function postPayment(payment) {
+  const common = {
+    sourceType: "PaymentHistory",
+    sourceId: payment._id,
+    userId: payment.userId,
+    schoolId: payment.schoolId,
+    revenueType: payment.transactionType,
+    currency: payment.currency,
+  };
+
+  const countPostings = (eventType) =>
+    JournalEntry.countDocuments({
+      sourceType: "PaymentHistory",
+      sourceId: payment._id,
+      eventType,
+    });
+  const [received, reversed] = await Promise.all([
+    countPostings("payment_received"),
+    countPostings("payment_reversed"),
+  ]);
+
+  if (PAID_HISTORY_STATUSES.includes(payment.status)) {
+    // Already posted and not reversed since
+    if (received > reversed) return null;
+
+    const creditAccount =
+      !payment.invoiceId || getMetadata(payment, "unallocated")
+        ? "unapplied_cash"
+        : "accounts_receivable";
+
+    return post({
+      ...common,
+      postingKey: paymentPostingKey("payment_received", payment._id, reversed),
+      eventType: "payment_received",
+      date: payment.paymentDate || payment.verifiedAt,
+      description: `Payment of ${payment.currency || "TZS"} ${payment.amount}${
+        getMetadata(payment, "reference")
+          ? ` (${getMetadata(payment, "reference")})`
+          : ""
+      }`,
+      lines: [
+        { account: "cash", debit: payment.amount },
+        { account: creditAccount, credit: payment.amount },
+      ],
+    });
+  }
+
+  if ((payment.refundedAmount || 0) >= payment.amount) return null;
+  if (received <= reversed) return null;
+
+  const posted = await JournalEntry.findOne({
+    postingKey: paymentPostingKey("payment_received", payment._id, reversed),
+  }).lean();
+  if (!posted) return null;
+
+  return post({
+    ...common,
+    postingKey: paymentPostingKey("payment_reversed", payment._id, reversed),
+    eventType: "payment_reversed",
+    description: `Payment ${posted.entryNumber} reversed (${payment.status})`,
+    reversesEntryId: posted._id,
+    lines: posted.lines.map((line) => ({
+      account: line.account,
+      debit: line.credit,
+      credit: line.debit,
+    })),
+  });
+}
+
+/**
+ * Credit note issued: revenue (and the VAT share) is reduced against the
+ * receivable (credit) or against cash paid back (refund)
+ */
+async function postCreditNote(creditNote, invoice) {
+  const isRefund = creditNote.type === "refund";
+  const taxAmount = creditNote.taxAmount || 0;
+
+  return post({
+    postingKey: `credit_note:${creditNote._id}`,
+    eventType: isRefund ? "refund" : "credit_note",
+    date: creditNote.issuedAt,
+    description: `${isRefund ? "Refund" : "Credit note"} ${creditNote.creditNoteNumber} on ${invoice.invoiceNumber}: ${creditNote.reason}`,
+    sourceType: "CreditNote",
+    sourceId: creditNote._id,
+    userId: invoice.userId,
+    revenueType: invoice.type,
+    currency: creditNote.currency,
+    lines: withoutEmptyLines([
+      {
+        account: "fee_revenue",
+        debit: roundMoney(creditNote.amount - taxAmount),
+      },
+      { account: "vat_payable", debit: taxAmount },
+      {
+        account: isRefund ? "cash" : "accounts_receivable",
+        credit: creditNote.amount,
+      },
+    ]),
+  });
+}
+
+/**
+ * Invoice balance written off as uncollectable
+ */
+async function postWriteOff(invoice) {
+  return post({
+    postingKey: `write_off:${invoice._id}`,
+    eventType: "write_off",
+    date: invoice.writeOff.writtenOffAt,
+    description: `Invoice ${invoice.invoiceNumber} written off: ${invoice.writeOff.reason}`,
+    sourceType: "Invoice",
+    sourceId: invoice._id,
+    userId: invoice.userId,
+    revenueType: invoice.type,
+    currency: invoice.currency,
+    lines: [
+      { account: "bad_debt_expense", debit: invoice.writeOff.amount },
+      { account: "accounts_receivable", credit: invoice.writeOff.amount },
+    ],
+  });
+}
+
+/**
+ * Business sale: the money collected is owed to the business, less the VAT
+ * on the sale and the platform commission from calculateRevenueSplit
+ * (posted separately). revenue.amount is the sale net of VAT.
+ */
+async function postSale(transaction, revenue) {
+  const { commission } = calculateRevenueSplit(
+    revenue.amount,
+    revenue.revenueType,
+  );
+  const common = {
+    sourceType: "Transaction",
+    sourceId: transaction._id,
+    userId: transaction.userId,
+    businessId: revenue.businessId,
+    revenueType: revenue.revenueType,
+    currency: transaction.currency,
+    date: revenue.revenueDate,
+  };
+
+  const sale = await post({
+    ...common,
+    postingKey: `sale:${transaction._id}`,
+    eventType: "sale",
+    description: `${transaction.referenceId}: ${transaction.description || revenue.revenueType}`,
+    lines: withoutEmptyLines([
+      {
+        account: "cash",
+        debit: roundMoney(revenue.amount + (transaction.taxAmount || 0)),
+      },
+      { account: "business_payable", credit: revenue.amount },
+      { account: "vat_payable", credit: transaction.taxAmount || 0 },
+    ]),
+  });
+
+  await post({
+    ...common,
+    postingKey: `commission:${transaction._id}`,
+    eventType: "commission",
+    description: `Commission on ${transaction.referenceId}`,
+    lines: [
+      { account: "business_payable", debit: commission },
+      { account: "commission_revenue", credit: commission },
+    ],
+  });
+
+  return sale;
+}
+
+/**
+ * Sponsor invoice issued, cancelled or paid
+ */
+async function postSponsorInvoice(sponsorInvoice) {
+  return post({
+    postingKey: `sponsor_invoice_issued:${sponsorInvoice._id}`,
+    eventType: "sponsor_invoice_issued",
+    date: sponsorInvoice.createdAt,
+    description: `Sponsor invoice ${sponsorInvoice.invoiceNumber}`,
+    sourceType: "SponsorInvoice",
+    sourceId: sponsorInvoice._id,
+    revenueType: "sponsorship",
+    currency: sponsorInvoice.currency,
+    lines: [
+      { account: "sponsor_receivable", debit: sponsorInvoice.totalAmount },
+      { account: "fee_revenue", credit: sponsorInvoice.totalAmount },
+    ],
+  });
+}
+
+async function postSponsorInvoiceCancelled(sponsorInvoice) {
+  const posted = await JournalEntry.exists({
+    postingKey: `sponsor_invoice_issued:${sponsorInvoice._id}`,
+  });
+  if (!posted) return null;
+
+  return post({
+    postingKey: `sponsor_invoice_cancelled:${sponsorInvoice._id}`,
+    eventType: "sponsor_invoice_cancelled",
+    description: `Sponsor invoice ${sponsorInvoice.invoiceNumber} cancelled`,
+    sourceType: "SponsorInvoice",
+    sourceId: sponsorInvoice._id,
+    revenueType: "sponsorship",
+    currency: sponsorInvoice.currency,
+    lines: [
+      { account: "fee_revenue", debit: sponsorInvoice.totalAmount },
+      { account: "sponsor_receivable", credit: sponsorInvoice.totalAmount },
+    ],
+  });
+}
+
+async function postSponsorPayment(sponsorInvoice, paymentIndex) {
+  const payment = sponsorInvoice.payments[paymentIndex];
+
+  return post({
+    postingKey: `sponsor_payment:${sponsorInvoice._id}:${paymentIndex}`,
+    eventType: "sponsor_payment",
+    date: payment.paidAt,
+    description: `Sponsor payment on ${sponsorInvoice.invoiceNumber} (${payment.reference})`,
+    sourceType: "SponsorInvoice",
+    sourceId: sponsorInvoice._id,
+    revenueType: "sponsorship",
+    currency: sponsorInvoice.currency,
+    lines: [
+      { account: "cash", debit: payment.amount },
+      { account: "sponsor_receivable", credit: payment.amount },
+    ],
+  });
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lt = new Date(to);
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+/**
+ * Account balances
+ * @param {object} options - { asOf }
+ */
+async function getTrialBalance({ asOf } = {}) {
+  const rows = await JournalEntry.aggregate([
+    ...(asOf ? [{ $match: { date: { $lte: new Date(asOf) } } }] : []),
+    { $unwind: "$lines" },
+    {
+      $group: {
+        _id: "$lines.account",
+        debit: { $sum: "$lines.debit" },
+        credit: { $sum: "$lines.credit" },
+      },
+    },
+  ]);
+
+  const totals = new Map(rows.map((row) => [row._id, row]));
+
+  const accounts = Object.entries(ACCOUNTS).map(([code, account]) => {
+    const { debit = 0, credit = 0 } = totals.get(code) || {};
+    const debitNormal = ["asset", "expense"].includes(account.type);
+    return {
+      code,
+      ...account,
+      debit: roundMoney(debit),
+      credit: roundMoney(credit),
+      balance: roundMoney(debitNormal ? debit - credit : credit - debit),
+    };
+  });
+
+  // Compared in cents so floating-point noise doesn't unbalance the books
+  const debit = roundMoney(
+    accounts.reduce((sum, account) => sum + account.debit, 0),
+  );
+  const credit = roundMoney(
+    accounts.reduce((sum, account) => sum + account.credit, 0),
+  );
+
+  return { accounts, totals: { debit, credit }, balanced: debit === credit };
+}
+
+async function listEntries(filter = {}, { page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (filter.account) query["lines.account"] = filter.account;
+  if (filter.eventType) query.eventType = filter.eventType;
+  if (filter.sourceId) query.sourceId = filter.sourceId;
+  if (filter.userId) query.userId = filter.userId;
+  const date = dateRange(filter.from, filter.to);
+  if (date) query.date = date;
+
+  const [entries, total] = await Promise.all([
+    JournalEntry.find(query)
+      .sort({ date: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    JournalEntry.countDocuments(query),
+  ]);
+
+  return { entries, total };
+}
+
+/**
+ * Revenue from the journal: fee revenue net of credit notes and refunds,
+ * plus business sales (gross), with the platform commission on sales
+ * @param {object} options - { from, to, businessIds }
+ * @returns {Promise<object>} { overview, byType, byMonth }
+ */
+async function getRevenueReport({ from, to, businessIds } = {}) {
+  const match = {};
+  const date = dateRange(from, to);
+  if (date) match.date = date;
+  if (businessIds) match.businessId = { $in: businessIds };
+
+  const rows = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: "$lines" },
+    {
+      $match: {
+        $or: [
+          {
+            "lines.account": { $in: ["fee_revenue", "commission_revenue"] },
+          },
+          { "lines.account": "business_payable", eventType: "sale" },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: {
+          year: { $year: "$date" },
+          month: { $month: "$date" },
+          revenueType: "$revenueType",
+          account: "$lines.account",
+        },
+        debit: { $sum: "$lines.debit" },
+        credit: { $sum: "$lines.credit" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const overview = {
+    totalRevenue: 0,
+    totalCommission: 0,
+    totalNet: 0,
+    count: 0,
+  };
+  const byType = new Map();
+  const byMonth = new Map();
+
+  for (const row of rows) {
+    const amount = row.credit - row.debit;
+
+    if (row._id.account === "commission_revenue") {
+      overview.totalCommission += amount;
+      continue;
+    }
+
+    overview.totalRevenue += amount;
+    overview.count += row.count;
+
+    const type = row._id.revenueType || "other";
+    const typeTotal = byType.get(type) || { _id: type, total: 0, count: 0 };
+    typeTotal.total += amount;
+    typeTotal.count += row.count;
+    byType.set(type, typeTotal);
+
+    const monthKey = `${row._id.year}-${row._id.month}`;
+    const monthTotal = byMonth.get(monthKey) || {
+      _id: { year: row._id.year, month: row._id.month },
+      total: 0,
+    };
+    monthTotal.total += amount;
+    byMonth.set(monthKey, monthTotal);
+  }
+
+  overview.totalNet = overview.totalRevenue - overview.totalCommission;
+
+  return {
+    overview,
+    byType: [...byType.values()].sort((a, b) => b.total - a.total),
+    byMonth: [...byMonth.values()].sort(
+      (a, b) => a._id.year - b._id.year || a._id.month - b._id.month,
+    ),
+  };
+}
+
+// ============================================
+// CONSISTENCY
+// ============================================
+
+// Records that must have a posting, and the event that posts them
+const POSTING_CHECKS = [
+  {
+    name: "invoices",
+    model: () => Invoice,
+    match: { amount: { $gt: 0 }, "coveredInvoices.0": { $exists: false } },
+    eventTypes: ["invoice_issued"],
+  },
+  {
+    name: "payments",
+    model: () => PaymentHistory,
+    match: {
+      status: { $in: PAID_HISTORY_STATUSES },
+      isDeleted: { $ne: true },
+    },
+    eventTypes: ["payment_received"],
+  },
+  {
+    name: "creditNotes",
+    model: () => CreditNote,
+    match: { status: "issued" },
+    eventTypes: ["credit_note", "refund"],
+  },
+  {
+    name: "writeOffs",
+    model: () => Invoice,
+    match: { status: "written_off" },
+    eventTypes: ["write_off"],
+  },
+  {
+    name: "sales",
+    model: () => Revenue,
+    match: { isReversal: { $ne: true }, businessId: { $exists: true } },
+    localField: "transactionId",
+    eventTypes: ["sale"],
+  },
+  {
+    name: "sponsorInvoices",
+    model: () => SponsorInvoice,
+    match: { status: { $ne: "cancelled" } },
+    eventTypes: ["sponsor_invoice_issued"],
+  },
+];
+
+function missingPostingsPipeline(check) {
+  return [
+    { $match: check.match },
+    {
+      $lookup: {
+        from: JournalEntry.collection.name,
+        let: { sourceId: `$${check.localField || "_id"}` },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$sourceId", "$$sourceId"] },
+                  { $in: ["$eventType", check.eventTypes] },
+                ],
+              },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "postings",
+      },
+    },
+    { $match: { postings: { $size: 0 } } },
+  ];
+}
+
+/**
+ * Flag records with no postings (legacy data, bulk updates that bypass the
+ * model hooks, failed postings) and entries that do not balance
+ * @returns {Promise<object>} { consistent, missingPostings, unbalancedEntries, trialBalance }
+ */
+async function checkConsistency({ sampleSize = 20 } = {}) {
+  const missingPostings = {};
+
+  for (const check of POSTING_CHECKS) {
+    const [result] = await check.model().aggregate([
+      ...missingPostingsPipeline(check),
+      {
+        $facet: {
+          count: [{ $count: "total" }],
+          sample: [
+            { $sort: { createdAt: 1 } },
+            { $limit: sampleSize },
+            { $project: { postings: 0 } },
+          ],
+        },
+      },
+    ]);
+
+    missingPostings[check.name] = {
+      count: result.count[0]?.total || 0,
+      sample: result.sample.map((record) => ({
+        _id: record._id,
+        number:
+          record.invoiceNumber ||
+          record.creditNoteNumber ||
+          record.transactionId ||
+          null,
+        amount: record.amount ?? record.totalAmount,
+        status: record.status,
+        createdAt: record.createdAt,
+      })),
+    };
+  }
+
+  const unbalanced = await JournalEntry.aggregate([
+    {
+      $project: {
+        entryNumber: 1,
+        debit: { $sum: "$lines.debit" },
+        credit: { $sum: "$lines.credit" },
+      },
+    },
+    {
+      $match: {
+        $expr: { $ne: [{ $round: ["$debit", 2] }, { $round: ["$credit", 2] }] },
+      },
+    },
+    { $limit: sampleSize },
+  ]);
+
+  const trialBalance = await getTrialBalance();
+
+  return {
+    checkedAt: new Date(),
+    consistent:
+      Object.values(missingPostings).every((check) => check.count === 0) &&
+      unbalanced.length === 0 &&
+      trialBalance.balanced,
+    missingPostings,
+    unbalancedEntries: unbalanced,
+    trialBalance: trialBalance.totals,
+  };
+}
+
+/**
+ * Post the records checkConsistency() reports as missing, dated as the
+ * original records
+ * @returns {Promise<object>} Number of entries posted per check
+ */
+async function backfill({ limit = 500 } = {}) {
+  const posted = {};
+
+  for (const check of POSTING_CHECKS) {
+    const records = await check
+      .model()
+      .aggregate([
+        ...missingPostingsPipeline(check),
+        { $sort: { createdAt: 1 } },
+        { $limit: limit },
+      ]);
+
+    posted[check.name] = 0;
+
+    for (const record of records) {
+      let entry = null;
+
+      if (check.name === "invoices") {
+        entry = await postInvoiceIssued(record);
+      } else if (check.name === "payments") {
+        entry = await postPayment(record);
+      } else if (check.name === "creditNotes") {
+        const invoice = await Invoice.findById(record.invoiceId).lean();
+        if (invoice) entry = await postCreditNote(record, invoice);
+      } else if (check.name === "writeOffs") {
+        if (record.writeOff?.amount > 0) entry = await postWriteOff(record);
+      } else if (check.name === "sales") {
+        const transaction = await Transaction.findById(
+          record.transactionId,
+        ).lean();
+        if (transaction) entry = await postSale(transaction, record);
+      } else if (check.name === "sponsorInvoices") {
+        entry = await postSponsorInvoice(record);
+        for (let index = 0; index < record.payments.length; index++) {
+          await postSponsorPayment(record, index);
+        }
+      }
+
+      if (entry) posted[check.name]++;
+    }
+  }
+
+  return posted;
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  ACCOUNTS,
+  EVENT_TYPES,
+  SOURCE_TYPES,
+  isBalanced,
+  postInvoiceIssued,
+  postPayment,
+  postCreditNote,
+  postWriteOff,
+  postSale,
+  postSponsorInvoice,
+  postSponsorInvoiceCancelled,
+  postSponsorPayment,
+  getTrialBalance,
+  listEntries,
+  getRevenueReport,
+  checkConsistency,
+  backfill,
+};
@@ -0,0 +1,245 @@
+// ============================================
+// LOGIN SECURITY SERVICE
+// ============================================
+// ✅ Per-account failed login tracking (independent of IP)
+// ✅ Progressive delays, then temporary lockout
+// ✅ Known device / IP tracking for new-login alerts
+// ============================================
+
+const crypto = require("crypto");
+
+// Models (injected when service is initialized)
+let User;
+
+/**
+ * Lockout rules
+ * - freeAttempts: failures allowed before delays start
+ * - baseDelaySeconds / maxDelaySeconds: delay doubles per extra failure
+ * - lockAfterAttempts: failures that trigger a temporary lock
+ * - lockMinutes: lock duration
+ */
+const LOGIN_LOCKOUT_POLICY = {
+  freeAttempts: 3,
+  baseDelaySeconds: 2,
+  maxDelaySeconds: 60,
+  lockAfterAttempts: 10,
+  lockMinutes: 30,
+};
+
+const MAX_KNOWN_DEVICES = 20;
+const MAX_IPS_PER_DEVICE = 10;
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  User = models.User;
+
+  console.log("✅ Login Security Service initialized");
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function getClientInfo(req = {}) {
+  return {
+    ipAddress: req.ip || req.connection?.remoteAddress || "unknown",
+    userAgent:
+      req.get?.("user-agent") || req.headers?.["user-agent"] || "unknown",
+  };
+}
+
+function getDeviceHash(userAgent) {
+  return crypto
+    .createHash("sha256")
+    .update(String(userAgent || "unknown").trim())
+    .digest("hex");
+}
+
+function getDelaySeconds(failedAttempts) {
+  const extra = failedAttempts - LOGIN_LOCKOUT_POLICY.freeAttempts;
+  if (extra <= 0) return 0;
+
+  return Math.min(
+    LOGIN_LOCKOUT_POLICY.maxDelaySeconds,
+    LOGIN_LOCKOUT_POLICY.baseDelaySeconds * 2 ** (extra - 1),
+  );
+}
+
+function secondsUntil(date) {
+  return Math.max(0, Math.ceil((new Date(date) - Date.now()) / 1000));
+}
+
+// ============================================
+// LOCKOUT
+// ============================================
+
+/**
+ * Check whether the account may attempt a login right now
+ * @param {object} user - User document (needs failedLoginAttempts, lastFailedLoginAt, loginLockedUntil)
+ * @returns {Promise<object>} { allowed } or { allowed: false, errorType, retryAfter }
+ */
+async function checkLoginAllowed(user) {
+  const now = new Date();
+
+  if (user.loginLockedUntil && user.loginLockedUntil > now) {
+    return {
+      allowed: false,
+      errorType: "ACCOUNT_LOCKED",
+      retryAfter: secondsUntil(user.loginLockedUntil),
+    };
+  }
+
+  // Lock expired - start counting again
+  if (user.loginLockedUntil) {
+    await resetFailedLogins(user._id);
+    user.failedLoginAttempts = 0;
+    user.loginLockedUntil = null;
+    return { allowed: true };
+  }
+
+  const delaySeconds = getDelaySeconds(user.failedLoginAttempts || 0);
+  if (delaySeconds > 0 && user.lastFailedLoginAt) {
+    const nextAttemptAt = new Date(
+      user.lastFailedLoginAt.getTime() + delaySeconds * 1000,
+    );
+    if (nextAttemptAt > now) {
+      return {
+        allowed: false,
+        errorType: "LOGIN_THROTTLED",
+        retryAfter: secondsUntil(nextAttemptAt),
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Record a failed login (wrong password or wrong 2FA code)
+ * @returns {Promise<object>} { failedAttempts, locked, lockedUntil, attemptsRemaining }
+ */
+async function recordFailedLogin(userId) {
+  const now = new Date();
+
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: now },
+    },
+    { new: true },
+  ).select("failedLoginAttempts");
+
+  const failedAttempts = updated?.failedLoginAttempts || 0;
+
+  if (failedAttempts >= LOGIN_LOCKOUT_POLICY.lockAfterAttempts) {
+    const lockedUntil = new Date(
+      now.getTime() + LOGIN_LOCKOUT_POLICY.lockMinutes * 60000,
+    );
+    await User.updateOne({ _id: userId }, { loginLockedUntil: lockedUntil });
+
+    return { failedAttempts, locked: true, lockedUntil, attemptsRemaining: 0 };
+  }
+
+  return {
+    failedAttempts,
+    locked: false,
+    attemptsRemaining: LOGIN_LOCKOUT_POLICY.lockAfterAttempts - failedAttempts,
+  };
+}
+
+/**
+ * Clear failed attempts and any lock
+ */
+async function resetFailedLogins(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      failedLoginAttempts: 0,
+      $unset: { lastFailedLoginAt: 1, loginLockedUntil: 1 },
+    },
+  );
+}
+
+/**
+ * Admin unlock
+ * @returns {Promise<boolean>} true if the user exists
+ */
+async function unlockAccount(userId) {
+  const result = await User.updateOne(
+    { _id: userId },
+    {
+      failedLoginAttempts: 0,
+      $unset: { lastFailedLoginAt: 1, loginLockedUntil: 1 },
+    },
+  );
+
+  return result.matchedCount > 0;
+}
+
+// ============================================
+// DEVICE / IP TRACKING
+// ============================================
+
+/**
+ * Record a successful login and detect new devices / IP addresses.
+ * The first ever login is not reported as new.
+ * @returns {Promise<object>} { isNewDevice, isNewIp, isFirstLogin, ipAddress, userAgent }
+ */
+async function recordSuccessfulLogin(userId, req = {}) {
+  const { ipAddress, userAgent } = getClientInfo(req);
+  const deviceHash = getDeviceHash(userAgent);
+  const now = new Date();
+
+  const user = await User.findById(userId).select("+knownLoginDevices");
+  const devices = user.knownLoginDevices || [];
+  const isFirstLogin = devices.length === 0;
+
+  const device = devices.find((item) => item.deviceHash === deviceHash);
+  const isNewDevice = !isFirstLogin && !device;
+  const isNewIp =
+    !isFirstLogin &&
+    !devices.some((item) => (item.ipAddresses || []).includes(ipAddress));
+
+  if (device) {
+    device.lastSeenAt = now;
+    if (!device.ipAddresses.includes(ipAddress)) {
+      device.ipAddresses.push(ipAddress);
+      device.ipAddresses = device.ipAddresses.slice(-MAX_IPS_PER_DEVICE);
+    }
+  } else {
+    devices.push({
+      deviceHash,
+      userAgent,
+      ipAddresses: [ipAddress],
+      firstSeenAt: now,
+      lastSeenAt: now,
+    });
+  }
+
+  // Keep the most recently used devices only
+  user.knownLoginDevices = devices
+    .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+    .slice(0, MAX_KNOWN_DEVICES);
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.loginLockedUntil = undefined;
+  await user.save();
+
+  return { isNewDevice, isNewIp, isFirstLogin, ipAddress, userAgent };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  LOGIN_LOCKOUT_POLICY,
+  checkLoginAllowed,
+  recordFailedLogin,
+  resetFailedLogins,
+  unlockAccount,
+  recordSuccessfulLogin,
+};
@@ -1,15 +1,17 @@
 // ==========================================
 // MONTHLY & ANNUAL BILLING SERVICE
 // ==========================================
-// ✅ Handles both monthly (Premier, Entrepreneurs) and annual (CTM Club) billing
+// ✅ Handles both monthly (Silver/Gold/Platinum, Entrepreneurs) and annual (CTM Club) billing
 // ✅ Generates invoices automatically based on billing cycle
 // ✅ FIXED: All enum references use valid Invoice type enums
+// ✅ Billing cycles run from next_billing_date (the billing day is kept month to month)
+// ✅ Plan changes (upgrade/downgrade) with prorated charge or credit
 // ==========================================
 
 const mongoose = require('mongoose');
 
 // Import models (will be injected when service is initialized)
-let User, Invoice, PaymentHistory, Notification, ActivityLog;
+let User, Invoice, PaymentHistory, Notification, ActivityLog, PlanChange;
 
 // Import pricing utilities
 const {
@@ -19,7 +21,12 @@ const {
   getMonthlyFee,
   hasMonthlyBilling,
   hasAnnualBilling,
+  getCatalog,
+  getRequiredTotal,
 } = require('../utils/packagePricing');
+const discountService = require('./discountService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // ==========================================
 // INITIALIZE SERVICE (Call this after models are defined)
@@ -30,10 +37,108 @@ function initialize(models) {
   PaymentHistory = models.PaymentHistory;
   Notification = models.Notification;
   ActivityLog = models.ActivityLog;
+  PlanChange = models.PlanChange;
   
   console.log('✅ Monthly/Annual Billing Service initialized');
 }
 
+// ==========================================
+// BILLING CYCLE HELPERS
+// ==========================================
+
+/**
+ * Day of the month the user is billed on (their registration day)
+ * @param {object} user - User with createdAt / registration_date
+ * @returns {number} 1-31
+ */
+function getBillingAnchorDay(user) {
+  return new Date(user.registration_date || user.createdAt || Date.now()).getDate();
+}
+
+/**
+ * Move a billing date by whole periods, keeping the billing day
+ * (billed on the 31st: Jan 31 -> Feb 28 -> Mar 31)
+ * @param {Date} date - Billing date to move from
+ * @param {string} cycle - 'monthly' or 'annual'
+ * @param {number} periods - Number of periods (negative to go back)
+ * @param {number} anchorDay - Billing day of the month (default: day of date)
+ * @returns {Date}
+ */
+function shiftBillingPeriod(date, cycle, periods = 1, anchorDay = null) {
+  const from = new Date(date);
+  const months = (cycle === 'annual' ? 12 : 1) * periods;
+  const target = new Date(from);
+
+  target.setDate(1);
+  target.setMonth(target.getMonth() + months);
+
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(anchorDay || from.getDate(), lastDay));
+
+  return target;
+}
+
+/**
+ * Next date the user is due to be billed
+ * Falls back to one period after the last invoice (or registration) for
+ * users billed before next_billing_date was tracked
+ * @param {object} user
+ * @param {string} cycle - 'monthly' or 'annual'
+ * @returns {Date}
+ */
+function getNextBillingDate(user, cycle) {
+  if (user.next_billing_date) return new Date(user.next_billing_date);
+
+  const lastInvoiceDate = cycle === 'annual'
+    ? user.last_annual_invoice_date
+    : user.last_monthly_invoice_date;
+
+  return shiftBillingPeriod(
+    lastInvoiceDate || user.createdAt || new Date(),
+    cycle,
+    1,
+    getBillingAnchorDay(user)
+  );
+}
+
+/**
+ * Billing period the user is in on a date
+ * @param {object} user
+ * @param {string} cycle - 'monthly' or 'annual'
+ * @param {Date} asOf - Default: now
+ * @returns {{ start: Date, end: Date }} Period [start, end)
+ */
+function getCurrentBillingPeriod(user, cycle, asOf = new Date()) {
+  const anchorDay = getBillingAnchorDay(user);
+  let end = getNextBillingDate(user, cycle);
+
+  while (end <= asOf) {
+    end = shiftBillingPeriod(end, cycle, 1, anchorDay);
+  }
+
+  return { start: shiftBillingPeriod(end, cycle, -1, anchorDay), end };
+}
+
+/**
+ * Advance a due billing date past today
+ * (a user who was not billed for several periods is billed once, not once per missed period)
+ */
+function advanceBillingDate(user, dueDate, cycle, today) {
+  const anchorDay = getBillingAnchorDay(user);
+  let next = shiftBillingPeriod(dueDate, cycle, 1, anchorDay);
+
+  while (next <= today) {
+    next = shiftBillingPeriod(next, cycle, 1, anchorDay);
+  }
+
+  return next;
+}
+
+function formatPackageName(packageType) {
+  if (!packageType) return 'Package';
+  return packageType.charAt(0).toUpperCase() + packageType.slice(1).replace(/[-_]/g, ' ');
+}
+
 // ==========================================
 // MAIN BILLING PROCESSOR
 // ==========================================
@@ -41,9 +146,12 @@ function initialize(models) {
 /**
  * Process monthly and annual billing for all users
  * - CTM Club (normal): Annual billing every 12 months
- * - Premier: Monthly billing
+ * - Silver/Gold/Platinum students: Monthly billing
  * - Entrepreneurs: Monthly billing
  * 
+ * A user is billed when their next_billing_date has arrived; the date then
+ * moves forward one period from the billing date (not from the run date)
+ * 
  * @returns {Promise<object>} Results summary
  */
 async function processMonthlyBilling() {
@@ -59,6 +167,7 @@ async function processMonthlyBilling() {
       monthly: {
         checked: 0,
         invoicesCreated: 0,
+        creditApplied: 0,
         errors: 0,
       },
       annual: {
@@ -77,72 +186,79 @@ async function processMonthlyBilling() {
       role: 'student',
       registrationType: { $in: ['normal', 'ctm-club'] },
       accountStatus: 'active',
-    }).select('_id firstName lastName registrationType institutionType last_annual_invoice_date next_billing_date');
+    }).select('_id firstName lastName role registrationType registration_type institutionType schoolId regionId createdAt registration_date last_annual_invoice_date next_billing_date');
 
     console.log(`📊 Found ${annualUsers.length} CTM Club students\n`);
     results.annual.checked = annualUsers.length;
 
     for (const user of annualUsers) {
       try {
-        // Calculate next billing date (12 months after registration or last payment)
-        const lastInvoiceDate = user.last_annual_invoice_date || user.createdAt;
-        const monthsSinceLastInvoice = Math.floor(
-          (today - new Date(lastInvoiceDate)) / (1000 * 60 * 60 * 24 * 30)
-        );
-
-        // Generate invoice if 12+ months have passed
-        if (monthsSinceLastInvoice >= 12) {
+        // Billed 12 months after registration, then every 12 months
+        const dueDate = getNextBillingDate(user, 'annual');
+
+        if (dueDate <= today) {
           const annualFee = getStudentAnnualFee(
             user.registrationType,
             user.institutionType || 'government'
           );
 
           if (annualFee && annualFee > 0) {
-            // ✅ FIXED: Check for existing invoice with correct type
+            const nextBillingDate = advanceBillingDate(user, dueDate, 'annual', today);
+
+            // ✅ One renewal invoice per billing period
             const existingInvoice = await Invoice.findOne({
-              user_id: user._id,
+              userId: user._id,
               type: 'registration_fee',  // ✅ FIXED: Use valid enum value
-              createdAt: { $gte: new Date(today.getFullYear(), today.getMonth(), 1) },
+              'billingPeriod.start': dueDate,
             });
 
             if (!existingInvoice) {
               // Create annual renewal invoice
               const invoiceNumber = `INV-ANNUAL-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`;
 
+              // ✅ Scholarships/sponsorships covering the student
+              const pricing = await discountService.priceInvoice(user, 'registration_fee', annualFee);
+
               // ✅ FIXED: Create invoice with valid enum type
               await Invoice.create({
-                user_id: user._id,
+                userId: user._id,
                 invoiceNumber,
                 type: 'registration_fee',  // ✅ FIXED: CTM renewal uses registration_fee
                 description: `CTM Club Annual Renewal - ${today.getFullYear()}`,
-                amount: annualFee,
+                amount: pricing.amount,
+                ...pricing.fields,
                 currency: 'TZS',
-                status: 'unpaid',
+                pricingVersion: getCatalog().version,
+                billingPeriod: { start: dueDate, end: nextBillingDate },
+                status: pricing.amount > 0 ? 'unpaid' : 'paid',
+                ...(pricing.amount === 0 && { paidDate: today }),
                 dueDate: new Date(today.getTime() + 30 * 24 * 60 * 60 * 1000), // 30 days to pay
                 academicYear: today.getFullYear().toString(),
               });
 
-              // Update user's next billing date
-              user.last_annual_invoice_date = today;
-              user.next_billing_date = new Date(today.getFullYear() + 1, today.getMonth(), today.getDate());
-              await user.save();
-
               // Create notification
               if (Notification) {
                 await Notification.create({
                   userId: user._id,
                   title: 'Annual Renewal Invoice',
-                  message: `Your CTM Club annual renewal invoice of TZS ${annualFee.toLocaleString()} has been generated. Due in 30 days.`,
+                  message: pricing.amount > 0
+                    ? `Your CTM Club annual renewal invoice of TZS ${pricing.amount.toLocaleString()} has been generated. Due in 30 days.`
+                    : `Your CTM Club annual renewal of TZS ${annualFee.toLocaleString()} is fully covered by your scholarship/sponsorship.`,
                   type: 'payment',
                   actionUrl: '/invoices',
                 });
               }
 
-              console.log(`✅ Annual invoice created: ${user.firstName} ${user.lastName} - TZS ${annualFee.toLocaleString()}`);
+              console.log(`✅ Annual invoice created: ${user.firstName} ${user.lastName} - TZS ${pricing.amount.toLocaleString()}`);
               results.annual.invoicesCreated++;
             } else {
               console.log(`⏭️  Invoice already exists for ${user.firstName} ${user.lastName}`);
             }
+
+            // Update user's next billing date
+            user.last_annual_invoice_date = today;
+            user.next_billing_date = nextBillingDate;
+            await user.save();
           }
         }
       } catch (error) {
@@ -152,82 +268,103 @@ async function processMonthlyBilling() {
     }
 
     // ============================================
-    // 2️⃣ PROCESS MONTHLY BILLING (Premier & Entrepreneurs)
+    // 2️⃣ PROCESS MONTHLY BILLING (Student packages & Entrepreneurs)
     // ============================================
-    console.log('\n📅 Processing MONTHLY billing (Premier students & Entrepreneurs)...\n');
+    console.log('\n📅 Processing MONTHLY billing (Student packages & Entrepreneurs)...\n');
+
+    const studentPackages = getCatalog().studentPackages;
+    const monthlyStudentPackages = Object.keys(studentPackages)
+      .filter((key) => studentPackages[key].billingCycle === 'monthly');
 
     const monthlyUsers = await User.find({
       $or: [
-        { role: 'student', registrationType: 'premier', accountStatus: 'active' },
-        { role: 'entrepreneur', accountStatus: 'active' },
+        { role: 'student', registrationType: { $in: monthlyStudentPackages }, accountStatus: 'active' },
+        { role: { $in: ['entrepreneur', 'nonstudent'] }, accountStatus: 'active' },
       ],
-    }).select('_id firstName lastName role registrationType last_monthly_invoice_date next_billing_date');
+    }).select('_id firstName lastName role registrationType registration_type schoolId regionId createdAt registration_date last_monthly_invoice_date next_billing_date billing_credit');
 
     console.log(`📊 Found ${monthlyUsers.length} users with monthly billing\n`);
     results.monthly.checked = monthlyUsers.length;
 
     for (const user of monthlyUsers) {
       try {
-        // Calculate next billing date (1 month after last invoice)
-        const lastInvoiceDate = user.last_monthly_invoice_date || user.createdAt;
-        const daysSinceLastInvoice = Math.floor(
-          (today - new Date(lastInvoiceDate)) / (1000 * 60 * 60 * 24)
-        );
-
-        // Generate invoice if 30+ days have passed
-        if (daysSinceLastInvoice >= 30) {
+        // Billed one month after registration, then monthly on the same day
+        const dueDate = getNextBillingDate(user, 'monthly');
+
+        if (dueDate <= today) {
           const monthlyFee = getMonthlyFee(user.registrationType, user.role);
 
           if (monthlyFee && monthlyFee > 0) {
+            const nextBillingDate = advanceBillingDate(user, dueDate, 'monthly', today);
+
             // Check if invoice already exists for this period
             const existingInvoice = await Invoice.findOne({
-              user_id: user._id,
+              userId: user._id,
               type: 'monthly_fee',
-              createdAt: { $gte: new Date(today.getFullYear(), today.getMonth(), 1) },
+              'billingPeriod.start': dueDate,
             });
 
             if (!existingInvoice) {
               // Create monthly invoice
               const invoiceNumber = `INV-MONTHLY-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`;
 
+              // ✅ Discounts/sponsorships first, then credit left over from a downgrade
+              const pricing = await discountService.priceInvoice(user, 'monthly_fee', monthlyFee);
+              const credit = Math.min(user.billing_credit || 0, pricing.amount);
+              const amount = pricing.amount - credit;
+
               // ✅ FIXED: All monthly subscriptions use 'monthly_fee' type
+              const month = today.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
               const description = user.role === 'student' 
-                ? `Premier Monthly Fee - ${today.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`
-                : `Monthly Subscription - ${today.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+                ? `${formatPackageName(user.registrationType)} Monthly Fee - ${month}`
+                : `Monthly Subscription - ${month}`;
 
               await Invoice.create({
-                user_id: user._id,
+                userId: user._id,
                 invoiceNumber,
                 type: 'monthly_fee',  // ✅ FIXED: All monthly billing uses monthly_fee
-                description,
-                amount: monthlyFee,
+                description: credit > 0
+                  ? `${description} (TZS ${credit.toLocaleString()} plan change credit applied)`
+                  : description,
+                amount,
+                ...pricing.fields,
                 currency: 'TZS',
-                status: 'unpaid',
+                pricingVersion: getCatalog().version,
+                billingPeriod: { start: dueDate, end: nextBillingDate },
+                status: amount > 0 ? 'unpaid' : 'paid',
+                ...(amount === 0 && { paidDate: today }),
                 dueDate: new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000), // 7 days to pay
                 academicYear: today.getFullYear().toString(),
               });
 
-              // Update user's next billing date
-              user.last_monthly_invoice_date = today;
-              user.next_billing_date = new Date(today.getFullYear(), today.getMonth() + 1, today.getDate());
-              await user.save();
+              if (credit > 0) {
+                user.billing_credit = (user.billing_credit || 0) - credit;
+                results.monthly.creditApplied += credit;
+              }
 
               // Create notification
               if (Notification) {
                 await Notification.create({
                   userId: user._id,
                   title: 'Monthly Invoice Generated',
-                  message: `Your monthly invoice of TZS ${monthlyFee.toLocaleString()} has been generated. Due in 7 days.`,
+                  message: amount > 0
+                    ? `Your monthly invoice of TZS ${amount.toLocaleString()} has been generated. Due in 7 days.`
+                    : `Your monthly fee of TZS ${monthlyFee.toLocaleString()} was covered by ${credit > 0 ? 'your plan change credit' : 'your scholarship/sponsorship'}.`,
                   type: 'payment',
                   actionUrl: '/invoices',
                 });
               }
 
-              console.log(`✅ Monthly invoice created: ${user.firstName} ${user.lastName} (${user.role}) - TZS ${monthlyFee.toLocaleString()}`);
+              console.log(`✅ Monthly invoice created: ${user.firstName} ${user.lastName} (${user.role}) - TZS ${amount.toLocaleString()}`);
               results.monthly.invoicesCreated++;
             } else {
               console.log(`⏭️  Invoice already exists for ${user.firstName} ${user.lastName}`);
             }
+
+            // Update user's next billing date
+            user.last_monthly_invoice_date = today;
+            user.next_billing_date = nextBillingDate;
+            await user.save();
           }
         }
       } catch (error) {
@@ -246,9 +383,10 @@ async function processMonthlyBilling() {
     console.log(`   - Checked: ${results.annual.checked} users`);
     console.log(`   - Invoices Created: ${results.annual.invoicesCreated}`);
     console.log(`   - Errors: ${results.annual.errors}`);
-    console.log(`\n📅 Monthly Billing (Premier/Entrepreneurs):`);
+    console.log(`\n📅 Monthly Billing (Student packages/Entrepreneurs):`);
     console.log(`   - Checked: ${results.monthly.checked} users`);
     console.log(`   - Invoices Created: ${results.monthly.invoicesCreated}`);
+    console.log(`   - Credit Applied: TZS ${results.monthly.creditApplied.toLocaleString()}`);
     console.log(`   - Errors: ${results.monthly.errors}`);
     console.log('========================================\n');
 
@@ -259,10 +397,273 @@ async function processMonthlyBilling() {
   }
 }
 
+// ==========================================
+// PLAN CHANGES (UPGRADE / DOWNGRADE)
+// ==========================================
+
+/**
+ * Monthly packages a user can move between
+ * @param {string} role - student, entrepreneur or nonstudent
+ * @returns {string[]} Package keys (e.g. ['silver', 'gold', 'platinum'])
+ */
+function getChangeablePackages(role) {
+  const catalog = getCatalog();
+
+  if (role === 'student') {
+    return Object.keys(catalog.studentPackages)
+      .filter((key) => catalog.studentPackages[key].billingCycle === 'monthly');
+  }
+  if (role === 'entrepreneur' || role === 'nonstudent') {
+    return Object.keys(catalog.entrepreneurPackages);
+  }
+
+  return [];
+}
+
+/**
+ * Invoice that billed the user's current monthly period, if any
+ * (the monthly invoice for the period, or the registration invoice that
+ * paid for the first month)
+ */
+async function findCurrentCycleInvoice(user, period) {
+  return Invoice.findOne({
+    userId: user._id,
+    type: { $in: ['monthly_fee', 'registration_fee'] },
+    status: { $ne: 'cancelled' },
+    planChangeId: { $exists: false },
+    $or: [
+      { 'billingPeriod.start': period.start },
+      {
+        billingPeriod: { $exists: false },
+        createdAt: { $gte: new Date(period.start.getTime() - DAY_MS), $lt: period.end },
+      },
+    ],
+  }).sort({ createdAt: -1 });
+}
+
+/**
+ * Work out what moving a user to another package costs
+ * 
+ * - The current period is prorated by the days left in it: the new plan's
+ *   share is charged, the old plan's share is credited. Nothing is prorated
+ *   if the current period has not been billed yet.
+ * - Upgrading to a package with a higher registration fee charges the
+ *   difference (priced as of the user's registration); downgrades don't
+ *   refund registration fees.
+ * - A net credit is carried to the next monthly invoice.
+ * 
+ * @param {object} user - User document
+ * @param {string} toPackage - Target package
+ * @param {Date} asOf - Date of the change (default: now)
+ * @returns {Promise<object>} { success, quote } or { success: false, error, errorType }
+ */
+async function quotePlanChange(user, toPackage, asOf = new Date()) {
+  const fromPackage = user.registrationType || user.registration_type;
+  const packages = getChangeablePackages(user.role);
+
+  if (!packages.includes(fromPackage)) {
+    return {
+      success: false,
+      error: `${formatPackageName(fromPackage)} is not a monthly package and cannot be changed here`,
+      errorType: 'PLAN_NOT_CHANGEABLE',
+    };
+  }
+  if (!packages.includes(toPackage)) {
+    return {
+      success: false,
+      error: `Choose one of: ${packages.join(', ')}`,
+      errorType: 'INVALID_PACKAGE',
+    };
+  }
+  if (fromPackage === toPackage) {
+    return {
+      success: false,
+      error: `Already on the ${formatPackageName(toPackage)} package`,
+      errorType: 'SAME_PLAN',
+    };
+  }
+
+  const period = getCurrentBillingPeriod(user, 'monthly', asOf);
+  const cycleInvoice = await findCurrentCycleInvoice(user, period);
+
+  const oldMonthlyFee = getMonthlyFee(fromPackage, user.role, asOf) || 0;
+  const newMonthlyFee = getMonthlyFee(toPackage, user.role, asOf) || 0;
+
+  const daysInPeriod = Math.round((period.end - period.start) / DAY_MS);
+  const daysRemaining = Math.min(
+    daysInPeriod,
+    Math.max(0, Math.ceil((period.end - asOf) / DAY_MS))
+  );
+
+  const credit = cycleInvoice
+    ? Math.round((oldMonthlyFee * daysRemaining) / daysInPeriod)
+    : 0;
+  const charge = cycleInvoice
+    ? Math.round((newMonthlyFee * daysRemaining) / daysInPeriod)
+    : 0;
+  const net = charge - credit;
+
+  // Registration fees are one-off: an upgrade pays the difference, after
+  // the user's scholarships/sponsorships
+  const registrationDiscounts = await discountService.getRegistrationDiscounts(user);
+  const registrationTopUp = Math.max(
+    0,
+    getRequiredTotal(user.role, toPackage, user.institutionType, user.createdAt, registrationDiscounts) -
+      getRequiredTotal(user.role, fromPackage, user.institutionType, user.createdAt, registrationDiscounts)
+  );
+
+  return {
+    success: true,
+    quote: {
+      fromPackage,
+      toPackage,
+      direction: newMonthlyFee >= oldMonthlyFee ? 'upgrade' : 'downgrade',
+      effectiveAt: asOf,
+      periodStart: period.start,
+      periodEnd: period.end,
+      daysInPeriod,
+      daysRemaining,
+      currentPeriodBilled: !!cycleInvoice,
+      oldMonthlyFee,
+      newMonthlyFee,
+      credit,
+      charge,
+      net,
+      registrationTopUp,
+      amountDue: Math.max(0, net) + registrationTopUp,
+      creditCarried: Math.max(0, -net),
+      nextBillingDate: period.end,
+      pricingVersion: getCatalog(asOf).version,
+    },
+  };
+}
+
+/**
+ * Move a user to another monthly package
+ * Issues the adjusting invoice(s), carries any credit to the next monthly
+ * invoice and records the change in PlanChange
+ * 
+ * @param {string} userId
+ * @param {string} toPackage
+ * @param {object} options - { changedBy, reason }
+ * @returns {Promise<object>} { success, planChange, invoices } or { success: false, error, errorType }
+ */
+async function changePlan(userId, toPackage, { changedBy = null, reason = '' } = {}) {
+  const user = await User.findById(userId);
+  if (!user) {
+    return { success: false, error: 'User not found', errorType: 'NOT_FOUND' };
+  }
+
+  const now = new Date();
+  const quoted = await quotePlanChange(user, toPackage, now);
+  if (!quoted.success) return quoted;
+
+  const { quote } = quoted;
+
+  // ✅ Claim the change: a concurrent change of the same user fails here
+  const claimed = await User.updateOne(
+    { _id: user._id, registration_type: quote.fromPackage },
+    {
+      $set: {
+        registration_type: toPackage,
+        registrationType: toPackage,
+        next_billing_date: quote.nextBillingDate,
+      },
+      $inc: { billing_credit: quote.creditCarried },
+    }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return {
+      success: false,
+      error: 'The package was changed by someone else - please retry',
+      errorType: 'CONCURRENT_CHANGE',
+    };
+  }
+
+  const planChange = new PlanChange({
+    userId: user._id,
+    role: user.role,
+    ...quote,
+    changedBy,
+    reason,
+  });
+
+  const invoices = [];
+  const baseInvoice = {
+    userId: user._id,
+    currency: 'TZS',
+    pricingVersion: quote.pricingVersion,
+    planChangeId: planChange._id,
+    status: 'unpaid',
+    dueDate: new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000), // 7 days to pay
+    academicYear: now.getFullYear().toString(),
+  };
+  const changeLabel = `${formatPackageName(quote.fromPackage)} → ${formatPackageName(toPackage)}`;
+
+  if (quote.net > 0) {
+    invoices.push(await Invoice.create({
+      ...baseInvoice,
+      invoiceNumber: `INV-PLAN-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`,
+      type: 'monthly_fee',
+      description: `Plan change ${changeLabel} - prorated ${quote.daysRemaining}/${quote.daysInPeriod} days`,
+      amount: quote.net,
+      billingPeriod: { start: now, end: quote.periodEnd },
+    }));
+  }
+
+  if (quote.registrationTopUp > 0) {
+    invoices.push(await Invoice.create({
+      ...baseInvoice,
+      invoiceNumber: `INV-PLAN-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`,
+      type: 'registration_fee',
+      description: `Plan change ${changeLabel} - registration fee difference`,
+      amount: quote.registrationTopUp,
+    }));
+  }
+
+  planChange.invoiceIds = invoices.map((invoice) => invoice._id);
+  await planChange.save();
+
+  if (Notification) {
+    await Notification.create({
+      userId: user._id,
+      title: `Package changed to ${formatPackageName(toPackage)}`,
+      message: quote.amountDue > 0
+        ? `Your package is now ${formatPackageName(toPackage)}. An invoice of TZS ${quote.amountDue.toLocaleString()} covers the change.`
+        : `Your package is now ${formatPackageName(toPackage)}. TZS ${quote.creditCarried.toLocaleString()} will be credited on your next monthly invoice.`,
+      type: 'payment',
+      actionUrl: '/invoices',
+    });
+  }
+
+  console.log(`🔁 Plan change: ${user._id} ${changeLabel} (due TZS ${quote.amountDue}, credit TZS ${quote.creditCarried})`);
+
+  return { success: true, planChange, invoices };
+}
+
+/**
+ * Plan change history of a user, newest first
+ */
+async function getPlanChanges(userId) {
+  return PlanChange.find({ userId })
+    .populate('changedBy', 'firstName lastName username role')
+    .populate('invoiceIds', 'invoiceNumber type amount status')
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
 // ==========================================
 // EXPORTS
 // ==========================================
 module.exports = {
   initialize,
   processMonthlyBilling,
+  shiftBillingPeriod,
+  getNextBillingDate,
+  getCurrentBillingPeriod,
+  getChangeablePackages,
+  quotePlanChange,
+  changePlan,
+  getPlanChanges,
 };
@@ -0,0 +1,383 @@
+// ============================================
+// OTP SERVICE
+// ============================================
+// ✅ One-time passcodes delivered by SMS
+// ✅ Used for password reset, phone verification and login step-up
+// ✅ Codes are stored hashed, never in plain text
+// ============================================
+
+const crypto = require("crypto");
+const smsService = require("./smsService");
+
+// Models (injected when service is initialized)
+let OTP, User, SMSLog;
+
+// ============================================
+// PER-PURPOSE POLICIES
+// ============================================
+
+/**
+ * OTP rules for each purpose
+ * - ttlMinutes: how long a code stays valid
+ * - maxAttempts: wrong guesses allowed before lockout
+ * - resendCooldownSeconds: minimum gap between two sends
+ * - maxSendsPerWindow / sendWindowMinutes: send cap before lockout
+ * - lockoutMinutes: how long the phone is blocked for this purpose
+ */
+const OTP_POLICIES = {
+  password_reset: {
+    ttlMinutes: 10,
+    maxAttempts: 5,
+    resendCooldownSeconds: 60,
+    maxSendsPerWindow: 5,
+    sendWindowMinutes: 60,
+    lockoutMinutes: 30,
+  },
+  phone_verification: {
+    ttlMinutes: 15,
+    maxAttempts: 5,
+    resendCooldownSeconds: 60,
+    maxSendsPerWindow: 5,
+    sendWindowMinutes: 60,
+    lockoutMinutes: 30,
+  },
+  login_step_up: {
+    ttlMinutes: 5,
+    maxAttempts: 3,
+    resendCooldownSeconds: 30,
+    maxSendsPerWindow: 5,
+    sendWindowMinutes: 30,
+    lockoutMinutes: 15,
+  },
+};
+
+const OTP_PURPOSES = Object.keys(OTP_POLICIES);
+const OTP_LENGTH = 6;
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  OTP = models.OTP;
+  User = models.User;
+  SMSLog = models.SMSLog;
+
+  console.log("✅ OTP Service initialized");
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function getSecret() {
+  return process.env.OTP_SECRET || process.env.JWT_SECRET;
+}
+
+/**
+ * Hash an OTP code, bound to the phone number and purpose
+ */
+function hashCode(code, phoneNumber, purpose) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`${purpose}:${phoneNumber}:${code}`)
+    .digest("hex");
+}
+
+/**
+ * Generate a numeric OTP code
+ */
+function generateCode(length = OTP_LENGTH) {
+  let code = "";
+  for (let i = 0; i < length; i++) {
+    code += crypto.randomInt(0, 10).toString();
+  }
+  return code;
+}
+
+function secondsUntil(date) {
+  return Math.max(0, Math.ceil((new Date(date) - Date.now()) / 1000));
+}
+
+function lockedResult(record) {
+  return {
+    success: false,
+    error: "Too many attempts. Please try again later.",
+    errorType: "OTP_LOCKED",
+    retryAfter: secondsUntil(record.lockedUntil),
+  };
+}
+
+// ============================================
+// SEND OTP
+// ============================================
+
+/**
+ * Generate, store and send an OTP code by SMS
+ * @param {string} phoneNumber - Destination phone number
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {object} options - { userId }
+ * @returns {Promise<object>} { success, expiresAt, resendAvailableAt } or { success: false, error, errorType, retryAfter }
+ */
+async function sendOTP(phoneNumber, purpose, options = {}) {
+  const policy = OTP_POLICIES[purpose];
+  if (!policy) {
+    throw new Error(`Unknown OTP purpose: ${purpose}`);
+  }
+  if (!phoneNumber) {
+    throw new Error("Phone number is required to send an OTP");
+  }
+
+  const now = new Date();
+
+  let record = await OTP.findOne({ phoneNumber, purpose });
+  if (!record) {
+    record = new OTP({ phoneNumber, purpose, windowStartedAt: now });
+  }
+
+  if (options.userId) {
+    record.userId = options.userId;
+  }
+
+  // 1. Locked out?
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return lockedResult(record);
+  }
+
+  // 2. Resend cooldown
+  if (record.lastSentAt) {
+    const resendAvailableAt = new Date(
+      record.lastSentAt.getTime() + policy.resendCooldownSeconds * 1000,
+    );
+    if (resendAvailableAt > now) {
+      return {
+        success: false,
+        error: "Please wait before requesting another code.",
+        errorType: "OTP_COOLDOWN",
+        retryAfter: secondsUntil(resendAvailableAt),
+      };
+    }
+  }
+
+  // 3. Send cap per window
+  const windowEnd = record.windowStartedAt
+    ? new Date(
+        record.windowStartedAt.getTime() + policy.sendWindowMinutes * 60000,
+      )
+    : null;
+  if (!windowEnd || windowEnd <= now) {
+    record.windowStartedAt = now;
+    record.sendCount = 0;
+  }
+
+  if (record.sendCount >= policy.maxSendsPerWindow) {
+    record.lockedUntil = new Date(
+      now.getTime() + policy.lockoutMinutes * 60000,
+    );
+    record.codeHash = null;
+    await record.save();
+    console.warn(`🚫 OTP send limit reached for ${phoneNumber} (${purpose})`);
+    return lockedResult(record);
+  }
+
+  // 4. Issue new code (replaces any previous one)
+  const code = generateCode();
+  record.codeHash = hashCode(code, phoneNumber, purpose);
+  record.expiresAt = new Date(now.getTime() + policy.ttlMinutes * 60000);
+  record.attempts = 0;
+  record.lastSentAt = now;
+  record.sendCount += 1;
+  record.verifiedAt = null;
+  record.lockedUntil = null;
+  await record.save();
+
+  const smsResult = await smsService.sendOTPSMS(
+    phoneNumber,
+    code,
+    policy.ttlMinutes,
+    purpose,
+  );
+
+  // SMS fallback mode (no credentials) is accepted outside production
+  const delivered =
+    smsResult.success ||
+    (smsResult.fallbackMode && process.env.NODE_ENV !== "production");
+
+  if (SMSLog) {
+    try {
+      await SMSLog.create({
+        userId: record.userId,
+        phone: phoneNumber,
+        message: `OTP (${purpose}) sent`,
+        type: "otp",
+        status: smsResult.success ? "sent" : "failed",
+        messageId: smsResult.messageId,
+        reference: `otp_${purpose}`,
+        errorMessage: smsResult.success ? undefined : smsResult.error,
+      });
+    } catch (logError) {
+      console.error("❌ Failed to log OTP SMS:", logError.message);
+    }
+  }
+
+  if (!delivered) {
+    // Invalidate the code so it cannot be guessed without being delivered
+    record.codeHash = null;
+    record.lastSentAt = null;
+    record.sendCount = Math.max(0, record.sendCount - 1);
+    await record.save();
+
+    console.error(`❌ OTP SMS failed for ${phoneNumber}:`, smsResult.error);
+    return {
+      success: false,
+      error: "Failed to send verification code. Please try again.",
+      errorType: "OTP_SEND_FAILED",
+    };
+  }
+
+  console.log(`📲 OTP sent to ${phoneNumber} (${purpose})`);
+
+  return {
+    success: true,
+    expiresAt: record.expiresAt,
+    resendAvailableAt: new Date(
+      now.getTime() + policy.resendCooldownSeconds * 1000,
+    ),
+  };
+}
+
+// ============================================
+// VERIFY OTP
+// ============================================
+
+/**
+ * Verify an OTP code. A code can only be used once.
+ * Verifying a phone_verification code marks the user's phone as verified.
+ * @param {string} phoneNumber - Phone number the code was sent to
+ * @param {string} code - Code entered by the user
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @returns {Promise<object>} { success, message } or { success: false, error, errorType }
+ */
+async function verifyOTP(phoneNumber, code, purpose) {
+  const policy = OTP_POLICIES[purpose];
+  if (!policy) {
+    throw new Error(`Unknown OTP purpose: ${purpose}`);
+  }
+
+  const now = new Date();
+  const record = phoneNumber
+    ? await OTP.findOne({ phoneNumber, purpose })
+    : null;
+
+  if (record && record.lockedUntil && record.lockedUntil > now) {
+    return lockedResult(record);
+  }
+
+  if (!record || !record.codeHash) {
+    return {
+      success: false,
+      error: "No active code. Please request a new one.",
+      errorType: "OTP_NOT_FOUND",
+    };
+  }
+
+  const { codeHash } = record;
+
+  if (!record.expiresAt || record.expiresAt <= now) {
+    await OTP.updateOne(
+      { _id: record._id, codeHash },
+      { $set: { codeHash: null } },
+    );
+    return {
+      success: false,
+      error: "Code has expired. Please request a new one.",
+      errorType: "OTP_EXPIRED",
+    };
+  }
+
+  // Count the attempt before comparing, and only while attempts remain for
+  // this code, so parallel guesses can't go past maxAttempts
+  const attempt = await OTP.findOneAndUpdate(
+    {
+      _id: record._id,
+      codeHash,
+      attempts: { $lt: policy.maxAttempts },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true },
+  );
+
+  if (!attempt) {
+    return {
+      success: false,
+      error: "No active code. Please request a new one.",
+      errorType: "OTP_NOT_FOUND",
+    };
+  }
+
+  const expected = Buffer.from(codeHash, "hex");
+  const actual = Buffer.from(
+    hashCode(String(code || "").trim(), phoneNumber, purpose),
+    "hex",
+  );
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    if (attempt.attempts >= policy.maxAttempts) {
+      const lockedUntil = new Date(
+        now.getTime() + policy.lockoutMinutes * 60000,
+      );
+      await OTP.updateOne(
+        { _id: record._id, codeHash },
+        { $set: { codeHash: null, lockedUntil } },
+      );
+      console.warn(`🚫 OTP locked for ${phoneNumber} (${purpose})`);
+      return lockedResult({ lockedUntil });
+    }
+
+    return {
+      success: false,
+      error: "Invalid code",
+      errorType: "OTP_INVALID",
+      attemptsRemaining: policy.maxAttempts - attempt.attempts,
+    };
+  }
+
+  // ✅ Valid code - consume it (only one request can clear this hash)
+  const consumed = await OTP.findOneAndUpdate(
+    { _id: record._id, codeHash },
+    { $set: { codeHash: null, attempts: 0, verifiedAt: now } },
+    { new: true },
+  );
+
+  if (!consumed) {
+    return {
+      success: false,
+      error: "No active code. Please request a new one.",
+      errorType: "OTP_NOT_FOUND",
+    };
+  }
+
+  if (purpose === "phone_verification") {
+    const filter = record.userId ? { _id: record.userId } : { phoneNumber };
+    await User.updateOne(filter, {
+      isPhoneVerified: true,
+      updatedAt: now,
+    });
+    console.log(`✅ Phone verified: ${phoneNumber}`);
+  }
+
+  return {
+    success: true,
+    message: "Code verified successfully",
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  sendOTP,
+  verifyOTP,
+  OTP_POLICIES,
+  OTP_PURPOSES,
+};
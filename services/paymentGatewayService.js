@@ -0,0 +1,574 @@
+// ============================================
+// MOBILE MONEY PAYMENT GATEWAY SERVICE
+// ============================================
+// ✅ Starts push-USSD / STK collections for azampay, vodacom_lipa,
+//    tigopesa and halopesa through a pluggable provider
+// ✅ Tracks every checkout (PaymentCheckout) from initiation to result
+// ✅ Provider callbacks are settled by paymentSettlementService
+// ✅ "fake" provider simulates the whole flow offline (never in production)
+// ============================================
+
+const crypto = require("crypto");
+const axios = require("axios");
+const smsService = require("./smsService");
+const paymentSettlementService = require("./paymentSettlementService");
+
+// Models (injected when service is initialized)
+let PaymentCheckout, Invoice, PaymentHistory;
+
+/**
+ * Mobile money methods we collect with (same names as batch-validate)
+ * - azampayProvider: MNO code used by the AzamPay checkout API
+ */
+const PAYMENT_METHODS = {
+  azampay: { label: "AzamPesa", azampayProvider: "Azampesa" },
+  vodacom_lipa: { label: "Vodacom M-Pesa", azampayProvider: "Mpesa" },
+  tigopesa: { label: "Tigo Pesa", azampayProvider: "Tigo" },
+  halopesa: { label: "HaloPesa", azampayProvider: "Halopesa" },
+};
+
+// Pending checkouts with no callback after this are shown as expired
+const CHECKOUT_TTL_MINUTES = 15;
+
+// Invoice statuses that can still be paid
+const PAYABLE_INVOICE_STATUSES = [
+  "unpaid",
+  "pending",
+  "partially_paid",
+  "overdue",
+];
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+/**
+ * Provider factories. Each provider implements:
+ * - initiate(checkout) -> { providerTransactionId, message }
+ * - verifyCallback(req) -> boolean
+ * - parseCallback(body) -> { reference, providerTransactionId, status: "succeeded"|"failed", amount, failureReason }
+ */
+const PROVIDERS = {
+  azampay: () => {
+    const authUrl =
+      process.env.AZAMPAY_AUTH_URL ||
+      "https://authenticator-sandbox.azampay.co.tz";
+    const baseUrl =
+      process.env.AZAMPAY_BASE_URL || "https://sandbox.azampay.co.tz";
+    let accessToken = null;
+    let tokenExpiresAt = 0;
+
+    async function getAccessToken() {
+      if (accessToken && Date.now() < tokenExpiresAt) return accessToken;
+
+      const response = await axios.post(
+        `${authUrl}/AppRegistration/GenerateToken`,
+        {
+          appName: process.env.AZAMPAY_APP_NAME,
+          clientId: process.env.AZAMPAY_CLIENT_ID,
+          clientSecret: process.env.AZAMPAY_CLIENT_SECRET,
+        },
+        { timeout: 15000 },
+      );
+
+      accessToken = response.data?.data?.accessToken;
+      // Tokens are valid for an hour; refresh a little early
+      tokenExpiresAt = Date.now() + 55 * 60 * 1000;
+      return accessToken;
+    }
+
+    return {
+      initiate: async (checkout) => {
+        const response = await axios.post(
+          `${baseUrl}/azampay/mno/checkout`,
+          {
+            accountNumber: checkout.phoneNumber,
+            amount: String(checkout.amount),
+            currency: checkout.currency,
+            externalId: checkout.reference,
+            provider: PAYMENT_METHODS[checkout.method].azampayProvider,
+          },
+          {
+            headers: {
+              Authorization: `Bearer ${await getAccessToken()}`,
+              "X-API-Key": process.env.AZAMPAY_API_KEY,
+            },
+            timeout: 30000,
+          },
+        );
+
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "AzamPay checkout failed");
+        }
+
+        return {
+          providerTransactionId: response.data.transactionId,
+          message: response.data.message,
+        };
+      },
+
+      // AzamPay callbacks are not signed - the callback URL carries a secret token
+      verifyCallback: (req) => isValidCallbackToken(req.query?.token),
+
+      parseCallback: (body) => ({
+        reference: body.utilityref,
+        providerTransactionId: body.reference || body.fspReferenceId,
+        status:
+          String(body.transactionstatus).toLowerCase() === "success"
+            ? "succeeded"
+            : "failed",
+        amount: Number(body.amount),
+        failureReason: body.message,
+      }),
+    };
+  },
+
+  fake: () => ({
+    initiate: async (checkout) => ({
+      providerTransactionId: `FAKE-${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+      message: `Sandbox: no USSD push sent to ${checkout.phoneNumber}`,
+    }),
+
+    verifyCallback: (req) => isValidCallbackToken(req.query?.token),
+
+    parseCallback: (body) => ({
+      reference: body.reference,
+      providerTransactionId: body.transactionId,
+      status: body.status === "success" ? "succeeded" : "failed",
+      amount: Number(body.amount),
+      failureReason: body.message,
+    }),
+
+    /**
+     * Build the callback body the fake provider would send
+     * @param {object} checkout
+     * @param {string} outcome - "success" or "failed"
+     */
+    simulateCallback: (checkout, outcome = "success") => ({
+      reference: checkout.reference,
+      transactionId: checkout.providerTransactionId,
+      status: outcome === "success" ? "success" : "failed",
+      amount: checkout.amount,
+      message:
+        outcome === "success" ? "Payment successful" : "Insufficient balance",
+    }),
+  }),
+};
+
+const providerInstances = new Map();
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  PaymentCheckout = models.PaymentCheckout;
+  Invoice = models.Invoice;
+  PaymentHistory = models.PaymentHistory;
+
+  // Refuse to start rather than take real payments through the sandbox
+  const configErrors = getConfigErrors();
+  if (configErrors.length > 0) {
+    throw new Error(
+      `Payment gateway is not configured for production: ${configErrors.join("; ")}`,
+    );
+  }
+
+  console.log(
+    `✅ Payment Gateway Service initialized (provider: ${getProviderName()})`,
+  );
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function isProduction() {
+  return process.env.NODE_ENV === "production";
+}
+
+// Outside production the JWT secret stands in for a dedicated callback token
+function getCallbackToken() {
+  if (process.env.PAYMENT_CALLBACK_TOKEN) {
+    return process.env.PAYMENT_CALLBACK_TOKEN;
+  }
+  return isProduction() ? "" : process.env.JWT_SECRET || "";
+}
+
+function isValidCallbackToken(token) {
+  const expected = Buffer.from(getCallbackToken());
+  const received = Buffer.from(String(token || ""));
+
+  return (
+    expected.length > 0 &&
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * Provider used for collections: PAYMENT_GATEWAY_PROVIDER, otherwise
+ * azampay when credentials are configured (always in production),
+ * otherwise the fake provider
+ */
+function getProviderName() {
+  if (process.env.PAYMENT_GATEWAY_PROVIDER) {
+    return process.env.PAYMENT_GATEWAY_PROVIDER;
+  }
+  return process.env.AZAMPAY_CLIENT_ID || isProduction() ? "azampay" : "fake";
+}
+
+/**
+ * Settings production can't run without: a real provider with its
+ * credentials and a callback token of its own
+ * @returns {string[]} Problems found (always empty outside production)
+ */
+function getConfigErrors() {
+  if (!isProduction()) return [];
+
+  const errors = [];
+  const providerName = getProviderName();
+
+  if (providerName === "fake") {
+    errors.push("the fake provider cannot be used in production");
+  }
+  if (providerName === "azampay") {
+    for (const name of [
+      "AZAMPAY_APP_NAME",
+      "AZAMPAY_CLIENT_ID",
+      "AZAMPAY_CLIENT_SECRET",
+      "AZAMPAY_API_KEY",
+    ]) {
+      if (!process.env[name]) errors.push(`${name} is missing`);
+    }
+  }
+
+  if (!process.env.PAYMENT_CALLBACK_TOKEN) {
+    errors.push("PAYMENT_CALLBACK_TOKEN is missing");
+  } else if (process.env.PAYMENT_CALLBACK_TOKEN === process.env.JWT_SECRET) {
+    errors.push("PAYMENT_CALLBACK_TOKEN must differ from JWT_SECRET");
+  }
+
+  return errors;
+}
+
+function hasProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+function getProvider(name = getProviderName()) {
+  if (!providerInstances.has(name)) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    providerInstances.set(name, factory());
+  }
+  return providerInstances.get(name);
+}
+
+/**
+ * Add (or replace) a payment provider
+ * @param {string} name - Value used in PAYMENT_GATEWAY_PROVIDER
+ * @param {Function} factory - Returns { initiate, verifyCallback, parseCallback }
+ */
+function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+  providerInstances.delete(name);
+}
+
+function isSandbox() {
+  return getProviderName() === "fake";
+}
+
+function generateReference() {
+  return `MM-${Date.now()}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+}
+
+function pushEvent(checkout, status, note) {
+  checkout.status = status;
+  checkout.events.push({ status, note, at: new Date() });
+}
+
+/**
+ * Amount already received against an invoice (for a consolidated school
+ * invoice, including the payments allocated to its students)
+ */
+async function getInvoicePaidAmount(invoiceId) {
+  const payments = await PaymentHistory.find({
+    $or: [{ invoiceId }, { schoolInvoiceId: invoiceId }],
+    status: { $in: PAID_HISTORY_STATUSES },
+    isDeleted: { $ne: true },
+  })
+    .select("amount refundedAmount")
+    .lean();
+
+  return payments.reduce(
+    (sum, payment) => sum + payment.amount - (payment.refundedAmount || 0),
+    0,
+  );
+}
+
+// ============================================
+// CHECKOUT
+// ============================================
+
+/**
+ * Start a mobile money collection for an invoice
+ * @param {object} invoice - Invoice document
+ * @param {object} options - { method, phoneNumber, amount, initiatedBy }
+ * @returns {Promise<object>} { success, checkout } or { success: false, error, errorType, checkout }
+ */
+async function initiateCheckout(invoice, options) {
+  const { method, phoneNumber, initiatedBy } = options;
+
+  if (!PAYMENT_METHODS[method]) {
+    return {
+      success: false,
+      error: `Unsupported payment method: ${method}`,
+      errorType: "UNSUPPORTED_METHOD",
+    };
+  }
+
+  if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    return {
+      success: false,
+      error: `Invoice is ${invoice.status} and cannot be paid`,
+      errorType: "INVOICE_NOT_PAYABLE",
+    };
+  }
+
+  if (invoice.consolidatedInvoiceId) {
+    return {
+      success: false,
+      error: "This invoice is paid by the school on its consolidated invoice",
+      errorType: "INVOICE_NOT_PAYABLE",
+    };
+  }
+
+  const formattedPhone = smsService.formatPhoneNumber(phoneNumber);
+  if (!/^255\d{9}$/.test(formattedPhone)) {
+    return {
+      success: false,
+      error: "Enter a valid Tanzanian mobile number",
+      errorType: "INVALID_PHONE",
+    };
+  }
+
+  const outstanding =
+    invoice.amount -
+    (invoice.creditedAmount || 0) -
+    (await getInvoicePaidAmount(invoice._id));
+  const amount = options.amount ? Number(options.amount) : outstanding;
+
+  if (!(amount > 0) || amount > outstanding) {
+    return {
+      success: false,
+      error: `Amount must be between 1 and the outstanding balance (${outstanding})`,
+      errorType: "INVALID_AMOUNT",
+    };
+  }
+
+  const providerName = getProviderName();
+  const checkout = new PaymentCheckout({
+    userId: invoice.userId,
+    invoiceId: invoice._id,
+    method,
+    provider: providerName,
+    phoneNumber: formattedPhone,
+    amount,
+    currency: invoice.currency || "TZS",
+    reference: generateReference(),
+    initiatedBy,
+    expiresAt: new Date(Date.now() + CHECKOUT_TTL_MINUTES * 60 * 1000),
+    events: [],
+  });
+  pushEvent(checkout, "initiated", `Checkout via ${providerName}`);
+
+  try {
+    const result = await getProvider(providerName).initiate(checkout);
+    checkout.providerTransactionId = result.providerTransactionId;
+    pushEvent(checkout, "pending", result.message);
+    await checkout.save();
+
+    return { success: true, checkout };
+  } catch (error) {
+    checkout.failureReason = error.response?.data?.message || error.message;
+    pushEvent(checkout, "failed", checkout.failureReason);
+    await checkout.save();
+
+    console.error(
+      `❌ ${providerName} checkout ${checkout.reference} failed:`,
+      checkout.failureReason,
+    );
+
+    return {
+      success: false,
+      error: "Could not start the mobile money payment. Please try again.",
+      errorType: "PROVIDER_ERROR",
+      checkout,
+    };
+  }
+}
+
+/**
+ * Get a checkout, marking it expired if the provider never answered
+ */
+async function getCheckout(checkoutId) {
+  const checkout = await PaymentCheckout.findById(checkoutId);
+
+  if (
+    checkout &&
+    checkout.status === "pending" &&
+    checkout.expiresAt <= new Date()
+  ) {
+    pushEvent(checkout, "expired", "No confirmation from provider");
+    await checkout.save();
+  }
+
+  return checkout;
+}
+
+// ============================================
+// CALLBACKS & SETTLEMENT
+// ============================================
+
+/**
+ * Record a successful collection through the settlement service
+ * (PaymentHistory, invoice status, user activation, confirmation SMS)
+ * @returns {Promise<object>} { paymentHistory, invoice }
+ */
+async function recordCheckoutPayment(checkout, result) {
+  const invoice = await Invoice.findById(checkout.invoiceId);
+  if (!invoice) {
+    throw new Error(`Invoice ${checkout.invoiceId} not found`);
+  }
+
+  const { paymentHistory } = await paymentSettlementService.settlePayment(
+    invoice,
+    {
+      amount: result.amount || checkout.amount,
+      currency: checkout.currency,
+      method: checkout.method,
+      provider: checkout.provider,
+      reference: checkout.reference,
+      providerTransactionId: result.providerTransactionId,
+      source: "checkout_callback",
+      metadata: {
+        checkoutId: checkout._id.toString(),
+        phoneNumber: checkout.phoneNumber,
+      },
+    },
+  );
+
+  return { paymentHistory, invoice };
+}
+
+/**
+ * Handle a provider callback
+ * @param {string} providerName - Provider the callback came from
+ * @param {object} body - Callback payload
+ * @returns {Promise<object>} { success, checkout, outcome, paymentHistory, invoice }
+ *   outcome is "succeeded", "failed" or "duplicate"
+ */
+async function handleCallback(providerName, body) {
+  const result = getProvider(providerName).parseCallback(body);
+
+  const checkout = result.reference
+    ? await PaymentCheckout.findOne({
+        reference: result.reference,
+        provider: providerName,
+      })
+    : null;
+
+  if (!checkout) {
+    return {
+      success: false,
+      error: "Unknown checkout reference",
+      errorType: "CHECKOUT_NOT_FOUND",
+      result,
+    };
+  }
+
+  // Providers retry callbacks - only the first one counts
+  if (["processing", "succeeded", "failed"].includes(checkout.status)) {
+    return { success: true, checkout, outcome: "duplicate" };
+  }
+
+  checkout.callbackPayload = body;
+  checkout.providerTransactionId =
+    result.providerTransactionId || checkout.providerTransactionId;
+
+  if (result.status !== "succeeded") {
+    checkout.failureReason = result.failureReason || "Payment failed";
+    checkout.completedAt = new Date();
+    pushEvent(checkout, "failed", checkout.failureReason);
+    await checkout.save();
+
+    return { success: true, checkout, outcome: "failed" };
+  }
+
+  // Claim the checkout first so concurrent retries cannot settle it twice
+  const claimed = await PaymentCheckout.findOneAndUpdate(
+    { _id: checkout._id, status: { $in: ["pending", "expired"] } },
+    { status: "processing" },
+  );
+  if (!claimed) {
+    return { success: true, checkout, outcome: "duplicate" };
+  }
+
+  let recorded;
+  try {
+    recorded = await recordCheckoutPayment(checkout, result);
+  } catch (error) {
+    // Release the claim so the provider's retry can settle it
+    await PaymentCheckout.updateOne(
+      { _id: checkout._id },
+      { status: claimed.status },
+    );
+    throw error;
+  }
+  const { paymentHistory, invoice } = recorded;
+
+  checkout.paymentHistoryId = paymentHistory._id;
+  checkout.completedAt = new Date();
+  pushEvent(checkout, "succeeded", "Payment confirmed by provider");
+  await checkout.save();
+
+  return {
+    success: true,
+    checkout,
+    outcome: "succeeded",
+    paymentHistory,
+    invoice,
+  };
+}
+
+/**
+ * Sandbox only: produce the callback the fake provider would send
+ */
+function simulateCallback(checkout, outcome) {
+  return getProvider("fake").simulateCallback(checkout, outcome);
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  PAYMENT_METHODS,
+  CHECKOUT_TTL_MINUTES,
+  getProviderName,
+  getConfigErrors,
+  hasProvider,
+  getProvider,
+  registerProvider,
+  isSandbox,
+  isValidCallbackToken,
+  initiateCheckout,
+  getCheckout,
+  handleCallback,
+  simulateCallback,
+};
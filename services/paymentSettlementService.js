@@ -0,0 +1,853 @@
+// ============================================
+// PAYMENT SETTLEMENT SERVICE
+// ============================================
+// ✅ Applies confirmed payments: PaymentHistory, invoice and user status
+// ✅ Signed provider webhooks, deduplicated on the provider transaction ID
+// ✅ Settlement is idempotent per provider transaction (one payment per invoice)
+// ✅ Failed settlements keep their webhook event for the provider's retry
+// ✅ Matches webhooks to invoices by control number or reference
+// ✅ Unmatched payments wait in a suspense queue for manual resolution
+// ============================================
+
+const crypto = require("crypto");
+const smsService = require("./smsService");
+const installmentService = require("./installmentService");
+const discountService = require("./discountService");
+const {
+  shouldAutoActivate,
+  calculatePaymentStatus,
+} = require("../utils/statusHelpers");
+
+// Models (injected when service is initialized)
+let User, Invoice, PaymentHistory, PaymentCheckout, PaymentWebhookEvent, SMSLog;
+
+// Signed webhooks older than this are rejected (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Invoice statuses a payment can be applied to
+const SETTLEABLE_INVOICE_STATUSES = [
+  "unpaid",
+  "pending",
+  "submitted",
+  "partially_paid",
+  "overdue",
+];
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  User = models.User;
+  Invoice = models.Invoice;
+  PaymentHistory = models.PaymentHistory;
+  PaymentCheckout = models.PaymentCheckout;
+  PaymentWebhookEvent = models.PaymentWebhookEvent;
+  SMSLog = models.SMSLog;
+
+  console.log("✅ Payment Settlement Service initialized");
+}
+
+// ============================================
+// SIGNATURES
+// ============================================
+
+function getWebhookSecret(provider) {
+  return (
+    process.env[`PAYMENT_WEBHOOK_SECRET_${provider.toUpperCase()}`] ||
+    process.env.PAYMENT_WEBHOOK_SECRET
+  );
+}
+
+/**
+ * Sign a webhook body: HMAC-SHA256 of "<timestamp>.<raw body>"
+ * @returns {string} "sha256=<hex>"
+ */
+function signWebhook(secret, timestamp, rawBody) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a webhook signature and timestamp
+ * @returns {object} { valid } or { valid: false, error, errorType }
+ */
+function verifyWebhookSignature(provider, { signature, timestamp, rawBody }) {
+  const secret = getWebhookSecret(provider);
+  if (!secret) {
+    return {
+      valid: false,
+      error: `Webhook secret not configured for ${provider}`,
+      errorType: "WEBHOOK_NOT_CONFIGURED",
+    };
+  }
+
+  const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!timestamp || !(ageSeconds <= WEBHOOK_TOLERANCE_SECONDS)) {
+    return {
+      valid: false,
+      error: "Webhook timestamp is missing or too old",
+      errorType: "STALE_WEBHOOK",
+    };
+  }
+
+  const expected = Buffer.from(signWebhook(secret, timestamp, rawBody || ""));
+  const received = Buffer.from(String(signature || ""));
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return {
+      valid: false,
+      error: "Invalid webhook signature",
+      errorType: "INVALID_SIGNATURE",
+    };
+  }
+
+  return { valid: true };
+}
+
+// ============================================
+// SETTLEMENT
+// ============================================
+
+async function sumPaid(filter) {
+  const payments = await PaymentHistory.find({
+    ...filter,
+    status: { $in: PAID_HISTORY_STATUSES },
+    isDeleted: { $ne: true },
+  })
+    .select("amount refundedAmount")
+    .lean();
+
+  return payments.reduce(
+    (sum, payment) => sum + payment.amount - (payment.refundedAmount || 0),
+    0,
+  );
+}
+
+/**
+ * Credit notes on a user's open registration invoices
+ */
+async function sumRegistrationCredits(userId) {
+  const [result] = await Invoice.aggregate([
+    {
+      $match: {
+        userId,
+        type: "registration_fee",
+        status: { $ne: "cancelled" },
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$creditedAmount" } } },
+  ]);
+
+  return result?.total || 0;
+}
+
+/**
+ * Recalculate a user's payment/account status after a registration payment
+ * @returns {Promise<object>} { paymentStatus, activated }
+ */
+async function applyPaymentToUser(user) {
+  const totalPaid = await sumPaid({
+    userId: user._id,
+    transactionType: "registration_fee",
+  });
+  // Priced as of registration so later catalog changes don't reprice the
+  // user, net of their scholarships/sponsorships
+  const requiredAmount = await discountService.getRequiredTotalForUser(user);
+  const credits = await sumRegistrationCredits(user._id);
+
+  const wasActive = user.accountStatus === "active";
+  user.paymentStatus = calculatePaymentStatus(
+    totalPaid,
+    requiredAmount,
+    undefined,
+    credits,
+  );
+
+  // Suspensions are an admin decision - payments never lift them
+  if (
+    user.accountStatus !== "suspended" &&
+    shouldAutoActivate(user.role, totalPaid, requiredAmount - credits)
+  ) {
+    user.accountStatus = "active";
+    user.isActive = true;
+  }
+
+  user.payment_date = new Date();
+  user.payment_verified_at = new Date();
+  await user.save();
+
+  return {
+    paymentStatus: user.paymentStatus,
+    activated: !wasActive && user.accountStatus === "active",
+  };
+}
+
+async function sendConfirmationSMS(user, amount, invoice) {
+  if (!user.phoneNumber) return;
+
+  const userName =
+    `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.username;
+  const packageType = user.registration_type || invoice.type;
+
+  try {
+    const smsResult = await smsService.sendPaymentConfirmationSMS(
+      user.phoneNumber,
+      userName,
+      amount,
+      packageType,
+    );
+
+    await SMSLog.create({
+      userId: user._id,
+      phone: user.phoneNumber,
+      message: `Payment confirmation: TZS ${amount} (${invoice.invoiceNumber})`,
+      type: "payment_confirmation",
+      status: smsResult.success ? "sent" : "failed",
+      messageId: smsResult.messageId,
+      reference: `payment_${invoice.invoiceNumber}`,
+      errorMessage: smsResult.success ? undefined : smsResult.error,
+    });
+  } catch (error) {
+    console.error(`⚠️ Payment SMS failed for ${user.phoneNumber}:`, error);
+  }
+}
+
+/**
+ * Set an invoice's status from the amount paid on it (installment-aware).
+ * Credit notes count towards the invoice like payments; an invoice credited
+ * in full with nothing left paid on it is cancelled. A written-off invoice
+ * keeps its status; late payments on it are recoveries.
+ */
+function applyPaidAmount(invoice, paidAmount) {
+  if (invoice.status === "written_off") return;
+
+  const creditedAmount = invoice.creditedAmount || 0;
+  const settledAmount = paidAmount + creditedAmount;
+
+  if (
+    creditedAmount > 0 &&
+    creditedAmount >= invoice.amount &&
+    paidAmount <= 0
+  ) {
+    invoice.status = "cancelled";
+  } else if (installmentService.hasPlan(invoice)) {
+    installmentService.allocatePayments(invoice, settledAmount);
+    invoice.status = installmentService.getInvoiceStatus(
+      invoice,
+      settledAmount,
+    );
+    if (invoice.status === "paid") invoice.paidDate = new Date();
+  } else if (settledAmount >= invoice.amount) {
+    invoice.status = "paid";
+    invoice.paidDate = new Date();
+  } else if (paidAmount > 0) {
+    invoice.status = "partially_paid";
+  }
+}
+
+function buildPaymentHistory(invoice, payment, fields) {
+  return new PaymentHistory({
+    userId: invoice.userId,
+    invoiceId: invoice._id,
+    transactionType: invoice.type,
+    amount: payment.amount,
+    currency: payment.currency || invoice.currency || "TZS",
+    status: "pending",
+    paymentDate: payment.paidAt || new Date(),
+    description: invoice.description,
+    notes: payment.notes,
+    ...fields,
+    metadata: {
+      method: payment.method,
+      provider: payment.provider,
+      reference: payment.reference,
+      providerTransactionId: payment.providerTransactionId
+        ? String(payment.providerTransactionId)
+        : undefined,
+      source: payment.source,
+      ...payment.metadata,
+      ...fields?.metadata,
+    },
+  });
+}
+
+async function verifyPaymentHistory(paymentHistory, payment) {
+  await paymentHistory.changeStatus(
+    "verified",
+    payment.settledBy || null,
+    `Payment confirmed by ${payment.provider} (${payment.source})`,
+    payment.providerTransactionId
+      ? `Provider transaction ${payment.providerTransactionId}`
+      : "",
+  );
+}
+
+/**
+ * Move payments to a new status one document at a time, so the ledger and
+ * fiscal receipt hooks on PaymentHistory save run (updateMany skips them)
+ * @param {object} filter - PaymentHistory filter
+ * @param {string} status - New status, e.g. "verified" or "rejected"
+ * @param {string} changedBy - Admin user ID
+ * @param {string} reason - Recorded in the status history
+ * @returns {Promise<object[]>} The updated payments
+ */
+async function changePaymentStatus(filter, status, changedBy, reason) {
+  const payments = await PaymentHistory.find(filter);
+
+  for (const payment of payments) {
+    await payment.changeStatus(status, changedBy, reason);
+  }
+
+  return payments;
+}
+
+/**
+ * Filter for payments already recorded for a provider transaction
+ * (backed by a unique index on PaymentHistory)
+ */
+function providerTransactionFilter(payment) {
+  return {
+    "metadata.provider": payment.provider || null,
+    "metadata.providerTransactionId": String(payment.providerTransactionId),
+  };
+}
+
+/**
+ * Record and verify a payment on an invoice - or, when the provider
+ * transaction was already applied to it, return that payment instead
+ * @returns {Promise<object>} { paymentHistory, duplicate }
+ */
+async function recordPayment(invoice, payment, fields) {
+  const findExisting = () =>
+    payment.providerTransactionId
+      ? PaymentHistory.findOne({
+          invoiceId: invoice._id,
+          ...providerTransactionFilter(payment),
+        })
+      : null;
+
+  const existing = await findExisting();
+  if (existing) return { paymentHistory: existing, duplicate: true };
+
+  const paymentHistory = buildPaymentHistory(invoice, payment, fields);
+  try {
+    await verifyPaymentHistory(paymentHistory, payment);
+  } catch (error) {
+    // A concurrent settlement of the same transaction got there first
+    if (error.code === 11000) {
+      const winner = await findExisting();
+      if (winner) return { paymentHistory: winner, duplicate: true };
+    }
+    throw error;
+  }
+
+  return { paymentHistory, duplicate: false };
+}
+
+/**
+ * Recalculate an invoice, and the user for registration fees, after its
+ * amounts changed outside a payment (e.g. a credit note was issued)
+ * @param {object} invoice - Invoice document
+ * @returns {Promise<object>} { invoice, userStatus }
+ */
+async function refreshInvoice(invoice) {
+  applyPaidAmount(
+    invoice,
+    await sumPaid({
+      $or: [{ invoiceId: invoice._id }, { schoolInvoiceId: invoice._id }],
+    }),
+  );
+  await invoice.save();
+
+  let userStatus = null;
+  if (invoice.type === "registration_fee") {
+    const user = await User.findById(invoice.userId);
+    if (user) userStatus = await applyPaymentToUser(user);
+  }
+
+  return { invoice, userStatus };
+}
+
+/**
+ * Apply a confirmed payment to an invoice
+ * @param {object} invoice - Invoice document
+ * @param {object} payment - { amount, currency, method, provider, reference,
+ *   providerTransactionId, source, settledBy, notes, metadata }
+ * @returns {Promise<object>} { paymentHistory, invoice, user, userStatus,
+ *   duplicate } - duplicate is true when the provider transaction had already
+ *   been applied (nothing new is recorded)
+ */
+async function settlePayment(invoice, payment) {
+  if (invoice.coveredInvoices?.length > 0) {
+    return settleSchoolInvoice(invoice, payment);
+  }
+
+  const { paymentHistory, duplicate } = await recordPayment(invoice, payment);
+
+  applyPaidAmount(invoice, await sumPaid({ invoiceId: invoice._id }));
+  await invoice.save();
+
+  const user = await User.findById(invoice.userId);
+  let userStatus = null;
+
+  if (user) {
+    if (invoice.type === "registration_fee") {
+      userStatus = await applyPaymentToUser(user);
+    }
+    if (!duplicate) {
+      await sendConfirmationSMS(user, payment.amount, invoice);
+    }
+  }
+
+  return { paymentHistory, invoice, user, userStatus, duplicate };
+}
+
+/**
+ * Apply a payment on a consolidated school invoice: the amount is allocated
+ * to the covered student invoices in order, each allocation recorded as the
+ * student's own PaymentHistory (linked through schoolInvoiceId), and the
+ * students' accounts are updated/activated. Anything left over (students
+ * who already paid themselves) is recorded against the school invoice.
+ * @returns {Promise<object>} { paymentHistory, paymentHistories, invoice, user,
+ *   userStatus, allocations, duplicate }
+ */
+async function settleSchoolInvoice(invoice, payment) {
+  const settlementId = crypto.randomUUID();
+  const paymentHistories = [];
+  const allocations = [];
+  let remaining = payment.amount;
+
+  // A retried provider transaction only allocates what is still missing
+  const alreadyRecorded = payment.providerTransactionId
+    ? await PaymentHistory.find({
+        $or: [{ invoiceId: invoice._id }, { schoolInvoiceId: invoice._id }],
+        ...providerTransactionFilter(payment),
+      })
+    : [];
+  const recordedInvoiceIds = new Set(
+    alreadyRecorded.map((history) => history.invoiceId.toString()),
+  );
+  for (const history of alreadyRecorded) {
+    remaining -= history.amount;
+    paymentHistories.push(history);
+  }
+  const duplicate = alreadyRecorded.length > 0 && remaining <= 0;
+
+  for (const line of invoice.coveredInvoices) {
+    if (remaining <= 0) break;
+    if (recordedInvoiceIds.has(line.invoiceId.toString())) continue;
+
+    const studentInvoice = await Invoice.findById(line.invoiceId);
+    if (
+      !studentInvoice ||
+      !SETTLEABLE_INVOICE_STATUSES.includes(studentInvoice.status)
+    ) {
+      continue;
+    }
+
+    const paidBefore = await sumPaid({ invoiceId: studentInvoice._id });
+    const amount = Math.min(
+      studentInvoice.amount - (studentInvoice.creditedAmount || 0) - paidBefore,
+      remaining,
+    );
+    if (amount <= 0) continue;
+
+    const { paymentHistory } = await recordPayment(
+      studentInvoice,
+      { ...payment, amount },
+      {
+        schoolInvoiceId: invoice._id,
+        description: `${studentInvoice.description} (paid by school, ${invoice.invoiceNumber})`,
+        metadata: { settlementId, schoolInvoiceNumber: invoice.invoiceNumber },
+      },
+    );
+    remaining -= amount;
+
+    applyPaidAmount(studentInvoice, paidBefore + amount);
+    await studentInvoice.save();
+
+    let userStatus = null;
+    if (studentInvoice.type === "registration_fee") {
+      const student = await User.findById(studentInvoice.userId);
+      if (student) userStatus = await applyPaymentToUser(student);
+    }
+
+    paymentHistories.push(paymentHistory);
+    allocations.push({
+      invoiceId: studentInvoice._id,
+      userId: studentInvoice.userId,
+      amount,
+      invoiceStatus: studentInvoice.status,
+      activated: !!userStatus?.activated,
+    });
+  }
+
+  if (remaining > 0 && !recordedInvoiceIds.has(invoice._id.toString())) {
+    // Nothing left to allocate it to: keep it on the school invoice
+    const { paymentHistory } = await recordPayment(
+      invoice,
+      { ...payment, amount: remaining },
+      {
+        notes:
+          payment.notes ||
+          "Not allocated - the covered student invoices were already paid",
+        metadata: { settlementId, unallocated: true },
+      },
+    );
+    paymentHistories.push(paymentHistory);
+  }
+
+  // Paid once every covered student invoice is settled
+  const coveredInvoices = await Invoice.find({
+    _id: { $in: invoice.coveredInvoices.map((line) => line.invoiceId) },
+  })
+    .select("status")
+    .lean();
+  const settled = coveredInvoices.every((covered) =>
+    ["paid", "cancelled"].includes(covered.status),
+  );
+  const paidAmount = await sumPaid({
+    $or: [{ invoiceId: invoice._id }, { schoolInvoiceId: invoice._id }],
+  });
+  applyPaidAmount(invoice, settled ? invoice.amount : paidAmount);
+  await invoice.save();
+
+  const user = await User.findById(invoice.userId);
+  if (user && !duplicate) {
+    await sendConfirmationSMS(user, payment.amount, invoice);
+  }
+
+  console.log(
+    `🏫 School invoice ${invoice.invoiceNumber}: TZS ${payment.amount} allocated to ${allocations.length} student invoice(s)${remaining > 0 ? `, TZS ${remaining} unallocated` : ""}`,
+  );
+
+  return {
+    paymentHistory: paymentHistories[0],
+    paymentHistories,
+    invoice,
+    user,
+    userStatus: null,
+    allocations,
+    duplicate,
+  };
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+/**
+ * Find the invoice a payment belongs to
+ * @returns {Promise<object>} { invoice, checkout } (either may be null)
+ */
+async function matchInvoice({ controlNumber, reference }) {
+  if (controlNumber) {
+    const invoice = await Invoice.findOne({ controlNumber });
+    if (invoice) return { invoice, checkout: null };
+  }
+
+  if (reference) {
+    const checkout = await PaymentCheckout.findOne({ reference });
+    if (checkout) {
+      return {
+        invoice: await Invoice.findById(checkout.invoiceId),
+        checkout,
+      };
+    }
+
+    const invoice = await Invoice.findOne({
+      $or: [{ invoiceNumber: reference }, { controlNumber: reference }],
+    });
+    if (invoice) return { invoice, checkout: null };
+  }
+
+  return { invoice: null, checkout: null };
+}
+
+/**
+ * Process a verified webhook payload
+ * @param {string} provider
+ * @param {object} payload - { transactionId, amount, currency, controlNumber,
+ *   reference, phoneNumber, payerName, paidAt, status }
+ * @returns {Promise<object>} { outcome, event, settlement }
+ *   outcome: settled | duplicate | suspense | ignored
+ */
+async function handleWebhook(provider, payload) {
+  let event;
+  try {
+    event = await PaymentWebhookEvent.create({
+      provider,
+      providerTransactionId: String(payload.transactionId),
+      amount: Number(payload.amount),
+      currency: payload.currency || "TZS",
+      controlNumber: payload.controlNumber,
+      reference: payload.reference,
+      phoneNumber: payload.phoneNumber,
+      payerName: payload.payerName,
+      paidAt: payload.paidAt ? new Date(payload.paidAt) : new Date(),
+      payload,
+      status: "received",
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // The provider retried: process it again only if settling failed before
+    event = await PaymentWebhookEvent.findOneAndUpdate(
+      {
+        provider,
+        providerTransactionId: String(payload.transactionId),
+        status: "failed",
+      },
+      { status: "received", $inc: { attempts: 1 } },
+      { new: true },
+    );
+    if (!event) {
+      const existing = await PaymentWebhookEvent.findOne({
+        provider,
+        providerTransactionId: String(payload.transactionId),
+      });
+      return { outcome: "duplicate", event: existing };
+    }
+  }
+
+  try {
+    return await processWebhookEvent(provider, event);
+  } catch (error) {
+    // Keep the event so the provider's retry can process it again
+    await PaymentWebhookEvent.updateOne(
+      { _id: event._id },
+      {
+        status: "failed",
+        statusReason: `Processing failed: ${error.message}`,
+      },
+    );
+    throw error;
+  }
+}
+
+/**
+ * Match a stored webhook event to its invoice and settle it
+ * @returns {Promise<object>} { outcome, event, settlement }
+ */
+async function processWebhookEvent(provider, event) {
+  const { payload } = event;
+
+  if (String(payload.status || "success").toLowerCase() !== "success") {
+    event.status = "ignored";
+    event.statusReason = `Provider status: ${payload.status}`;
+    await event.save();
+    return { outcome: "ignored", event };
+  }
+
+  const { invoice, checkout } = await matchInvoice(event);
+
+  const toSuspense = async (reason) => {
+    event.status = "suspense";
+    event.statusReason = reason;
+    await event.save();
+    return { outcome: "suspense", event };
+  };
+
+  if (!invoice) {
+    return await toSuspense("No invoice matches the control number/reference");
+  }
+  if (!SETTLEABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    event.invoiceId = invoice._id;
+    return await toSuspense(
+      `Invoice ${invoice.invoiceNumber} is ${invoice.status}`,
+    );
+  }
+  // An expired control number can no longer be paid; the payer needs a new one
+  if (
+    event.controlNumber &&
+    event.controlNumber === invoice.controlNumber &&
+    invoice.controlNumberExpiresAt &&
+    event.paidAt > invoice.controlNumberExpiresAt
+  ) {
+    event.invoiceId = invoice._id;
+    return await toSuspense(
+      `Control number ${invoice.controlNumber} expired on ${invoice.controlNumberExpiresAt.toISOString().slice(0, 10)}`,
+    );
+  }
+
+  // Claim the checkout so a concurrent provider callback cannot settle it too
+  let claimed = null;
+  if (checkout) {
+    claimed = await PaymentCheckout.findOneAndUpdate(
+      {
+        _id: checkout._id,
+        status: { $in: ["initiated", "pending", "expired"] },
+      },
+      { status: "processing" },
+    );
+    if (!claimed) {
+      event.status = "duplicate";
+      event.invoiceId = invoice._id;
+      event.paymentHistoryId = checkout.paymentHistoryId;
+      event.statusReason = `Checkout ${checkout.reference} is ${checkout.status}`;
+      await event.save();
+      return { outcome: "duplicate", event };
+    }
+  }
+
+  let settlement;
+  try {
+    settlement = await settlePayment(invoice, {
+      amount: event.amount,
+      currency: event.currency,
+      method: checkout?.method || provider,
+      provider,
+      reference: event.reference || event.controlNumber,
+      providerTransactionId: event.providerTransactionId,
+      paidAt: event.paidAt,
+      source: "webhook",
+      metadata: { webhookEventId: event._id.toString() },
+    });
+  } catch (error) {
+    if (claimed) {
+      await PaymentCheckout.updateOne(
+        { _id: checkout._id },
+        { status: claimed.status },
+      );
+    }
+    throw error;
+  }
+
+  if (checkout) {
+    checkout.status = "succeeded";
+    checkout.providerTransactionId = event.providerTransactionId;
+    checkout.paymentHistoryId = settlement.paymentHistory._id;
+    checkout.completedAt = new Date();
+    checkout.events.push({
+      status: "succeeded",
+      note: "Settled by provider webhook",
+      at: new Date(),
+    });
+    await checkout.save();
+  }
+
+  event.status = "settled";
+  event.invoiceId = invoice._id;
+  event.paymentHistoryId = settlement.paymentHistory._id;
+  event.settledAt = new Date();
+  await event.save();
+
+  // Already applied by an earlier attempt - don't notify the payer twice
+  if (settlement.duplicate) {
+    return { outcome: "duplicate", event, settlement };
+  }
+
+  return { outcome: "settled", event, settlement };
+}
+
+// ============================================
+// SUSPENSE QUEUE
+// ============================================
+
+/**
+ * Settle a suspense item against an invoice chosen by an admin
+ * @returns {Promise<object>} { success, event, settlement } or { success: false, error }
+ */
+async function resolveSuspense(eventId, invoiceId, adminId, notes) {
+  const event = await PaymentWebhookEvent.findOneAndUpdate(
+    { _id: eventId, status: "suspense" },
+    { status: "resolving" },
+    { new: true },
+  );
+  if (!event) {
+    return {
+      success: false,
+      error: "Suspense item not found or already handled",
+    };
+  }
+
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice || !SETTLEABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    event.status = "suspense";
+    await event.save();
+    return {
+      success: false,
+      error: invoice
+        ? `Invoice ${invoice.invoiceNumber} is ${invoice.status}`
+        : "Invoice not found",
+    };
+  }
+
+  let settlement;
+  try {
+    settlement = await settlePayment(invoice, {
+      amount: event.amount,
+      currency: event.currency,
+      method: event.provider,
+      provider: event.provider,
+      reference: event.reference || event.controlNumber,
+      providerTransactionId: event.providerTransactionId,
+      paidAt: event.paidAt,
+      source: "suspense_resolution",
+      settledBy: adminId,
+      notes,
+      metadata: { webhookEventId: event._id.toString() },
+    });
+  } catch (error) {
+    await PaymentWebhookEvent.updateOne(
+      { _id: event._id },
+      { status: "suspense" },
+    );
+    throw error;
+  }
+
+  event.status = "resolved";
+  event.invoiceId = invoice._id;
+  event.paymentHistoryId = settlement.paymentHistory._id;
+  event.resolvedBy = adminId;
+  event.resolvedAt = new Date();
+  event.resolutionNotes = notes;
+  event.settledAt = new Date();
+  await event.save();
+
+  return { success: true, event, settlement };
+}
+
+/**
+ * Close a suspense item without settling it (e.g. refunded by provider)
+ */
+async function dismissSuspense(eventId, adminId, reason) {
+  return await PaymentWebhookEvent.findOneAndUpdate(
+    { _id: eventId, status: "suspense" },
+    {
+      status: "dismissed",
+      resolvedBy: adminId,
+      resolvedAt: new Date(),
+      resolutionNotes: reason,
+    },
+    { new: true },
+  );
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  WEBHOOK_TOLERANCE_SECONDS,
+  SETTLEABLE_INVOICE_STATUSES,
+  getWebhookSecret,
+  signWebhook,
+  verifyWebhookSignature,
+  settlePayment,
+  changePaymentStatus,
+  refreshInvoice,
+  applyPaymentToUser,
+  handleWebhook,
+  resolveSuspense,
+  dismissSuspense,
+};
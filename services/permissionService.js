@@ -0,0 +1,188 @@
+// ============================================
+// PERMISSION SERVICE
+// ============================================
+// ✅ Resolves a user's permissions from the role matrix
+// ✅ Applies per-school overrides (grant / deny) on top
+// ✅ Lists effective permissions with their source
+// ============================================
+
+const {
+  PERMISSIONS,
+  roleHasPermission,
+  canOverrideForSchool,
+} = require("../utils/permissions");
+
+// Models (injected when service is initialized)
+let PermissionOverride;
+
+// Overrides are read on every permission check, so cache them per school
+const OVERRIDE_CACHE_TTL_MS = 60 * 1000;
+const overrideCache = new Map();
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  PermissionOverride = models.PermissionOverride;
+
+  console.log("✅ Permission Service initialized");
+}
+
+// ============================================
+// SCHOOL OVERRIDES
+// ============================================
+
+function getSchoolId(user) {
+  const schoolId = user?.schoolId?._id || user?.schoolId;
+  return schoolId ? schoolId.toString() : null;
+}
+
+async function getSchoolOverrides(schoolId) {
+  const cached = overrideCache.get(schoolId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.overrides;
+  }
+
+  const overrides = await PermissionOverride.find({ schoolId }).lean();
+  overrideCache.set(schoolId, {
+    overrides,
+    expiresAt: Date.now() + OVERRIDE_CACHE_TTL_MS,
+  });
+
+  return overrides;
+}
+
+/**
+ * Override that applies to this user for a permission (if any)
+ */
+async function findOverride(user, permission) {
+  const schoolId = getSchoolId(user);
+  if (!schoolId || !canOverrideForSchool(permission, user.role)) {
+    return null;
+  }
+
+  const overrides = await getSchoolOverrides(schoolId);
+  return (
+    overrides.find(
+      (item) => item.permission === permission && item.role === user.role,
+    ) || null
+  );
+}
+
+/**
+ * List a school's overrides
+ */
+async function listSchoolOverrides(schoolId) {
+  return await PermissionOverride.find({ schoolId })
+    .populate("createdBy", "firstName lastName username")
+    .sort({ permission: 1, role: 1 })
+    .lean();
+}
+
+/**
+ * Create or update a school override
+ * @param {string} schoolId
+ * @param {object} input - { permission, role, effect: "grant"|"deny", reason }
+ * @param {string} adminId - Admin making the change
+ */
+async function setSchoolOverride(
+  schoolId,
+  { permission, role, effect, reason },
+  adminId,
+) {
+  if (!canOverrideForSchool(permission, role)) {
+    throw new Error(
+      `Permission "${permission}" cannot be overridden for role "${role}"`,
+    );
+  }
+
+  const override = await PermissionOverride.findOneAndUpdate(
+    { schoolId, permission, role },
+    { effect, reason, createdBy: adminId, updatedAt: new Date() },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+
+  overrideCache.delete(schoolId.toString());
+  return override;
+}
+
+/**
+ * Remove a school override
+ * @returns {Promise<object|null>} Removed override
+ */
+async function removeSchoolOverride(schoolId, overrideId) {
+  const override = await PermissionOverride.findOneAndDelete({
+    _id: overrideId,
+    schoolId,
+  });
+
+  overrideCache.delete(schoolId.toString());
+  return override;
+}
+
+// ============================================
+// PERMISSION CHECKS
+// ============================================
+
+/**
+ * Check whether a user may perform an action
+ * @param {object} user - { role, schoolId } (req.user or a User document)
+ * @param {string} permission - Key from PERMISSIONS
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(user, permission) {
+  if (!user || !PERMISSIONS[permission]) return false;
+
+  const override = await findOverride(user, permission);
+  if (override) {
+    return override.effect === "grant";
+  }
+
+  return roleHasPermission(user.role, permission);
+}
+
+/**
+ * Every permission in the registry with whether the user has it and why
+ * @returns {Promise<object[]>} [{ permission, description, allowed, source }]
+ */
+async function getEffectivePermissions(user) {
+  const schoolId = getSchoolId(user);
+  const overrides = schoolId ? await getSchoolOverrides(schoolId) : [];
+
+  return Object.entries(PERMISSIONS).map(([permission, definition]) => {
+    const override = canOverrideForSchool(permission, user.role)
+      ? overrides.find(
+          (item) => item.permission === permission && item.role === user.role,
+        )
+      : null;
+
+    if (override) {
+      return {
+        permission,
+        description: definition.description,
+        allowed: override.effect === "grant",
+        source: "school_override",
+        overrideId: override._id,
+      };
+    }
+
+    return {
+      permission,
+      description: definition.description,
+      allowed: definition.roles.includes(user.role),
+      source: "role",
+    };
+  });
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  hasPermission,
+  getEffectivePermissions,
+  listSchoolOverrides,
+  setSchoolOverride,
+  removeSchoolOverride,
+};
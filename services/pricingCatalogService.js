@@ -0,0 +1,459 @@
+// ============================================
+// PRICING CATALOG SERVICE
+// ============================================
+// ✅ Keeps CTM Club fees, student packages and entrepreneur tiers as
+//    versioned PricingCatalog documents with effective dates
+// ✅ Drafts are editable; published versions never change - a price change
+//    is a new version that takes effect on a future date
+// ✅ Feeds published versions to utils/packagePricing, which resolves the
+//    price in force on any date
+// ============================================
+
+const {
+  DEFAULT_CATALOG,
+  setCatalogVersions,
+  getCatalog,
+} = require("../utils/packagePricing");
+
+// Models (injected when service is initialized)
+let PricingCatalog;
+
+// Every instance (pm2 cluster) reloads published versions this often
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// A version must be published (or withdrawn) at least this long before it
+// takes effect, so every instance has reloaded before the price switches
+const PUBLISH_LEAD_MINUTES = 5;
+
+const BILLING_CYCLES = ["monthly", "annual", "one-time"];
+const INSTITUTION_TYPES = ["government", "private"];
+const EDUCATION_LEVELS = ["primary_secondary", "college_university"];
+const PACKAGE_KEY_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+let refreshTimer = null;
+
+/**
+ * Initialize service with models and load the published catalog
+ * @param {object} models - { PricingCatalog }
+ */
+function initialize(models) {
+  PricingCatalog = models.PricingCatalog;
+
+  loadCatalog().catch((error) => {
+    console.error("❌ Failed to load pricing catalog:", error.message);
+  });
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      loadCatalog().catch((error) => {
+        console.error("❌ Failed to refresh pricing catalog:", error.message);
+      });
+    }, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+
+  console.log("✅ Pricing Catalog Service initialized");
+}
+
+// ============================================
+// LOADING
+// ============================================
+
+/**
+ * Load published versions into utils/packagePricing.
+ * Seeds version 1 from the built-in prices the first time.
+ * @returns {Promise<number>} Number of published versions
+ */
+async function loadCatalog() {
+  let versions = await PricingCatalog.find({ status: "published" })
+    .sort({ effectiveFrom: 1 })
+    .lean();
+
+  if (versions.length === 0) {
+    await seedDefaultCatalog();
+    versions = await PricingCatalog.find({ status: "published" })
+      .sort({ effectiveFrom: 1 })
+      .lean();
+  }
+
+  setCatalogVersions(versions);
+  return versions.length;
+}
+
+async function seedDefaultCatalog() {
+  try {
+    await PricingCatalog.create({
+      version: 1,
+      status: "published",
+      effectiveFrom: DEFAULT_CATALOG.effectiveFrom,
+      notes: "Initial prices from utils/packagePricing.js",
+      ctmClubFees: DEFAULT_CATALOG.ctmClubFees,
+      studentPackages: DEFAULT_CATALOG.studentPackages,
+      entrepreneurPackages: DEFAULT_CATALOG.entrepreneurPackages,
+      publishedAt: new Date(),
+    });
+    console.log("💰 Pricing catalog seeded with built-in prices (version 1)");
+  } catch (error) {
+    // Another instance seeded it first
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function isAmount(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function isOptionalAmount(value) {
+  return value === null || value === undefined || isAmount(value);
+}
+
+/**
+ * Check the fee tables of a catalog version
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateCatalog({
+  ctmClubFees,
+  studentPackages,
+  entrepreneurPackages,
+}) {
+  const errors = [];
+
+  for (const institutionType of INSTITUTION_TYPES) {
+    for (const level of EDUCATION_LEVELS) {
+      const fee = ctmClubFees?.[institutionType]?.[level];
+      if (!fee || !isAmount(fee.total)) {
+        errors.push(
+          `ctmClubFees.${institutionType}.${level}.total must be a non-negative number`,
+        );
+      }
+    }
+  }
+
+  if (!studentPackages || typeof studentPackages !== "object") {
+    errors.push("studentPackages is required");
+  } else {
+    if (!studentPackages.normal) {
+      errors.push("studentPackages.normal (CTM Club) is required");
+    }
+
+    for (const [key, pkg] of Object.entries(studentPackages)) {
+      if (!PACKAGE_KEY_PATTERN.test(key)) {
+        errors.push(`studentPackages.${key}: invalid package key`);
+        continue;
+      }
+      if (!isAmount(pkg?.registrationFee)) {
+        errors.push(
+          `studentPackages.${key}.registrationFee must be a non-negative number`,
+        );
+      }
+      if (!isOptionalAmount(pkg?.monthlyFee)) {
+        errors.push(`studentPackages.${key}.monthlyFee must be a number`);
+      }
+      if (!isOptionalAmount(pkg?.annualFee)) {
+        errors.push(`studentPackages.${key}.annualFee must be a number`);
+      }
+      if (!BILLING_CYCLES.includes(pkg?.billingCycle)) {
+        errors.push(
+          `studentPackages.${key}.billingCycle must be one of ${BILLING_CYCLES.join(", ")}`,
+        );
+      }
+    }
+  }
+
+  if (!entrepreneurPackages || typeof entrepreneurPackages !== "object") {
+    errors.push("entrepreneurPackages is required");
+  } else {
+    if (!entrepreneurPackages.silver) {
+      errors.push("entrepreneurPackages.silver is required (default tier)");
+    }
+
+    for (const [key, pkg] of Object.entries(entrepreneurPackages)) {
+      if (!PACKAGE_KEY_PATTERN.test(key)) {
+        errors.push(`entrepreneurPackages.${key}: invalid package key`);
+        continue;
+      }
+      if (!isAmount(pkg?.registrationFee)) {
+        errors.push(
+          `entrepreneurPackages.${key}.registrationFee must be a non-negative number`,
+        );
+      }
+      if (!isAmount(pkg?.monthlyFee)) {
+        errors.push(
+          `entrepreneurPackages.${key}.monthlyFee must be a non-negative number`,
+        );
+      }
+      if (!isOptionalAmount(pkg?.totalFirstMonth)) {
+        errors.push(
+          `entrepreneurPackages.${key}.totalFirstMonth must be a number`,
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ============================================
+// VERSIONS
+// ============================================
+
+/**
+ * List catalog versions, newest first
+ * @param {object} filter - { status }
+ */
+async function listVersions({ status } = {}) {
+  return PricingCatalog.find(status ? { status } : {})
+    .sort({ version: -1 })
+    .populate("createdBy publishedBy", "firstName lastName username")
+    .lean();
+}
+
+async function getVersion(id) {
+  return PricingCatalog.findById(id)
+    .populate("createdBy publishedBy", "firstName lastName username")
+    .lean();
+}
+
+/**
+ * Prices in force on a date, as used by billing and registration
+ * @param {Date} asOf - Default: now
+ */
+function getPricesInForce(asOf = null) {
+  const catalog = getCatalog(asOf);
+  return {
+    asOf: asOf ? new Date(asOf) : new Date(),
+    version: catalog.version,
+    effectiveFrom: catalog.effectiveFrom,
+    ctmClubFees: catalog.ctmClubFees,
+    studentPackages: catalog.studentPackages,
+    entrepreneurPackages: catalog.entrepreneurPackages,
+  };
+}
+
+/**
+ * Create a draft version, copied from a base version with changes applied
+ * @param {object} changes - { baseVersion, ctmClubFees, studentPackages, entrepreneurPackages, notes }
+ * @param {string} adminId
+ * @returns {Promise<object>} { success, draft } or { success: false, error, errorType, errors }
+ */
+async function createDraft(changes, adminId) {
+  let base;
+  if (changes.baseVersion) {
+    base = await PricingCatalog.findOne({
+      version: changes.baseVersion,
+    }).lean();
+    if (!base) {
+      return {
+        success: false,
+        error: `Catalog version ${changes.baseVersion} not found`,
+        errorType: "NOT_FOUND",
+      };
+    }
+  } else {
+    // Latest published version, or the built-in prices
+    base =
+      (await PricingCatalog.findOne({ status: "published" })
+        .sort({ effectiveFrom: -1 })
+        .lean()) || DEFAULT_CATALOG;
+  }
+
+  const tables = {
+    ctmClubFees: changes.ctmClubFees || base.ctmClubFees,
+    studentPackages: changes.studentPackages || base.studentPackages,
+    entrepreneurPackages:
+      changes.entrepreneurPackages || base.entrepreneurPackages,
+  };
+
+  const errors = validateCatalog(tables);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid pricing catalog",
+      errorType: "INVALID_CATALOG",
+      errors,
+    };
+  }
+
+  const latest = await PricingCatalog.findOne()
+    .sort({ version: -1 })
+    .select("version")
+    .lean();
+
+  const draft = await PricingCatalog.create({
+    version: (latest?.version || 0) + 1,
+    status: "draft",
+    notes: changes.notes,
+    ...tables,
+    createdBy: adminId,
+  });
+
+  return { success: true, draft };
+}
+
+/**
+ * Update the fee tables or notes of a draft
+ * @returns {Promise<object>} { success, draft } or { success: false, error, errorType, errors }
+ */
+async function updateDraft(id, changes) {
+  const draft = await PricingCatalog.findById(id);
+  if (!draft) {
+    return {
+      success: false,
+      error: "Catalog version not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+  if (draft.status !== "draft") {
+    return {
+      success: false,
+      error: "Published catalog versions cannot be changed",
+      errorType: "CATALOG_PUBLISHED",
+    };
+  }
+
+  for (const field of [
+    "ctmClubFees",
+    "studentPackages",
+    "entrepreneurPackages",
+  ]) {
+    if (changes[field]) draft[field] = changes[field];
+  }
+  if (changes.notes !== undefined) draft.notes = changes.notes;
+
+  const errors = validateCatalog(draft);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid pricing catalog",
+      errorType: "INVALID_CATALOG",
+      errors,
+    };
+  }
+
+  await draft.save();
+  return { success: true, draft };
+}
+
+/**
+ * Publish a draft from a future date
+ * @param {string} id
+ * @param {Date} effectiveFrom - At least PUBLISH_LEAD_MINUTES from now
+ * @param {string} adminId
+ * @returns {Promise<object>} { success, version } or { success: false, error, errorType }
+ */
+async function publishVersion(id, effectiveFrom, adminId) {
+  const effectiveDate = new Date(effectiveFrom);
+  const earliest = Date.now() + PUBLISH_LEAD_MINUTES * 60 * 1000;
+
+  if (effectiveDate.getTime() < earliest) {
+    return {
+      success: false,
+      error: `Prices must take effect at least ${PUBLISH_LEAD_MINUTES} minutes from now - past prices cannot be changed`,
+      errorType: "INVALID_EFFECTIVE_DATE",
+    };
+  }
+
+  const clash = await PricingCatalog.exists({
+    status: "published",
+    effectiveFrom: effectiveDate,
+  });
+  if (clash) {
+    return {
+      success: false,
+      error: "Another version already takes effect at that time",
+      errorType: "INVALID_EFFECTIVE_DATE",
+    };
+  }
+
+  const version = await PricingCatalog.findOneAndUpdate(
+    { _id: id, status: "draft" },
+    {
+      status: "published",
+      effectiveFrom: effectiveDate,
+      publishedBy: adminId,
+      publishedAt: new Date(),
+    },
+    { new: true },
+  );
+
+  if (!version) {
+    return {
+      success: false,
+      error: "Draft not found or already published",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  await loadCatalog();
+  return { success: true, version };
+}
+
+/**
+ * Withdraw a published version that has not taken effect yet (back to draft)
+ * @returns {Promise<object>} { success, version } or { success: false, error, errorType }
+ */
+async function unpublishVersion(id) {
+  const latestAllowed = new Date(Date.now() + PUBLISH_LEAD_MINUTES * 60 * 1000);
+
+  const version = await PricingCatalog.findOneAndUpdate(
+    { _id: id, status: "published", effectiveFrom: { $gt: latestAllowed } },
+    {
+      status: "draft",
+      $unset: { effectiveFrom: 1, publishedBy: 1, publishedAt: 1 },
+    },
+    { new: true },
+  );
+
+  if (!version) {
+    return {
+      success: false,
+      error:
+        "Only published versions that take effect more than " +
+        `${PUBLISH_LEAD_MINUTES} minutes from now can be withdrawn`,
+      errorType: "CATALOG_IN_FORCE",
+    };
+  }
+
+  await loadCatalog();
+  return { success: true, version };
+}
+
+/**
+ * Delete a draft
+ * @returns {Promise<object>} { success } or { success: false, error, errorType }
+ */
+async function deleteDraft(id) {
+  const result = await PricingCatalog.deleteOne({ _id: id, status: "draft" });
+
+  if (result.deletedCount === 0) {
+    return {
+      success: false,
+      error: "Draft not found (published versions cannot be deleted)",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  return { success: true };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  PUBLISH_LEAD_MINUTES,
+  loadCatalog,
+  validateCatalog,
+  listVersions,
+  getVersion,
+  getPricesInForce,
+  createDraft,
+  updateDraft,
+  publishVersion,
+  unpublishVersion,
+  deleteDraft,
+};
@@ -0,0 +1,575 @@
+// ============================================
+// RECEIVABLES SERVICE
+// ============================================
+// ✅ Accounts-receivable aging (current, 1-30, 31-60, 61-90, 90+ days past
+//    due) grouped by user, school, region, package or role
+// ✅ Statement of account for a user: opening balance, invoices, payments,
+//    credit notes, refunds, write-offs and closing balance over a period
+// ✅ Both as export tables (columns + rows) for CSV and PDF
+// ============================================
+
+const mongoose = require("mongoose");
+
+// Models (injected when service is initialized)
+let Invoice, PaymentHistory, CreditNote, User, School, Region;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days past due: up to maxDays (inclusive)
+const AGING_BUCKETS = [
+  { key: "current", label: "Current", maxDays: 0 },
+  { key: "days_1_30", label: "1-30 days", maxDays: 30 },
+  { key: "days_31_60", label: "31-60 days", maxDays: 60 },
+  { key: "days_61_90", label: "61-90 days", maxDays: 90 },
+  { key: "days_over_90", label: "90+ days", maxDays: null },
+];
+
+// Ways to slice the aging report, as the field of the invoice's user
+const AGING_GROUPS = {
+  user: "$user._id",
+  school: "$user.schoolId",
+  region: "$user.regionId",
+  package: { $ifNull: ["$user.registration_type", "$user.registrationType"] },
+  role: "$user.role",
+};
+
+// Invoice statuses with money possibly still owed
+const OPEN_INVOICE_STATUSES = [
+  "unpaid",
+  "pending",
+  "submitted",
+  "verified",
+  "partially_paid",
+  "overdue",
+];
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+/**
+ * Initialize service with models
+ * @param {object} models - { Invoice, PaymentHistory, CreditNote, User, School, Region }
+ */
+function initialize(models) {
+  Invoice = models.Invoice;
+  PaymentHistory = models.PaymentHistory;
+  CreditNote = models.CreditNote;
+  User = models.User;
+  School = models.School;
+  Region = models.Region;
+
+  console.log("✅ Receivables Service initialized");
+}
+
+function toObjectId(id) {
+  return new mongoose.Types.ObjectId(id.toString());
+}
+
+function fullName(user) {
+  if (!user) return "-";
+  return (
+    `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.username
+  );
+}
+
+// ============================================
+// AGING
+// ============================================
+
+/**
+ * Outstanding balances by how long they are past due. Consolidated school
+ * invoices are left out - the student invoices they cover are counted.
+ * @param {object} options - { groupBy, schoolId, regionId, package, role }
+ * @param {object} scopeFilter - User filter for the caller's jurisdiction
+ *   (from scopeService.getScopeFilter)
+ * @returns {Promise<object>} { asOf, groupBy, buckets, rows, totals }
+ */
+async function getAgingReport(options = {}, scopeFilter = {}) {
+  const groupBy = options.groupBy || "user";
+  const asOf = new Date();
+
+  const userFilters = [scopeFilter];
+  if (options.schoolId) {
+    userFilters.push({ schoolId: toObjectId(options.schoolId) });
+  }
+  if (options.regionId) {
+    userFilters.push({ regionId: toObjectId(options.regionId) });
+  }
+  if (options.role) userFilters.push({ role: options.role });
+  if (options.package) {
+    userFilters.push({
+      $or: [
+        { registration_type: options.package },
+        { registrationType: options.package },
+      ],
+    });
+  }
+
+  const bucketBranches = AGING_BUCKETS.filter(
+    (bucket) => bucket.maxDays !== null,
+  ).map((bucket) => ({
+    case: { $lte: ["$daysPastDue", bucket.maxDays] },
+    then: bucket.key,
+  }));
+
+  const groups = await Invoice.aggregate([
+    {
+      $match: {
+        status: { $in: OPEN_INVOICE_STATUSES },
+        "coveredInvoices.0": { $exists: false },
+      },
+    },
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { userId: "$userId" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$userId"] } } },
+          { $match: { $and: userFilters } },
+          {
+            $project: {
+              firstName: 1,
+              lastName: 1,
+              username: 1,
+              phoneNumber: 1,
+              role: 1,
+              schoolId: 1,
+              regionId: 1,
+              registration_type: 1,
+              registrationType: 1,
+            },
+          },
+        ],
+        as: "user",
+      },
+    },
+    { $unwind: "$user" },
+    {
+      $lookup: {
+        from: PaymentHistory.collection.name,
+        let: { invoiceId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$invoiceId", "$$invoiceId"] },
+              status: { $in: PAID_HISTORY_STATUSES },
+              isDeleted: { $ne: true },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              paid: {
+                $sum: {
+                  $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+                },
+              },
+            },
+          },
+        ],
+        as: "payments",
+      },
+    },
+    {
+      $addFields: {
+        balance: {
+          $subtract: [
+            "$amount",
+            {
+              $add: [
+                { $ifNull: ["$creditedAmount", 0] },
+                { $ifNull: [{ $first: "$payments.paid" }, 0] },
+              ],
+            },
+          ],
+        },
+        daysPastDue: {
+          $floor: { $divide: [{ $subtract: [asOf, "$dueDate"] }, DAY_MS] },
+        },
+      },
+    },
+    { $match: { balance: { $gt: 0 } } },
+    {
+      $addFields: {
+        bucket: {
+          $switch: {
+            branches: bucketBranches,
+            default: AGING_BUCKETS[AGING_BUCKETS.length - 1].key,
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { key: AGING_GROUPS[groupBy], bucket: "$bucket" },
+        amount: { $sum: "$balance" },
+        invoices: { $sum: 1 },
+        oldestDaysPastDue: { $max: "$daysPastDue" },
+        user: { $first: "$user" },
+      },
+    },
+  ]);
+
+  const emptyBuckets = () =>
+    Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+
+  const rows = new Map();
+  for (const group of groups) {
+    const key = group._id.key?.toString() || null;
+    const row = rows.get(key) || {
+      key,
+      label: null,
+      ...emptyBuckets(),
+      total: 0,
+      invoices: 0,
+      oldestDaysPastDue: 0,
+      ...(groupBy === "user" && {
+        username: group.user.username,
+        phoneNumber: group.user.phoneNumber || null,
+      }),
+    };
+
+    row[group._id.bucket] += group.amount;
+    row.total += group.amount;
+    row.invoices += group.invoices;
+    row.oldestDaysPastDue = Math.max(
+      row.oldestDaysPastDue,
+      group.oldestDaysPastDue,
+    );
+    if (groupBy === "user") row.label = fullName(group.user);
+
+    rows.set(key, row);
+  }
+
+  await labelRows(groupBy, [...rows.values()]);
+
+  const totals = { ...emptyBuckets(), total: 0, invoices: 0 };
+  for (const row of rows.values()) {
+    for (const key of [...AGING_BUCKETS.map((b) => b.key), "total"]) {
+      totals[key] += row[key];
+    }
+    totals.invoices += row.invoices;
+  }
+
+  return {
+    asOf,
+    groupBy,
+    filters: {
+      schoolId: options.schoolId || null,
+      regionId: options.regionId || null,
+      package: options.package || null,
+      role: options.role || null,
+    },
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    rows: [...rows.values()].sort((a, b) => b.total - a.total),
+    totals,
+  };
+}
+
+async function labelRows(groupBy, rows) {
+  if (groupBy === "school" || groupBy === "region") {
+    const Model = groupBy === "school" ? School : Region;
+    const ids = rows.filter((row) => row.key).map((row) => row.key);
+    const names = new Map(
+      (
+        await Model.find({ _id: { $in: ids } })
+          .select("name")
+          .lean()
+      ).map((doc) => [doc._id.toString(), doc.name]),
+    );
+
+    for (const row of rows) {
+      row.label = row.key
+        ? names.get(row.key) || "Unknown"
+        : `No ${groupBy} assigned`;
+    }
+  } else if (groupBy !== "user") {
+    for (const row of rows) {
+      row.label = row.key || `No ${groupBy}`;
+    }
+  }
+}
+
+// ============================================
+// STATEMENT OF ACCOUNT
+// ============================================
+
+/**
+ * Statement of account for a user. Invoices are debits; payments, credit
+ * notes and write-offs are credits; a refund is a credit note plus a debit
+ * for the money paid back. Consolidated school invoices are on the school's
+ * statement instead.
+ * @param {string} userId
+ * @param {object} options - { from, to }
+ * @returns {Promise<object|null>} Statement, or null if the user does not exist
+ */
+async function getUserStatement(userId, options = {}) {
+  const user = await User.findById(userId)
+    .select("firstName lastName username email phoneNumber role schoolId")
+    .populate("schoolId", "name")
+    .lean();
+  if (!user) return null;
+
+  const from = options.from ? new Date(options.from) : null;
+  const to = options.to ? new Date(options.to) : new Date();
+
+  const [invoices, payments, creditNotes] = await Promise.all([
+    Invoice.find({
+      userId: user._id,
+      "coveredInvoices.0": { $exists: false },
+      createdAt: { $lte: to },
+      // Legacy cancellations have no credit note to offset them
+      $or: [{ status: { $ne: "cancelled" } }, { creditedAmount: { $gt: 0 } }],
+    })
+      .select(
+        "invoiceNumber type description amount status dueDate createdAt writeOff",
+      )
+      .sort({ createdAt: 1 })
+      .lean(),
+    PaymentHistory.find({
+      userId: user._id,
+      status: { $in: PAID_HISTORY_STATUSES },
+      isDeleted: { $ne: true },
+      paymentDate: { $lte: to },
+      "metadata.unallocated": { $ne: true },
+    })
+      .select("amount paymentDate invoiceId metadata")
+      .populate("invoiceId", "invoiceNumber")
+      .lean(),
+    CreditNote.find({
+      userId: user._id,
+      status: "issued",
+      issuedAt: { $lte: to },
+    })
+      .select("creditNoteNumber type amount reason issuedAt invoiceId refund")
+      .populate("invoiceId", "invoiceNumber")
+      .lean(),
+  ]);
+
+  const entries = [
+    ...invoices.map((invoice) => ({
+      date: invoice.createdAt,
+      type: "invoice",
+      reference: invoice.invoiceNumber,
+      description: invoice.description,
+      debit: invoice.amount,
+      credit: 0,
+      dueDate: invoice.dueDate,
+      status: invoice.status,
+    })),
+    ...payments.map((payment) => ({
+      date: payment.paymentDate,
+      type: "payment",
+      reference: payment.metadata?.reference || null,
+      description: `Payment${payment.metadata?.method ? ` (${payment.metadata.method})` : ""}${payment.invoiceId ? ` on ${payment.invoiceId.invoiceNumber}` : ""}`,
+      debit: 0,
+      credit: payment.amount,
+    })),
+    ...creditNotes.flatMap((note) => {
+      const invoiceNumber = note.invoiceId?.invoiceNumber || "invoice";
+      const credit = {
+        date: note.issuedAt,
+        type: "credit_note",
+        reference: note.creditNoteNumber,
+        description: `Credit note on ${invoiceNumber}: ${note.reason}`,
+        debit: 0,
+        credit: note.amount,
+      };
+      if (note.type !== "refund") return [credit];
+
+      return [
+        credit,
+        {
+          date: note.issuedAt,
+          type: "refund",
+          reference: note.refund?.reference || note.creditNoteNumber,
+          description: `Refund paid${note.refund?.method ? ` (${note.refund.method})` : ""} on ${invoiceNumber}`,
+          debit: note.amount,
+          credit: 0,
+        },
+      ];
+    }),
+    ...invoices
+      .filter(
+        (invoice) =>
+          invoice.status === "written_off" &&
+          invoice.writeOff?.writtenOffAt <= to,
+      )
+      .map((invoice) => ({
+        date: invoice.writeOff.writtenOffAt,
+        type: "write_off",
+        reference: invoice.invoiceNumber,
+        description: `Written off: ${invoice.writeOff.reason}`,
+        debit: 0,
+        credit: invoice.writeOff.amount,
+      })),
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let openingBalance = 0;
+  let balance = 0;
+  const lines = [];
+  for (const entry of entries) {
+    balance += entry.debit - entry.credit;
+    if (from && new Date(entry.date) < from) {
+      openingBalance = balance;
+    } else {
+      lines.push({ ...entry, balance });
+    }
+  }
+
+  const sumLines = (type, field) =>
+    lines
+      .filter((line) => line.type === type)
+      .reduce((sum, line) => sum + line[field], 0);
+
+  return {
+    user: {
+      _id: user._id,
+      name: fullName(user),
+      username: user.username,
+      email: user.email || null,
+      phoneNumber: user.phoneNumber || null,
+      role: user.role,
+      school: user.schoolId?.name || null,
+    },
+    period: { from, to },
+    openingBalance,
+    lines,
+    totals: {
+      invoiced: sumLines("invoice", "debit"),
+      paid: sumLines("payment", "credit"),
+      credited: sumLines("credit_note", "credit"),
+      refunded: sumLines("refund", "debit"),
+      writtenOff: sumLines("write_off", "credit"),
+    },
+    closingBalance: balance,
+  };
+}
+
+// ============================================
+// EXPORT TABLES
+// ============================================
+
+function formatDay(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : "";
+}
+
+/**
+ * Aging report as an export table
+ * @returns {object} { title, subtitle, summary, columns, rows, totalRow }
+ */
+function buildAgingTable(report) {
+  const groupLabel =
+    report.groupBy.charAt(0).toUpperCase() + report.groupBy.slice(1);
+  const filters = Object.entries(report.filters)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: ${value}`);
+
+  return {
+    title: "Accounts Receivable Aging",
+    subtitle: `As of ${formatDay(report.asOf)} - by ${report.groupBy}${filters.length > 0 ? ` (${filters.join(", ")})` : ""}`,
+    summary: [
+      { label: "Total outstanding", value: report.totals.total, money: true },
+      { label: "Open invoices", value: report.totals.invoices },
+    ],
+    columns: [
+      { label: groupLabel, width: 2.2 },
+      ...AGING_BUCKETS.map((bucket) => ({ label: bucket.label, money: true })),
+      { label: "Total", money: true },
+      { label: "Invoices", align: "right", width: 0.6 },
+    ],
+    rows: report.rows.map((row) => [
+      row.label,
+      ...AGING_BUCKETS.map((bucket) => row[bucket.key]),
+      row.total,
+      row.invoices,
+    ]),
+    totalRow: [
+      "Total",
+      ...AGING_BUCKETS.map((bucket) => report.totals[bucket.key]),
+      report.totals.total,
+      report.totals.invoices,
+    ],
+  };
+}
+
+/**
+ * Statement of account as an export table
+ * @returns {object} { title, subtitle, summary, columns, rows, totalRow }
+ */
+function buildStatementTable(statement) {
+  const { user, period, totals } = statement;
+
+  return {
+    title: "Statement of Account",
+    subtitle: `${user.name}${user.school ? ` - ${user.school}` : ""} | ${period.from ? formatDay(period.from) : "Opening"} to ${formatDay(period.to)}`,
+    summary: [
+      {
+        label: "Opening balance",
+        value: statement.openingBalance,
+        money: true,
+      },
+      { label: "Invoiced", value: totals.invoiced, money: true },
+      { label: "Paid", value: totals.paid, money: true },
+      { label: "Credited", value: totals.credited, money: true },
+      { label: "Refunded", value: totals.refunded, money: true },
+      { label: "Written off", value: totals.writtenOff, money: true },
+      {
+        label: "Closing balance",
+        value: statement.closingBalance,
+        money: true,
+      },
+    ],
+    columns: [
+      { label: "Date", width: 0.9 },
+      { label: "Type", width: 0.9 },
+      { label: "Reference", width: 1.4 },
+      { label: "Description", width: 2.6 },
+      { label: "Debit", money: true },
+      { label: "Credit", money: true },
+      { label: "Balance", money: true },
+    ],
+    rows: [
+      [
+        period.from ? formatDay(period.from) : "",
+        "opening",
+        "",
+        "Opening balance",
+        "",
+        "",
+        statement.openingBalance,
+      ],
+      ...statement.lines.map((line) => [
+        formatDay(line.date),
+        line.type.replace(/_/g, " "),
+        line.reference || "",
+        line.description || "",
+        line.debit || "",
+        line.credit || "",
+        line.balance,
+      ]),
+    ],
+    totalRow: [
+      formatDay(period.to),
+      "closing",
+      "",
+      "Closing balance",
+      statement.lines.reduce((sum, line) => sum + line.debit, 0),
+      statement.lines.reduce((sum, line) => sum + line.credit, 0),
+      statement.closingBalance,
+    ],
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  AGING_BUCKETS,
+  AGING_GROUPS,
+  getAgingReport,
+  getUserStatement,
+  buildAgingTable,
+  buildStatementTable,
+};
@@ -0,0 +1,752 @@
+// ============================================
+// PAYMENT RECONCILIATION SERVICE
+// ============================================
+// ✅ Imports CRDB bank statements and mobile money settlement reports (CSV)
+// ✅ Fuzzy-matches statement credits to PaymentHistory by reference,
+//    amount and date window, and proposes matches for confirmation
+// ✅ Confirmed matches mark the payment reconciled
+// ✅ Reports unmatched credits and orphan payments per statement
+// ============================================
+
+const crypto = require("crypto");
+const { parseCsv, detectDelimiter } = require("../utils/csv");
+
+// Models (injected when service is initialized)
+let PaymentHistory, StatementImport, StatementLine;
+
+const MATCH_POLICY = {
+  dateWindowDays: 3, // payment date may differ from the statement date by this much
+  amountTolerance: 0.01, // 1% - bank/MNO charges deducted from the credit
+  proposeScore: 50, // minimum score to propose a match
+  maxCandidates: 3, // alternatives kept on each line for the review screen
+};
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+// Provider statuses that mean the money actually arrived
+const SUCCESS_STATUSES = ["", "completed", "success", "successful", "paid"];
+
+/**
+ * Statement formats. Columns are found by header name (case-insensitive);
+ * methods are the PaymentHistory metadata.method values settled through
+ * that channel (used for the orphan payments report).
+ */
+const STATEMENT_FORMATS = {
+  crdb: {
+    label: "CRDB Bank statement",
+    methods: ["crdb_bank", "bank_transfer"],
+    columns: {
+      date: [
+        "posting date",
+        "transaction date",
+        "tran date",
+        "date",
+        "value date",
+      ],
+      description: [
+        "details",
+        "narration",
+        "description",
+        "transaction details",
+      ],
+      reference: [
+        "reference",
+        "reference no",
+        "ref no",
+        "transaction reference",
+        "cheque no",
+      ],
+      credit: ["credit", "credit amount", "deposit", "cr"],
+      debit: ["debit", "debit amount", "withdrawal", "dr"],
+    },
+  },
+  mpesa: {
+    label: "Vodacom M-Pesa settlement report",
+    methods: ["vodacom_lipa"],
+    columns: {
+      date: ["completion time", "transaction date", "date"],
+      description: ["details", "other party info", "account reference"],
+      reference: ["receipt no.", "receipt no", "receipt", "transaction id"],
+      credit: ["paid in", "amount", "credit"],
+      debit: ["withdrawn", "debit"],
+      status: ["transaction status", "status"],
+    },
+  },
+  tigopesa: {
+    label: "Tigo Pesa settlement report",
+    methods: ["tigopesa"],
+    columns: {
+      date: ["transaction date", "date", "date time"],
+      description: ["reference", "description", "msisdn", "customer msisdn"],
+      reference: ["transaction id", "txn id", "external reference"],
+      credit: ["amount", "credit"],
+      status: ["status", "transaction status"],
+    },
+  },
+  halopesa: {
+    label: "HaloPesa settlement report",
+    methods: ["halopesa"],
+    columns: {
+      date: ["transaction date", "date"],
+      description: ["reference", "description", "msisdn"],
+      reference: ["transaction id", "receipt", "txn id"],
+      credit: ["amount", "credit"],
+      status: ["status", "transaction status"],
+    },
+  },
+  azampay: {
+    label: "AzamPay settlement report",
+    methods: ["azampay"],
+    columns: {
+      date: ["transaction date", "date", "created at"],
+      description: ["utility ref", "narration", "description"],
+      reference: ["transaction id", "external id", "reference"],
+      credit: ["amount", "credit"],
+      status: ["status", "transaction status"],
+    },
+  },
+};
+
+const MONTHS = {
+  jan: 0,
+  feb: 1,
+  mar: 2,
+  apr: 3,
+  may: 4,
+  jun: 5,
+  jul: 6,
+  aug: 7,
+  sep: 8,
+  oct: 9,
+  nov: 10,
+  dec: 11,
+};
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  PaymentHistory = models.PaymentHistory;
+  StatementImport = models.StatementImport;
+  StatementLine = models.StatementLine;
+
+  console.log("✅ Reconciliation Service initialized");
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parse an amount like "1,250,000.00", "TZS 5,000" or "(3,000)"
+ * @returns {number|null}
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text || text === "-") return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith("-");
+  const number = parseFloat(text.replace(/[^0-9.]/g, ""));
+  if (Number.isNaN(number)) return null;
+
+  return negative ? -number : number;
+}
+
+/**
+ * Parse statement dates. Day-first, as Tanzanian banks export them:
+ * 2026-10-18, 18/10/2026, 18-10-2026, 18-Oct-2026, 18 Oct 2026 (time optional)
+ * @returns {Date|null}
+ */
+function parseStatementDate(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+
+  let match = text.match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/,
+  );
+  if (match) {
+    const [, y, m, d, hh = 0, mm = 0, ss = 0] = match;
+    return new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+  }
+
+  match = text.match(
+    /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/,
+  );
+  if (match) {
+    const [, d, m, y, hh = 0, mm = 0, ss = 0] = match;
+    const year = y.length === 2 ? 2000 + +y : +y;
+    return new Date(Date.UTC(year, +m - 1, +d, +hh, +mm, +ss));
+  }
+
+  match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2,4})/);
+  if (match && MONTHS[match[2].toLowerCase()] !== undefined) {
+    const [, d, mon, y] = match;
+    const year = y.length === 2 ? 2000 + +y : +y;
+    return new Date(Date.UTC(year, MONTHS[mon.toLowerCase()], +d));
+  }
+
+  return null;
+}
+
+function normalizeHeader(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Map each logical column to its index in the header row
+ * @returns {object|null} { date, credit, ... } or null if this is not the header
+ */
+function resolveColumns(header, columns) {
+  const normalized = header.map(normalizeHeader);
+  const indexes = {};
+
+  for (const [key, aliases] of Object.entries(columns)) {
+    const index = aliases
+      .map((alias) => normalized.indexOf(alias))
+      .find((i) => i !== -1);
+    if (index !== undefined) indexes[key] = index;
+  }
+
+  // Different aliases can land on the same column (e.g. "reference")
+  if (indexes.description === indexes.reference) delete indexes.description;
+
+  return indexes.date !== undefined && indexes.credit !== undefined
+    ? indexes
+    : null;
+}
+
+/**
+ * Parse a statement CSV into lines
+ * @param {string} format - Key of STATEMENT_FORMATS
+ * @param {string} text - CSV content
+ * @returns {object} { success, lines, periodStart, periodEnd, skippedRows } or
+ *   { success: false, error, errorType }
+ */
+function parseStatement(format, text) {
+  const definition = STATEMENT_FORMATS[format];
+  if (!definition) {
+    return {
+      success: false,
+      error: `Unknown statement format: ${format}`,
+      errorType: "UNKNOWN_FORMAT",
+    };
+  }
+
+  const rows = parseCsv(text, detectDelimiter(text));
+
+  // Bank exports start with account details - find the real header row
+  let columns = null;
+  let headerIndex = -1;
+  for (let i = 0; i < Math.min(rows.length, 30) && !columns; i++) {
+    columns = resolveColumns(rows[i], definition.columns);
+    if (columns) headerIndex = i;
+  }
+
+  if (!columns) {
+    return {
+      success: false,
+      error: `Could not find the ${definition.label} header row (need date and credit/amount columns)`,
+      errorType: "INVALID_STATEMENT",
+    };
+  }
+
+  const lines = [];
+  let skippedRows = 0;
+
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const cell = (key) =>
+      columns[key] !== undefined ? (row[columns[key]] || "").trim() : "";
+
+    const transactionDate = parseStatementDate(cell("date"));
+    const credit = parseAmount(cell("credit"));
+    const debit = parseAmount(cell("debit"));
+
+    // Totals, balances and footer rows have no usable date
+    if (!transactionDate || (credit === null && debit === null)) {
+      skippedRows++;
+      return;
+    }
+
+    const providerStatus = cell("status").toLowerCase();
+    const amount = credit !== null ? credit : -Math.abs(debit);
+
+    lines.push({
+      lineNumber: headerIndex + i + 2,
+      transactionDate,
+      description: cell("description"),
+      reference: cell("reference"),
+      amount: Math.abs(amount),
+      direction: amount >= 0 ? "credit" : "debit",
+      providerStatus: providerStatus || undefined,
+      raw: Object.fromEntries(
+        rows[headerIndex].map((name, index) => [name.trim(), row[index]]),
+      ),
+      status:
+        amount > 0 && SUCCESS_STATUSES.includes(providerStatus)
+          ? "unmatched"
+          : "ignored",
+    });
+  });
+
+  if (lines.length === 0) {
+    return {
+      success: false,
+      error: "The statement has no transaction lines",
+      errorType: "INVALID_STATEMENT",
+    };
+  }
+
+  const times = lines.map((line) => line.transactionDate.getTime());
+
+  return {
+    success: true,
+    lines,
+    periodStart: new Date(Math.min(...times)),
+    periodEnd: new Date(Math.max(...times)),
+    skippedRows,
+  };
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+function normalizeReference(value) {
+  return String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+// References a payment can be quoted by on a statement
+function paymentReferences(payment) {
+  const metadata = payment.metadata || {};
+  const get = (key) =>
+    metadata instanceof Map ? metadata.get(key) : metadata[key];
+
+  return [
+    get("reference"),
+    get("providerTransactionId"),
+    payment.invoiceId?.invoiceNumber,
+    payment.invoiceId?.controlNumber,
+  ]
+    .map(normalizeReference)
+    .filter((ref) => ref.length >= 4);
+}
+
+/**
+ * Score how well a payment matches a statement line (0-100)
+ * - reference: 50 exact, 40 found in reference/description text
+ * - amount: 35 exact, 20 within the charges tolerance
+ * - date: 15 same day, 10 next/previous day, 5 within the window
+ * @returns {object} { score, reasons }
+ */
+function scoreMatch(line, payment) {
+  const reasons = [];
+  let score = 0;
+
+  const lineRef = normalizeReference(line.reference);
+  const lineText = normalizeReference(`${line.reference} ${line.description}`);
+  const refs = paymentReferences(payment);
+
+  if (lineRef && refs.includes(lineRef)) {
+    score += 50;
+    reasons.push("reference");
+  } else if (refs.some((ref) => lineText.includes(ref))) {
+    score += 40;
+    reasons.push("reference_in_text");
+  }
+
+  const amountDiff = Math.abs(line.amount - payment.amount);
+  if (amountDiff < 0.01) {
+    score += 35;
+    reasons.push("amount");
+  } else if (amountDiff <= payment.amount * MATCH_POLICY.amountTolerance) {
+    score += 20;
+    reasons.push("amount_within_charges");
+  }
+
+  const days =
+    Math.abs(
+      new Date(line.transactionDate).getTime() -
+        new Date(payment.paymentDate).getTime(),
+    ) /
+    (24 * 60 * 60 * 1000);
+  if (days < 1) {
+    score += 15;
+    reasons.push("same_day");
+  } else if (days < 2) {
+    score += 10;
+    reasons.push("next_day");
+  } else if (days <= MATCH_POLICY.dateWindowDays) {
+    score += 5;
+    reasons.push("date_window");
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Propose matches for the unmatched credit lines of an import.
+ * Each payment is proposed for at most one line, best scores first;
+ * payments already proposed/confirmed on other lines are skipped.
+ * @returns {Promise<object>} { proposed, unmatched }
+ */
+async function matchImport(importId) {
+  const lines = await StatementLine.find({ importId, status: "unmatched" });
+  if (lines.length === 0) return { proposed: 0, unmatched: 0 };
+
+  const windowMs = MATCH_POLICY.dateWindowDays * 24 * 60 * 60 * 1000;
+  const times = lines.map((line) => line.transactionDate.getTime());
+
+  const [payments, claimedIds] = await Promise.all([
+    PaymentHistory.find({
+      reconciled: { $ne: true },
+      isDeleted: { $ne: true },
+      status: { $in: PAID_HISTORY_STATUSES },
+      paymentDate: {
+        $gte: new Date(Math.min(...times) - windowMs),
+        $lte: new Date(Math.max(...times) + windowMs),
+      },
+    })
+      .select("amount paymentDate metadata invoiceId userId")
+      .populate("invoiceId", "invoiceNumber controlNumber"),
+    StatementLine.distinct("paymentHistoryId", {
+      status: { $in: ["proposed", "confirmed"] },
+    }),
+  ]);
+
+  const claimed = new Set(claimedIds.map(String));
+  const available = payments.filter((p) => !claimed.has(p._id.toString()));
+
+  // Score every line/payment pair worth keeping
+  const pairs = [];
+  const candidatesByLine = new Map();
+
+  for (const line of lines) {
+    const rejected = new Set(line.rejectedPaymentIds.map(String));
+    const candidates = available
+      .filter((payment) => !rejected.has(payment._id.toString()))
+      .map((payment) => ({ payment, ...scoreMatch(line, payment) }))
+      .filter((c) => c.score >= MATCH_POLICY.proposeScore)
+      .sort((a, b) => b.score - a.score);
+
+    candidatesByLine.set(line._id.toString(), candidates);
+    candidates.forEach((c) => pairs.push({ line, ...c }));
+  }
+
+  // Greedy assignment: best scores first, one payment per line
+  pairs.sort((a, b) => b.score - a.score);
+  const usedPayments = new Set();
+  const assigned = new Map();
+
+  for (const pair of pairs) {
+    const lineId = pair.line._id.toString();
+    const paymentId = pair.payment._id.toString();
+    if (assigned.has(lineId) || usedPayments.has(paymentId)) continue;
+
+    // Two equally good payments for the same line - let a human pick
+    const tied = candidatesByLine
+      .get(lineId)
+      .filter(
+        (c) =>
+          c.score === pair.score && !usedPayments.has(c.payment._id.toString()),
+      );
+    if (tied.length > 1) continue;
+
+    assigned.set(lineId, pair);
+    usedPayments.add(paymentId);
+  }
+
+  let proposed = 0;
+  for (const line of lines) {
+    const lineId = line._id.toString();
+    const pair = assigned.get(lineId);
+
+    line.candidates = candidatesByLine
+      .get(lineId)
+      .slice(0, MATCH_POLICY.maxCandidates)
+      .map((c) => ({
+        paymentHistoryId: c.payment._id,
+        score: c.score,
+        reasons: c.reasons,
+      }));
+
+    if (pair) {
+      line.status = "proposed";
+      line.paymentHistoryId = pair.payment._id;
+      line.matchScore = pair.score;
+      line.matchReasons = pair.reasons;
+      proposed++;
+    }
+
+    await line.save();
+  }
+
+  await refreshImportCounts(importId);
+
+  return { proposed, unmatched: lines.length - proposed };
+}
+
+async function refreshImportCounts(importId) {
+  const counts = await StatementLine.aggregate([
+    { $match: { importId } },
+    {
+      $group: {
+        _id: "$status",
+        count: { $sum: 1 },
+        amount: { $sum: "$amount" },
+      },
+    },
+  ]);
+
+  const summary = { unmatched: 0, proposed: 0, confirmed: 0, ignored: 0 };
+  counts.forEach((c) => (summary[c._id] = c.count));
+
+  await StatementImport.updateOne(
+    { _id: importId },
+    {
+      summary,
+      status:
+        summary.unmatched === 0 && summary.proposed === 0
+          ? "completed"
+          : "in_review",
+    },
+  );
+
+  return summary;
+}
+
+// ============================================
+// IMPORT / REVIEW
+// ============================================
+
+/**
+ * Import a statement file and propose matches
+ * @param {object} file - { originalname, buffer }
+ * @returns {Promise<object>} { success, statement, matching } or
+ *   { success: false, error, errorType }
+ */
+async function importStatement(format, file, uploadedBy) {
+  const contentHash = crypto
+    .createHash("sha256")
+    .update(file.buffer)
+    .digest("hex");
+
+  const existing = await StatementImport.findOne({ contentHash })
+    .select("_id fileName createdAt")
+    .lean();
+  if (existing) {
+    return {
+      success: false,
+      error: `This statement was already imported (${existing.fileName})`,
+      errorType: "DUPLICATE_STATEMENT",
+      statementId: existing._id,
+    };
+  }
+
+  const parsed = parseStatement(format, file.buffer.toString("utf8"));
+  if (!parsed.success) return parsed;
+
+  const statement = await StatementImport.create({
+    format,
+    fileName: file.originalname,
+    contentHash,
+    periodStart: parsed.periodStart,
+    periodEnd: parsed.periodEnd,
+    lineCount: parsed.lines.length,
+    skippedRows: parsed.skippedRows,
+    totalCredits: parsed.lines
+      .filter((line) => line.direction === "credit")
+      .reduce((sum, line) => sum + line.amount, 0),
+    uploadedBy,
+  });
+
+  await StatementLine.insertMany(
+    parsed.lines.map((line) => ({ ...line, importId: statement._id })),
+  );
+
+  const matching = await matchImport(statement._id);
+
+  return {
+    success: true,
+    statement: await StatementImport.findById(statement._id).lean(),
+    matching,
+  };
+}
+
+/**
+ * Confirm a line's match (the proposal, or a payment picked by the reviewer)
+ * and mark the payment reconciled
+ * @returns {Promise<object>} { success, line, payment } or { success: false, error }
+ */
+async function confirmLine(lineId, reviewerId, paymentHistoryId = null) {
+  const line = await StatementLine.findById(lineId);
+  if (!line || !["unmatched", "proposed"].includes(line.status)) {
+    return {
+      success: false,
+      error: "Statement line not found or already handled",
+    };
+  }
+
+  const paymentId = paymentHistoryId || line.paymentHistoryId;
+  if (!paymentId) {
+    return { success: false, error: "Choose the payment this line belongs to" };
+  }
+
+  const payment = await PaymentHistory.findOne({
+    _id: paymentId,
+    isDeleted: { $ne: true },
+    status: { $in: PAID_HISTORY_STATUSES },
+  });
+  if (!payment) {
+    return { success: false, error: "Payment not found or not verified" };
+  }
+  if (payment.reconciled) {
+    return { success: false, error: "Payment is already reconciled" };
+  }
+
+  // Another line may already hold this payment as its proposal
+  await StatementLine.updateMany(
+    {
+      _id: { $ne: line._id },
+      paymentHistoryId: payment._id,
+      status: "proposed",
+    },
+    {
+      status: "unmatched",
+      $unset: { paymentHistoryId: 1, matchScore: 1, matchReasons: 1 },
+    },
+  );
+
+  await payment.reconcile(reviewerId);
+
+  if (
+    paymentHistoryId &&
+    line.paymentHistoryId?.toString() !== paymentId.toString()
+  ) {
+    line.matchReasons = ["manual"];
+    line.matchScore = undefined;
+  }
+  line.status = "confirmed";
+  line.paymentHistoryId = payment._id;
+  line.reviewedBy = reviewerId;
+  line.reviewedAt = new Date();
+  await line.save();
+
+  await refreshImportCounts(line.importId);
+
+  return { success: true, line, payment };
+}
+
+/**
+ * Reject a proposed match; the line goes back to unmatched and the
+ * payment will not be proposed for it again
+ */
+async function rejectProposal(lineId, reviewerId) {
+  const line = await StatementLine.findOne({ _id: lineId, status: "proposed" });
+  if (!line) return null;
+
+  line.rejectedPaymentIds.push(line.paymentHistoryId);
+  line.candidates = line.candidates.filter(
+    (c) => c.paymentHistoryId.toString() !== line.paymentHistoryId.toString(),
+  );
+  line.status = "unmatched";
+  line.paymentHistoryId = undefined;
+  line.matchScore = undefined;
+  line.matchReasons = [];
+  line.reviewedBy = reviewerId;
+  line.reviewedAt = new Date();
+  await line.save();
+
+  await refreshImportCounts(line.importId);
+  return line;
+}
+
+/**
+ * Reconciliation report for one statement
+ * - unmatchedCredits: credit lines with no confirmed/proposed payment
+ * - orphanPayments: verified, unreconciled payments in the statement period
+ *   with no proposed line (payments from other channels are left out)
+ */
+async function getReport(statementId) {
+  const statement = await StatementImport.findById(statementId)
+    .populate("uploadedBy", "firstName lastName username")
+    .lean();
+  if (!statement) return null;
+
+  const otherChannelMethods = Object.entries(STATEMENT_FORMATS)
+    .filter(([key]) => key !== statement.format)
+    .flatMap(([, definition]) => definition.methods);
+
+  // Payments waiting on a proposal are not orphans
+  const proposedIds = await StatementLine.distinct("paymentHistoryId", {
+    status: "proposed",
+  });
+
+  const [lineTotals, unmatchedCredits, orphanPayments] = await Promise.all([
+    StatementLine.aggregate([
+      { $match: { importId: statement._id } },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          amount: { $sum: "$amount" },
+        },
+      },
+    ]),
+    StatementLine.find({ importId: statement._id, status: "unmatched" })
+      .select("-raw")
+      .sort({ transactionDate: 1 })
+      .lean(),
+    PaymentHistory.find({
+      reconciled: { $ne: true },
+      isDeleted: { $ne: true },
+      status: { $in: PAID_HISTORY_STATUSES },
+      paymentDate: { $gte: statement.periodStart, $lte: statement.periodEnd },
+      "metadata.method": { $nin: otherChannelMethods },
+      _id: { $nin: proposedIds },
+    })
+      .select(
+        "userId invoiceId amount currency paymentDate transactionType status metadata",
+      )
+      .populate("userId", "firstName lastName username phoneNumber")
+      .populate("invoiceId", "invoiceNumber controlNumber")
+      .sort({ paymentDate: 1 })
+      .lean(),
+  ]);
+
+  const totals = Object.fromEntries(
+    lineTotals.map((t) => [t._id, { count: t.count, amount: t.amount }]),
+  );
+
+  return {
+    statement,
+    totals,
+    unmatchedCredits,
+    orphanPayments,
+    orphanAmount: orphanPayments.reduce((sum, p) => sum + p.amount, 0),
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  MATCH_POLICY,
+  STATEMENT_FORMATS,
+  parseAmount,
+  parseStatementDate,
+  parseStatement,
+  scoreMatch,
+  matchImport,
+  importStatement,
+  confirmLine,
+  rejectProposal,
+  getReport,
+};
@@ -0,0 +1,490 @@
+// ============================================
+// SCHOOL BILLING SERVICE
+// ============================================
+// ✅ School billing accounts: a school pays its students' fees (e.g. CTM
+//    Club) instead of each family
+// ✅ Bills every open student invoice the account covers on one
+//    consolidated Invoice listing each student
+// ✅ Settlement (paymentSettlementService) allocates the school's payment
+//    to the student invoices and activates the accounts
+// ✅ Statement of account for the school
+// ============================================
+
+const mongoose = require("mongoose");
+
+// Models (injected when service is initialized)
+let SchoolBillingAccount, School, User, Invoice, PaymentHistory;
+
+// Student invoice statuses that can be moved onto a school invoice
+const COVERABLE_INVOICE_STATUSES = [
+  "unpaid",
+  "pending",
+  "partially_paid",
+  "overdue",
+];
+
+// PaymentHistory statuses that count as money received
+const PAID_HISTORY_STATUSES = ["verified", "approved", "completed"];
+
+// Roles that can be the billing contact of a school account
+const BILLING_CONTACT_ROLES = ["headmaster", "staff"];
+
+/**
+ * Initialize service with models
+ * @param {object} models - { SchoolBillingAccount, School, User, Invoice, PaymentHistory }
+ */
+function initialize(models) {
+  SchoolBillingAccount = models.SchoolBillingAccount;
+  School = models.School;
+  User = models.User;
+  Invoice = models.Invoice;
+  PaymentHistory = models.PaymentHistory;
+
+  console.log("✅ School Billing Service initialized");
+}
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+async function getAccount(schoolId) {
+  return SchoolBillingAccount.findOne({ schoolId })
+    .populate(
+      "billingContactId",
+      "firstName lastName username phoneNumber email",
+    )
+    .lean();
+}
+
+/**
+ * Open or update a school's billing account
+ * @param {string} schoolId
+ * @param {object} data - { billingContactId, coverage, paymentTermsDays, status, notes }
+ * @param {string} adminId
+ * @returns {Promise<object>} { success, account, created } or { success: false, error, errorType }
+ */
+async function saveAccount(schoolId, data, adminId) {
+  const school = await School.findById(schoolId).select("name isActive");
+  if (!school) {
+    return {
+      success: false,
+      error: "School not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  let account = await SchoolBillingAccount.findOne({ schoolId });
+  const created = !account;
+
+  if (created) {
+    if (!data.billingContactId) {
+      return {
+        success: false,
+        error: "A billing contact is required",
+        errorType: "INVALID_ACCOUNT",
+      };
+    }
+    account = new SchoolBillingAccount({ schoolId, createdBy: adminId });
+  }
+
+  if (data.billingContactId) {
+    const contact = await User.findOne({
+      _id: data.billingContactId,
+      schoolId,
+      role: { $in: BILLING_CONTACT_ROLES },
+    }).select("_id");
+
+    if (!contact) {
+      return {
+        success: false,
+        error: `The billing contact must be a ${BILLING_CONTACT_ROLES.join(" or ")} of ${school.name}`,
+        errorType: "INVALID_ACCOUNT",
+      };
+    }
+  }
+
+  ["billingContactId", "paymentTermsDays", "status", "notes"].forEach(
+    (field) => {
+      if (data[field] !== undefined) account[field] = data[field];
+    },
+  );
+  if (data.coverage?.invoiceTypes) {
+    account.coverage.invoiceTypes = data.coverage.invoiceTypes;
+  }
+  if (data.coverage?.packages) {
+    account.coverage.packages = data.coverage.packages;
+  }
+
+  await account.save();
+  return { success: true, account, created };
+}
+
+// ============================================
+// CONSOLIDATED INVOICES
+// ============================================
+
+/**
+ * Open student invoices of the school that the account covers and that are
+ * not on a school invoice yet
+ */
+async function findCoverableInvoices(account) {
+  const students = await User.find({
+    schoolId: account.schoolId,
+    role: "student",
+    $or: [
+      { registration_type: { $in: account.coverage.packages } },
+      { registrationType: { $in: account.coverage.packages } },
+    ],
+  })
+    .select("_id")
+    .lean();
+
+  if (students.length === 0) return [];
+
+  return Invoice.find({
+    userId: { $in: students.map((student) => student._id) },
+    type: { $in: account.coverage.invoiceTypes },
+    status: { $in: COVERABLE_INVOICE_STATUSES },
+    consolidatedInvoiceId: null,
+  })
+    .select("_id")
+    .lean();
+}
+
+/**
+ * Issue a consolidated invoice for every open student invoice the school's
+ * account covers. The student invoices are claimed first so two runs never
+ * bill the same student twice.
+ * @returns {Promise<object>} { success, invoice } or { success: false, error, errorType }
+ */
+async function generateInvoice(schoolId) {
+  const account = await SchoolBillingAccount.findOne({ schoolId });
+  if (!account) {
+    return {
+      success: false,
+      error: "This school has no billing account",
+      errorType: "NOT_FOUND",
+    };
+  }
+  if (account.status !== "active") {
+    return {
+      success: false,
+      error: `The school billing account is ${account.status}`,
+      errorType: "ACCOUNT_INACTIVE",
+    };
+  }
+
+  const candidates = await findCoverableInvoices(account);
+  const consolidatedInvoiceId = new mongoose.Types.ObjectId();
+
+  await Invoice.updateMany(
+    {
+      _id: { $in: candidates.map((invoice) => invoice._id) },
+      status: { $in: COVERABLE_INVOICE_STATUSES },
+      consolidatedInvoiceId: null,
+    },
+    { $set: { consolidatedInvoiceId } },
+  );
+
+  const covered = await Invoice.find({ consolidatedInvoiceId })
+    .populate("userId", "firstName lastName username")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  if (covered.length === 0) {
+    return {
+      success: false,
+      error: "Nothing to bill: no open student invoices are covered",
+      errorType: "NOTHING_TO_BILL",
+    };
+  }
+
+  try {
+    const paid = await sumPaidByInvoice(covered.map((invoice) => invoice._id));
+    const school = await School.findById(schoolId).select(
+      "name regionId districtId",
+    );
+
+    const coveredInvoices = covered.map((invoice) => ({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      userId: invoice.userId?._id,
+      studentName: invoice.userId
+        ? `${invoice.userId.firstName || ""} ${invoice.userId.lastName || ""}`.trim() ||
+          invoice.userId.username
+        : null,
+      description: invoice.description,
+      amount:
+        invoice.amount -
+        (invoice.creditedAmount || 0) -
+        (paid.get(invoice._id.toString()) || 0),
+    }));
+
+    const invoice = await Invoice.create({
+      _id: consolidatedInvoiceId,
+      userId: account.billingContactId,
+      // Scoped to the school itself, not to where its billing contact is
+      schoolId: school._id,
+      districtId: school.districtId || null,
+      regionId: school.regionId || null,
+      invoiceNumber: `INV-SCH-${Date.now()}-${Math.random()
+        .toString(36)
+        .substring(2, 7)
+        .toUpperCase()}`,
+      type: "school_fees",
+      description: `${school.name} - fees for ${coveredInvoices.length} student${coveredInvoices.length === 1 ? "" : "s"}`,
+      amount: coveredInvoices.reduce((sum, line) => sum + line.amount, 0),
+      currency: "TZS",
+      status: "unpaid",
+      dueDate: new Date(
+        Date.now() + account.paymentTermsDays * 24 * 60 * 60 * 1000,
+      ),
+      academicYear: new Date().getFullYear().toString(),
+      schoolBillingAccountId: account._id,
+      coveredInvoices,
+    });
+
+    return { success: true, invoice };
+  } catch (error) {
+    await Invoice.updateMany(
+      { consolidatedInvoiceId },
+      { $unset: { consolidatedInvoiceId: 1 } },
+    );
+    throw error;
+  }
+}
+
+async function sumPaidByInvoice(invoiceIds) {
+  const totals = await PaymentHistory.aggregate([
+    {
+      $match: {
+        invoiceId: { $in: invoiceIds },
+        status: { $in: PAID_HISTORY_STATUSES },
+        isDeleted: { $ne: true },
+      },
+    },
+    {
+      $group: {
+        _id: "$invoiceId",
+        total: {
+          $sum: {
+            $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(totals.map((row) => [row._id.toString(), row.total]));
+}
+
+/**
+ * Cancel an unpaid school invoice; the students can pay (or be billed) again
+ * @returns {Promise<object>} { success, invoice } or { success: false, error, errorType }
+ */
+async function cancelInvoice(schoolId, invoiceId) {
+  const account = await SchoolBillingAccount.findOne({ schoolId }).select(
+    "_id",
+  );
+
+  const invoice = account
+    ? await Invoice.findOneAndUpdate(
+        {
+          _id: invoiceId,
+          schoolBillingAccountId: account._id,
+          status: { $in: ["unpaid", "pending", "overdue"] },
+        },
+        { $set: { status: "cancelled" } },
+        { new: true },
+      )
+    : null;
+
+  if (!invoice) {
+    const exists =
+      account &&
+      (await Invoice.exists({
+        _id: invoiceId,
+        schoolBillingAccountId: account._id,
+      }));
+    return exists
+      ? {
+          success: false,
+          error: "Only unpaid school invoices can be cancelled",
+          errorType: "INVALID_STATUS",
+        }
+      : {
+          success: false,
+          error: "School invoice not found",
+          errorType: "NOT_FOUND",
+        };
+  }
+
+  await Invoice.updateMany(
+    { consolidatedInvoiceId: invoice._id },
+    { $unset: { consolidatedInvoiceId: 1 } },
+  );
+
+  return { success: true, invoice };
+}
+
+/**
+ * A consolidated invoice of the school (document, so it can be settled)
+ */
+async function getInvoice(schoolId, invoiceId) {
+  const account = await SchoolBillingAccount.findOne({ schoolId }).select(
+    "_id",
+  );
+  if (!account) return null;
+
+  return Invoice.findOne({
+    _id: invoiceId,
+    schoolBillingAccountId: account._id,
+  });
+}
+
+async function listInvoices(schoolId) {
+  const account = await SchoolBillingAccount.findOne({ schoolId }).select(
+    "_id",
+  );
+  if (!account) return [];
+
+  return Invoice.find({ schoolBillingAccountId: account._id })
+    .select("-coveredInvoices")
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+// ============================================
+// STATEMENT
+// ============================================
+
+/**
+ * Statement of the school account: invoices (debits) and payments (credits)
+ * with a running balance
+ * @param {string} schoolId
+ * @param {object} options - { from, to } (default: all time to now)
+ * @returns {Promise<object|null>} null if the school has no account
+ */
+async function getStatement(schoolId, options = {}) {
+  const account = await getAccount(schoolId);
+  if (!account) return null;
+
+  const from = options.from ? new Date(options.from) : null;
+  const to = options.to ? new Date(options.to) : new Date();
+
+  const invoices = await Invoice.find({
+    schoolBillingAccountId: account._id,
+    status: { $ne: "cancelled" },
+    createdAt: { $lte: to },
+  })
+    .select(
+      "invoiceNumber description amount status dueDate createdAt coveredInvoices",
+    )
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const invoiceIds = invoices.map((invoice) => invoice._id);
+
+  // One credit per school payment (its allocations share a settlementId)
+  const payments = await PaymentHistory.aggregate([
+    {
+      $match: {
+        $or: [
+          { schoolInvoiceId: { $in: invoiceIds } },
+          { invoiceId: { $in: invoiceIds } },
+        ],
+        status: { $in: PAID_HISTORY_STATUSES },
+        isDeleted: { $ne: true },
+        paymentDate: { $lte: to },
+      },
+    },
+    {
+      $group: {
+        _id: { $ifNull: ["$metadata.settlementId", "$_id"] },
+        amount: { $sum: "$amount" },
+        date: { $min: "$paymentDate" },
+        reference: { $first: "$metadata.reference" },
+        method: { $first: "$metadata.method" },
+        schoolInvoiceId: {
+          $first: { $ifNull: ["$schoolInvoiceId", "$invoiceId"] },
+        },
+        students: {
+          $sum: { $cond: [{ $ifNull: ["$schoolInvoiceId", false] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  const invoiceNumbers = new Map(
+    invoices.map((invoice) => [invoice._id.toString(), invoice.invoiceNumber]),
+  );
+
+  const entries = [
+    ...invoices.map((invoice) => ({
+      date: invoice.createdAt,
+      type: "invoice",
+      reference: invoice.invoiceNumber,
+      description: invoice.description,
+      students: invoice.coveredInvoices.length,
+      debit: invoice.amount,
+      credit: 0,
+      dueDate: invoice.dueDate,
+      status: invoice.status,
+    })),
+    ...payments.map((payment) => ({
+      date: payment.date,
+      type: "payment",
+      reference: payment.reference || null,
+      description: `Payment${payment.method ? ` (${payment.method})` : ""} on ${invoiceNumbers.get(payment.schoolInvoiceId?.toString()) || "school invoice"}`,
+      students: payment.students,
+      debit: 0,
+      credit: payment.amount,
+    })),
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let openingBalance = 0;
+  let balance = 0;
+  const lines = [];
+  for (const entry of entries) {
+    balance += entry.debit - entry.credit;
+    if (from && new Date(entry.date) < from) {
+      openingBalance = balance;
+    } else {
+      lines.push({ ...entry, balance });
+    }
+  }
+
+  return {
+    account,
+    period: { from, to },
+    openingBalance,
+    lines,
+    totals: {
+      invoiced: lines.reduce((sum, line) => sum + line.debit, 0),
+      paid: lines.reduce((sum, line) => sum + line.credit, 0),
+    },
+    closingBalance: balance,
+    overdueAmount: invoices
+      .filter(
+        (invoice) =>
+          invoice.status !== "paid" && new Date(invoice.dueDate) < new Date(),
+      )
+      .reduce((sum, invoice) => sum + invoice.amount, 0),
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  BILLING_CONTACT_ROLES,
+  getAccount,
+  saveAccount,
+  findCoverableInvoices,
+  generateInvoice,
+  cancelInvoice,
+  getInvoice,
+  listInvoices,
+  getStatement,
+};
@@ -0,0 +1,332 @@
+// ============================================
+// JURISDICTION SCOPE SERVICE
+// ============================================
+// ✅ Works out which part of the country a user may see
+//    (national, region, district, school or only themselves)
+// ✅ Builds MongoDB filters that constrain queries to that area
+// ✅ Checks single documents so cross-jurisdiction reads can be rejected
+// ✅ Stamps the owner's area onto billing records so they filter directly
+// ============================================
+
+const mongoose = require("mongoose");
+
+// Models (injected when service is initialized)
+let models = {};
+
+const NATIONAL_ROLES = ["super_admin", "national_official", "tamisemi"];
+const SCHOOL_ROLES = ["headmaster", "teacher"];
+
+/**
+ * How each model is linked to a jurisdiction
+ * - region / district / school: field on the document for that level
+ * - viaSchool: school reference, matched against schools in the area
+ * - self: owner field for users who only see their own records
+ * Billing records carry their owner's area (see stampJurisdiction), so they
+ * filter on their own fields rather than on a list of the area's users.
+ */
+const OWNER_AREA_SCOPE = {
+  region: "regionId",
+  district: "districtId",
+  school: "schoolId",
+  self: "userId",
+};
+const OWNER_AREA_FIELDS = ["schoolId", "districtId", "regionId"];
+
+const MODEL_SCOPES = {
+  User: {
+    region: "regionId",
+    district: "districtId",
+    school: "schoolId",
+    self: "_id",
+  },
+  School: { region: "regionId", district: "districtId", school: "_id" },
+  Grade: { viaSchool: "schoolId", self: "studentId" },
+  AttendanceRecord: { viaSchool: "schoolId", self: "studentId" },
+  Event: {
+    region: "regionId",
+    district: "districtId",
+    viaSchool: "schoolId",
+    includeUnscoped: true, // national events are visible everywhere
+  },
+  PaymentHistory: OWNER_AREA_SCOPE,
+  Invoice: OWNER_AREA_SCOPE,
+  PaymentCheckout: OWNER_AREA_SCOPE,
+  CreditNote: OWNER_AREA_SCOPE,
+};
+
+// Models whose records are stamped with their owner's area
+const OWNER_STAMPED_MODELS = Object.keys(MODEL_SCOPES).filter(
+  (modelName) => MODEL_SCOPES[modelName] === OWNER_AREA_SCOPE,
+);
+
+// Matches nothing - used when an official has no region/district assigned
+const MATCH_NOTHING = { _id: { $in: [] } };
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(injectedModels) {
+  models = injectedModels;
+
+  console.log("✅ Scope Service initialized");
+}
+
+// ============================================
+// JURISDICTION
+// ============================================
+
+// ObjectIds (not strings) so filters also work in aggregate $match stages
+function toId(value) {
+  const id = value?._id || value;
+  return id && mongoose.Types.ObjectId.isValid(id)
+    ? new mongoose.Types.ObjectId(id.toString())
+    : null;
+}
+
+/**
+ * Work out a user's jurisdiction
+ * @param {object} user - req.user or a User document ({ id, role, schoolId,
+ *   regionId, districtId, nationalScope })
+ * @returns {object} { level, regionId, districtId, schoolId, userId }
+ *   level is one of national, region, district, school, self, none
+ */
+function getJurisdiction(user) {
+  const userId = toId(user?.id || user?._id);
+  const regionId = toId(user?.regionId);
+  const districtId = toId(user?.districtId);
+  const schoolId = toId(user?.schoolId);
+
+  if (!user) {
+    return { level: "none" };
+  }
+
+  if (NATIONAL_ROLES.includes(user.role)) {
+    return { level: "national", userId };
+  }
+
+  // Officials without an assigned area see nothing (not everything)
+  if (user.role === "regional_official") {
+    return regionId
+      ? { level: "region", regionId, userId }
+      : { level: "none", userId, official: true };
+  }
+
+  if (user.role === "district_official") {
+    return districtId
+      ? { level: "district", districtId, regionId, userId }
+      : { level: "none", userId, official: true };
+  }
+
+  if (SCHOOL_ROLES.includes(user.role)) {
+    return schoolId
+      ? { level: "school", schoolId, userId }
+      : { level: "none", userId };
+  }
+
+  // Staff and partner service accounts work at a school, a district or a
+  // region. National access has to be granted explicitly (nationalScope);
+  // an account with no area assigned sees nothing.
+  if (user.role === "staff" || user.role === "service_account") {
+    if (schoolId) return { level: "school", schoolId, userId };
+    if (districtId) return { level: "district", districtId, regionId, userId };
+    if (regionId) return { level: "region", regionId, userId };
+    return user.nationalScope === true
+      ? { level: "national", userId }
+      : { level: "none", userId, official: true };
+  }
+
+  return { level: "self", userId };
+}
+
+/**
+ * Whether this is a regional/district jurisdiction (officials and area staff)
+ */
+function isOfficialJurisdiction(jurisdiction) {
+  return (
+    ["region", "district"].includes(jurisdiction.level) ||
+    (jurisdiction.level === "none" && !!jurisdiction.official)
+  );
+}
+
+// ============================================
+// FILTERS
+// ============================================
+
+function schoolFilterFor(jurisdiction) {
+  switch (jurisdiction.level) {
+    case "region":
+      return { regionId: jurisdiction.regionId };
+    case "district":
+      return { districtId: jurisdiction.districtId };
+    case "school":
+      return { _id: jurisdiction.schoolId };
+    default:
+      return null;
+  }
+}
+
+/**
+ * IDs of schools inside a jurisdiction (every school for national)
+ * @returns {Promise<ObjectId[]>}
+ */
+async function getSchoolIdsInScope(jurisdiction) {
+  if (jurisdiction.level === "national") {
+    return await models.School.find({}).distinct("_id");
+  }
+
+  const filter = schoolFilterFor(jurisdiction);
+  if (!filter) return [];
+
+  return await models.School.find(filter).distinct("_id");
+}
+
+/**
+ * Build a MongoDB filter limiting a model to a jurisdiction.
+ * Returns {} for national scope; merge it with $and so caller
+ * filters cannot widen it.
+ * @param {object} jurisdiction - From getJurisdiction
+ * @param {string} modelName - Key of MODEL_SCOPES
+ * @returns {Promise<object>}
+ */
+async function getScopeFilter(jurisdiction, modelName) {
+  const scope = MODEL_SCOPES[modelName];
+  if (!scope) {
+    throw new Error(`No jurisdiction scope defined for ${modelName}`);
+  }
+
+  const { level } = jurisdiction;
+
+  if (level === "national") return {};
+  if (level === "none") return MATCH_NOTHING;
+
+  if (level === "self") {
+    return scope.self ? { [scope.self]: jurisdiction.userId } : MATCH_NOTHING;
+  }
+
+  // Field stored directly on the document
+  const directField = scope[level];
+  const directValue =
+    level === "school" ? jurisdiction.schoolId : jurisdiction[`${level}Id`];
+
+  if (directField && !scope.viaSchool) {
+    return { [directField]: directValue };
+  }
+
+  if (scope.viaSchool) {
+    const schoolIds = await getSchoolIdsInScope(jurisdiction);
+    const conditions = [{ [scope.viaSchool]: { $in: schoolIds } }];
+
+    if (directField) {
+      conditions.push({ [directField]: directValue });
+    }
+    if (scope.includeUnscoped) {
+      conditions.push({ regionId: null, districtId: null, schoolId: null });
+    }
+
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+  }
+
+  return MATCH_NOTHING;
+}
+
+/**
+ * Merge a query with the jurisdiction filter for a model
+ * @returns {Promise<object>} Filter safe to pass to find/countDocuments/$match
+ */
+async function scopeQuery(jurisdiction, modelName, query = {}) {
+  const scopeFilter = await getScopeFilter(jurisdiction, modelName);
+
+  if (Object.keys(scopeFilter).length === 0) return query;
+  if (Object.keys(query).length === 0) return scopeFilter;
+
+  return { $and: [query, scopeFilter] };
+}
+
+/**
+ * Check whether a single document is inside a jurisdiction
+ * @param {object} jurisdiction - From getJurisdiction
+ * @param {string} modelName - Key of MODEL_SCOPES
+ * @param {string} id - Document ID
+ * @returns {Promise<boolean>}
+ */
+async function isInScope(jurisdiction, modelName, id) {
+  if (jurisdiction.level === "national") return true;
+
+  const filter = await scopeQuery(jurisdiction, modelName, { _id: id });
+  return !!(await models[modelName].exists(filter));
+}
+
+// ============================================
+// OWNER AREA
+// ============================================
+
+/**
+ * Copy the owner's school, district and region onto a billing record.
+ * Fields already set are kept; missing ones are stored as null so the
+ * record counts as stamped.
+ * @param {object} record - Document (or plain object) with a userId
+ */
+async function stampJurisdiction(record) {
+  if (OWNER_AREA_FIELDS.every((field) => record[field] !== undefined)) return;
+
+  const owner = record.userId
+    ? await models.User.findById(record.userId)
+        .select(OWNER_AREA_FIELDS.join(" "))
+        .lean()
+    : null;
+
+  for (const field of OWNER_AREA_FIELDS) {
+    if (record[field] == null) record[field] = owner?.[field] || null;
+  }
+}
+
+/**
+ * Stamp billing records created before they carried their owner's area
+ * @param {object} options - { limit } records per model
+ * @returns {Promise<object>} Records stamped, by model name
+ */
+async function backfillJurisdiction({ limit = 500 } = {}) {
+  const stamped = {};
+
+  for (const modelName of OWNER_STAMPED_MODELS) {
+    const Model = models[modelName];
+    if (!Model) continue;
+
+    const records = await Model.find({ regionId: { $exists: false } })
+      .select(["userId", ...OWNER_AREA_FIELDS].join(" "))
+      .limit(limit)
+      .lean();
+
+    for (const record of records) {
+      await stampJurisdiction(record);
+      await Model.updateOne(
+        { _id: record._id },
+        {
+          $set: Object.fromEntries(
+            OWNER_AREA_FIELDS.map((field) => [field, record[field]]),
+          ),
+        },
+      );
+    }
+
+    stamped[modelName] = records.length;
+  }
+
+  return stamped;
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  MODEL_SCOPES,
+  getJurisdiction,
+  isOfficialJurisdiction,
+  getSchoolIdsInScope,
+  getScopeFilter,
+  scopeQuery,
+  isInScope,
+  stampJurisdiction,
+  backfillJurisdiction,
+};
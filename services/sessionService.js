@@ -0,0 +1,282 @@
+// ============================================
+// SESSION SERVICE
+// ============================================
+// ✅ Server-side login sessions backing refresh tokens
+// ✅ Refresh tokens rotate on every use (one-time tokens)
+// ✅ Reuse of a rotated token revokes the whole session
+// ✅ Logout / logout-all revoke sessions so access tokens stop working
+// ============================================
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Models (injected when service is initialized)
+let UserSession;
+
+const DEFAULT_REFRESH_EXPIRES_IN = "30d";
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  UserSession = models.UserSession;
+
+  console.log("✅ Session Service initialized");
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Required at startup (server.js) and must differ from JWT_SECRET
+function getRefreshSecret() {
+  if (!process.env.JWT_REFRESH_SECRET) {
+    throw new Error("JWT_REFRESH_SECRET is not configured");
+  }
+  return process.env.JWT_REFRESH_SECRET;
+}
+
+function hashToken(tokenId) {
+  return crypto.createHash("sha256").update(tokenId).digest("hex");
+}
+
+function getClientInfo(req = {}) {
+  return {
+    ipAddress: req.ip || req.connection?.remoteAddress || "unknown",
+    userAgent:
+      req.get?.("user-agent") || req.headers?.["user-agent"] || "unknown",
+  };
+}
+
+/**
+ * Sign a refresh token for a session. The token id (jti) is random and
+ * only its hash is stored on the session.
+ */
+function signRefreshToken(userId, sessionId) {
+  const tokenId = crypto.randomBytes(32).toString("hex");
+  const refreshToken = jwt.sign(
+    { id: userId, sid: sessionId, type: "refresh" },
+    getRefreshSecret(),
+    {
+      expiresIn:
+        process.env.JWT_REFRESH_EXPIRES_IN || DEFAULT_REFRESH_EXPIRES_IN,
+      jwtid: tokenId,
+    },
+  );
+  const { exp } = jwt.decode(refreshToken);
+
+  return {
+    refreshToken,
+    tokenHash: hashToken(tokenId),
+    expiresAt: new Date(exp * 1000),
+  };
+}
+
+// ============================================
+// CREATE SESSION (on login)
+// ============================================
+
+/**
+ * Start a new session for a user and issue its first refresh token
+ * @param {object} user - User document
+ * @param {object} req - Express request (for IP / user agent)
+ * @param {object} metadata - Extra details to store on the session
+ * @returns {Promise<{session: object, refreshToken: string}>}
+ */
+async function createSession(user, req = {}, metadata = {}) {
+  const session = new UserSession({
+    userId: user._id,
+    ...getClientInfo(req),
+    metadata,
+  });
+
+  const { refreshToken, tokenHash, expiresAt } = signRefreshToken(
+    user._id,
+    session._id,
+  );
+  session.refreshTokenHash = tokenHash;
+  session.expiresAt = expiresAt;
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { session, refreshToken };
+}
+
+// ============================================
+// ROTATE REFRESH TOKEN
+// ============================================
+
+/**
+ * Exchange a refresh token for a new one.
+ * Presenting an already-rotated token is treated as theft and revokes
+ * the session.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {object} req - Express request
+ * @returns {Promise<object>} { success, session, refreshToken } or { success: false, error, errorType }
+ */
+async function rotateRefreshToken(refreshToken, req = {}) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (error) {
+    return {
+      success: false,
+      error: "Invalid or expired refresh token",
+      errorType: "INVALID_REFRESH_TOKEN",
+    };
+  }
+
+  if (decoded.type !== "refresh" || !decoded.sid || !decoded.jti) {
+    return {
+      success: false,
+      error: "Invalid or expired refresh token",
+      errorType: "INVALID_REFRESH_TOKEN",
+    };
+  }
+
+  const {
+    refreshToken: newRefreshToken,
+    tokenHash,
+    expiresAt,
+  } = signRefreshToken(decoded.id, decoded.sid);
+  const clientInfo = getClientInfo(req);
+  const now = new Date();
+
+  // ✅ Claim the rotation atomically: only the request presenting the
+  // current token hash can swap it, so two concurrent refreshes with the
+  // same token can never both succeed
+  const session = await UserSession.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      refreshTokenHash: hashToken(decoded.jti),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: tokenHash,
+        expiresAt,
+        lastUsedAt: now,
+        ipAddress: clientInfo.ipAddress,
+        userAgent: clientInfo.userAgent,
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true },
+  );
+
+  if (!session) {
+    const existing = await UserSession.findById(decoded.sid);
+
+    if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+      return {
+        success: false,
+        error: "Session has ended. Please log in again.",
+        errorType: "SESSION_REVOKED",
+      };
+    }
+
+    // 🚨 A previously rotated token was replayed (or lost a race with
+    // another rotation) - revoke the session
+    await revokeSession(existing._id, "refresh_token_reuse");
+
+    console.warn(
+      `🚨 Refresh token reuse detected for session ${existing._id} (user ${existing.userId})`,
+    );
+
+    return {
+      success: false,
+      error: "Session has ended. Please log in again.",
+      errorType: "REFRESH_TOKEN_REUSE",
+      session: existing,
+    };
+  }
+
+  return { success: true, session, refreshToken: newRefreshToken };
+}
+
+// ============================================
+// SESSION CHECKS & REVOCATION
+// ============================================
+
+/**
+ * Check whether a session is still valid (used by authenticateToken)
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+
+  const session = await UserSession.findById(sessionId)
+    .select("revokedAt expiresAt")
+    .lean();
+
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+/**
+ * Revoke a single session
+ * @returns {Promise<boolean>} true if a session was revoked
+ */
+async function revokeSession(sessionId, reason = "logout") {
+  if (!sessionId) return false;
+
+  const result = await UserSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId
+ * @param {string} reason
+ * @param {string|null} exceptSessionId - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllUserSessions(
+  userId,
+  reason = "logout_all",
+  exceptSessionId = null,
+) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await UserSession.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount;
+}
+
+/**
+ * List a user's active sessions (newest first)
+ */
+async function listActiveSessions(userId) {
+  return await UserSession.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-refreshTokenHash")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllUserSessions,
+  listActiveSessions,
+};
@@ -413,6 +413,46 @@ class SMSService {
     return await this.sendSMS(phone, message, reference);
   }
 
+  /**
+   * Send one-time passcode
+   * @param {string} phone - User's phone number
+   * @param {string} code - Plain OTP code
+   * @param {number} ttlMinutes - Minutes until the code expires
+   * @param {string} purpose - OTP purpose (for reference tracking)
+   * @returns {Promise} SMS send response
+   */
+  async sendOTPSMS(phone, code, ttlMinutes, purpose = "otp") {
+    const message = `ECONNECT: Namba yako ya uthibitisho ni ${code}. Inaisha baada ya dakika ${ttlMinutes}.\n\nUsimpe mtu yeyote namba hii.`;
+
+    return await this.sendSMS(phone, message, `otp_${purpose}_${Date.now()}`);
+  }
+
+  /**
+   * Send alert for a login from a new device or location
+   * @param {string} phone - User's phone number
+   * @param {string} userName - User's name
+   * @param {string} ipAddress - IP address of the login
+   * @returns {Promise} SMS send response
+   */
+  async sendNewLoginAlertSMS(phone, userName, ipAddress) {
+    const message = `ECONNECT: Habari ${userName}, akaunti yako imeingiwa kutoka kifaa au mahali kipya (IP ${ipAddress}).\n\nKama si wewe, badilisha neno la siri mara moja au piga: 0758061582`;
+
+    return await this.sendSMS(phone, message, `login_alert_${Date.now()}`);
+  }
+
+  /**
+   * Send alert that the account was locked after failed logins
+   * @param {string} phone - User's phone number
+   * @param {string} userName - User's name
+   * @param {number} lockMinutes - Lock duration in minutes
+   * @returns {Promise} SMS send response
+   */
+  async sendAccountLockedSMS(phone, userName, lockMinutes) {
+    const message = `ECONNECT: Habari ${userName}, akaunti yako imefungwa kwa dakika ${lockMinutes} baada ya majaribio mengi ya kuingia yasiyofanikiwa.\n\nKama si wewe, wasiliana nasi: 0758061582`;
+
+    return await this.sendSMS(phone, message, `account_locked_${Date.now()}`);
+  }
+
   /**
    * Send payment confirmation SMS
    * @param {string} phone - User's phone number
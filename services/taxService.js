@@ -0,0 +1,582 @@
+// ============================================
+// TAX SERVICE (VAT)
+// ============================================
+// ✅ Configurable tax rates per invoice type (and product sales), optionally
+//    limited to some roles, with VAT-inclusive or VAT-exclusive pricing
+// ✅ New invoices and product sales carry tax lines (taxable amount + tax)
+// ✅ Payments, credit notes and school invoices take a pro-rata share of
+//    their invoice's tax
+// ✅ Monthly VAT summary (output VAT by type and rate) for filing
+// ============================================
+
+// Models (injected when service is initialized)
+let TaxRate, Invoice, CreditNote, Transaction, User;
+
+// What a tax rate can apply to: invoice types, plus entrepreneur product
+// sales (Transaction "product_sale")
+const TAXABLE_TYPES = [
+  "registration_fee",
+  "monthly_fee",
+  "annual_fee",
+  "certificate_fee",
+  "event_fee",
+  "school_fees",
+  "tuition_fee",
+  "exam_fee",
+  "other",
+  "product_sale",
+];
+
+// inclusive: the price already contains the tax (tax is extracted from it)
+// exclusive: the tax is added on top of the price
+const PRICING = ["inclusive", "exclusive"];
+
+/**
+ * Initialize service with models
+ * @param {object} models - { TaxRate, Invoice, CreditNote, Transaction, User }
+ */
+function initialize(models) {
+  TaxRate = models.TaxRate;
+  Invoice = models.Invoice;
+  CreditNote = models.CreditNote;
+  Transaction = models.Transaction;
+  User = models.User;
+
+  console.log("✅ Tax Service initialized");
+}
+
+// ============================================
+// CALCULATION
+// ============================================
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function sumTax(taxLines = []) {
+  return roundMoney(
+    taxLines.reduce((sum, line) => sum + (line.taxAmount || 0), 0),
+  );
+}
+
+/**
+ * Tax on an amount at a rate
+ * @param {number} amount - Price as entered (gross if the rate is inclusive)
+ * @param {object|null} taxRate - TaxRate, or null for untaxed
+ * @returns {object} { grossAmount, netAmount, taxAmount, taxLines }
+ */
+function calculateTax(amount, taxRate) {
+  const price = Number(amount) || 0;
+  if (!taxRate || !(price > 0)) {
+    return {
+      grossAmount: price,
+      netAmount: price,
+      taxAmount: 0,
+      taxLines: [],
+    };
+  }
+
+  const taxAmount =
+    taxRate.pricing === "exclusive"
+      ? roundMoney((price * taxRate.rate) / 100)
+      : roundMoney((price * taxRate.rate) / (100 + taxRate.rate));
+  const grossAmount =
+    taxRate.pricing === "exclusive" ? roundMoney(price + taxAmount) : price;
+  const netAmount = roundMoney(grossAmount - taxAmount);
+
+  return {
+    grossAmount,
+    netAmount,
+    taxAmount,
+    taxLines: [
+      {
+        taxRateId: taxRate._id,
+        code: taxRate.code,
+        name: taxRate.name,
+        rate: taxRate.rate,
+        pricing: taxRate.pricing,
+        taxableAmount: netAmount,
+        taxAmount,
+      },
+    ],
+  };
+}
+
+/**
+ * Share of a document's tax lines for part of its amount (a payment, a
+ * credit note, the unpaid part of a student invoice)
+ * @param {Array} taxLines - The document's tax lines
+ * @param {number} total - The document's (gross) amount
+ * @param {number} amount - The part being taken
+ * @returns {Array} Tax lines for the part
+ */
+function prorateTaxLines(taxLines, total, amount) {
+  if (!taxLines?.length || !(total > 0)) return [];
+  const share = Math.min(1, Math.max(0, amount / total));
+
+  return taxLines.map((line) => ({
+    taxRateId: line.taxRateId,
+    code: line.code,
+    name: line.name,
+    rate: line.rate,
+    pricing: line.pricing,
+    taxableAmount: roundMoney(line.taxableAmount * share),
+    taxAmount: roundMoney(line.taxAmount * share),
+  }));
+}
+
+/**
+ * Combine tax lines with the same code, rate and pricing
+ */
+function mergeTaxLines(taxLines) {
+  const merged = new Map();
+  for (const line of taxLines) {
+    const key = `${line.code}:${line.rate}:${line.pricing}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.taxableAmount = roundMoney(
+        existing.taxableAmount + line.taxableAmount,
+      );
+      existing.taxAmount = roundMoney(existing.taxAmount + line.taxAmount);
+    } else {
+      merged.set(key, { ...line });
+    }
+  }
+  return [...merged.values()];
+}
+
+// ============================================
+// TAX RATES
+// ============================================
+
+function specificity(taxRate) {
+  return (
+    (taxRate.appliesTo?.types?.length > 0 ? 1 : 0) +
+    (taxRate.appliesTo?.roles?.length > 0 ? 1 : 0)
+  );
+}
+
+/**
+ * Tax rate for a sale: the most specific active rate matching the type and
+ * the payer's role (empty list = all), then the latest validFrom, so a rate
+ * change is made by adding a rate that starts on the new date
+ * @returns {Promise<object|null>} TaxRate or null when the sale is untaxed
+ */
+async function resolveRate(type, role, date = new Date()) {
+  const rates = await TaxRate.find({
+    isActive: true,
+    validFrom: { $lte: date },
+    $and: [
+      {
+        $or: [{ "appliesTo.types": type }, { "appliesTo.types.0": null }],
+      },
+      {
+        $or: [{ "appliesTo.roles": role }, { "appliesTo.roles.0": null }],
+      },
+    ],
+  }).lean();
+
+  rates.sort(
+    (a, b) =>
+      specificity(b) - specificity(a) ||
+      new Date(b.validFrom) - new Date(a.validFrom),
+  );
+  return rates[0] || null;
+}
+
+/**
+ * Tax a new invoice (in memory; the caller saves it). An exclusive rate
+ * raises the amount by the tax. A consolidated school invoice takes the tax
+ * of the student invoice balances it covers.
+ * @param {object} invoice - New Invoice document
+ */
+async function applyInvoiceTax(invoice) {
+  if (invoice.coveredInvoices?.length > 0) {
+    const covered = await Invoice.find({
+      _id: { $in: invoice.coveredInvoices.map((line) => line.invoiceId) },
+    })
+      .select("amount taxLines")
+      .lean();
+    const byId = new Map(covered.map((doc) => [doc._id.toString(), doc]));
+
+    invoice.taxLines = mergeTaxLines(
+      invoice.coveredInvoices.flatMap((line) => {
+        const doc = byId.get(String(line.invoiceId));
+        return doc
+          ? prorateTaxLines(doc.taxLines, doc.amount, line.amount)
+          : [];
+      }),
+    );
+  } else {
+    const user = await User.findById(invoice.userId).select("role").lean();
+    const taxRate = await resolveRate(
+      invoice.type,
+      user?.role,
+      invoice.createdAt || new Date(),
+    );
+    const tax = calculateTax(invoice.amount, taxRate);
+
+    invoice.amount = tax.grossAmount;
+    invoice.taxLines = tax.taxLines;
+  }
+
+  invoice.taxAmount = sumTax(invoice.taxLines);
+  return invoice;
+}
+
+/**
+ * Tax on an invoice amount before the invoice exists, e.g. the registration
+ * fee a user must pay to be activated
+ * @returns {Promise<object>} { grossAmount, netAmount, taxAmount, taxLines }
+ */
+async function calculateInvoiceTax(amount, type, role, date = new Date()) {
+  return calculateTax(amount, await resolveRate(type, role, date));
+}
+
+/**
+ * Tax on a product sale recorded by an entrepreneur
+ * @returns {Promise<object>} { grossAmount, netAmount, taxAmount, taxLines }
+ */
+async function calculateSaleTax(amount, role, date = new Date()) {
+  return calculateTax(amount, await resolveRate("product_sale", role, date));
+}
+
+/**
+ * Tax contained in part of an invoice's amount
+ */
+function prorateInvoiceTax(invoice, amount) {
+  return sumTax(prorateTaxLines(invoice.taxLines, invoice.amount, amount));
+}
+
+function validateRate(taxRate) {
+  const errors = [];
+
+  if (!taxRate.name) errors.push("name is required");
+  if (!taxRate.code) errors.push("code is required");
+  if (
+    typeof taxRate.rate !== "number" ||
+    !(taxRate.rate >= 0 && taxRate.rate <= 100)
+  ) {
+    errors.push("rate must be a percentage between 0 and 100");
+  }
+  if (!PRICING.includes(taxRate.pricing)) {
+    errors.push(`pricing must be ${PRICING.join(" or ")}`);
+  }
+
+  const unknown = (taxRate.appliesTo?.types || []).filter(
+    (type) => !TAXABLE_TYPES.includes(type),
+  );
+  if (unknown.length > 0) {
+    errors.push(`Unknown type(s) ${unknown.join(", ")}`);
+  }
+
+  return errors;
+}
+
+/**
+ * List tax rates
+ * @param {object} filters - { isActive }
+ */
+async function listRates(filters = {}) {
+  const query = {};
+  if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+  return await TaxRate.find(query).sort({ code: 1, validFrom: -1 }).lean();
+}
+
+/**
+ * Create a tax rate. It applies to invoices and sales created from validFrom;
+ * existing invoices keep the tax they were issued with.
+ * @returns {Promise<object>} { success, taxRate } or { success: false, error, errorType, errors }
+ */
+async function createRate(data, adminId) {
+  const errors = validateRate(data);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid tax rate",
+      errorType: "INVALID_TAX_RATE",
+      errors,
+    };
+  }
+
+  const taxRate = await TaxRate.create({ ...data, createdBy: adminId });
+  return { success: true, taxRate };
+}
+
+/**
+ * Update a tax rate. Only new invoices and sales are affected.
+ * @returns {Promise<object>} { success, taxRate } or { success: false, error, errorType, errors }
+ */
+async function updateRate(taxRateId, changes, adminId) {
+  const taxRate = await TaxRate.findById(taxRateId);
+  if (!taxRate) {
+    return {
+      success: false,
+      error: "Tax rate not found",
+      errorType: "NOT_FOUND",
+    };
+  }
+
+  taxRate.set(changes);
+
+  const errors = validateRate(taxRate.toObject());
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: "Invalid tax rate",
+      errorType: "INVALID_TAX_RATE",
+      errors,
+    };
+  }
+
+  taxRate.updatedBy = adminId;
+  await taxRate.save();
+  return { success: true, taxRate };
+}
+
+// ============================================
+// VAT SUMMARY
+// ============================================
+
+function monthRange(year, month) {
+  return { from: new Date(year, month - 1, 1), to: new Date(year, month, 1) };
+}
+
+// Per-line amounts of a taxed document; untaxed documents count as one
+// line with no tax
+function lineProjection(amountField) {
+  return {
+    type: 1,
+    code: { $ifNull: ["$taxLines.code", null] },
+    rate: { $ifNull: ["$taxLines.rate", 0] },
+    pricing: { $ifNull: ["$taxLines.pricing", null] },
+    netAmount: { $ifNull: ["$taxLines.taxableAmount", amountField] },
+    taxAmount: { $ifNull: ["$taxLines.taxAmount", 0] },
+  };
+}
+
+const LINE_GROUP = {
+  _id: {
+    type: "$type",
+    code: "$code",
+    rate: "$rate",
+    pricing: "$pricing",
+  },
+  count: { $sum: 1 },
+  netAmount: { $sum: "$netAmount" },
+  taxAmount: { $sum: "$taxAmount" },
+};
+
+/**
+ * Output VAT for a calendar month, by source, type and rate: invoices
+ * issued, less credit notes and refunds issued, plus product sales
+ * (consolidated school invoices are left out - the student invoices they
+ * cover are counted)
+ * @returns {Promise<object>} { period, lines, totals }
+ */
+async function getVatSummary({ year, month }) {
+  const { from, to } = monthRange(year, month);
+
+  const [invoices, creditNotes, sales] = await Promise.all([
+    Invoice.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: from, $lt: to },
+          amount: { $gt: 0 },
+          "coveredInvoices.0": { $exists: false },
+        },
+      },
+      { $unwind: { path: "$taxLines", preserveNullAndEmptyArrays: true } },
+      { $project: lineProjection("$amount") },
+      { $group: LINE_GROUP },
+    ]),
+    CreditNote.aggregate([
+      { $match: { status: "issued", issuedAt: { $gte: from, $lt: to } } },
+      {
+        $lookup: {
+          from: Invoice.collection.name,
+          localField: "invoiceId",
+          foreignField: "_id",
+          as: "invoice",
+        },
+      },
+      { $unwind: "$invoice" },
+      { $match: { "invoice.coveredInvoices.0": { $exists: false } } },
+      {
+        $project: {
+          type: "$invoice.type",
+          taxLine: { $arrayElemAt: ["$invoice.taxLines", 0] },
+          taxAmount: { $ifNull: ["$taxAmount", 0] },
+          amount: 1,
+        },
+      },
+      {
+        $project: {
+          type: 1,
+          code: { $ifNull: ["$taxLine.code", null] },
+          rate: { $ifNull: ["$taxLine.rate", 0] },
+          pricing: { $ifNull: ["$taxLine.pricing", null] },
+          netAmount: {
+            $multiply: [{ $subtract: ["$amount", "$taxAmount"] }, -1],
+          },
+          taxAmount: { $multiply: ["$taxAmount", -1] },
+        },
+      },
+      { $group: LINE_GROUP },
+    ]),
+    Transaction.aggregate([
+      {
+        $match: {
+          transactionType: "product_sale",
+          status: "completed",
+          completedAt: { $gte: from, $lt: to },
+        },
+      },
+      { $unwind: { path: "$taxLines", preserveNullAndEmptyArrays: true } },
+      { $set: { type: "$transactionType" } },
+      {
+        $project: lineProjection({
+          $subtract: ["$amount", { $ifNull: ["$taxAmount", 0] }],
+        }),
+      },
+      { $group: LINE_GROUP },
+    ]),
+  ]);
+
+  const toLines = (source, groups) =>
+    groups.map((group) => ({
+      source,
+      type: group._id.type,
+      taxCode: group._id.code,
+      rate: group._id.rate,
+      pricing: group._id.pricing,
+      count: group.count,
+      netAmount: roundMoney(group.netAmount),
+      taxAmount: roundMoney(group.taxAmount),
+      grossAmount: roundMoney(group.netAmount + group.taxAmount),
+    }));
+
+  const lines = [
+    ...toLines("invoice", invoices),
+    ...toLines("credit_note", creditNotes),
+    ...toLines("product_sale", sales),
+  ].sort(
+    (a, b) =>
+      a.source.localeCompare(b.source) ||
+      String(a.type).localeCompare(String(b.type)) ||
+      b.rate - a.rate,
+  );
+
+  const total = (field) =>
+    roundMoney(lines.reduce((sum, line) => sum + line[field], 0));
+
+  return {
+    period: { year, month, from, to },
+    lines,
+    totals: {
+      netAmount: total("netAmount"),
+      taxAmount: total("taxAmount"),
+      grossAmount: total("grossAmount"),
+      taxableAmount: roundMoney(
+        lines
+          .filter((line) => line.taxCode)
+          .reduce((sum, line) => sum + line.netAmount, 0),
+      ),
+    },
+  };
+}
+
+/**
+ * VAT summary as an export table. fiscalReceipts (from
+ * fiscalService.summarizeReceipts) is added to the summary when given.
+ * @returns {object} { title, subtitle, summary, columns, rows, totalRow }
+ */
+function buildVatSummaryTable(summary, fiscalReceipts = null) {
+  const { period, totals } = summary;
+  const monthLabel = new Date(period.year, period.month - 1, 1).toLocaleString(
+    "en-GB",
+    { month: "long", year: "numeric" },
+  );
+
+  return {
+    title: "VAT Summary",
+    subtitle: `${monthLabel} | Output tax on invoices, credit notes and product sales`,
+    summary: [
+      { label: "Taxable supplies", value: totals.taxableAmount, money: true },
+      {
+        label: "Untaxed supplies",
+        value: roundMoney(totals.netAmount - totals.taxableAmount),
+        money: true,
+      },
+      { label: "Output VAT", value: totals.taxAmount, money: true },
+      ...(fiscalReceipts
+        ? [
+            { label: "Fiscal receipts", value: fiscalReceipts.count },
+            { label: "Z reports", value: fiscalReceipts.zReports.length },
+            {
+              label: "VAT on fiscal receipts",
+              value: fiscalReceipts.taxAmount,
+              money: true,
+            },
+          ]
+        : []),
+    ],
+    columns: [
+      { label: "Source", width: 1 },
+      { label: "Type", width: 1.3 },
+      { label: "Tax", width: 0.6 },
+      { label: "Rate %", width: 0.6, align: "right" },
+      { label: "Pricing", width: 0.8 },
+      { label: "Count", width: 0.6, align: "right" },
+      { label: "Net", money: true },
+      { label: "VAT", money: true },
+      { label: "Gross", money: true },
+    ],
+    rows: summary.lines.map((line) => [
+      line.source.replace(/_/g, " "),
+      String(line.type || "").replace(/_/g, " "),
+      line.taxCode || "none",
+      line.rate,
+      line.pricing || "",
+      line.count,
+      line.netAmount,
+      line.taxAmount,
+      line.grossAmount,
+    ]),
+    totalRow: [
+      "Total",
+      "",
+      "",
+      "",
+      "",
+      summary.lines.reduce((sum, line) => sum + line.count, 0),
+      totals.netAmount,
+      totals.taxAmount,
+      totals.grossAmount,
+    ],
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  TAXABLE_TYPES,
+  PRICING,
+  sumTax,
+  calculateTax,
+  prorateTaxLines,
+  resolveRate,
+  applyInvoiceTax,
+  calculateInvoiceTax,
+  calculateSaleTax,
+  prorateInvoiceTax,
+  validateRate,
+  listRates,
+  createRate,
+  updateRate,
+  getVatSummary,
+  buildVatSummaryTable,
+};
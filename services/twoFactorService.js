@@ -0,0 +1,363 @@
+// ============================================
+// TWO-FACTOR AUTHENTICATION SERVICE
+// ============================================
+// ✅ TOTP enrolment (secret + otpauth URI) and verification
+// ✅ One-time backup codes (stored hashed)
+// ✅ Role-based enforcement policy managed by admins
+// ============================================
+
+const crypto = require("crypto");
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+} = require("../utils/totp");
+
+// Models (injected when service is initialized)
+let User, SystemSetting;
+
+/**
+ * Roles that can be forced to use 2FA. These accounts can approve
+ * payments and bulk-delete users.
+ */
+const TWO_FACTOR_ENFORCEABLE_ROLES = [
+  "super_admin",
+  "national_official",
+  "tamisemi",
+  "headmaster",
+];
+
+const POLICY_SETTING_KEY = "security.twoFactor.enforcedRoles";
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// Fields that are hidden by default on the User schema
+const SECRET_FIELDS = "+twoFactorSecret +twoFactorBackupCodes";
+
+// ==========================================
+// INITIALIZE SERVICE (Call this after models are defined)
+// ==========================================
+function initialize(models) {
+  User = models.User;
+  SystemSetting = models.SystemSetting;
+
+  console.log("✅ Two-Factor Service initialized");
+}
+
+// ============================================
+// SECRET ENCRYPTION (AES-256-GCM)
+// ============================================
+
+function getEncryptionKey() {
+  return crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  const tag = cipher.getAuthTag();
+
+  return `v1:${iv.toString("base64")}:${tag.toString("base64")}:${encrypted.toString("base64")}`;
+}
+
+function decryptSecret(payload) {
+  if (!payload) return null;
+
+  const [version, iv, tag, encrypted] = payload.split(":");
+  if (version !== "v1") {
+    throw new Error("Unsupported two-factor secret format");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    Buffer.from(iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+// ============================================
+// BACKUP CODES
+// ============================================
+
+function normalizeBackupCode(code) {
+  return String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+function hashBackupCode(code) {
+  return crypto
+    .createHmac("sha256", getEncryptionKey())
+    .update(normalizeBackupCode(code))
+    .digest("hex");
+}
+
+function generateBackupCodes(count = BACKUP_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    let raw = "";
+    for (let j = 0; j < 8; j++) {
+      raw += BACKUP_CODE_CHARS[crypto.randomInt(0, BACKUP_CODE_CHARS.length)];
+    }
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+  return codes;
+}
+
+async function loadUserWithSecrets(userId) {
+  return await User.findById(userId).select(SECRET_FIELDS);
+}
+
+// ============================================
+// ENFORCEMENT POLICY
+// ============================================
+
+/**
+ * Roles currently required to use 2FA
+ * @returns {Promise<string[]>}
+ */
+async function getEnforcedRoles() {
+  const setting = await SystemSetting.findOne({
+    key: POLICY_SETTING_KEY,
+  }).lean();
+  return Array.isArray(setting?.value) ? setting.value : [];
+}
+
+/**
+ * Update the roles required to use 2FA
+ * @param {string[]} roles - Subset of TWO_FACTOR_ENFORCEABLE_ROLES
+ * @param {string} updatedBy - Admin user ID
+ * @returns {Promise<string[]>} Saved roles
+ */
+async function setEnforcedRoles(roles, updatedBy) {
+  const invalid = roles.filter(
+    (role) => !TWO_FACTOR_ENFORCEABLE_ROLES.includes(role),
+  );
+  if (invalid.length > 0) {
+    throw new Error(`2FA cannot be enforced for: ${invalid.join(", ")}`);
+  }
+
+  const uniqueRoles = [...new Set(roles)];
+  await SystemSetting.findOneAndUpdate(
+    { key: POLICY_SETTING_KEY },
+    { value: uniqueRoles, updatedBy, updatedAt: new Date() },
+    { upsert: true, new: true },
+  );
+
+  return uniqueRoles;
+}
+
+/**
+ * Whether the user's role is required to use 2FA
+ */
+async function isTwoFactorRequired(user) {
+  const enforcedRoles = await getEnforcedRoles();
+  return enforcedRoles.includes(user.role);
+}
+
+// ============================================
+// ENROLMENT
+// ============================================
+
+/**
+ * Start enrolment: create a new (pending) secret for the user
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+async function beginSetup(userId) {
+  const user = await loadUserWithSecrets(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  if (user.twoFactorEnabled) {
+    return { alreadyEnabled: true };
+  }
+
+  const secret = generateSecret();
+  user.twoFactorSecret = encryptSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.phoneNumber || user.email || user.username,
+    }),
+  };
+}
+
+/**
+ * Finish enrolment by confirming a code from the authenticator app
+ * @returns {Promise<object>} { success, backupCodes } or { success: false, error }
+ */
+async function enable(userId, code) {
+  const user = await loadUserWithSecrets(userId);
+  if (!user) {
+    return { success: false, error: "User not found" };
+  }
+  if (user.twoFactorEnabled) {
+    return {
+      success: false,
+      error: "Two-factor authentication is already enabled",
+    };
+  }
+  if (!user.twoFactorSecret) {
+    return { success: false, error: "Start two-factor setup first" };
+  }
+
+  const step = verifyTOTP(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) {
+    return { success: false, error: "Invalid authentication code" };
+  }
+
+  const backupCodes = generateBackupCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorBackupCodes = backupCodes.map((backupCode) => ({
+    codeHash: hashBackupCode(backupCode),
+  }));
+  await user.save();
+
+  return { success: true, backupCodes };
+}
+
+/**
+ * Turn 2FA off and remove the secret and backup codes
+ */
+async function disable(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorBackupCodes: 1,
+        twoFactorEnabledAt: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    },
+  );
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+/**
+ * Verify a TOTP code or a backup code for an enrolled user.
+ * TOTP codes cannot be replayed; backup codes are single-use.
+ * @param {string} userId
+ * @param {object} input - { code } or { backupCode }
+ * @returns {Promise<object>} { success, method, backupCodesRemaining }
+ */
+async function verify(userId, { code, backupCode } = {}) {
+  const user = await loadUserWithSecrets(userId);
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+    return {
+      success: false,
+      error: "Two-factor authentication is not enabled",
+    };
+  }
+
+  if (backupCode) {
+    const codeHash = hashBackupCode(backupCode);
+    const entry = user.twoFactorBackupCodes.find(
+      (item) => item.codeHash === codeHash && !item.usedAt,
+    );
+
+    if (!entry) {
+      return { success: false, error: "Invalid backup code" };
+    }
+
+    entry.usedAt = new Date();
+    await user.save();
+
+    return {
+      success: true,
+      method: "backup_code",
+      backupCodesRemaining: user.twoFactorBackupCodes.filter(
+        (item) => !item.usedAt,
+      ).length,
+    };
+  }
+
+  const step = verifyTOTP(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) {
+    return { success: false, error: "Invalid authentication code" };
+  }
+
+  if (
+    user.twoFactorLastUsedStep !== undefined &&
+    user.twoFactorLastUsedStep !== null &&
+    step <= user.twoFactorLastUsedStep
+  ) {
+    return { success: false, error: "Authentication code already used" };
+  }
+
+  user.twoFactorLastUsedStep = step;
+  await user.save();
+
+  return { success: true, method: "totp" };
+}
+
+/**
+ * Replace all backup codes with a fresh set
+ * @returns {Promise<string[]>} New plain backup codes (shown once)
+ */
+async function regenerateBackupCodes(userId) {
+  const user = await loadUserWithSecrets(userId);
+  const backupCodes = generateBackupCodes();
+
+  user.twoFactorBackupCodes = backupCodes.map((backupCode) => ({
+    codeHash: hashBackupCode(backupCode),
+  }));
+  await user.save();
+
+  return backupCodes;
+}
+
+/**
+ * 2FA status for a user (no secrets)
+ */
+async function getStatus(userId) {
+  const user = await loadUserWithSecrets(userId);
+
+  return {
+    enabled: !!user?.twoFactorEnabled,
+    enabledAt: user?.twoFactorEnabledAt || null,
+    required: user ? await isTwoFactorRequired(user) : false,
+    backupCodesRemaining: (user?.twoFactorBackupCodes || []).filter(
+      (item) => !item.usedAt,
+    ).length,
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  initialize,
+  TWO_FACTOR_ENFORCEABLE_ROLES,
+  getEnforcedRoles,
+  setEnforcedRoles,
+  isTwoFactorRequired,
+  beginSetup,
+  enable,
+  disable,
+  verify,
+  regenerateBackupCodes,
+  getStatus,
+};
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const apiKeyService = require("../services/apiKeyService");
+const { createMemoryModel } = require("./helpers/memoryModel");
+
+describe("consumeRateLimit", () => {
+  let ApiKeyRateWindow;
+  const apiKey = {
+    _id: new mongoose.Types.ObjectId(),
+    rateLimit: { windowSeconds: 60, maxRequests: 2 },
+  };
+
+  beforeEach(() => {
+    ApiKeyRateWindow = createMemoryModel([], {
+      unique: [["keyId", "windowStart"]],
+      defaults: { count: 0 },
+    });
+    apiKeyService.initialize({
+      ApiKey: createMemoryModel(),
+      ApiKeyRateWindow,
+      ServiceAccount: createMemoryModel(),
+    });
+  });
+
+  it("counts requests in one stored window per key", async () => {
+    const first = await apiKeyService.consumeRateLimit(apiKey);
+    const second = await apiKeyService.consumeRateLimit(apiKey);
+    const third = await apiKeyService.consumeRateLimit(apiKey);
+
+    assert.equal(first.allowed, true);
+    assert.equal(second.remaining, 0);
+    assert.equal(third.allowed, false);
+    assert.ok(third.retryAfter > 0 && third.retryAfter <= 60);
+
+    assert.equal(ApiKeyRateWindow.docs.length, 1);
+    const [window] = ApiKeyRateWindow.docs;
+    assert.equal(window.count, 3);
+    assert.equal(
+      window.expiresAt.getTime() - window.windowStart.getTime(),
+      60 * 1000,
+    );
+  });
+
+  it("keeps separate counters per key", async () => {
+    const otherKey = { ...apiKey, _id: new mongoose.Types.ObjectId() };
+
+    await apiKeyService.consumeRateLimit(apiKey);
+    await apiKeyService.consumeRateLimit(apiKey);
+    const other = await apiKeyService.consumeRateLimit(otherKey);
+
+    assert.equal(other.allowed, true);
+    assert.equal(other.remaining, 1);
+  });
+});
+
+describe("isValidAllowlistEntry", () => {
+  it("accepts plain IPs and IPv4 ranges with a 0-32 prefix", () => {
+    assert.equal(apiKeyService.isValidAllowlistEntry("10.0.0.1"), true);
+    assert.equal(apiKeyService.isValidAllowlistEntry("10.0.0.0/8"), true);
+    assert.equal(apiKeyService.isValidAllowlistEntry("0.0.0.0/0"), true);
+    assert.equal(apiKeyService.isValidAllowlistEntry("10.0.0.1/32"), true);
+  });
+
+  it("rejects an empty prefix", () => {
+    assert.equal(apiKeyService.isValidAllowlistEntry("10.0.0.1/"), false);
+  });
+
+  it("rejects negative, oversized and non-numeric prefixes", () => {
+    assert.equal(apiKeyService.isValidAllowlistEntry("10.0.0.1/-4"), false);
+    assert.equal(apiKeyService.isValidAllowlistEntry("10.0.0.1/33"), false);
+    assert.equal(apiKeyService.isValidAllowlistEntry("10.0.0.1/1e1"), false);
+    assert.equal(apiKeyService.isValidAllowlistEntry("10.0.0.1/8/8"), false);
+  });
+});
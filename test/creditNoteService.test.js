@@ -0,0 +1,114 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const creditNoteService = require("../services/creditNoteService");
+const paymentSettlementService = require("../services/paymentSettlementService");
+const ledgerService = require("../services/ledgerService");
+const { createMemoryModel } = require("./helpers/memoryModel");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const requesterId = id();
+const approverId = id();
+
+let models;
+let invoiceId;
+
+function setup(amount) {
+  const userId = id();
+  invoiceId = id();
+
+  models = {
+    User: createMemoryModel([{ _id: userId, role: "student" }]),
+    Invoice: createMemoryModel([
+      {
+        _id: invoiceId,
+        userId,
+        invoiceNumber: "INV-1",
+        type: "monthly_fee",
+        amount,
+        currency: "TZS",
+        status: "unpaid",
+        creditedAmount: 0,
+      },
+    ]),
+    CreditNote: createMemoryModel([], {
+      defaults: { status: "pending_approval" },
+    }),
+    PaymentHistory: createMemoryModel(),
+    Transaction: createMemoryModel(),
+    Revenue: createMemoryModel(),
+    JournalEntry: createMemoryModel([], { unique: [["postingKey"]] }),
+  };
+
+  creditNoteService.initialize(models);
+  paymentSettlementService.initialize(models);
+  ledgerService.initialize(models);
+}
+
+const pendingNote = (amount) =>
+  models.CreditNote.create({
+    creditNoteNumber: `CN-${amount}-${Math.random()}`,
+    invoiceId,
+    userId: models.Invoice.docs[0].userId,
+    type: "credit",
+    amount,
+    currency: "TZS",
+    reason: "Billing error",
+    status: "pending_approval",
+    requestedBy: requesterId,
+    history: [],
+  });
+
+describe("approveCreditNote", () => {
+  beforeEach(() => setup(100000));
+
+  it("never credits more than the invoice when notes are approved together", async () => {
+    const first = await pendingNote(60000);
+    const second = await pendingNote(60000);
+
+    // Both approvals pass the amount check before either is applied
+    const find = models.CreditNote.find;
+    models.CreditNote.find = (filter) => find({ ...filter, _id: null });
+
+    const results = await Promise.all([
+      creditNoteService.approveCreditNote(first._id, approverId),
+      creditNoteService.approveCreditNote(second._id, approverId),
+    ]);
+
+    assert.equal(results.filter((r) => r.success).length, 1);
+    assert.equal(results.find((r) => !r.success).errorType, "INVALID_AMOUNT");
+    assert.equal(models.Invoice.docs[0].creditedAmount, 60000);
+    assert.equal(
+      models.CreditNote.docs.filter((note) => note.status === "issued").length,
+      1,
+    );
+  });
+});
+
+describe("requestCreditNote", () => {
+  beforeEach(() => setup(500000));
+
+  it("needs approval once the total credited passes the threshold", async () => {
+    const amount = Math.ceil(creditNoteService.APPROVAL_THRESHOLD * 0.6);
+    const data = { type: "credit", amount, reason: "Billing error" };
+
+    const first = await creditNoteService.requestCreditNote(
+      invoiceId,
+      data,
+      requesterId,
+    );
+    const second = await creditNoteService.requestCreditNote(
+      invoiceId,
+      data,
+      requesterId,
+    );
+
+    assert.equal(first.requiresApproval, false);
+    assert.equal(first.creditNote.status, "issued");
+    assert.equal(second.requiresApproval, true);
+    assert.equal(second.creditNote.status, "pending_approval");
+    assert.equal(models.Invoice.docs[0].creditedAmount, amount);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * In-memory stand-in for a Mongoose model, for service tests that run
+ * without MongoDB. Supports the small query subset the services use.
+ */
+
+const { ObjectId } = require("mongoose").Types;
+
+function toComparable(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "object" && value._bsontype === "ObjectId") {
+    return value.toString();
+  }
+  return value;
+}
+
+function getPath(doc, path) {
+  return path
+    .split(".")
+    .reduce(
+      (current, key) => (current == null ? undefined : current[key]),
+      doc,
+    );
+}
+
+function matchesCondition(value, condition) {
+  const isOperatorObject =
+    condition &&
+    typeof condition === "object" &&
+    !(condition instanceof Date) &&
+    condition._bsontype !== "ObjectId" &&
+    Object.keys(condition).some((key) => key.startsWith("$"));
+
+  if (!isOperatorObject) {
+    // Like MongoDB, a value matches an array holding it
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+      return value.some(
+        (item) => toComparable(item) === toComparable(condition),
+      );
+    }
+    return toComparable(value) === toComparable(condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const actual = toComparable(value);
+    switch (operator) {
+      case "$in":
+        return operand.some((item) => toComparable(item) === actual);
+      case "$nin":
+        return !operand.some((item) => toComparable(item) === actual);
+      case "$ne":
+        return actual !== toComparable(operand);
+      case "$gt":
+        return actual !== null && actual > toComparable(operand);
+      case "$gte":
+        return actual !== null && actual >= toComparable(operand);
+      case "$lt":
+        return actual !== null && actual < toComparable(operand);
+      case "$lte":
+        return actual !== null && actual <= toComparable(operand);
+      case "$exists":
+        return (value !== undefined) === operand;
+      default:
+        throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") return condition.every((sub) => matches(doc, sub));
+    if (key === "$or") return condition.some((sub) => matches(doc, sub));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+// Thenable query so both `await Model.find()` and `.lean()` chains work
+// (result may itself be a promise)
+function query(result) {
+  return {
+    select: () => query(result),
+    sort: () => query(result),
+    limit: () => query(result),
+    populate: () => query(result),
+    lean: async () => result,
+    distinct: async (field) => {
+      const values = result.map((doc) => getPath(doc, field));
+      return values.filter(
+        (value, index) =>
+          values.findIndex(
+            (other) => toComparable(other) === toComparable(value),
+          ) === index,
+      );
+    },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === "$set" || (key === "$setOnInsert" && inserting)) {
+      Object.assign(doc, value);
+    } else if (key === "$setOnInsert") {
+      continue;
+    } else if (key === "$inc") {
+      for (const [field, amount] of Object.entries(value)) {
+        doc[field] = (doc[field] || 0) + amount;
+      }
+    } else if (key === "$push") {
+      for (const [field, item] of Object.entries(value)) {
+        doc[field] = [...(doc[field] || []), item];
+      }
+    } else if (!key.startsWith("$")) {
+      doc[key] = value;
+    } else {
+      throw new Error(`Unsupported update operator ${key}`);
+    }
+  }
+}
+
+function duplicateKeyError(fields) {
+  const error = new Error("E11000 duplicate key error");
+  error.code = 11000;
+  error.keyPattern = Object.fromEntries(fields.map((field) => [field, 1]));
+  return error;
+}
+
+/**
+ * @param {object[]} docs - Initial documents
+ * @param {object} options
+ * @param {string[][]} options.unique - Field sets that must be unique
+ *   (documents missing any of the fields are skipped, like a partial index)
+ * @param {object} options.methods - Instance methods, as on a schema
+ * @param {object} options.defaults - Field defaults, as on a schema
+ */
+function createMemoryModel(
+  docs = [],
+  { unique = [], methods = {}, defaults = {} } = {},
+) {
+  const store = [];
+
+  function violatedUnique(doc) {
+    return unique.find((fields) => {
+      const values = fields.map((field) => getPath(doc, field));
+      if (values.some((value) => value === undefined || value === null)) {
+        return false;
+      }
+      return store.some(
+        (other) =>
+          String(other._id) !== String(doc._id) &&
+          fields.every(
+            (field, index) =>
+              toComparable(getPath(other, field)) ===
+              toComparable(values[index]),
+          ),
+      );
+    });
+  }
+
+  class Model {
+    constructor(data = {}) {
+      Object.assign(this, { _id: new ObjectId() }, defaults, data);
+    }
+
+    async save() {
+      const violated = violatedUnique(this);
+      if (violated) throw duplicateKeyError(violated);
+      // A snapshot returned by a query saves back onto its stored doc
+      const stored = store.find((doc) => String(doc._id) === String(this._id));
+      if (!stored) store.push(this);
+      else if (stored !== this) Object.assign(stored, this);
+      return this;
+    }
+
+    toObject() {
+      return { ...this };
+    }
+  }
+  Object.assign(Model.prototype, methods);
+
+  const findAll = (filter) => store.filter((doc) => matches(doc, filter));
+
+  Object.assign(Model, {
+    docs: store,
+    find: (filter) => query(findAll(filter)),
+    findOne: (filter) => query(findAll(filter)[0] || null),
+    findById: (id) => query(findAll({ _id: id })[0] || null),
+    exists: async (filter) => {
+      const doc = findAll(filter)[0];
+      return doc ? { _id: doc._id } : null;
+    },
+    countDocuments: async (filter) => findAll(filter).length,
+    create: async (data) => new Model(data).save(),
+    findOneAndUpdate: (filter, update, options = {}) =>
+      query(
+        (async () => {
+          const doc = findAll(filter)[0];
+          if (!doc) {
+            if (!options.upsert) return null;
+            // Upserts start from the filter's equality conditions
+            const inserted = new Model(
+              Object.fromEntries(
+                Object.entries(filter).filter(([key]) => !key.startsWith("$")),
+              ),
+            );
+            applyUpdate(inserted, update, { inserting: true });
+            await inserted.save();
+            return options.new ? inserted : null;
+          }
+          const before = new Model({ ...doc });
+          applyUpdate(doc, update);
+          // Like the database, hand back a snapshot rather than the stored doc
+          return options.new ? new Model({ ...doc }) : before;
+        })(),
+      ),
+    updateOne: async (filter, update) => {
+      const doc = findAll(filter)[0];
+      if (doc) applyUpdate(doc, update);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter) => {
+      const matched = findAll(filter);
+      matched.forEach((doc) => store.splice(store.indexOf(doc), 1));
+      return { deletedCount: matched.length };
+    },
+    updateMany: async (filter, update) => {
+      const matched = findAll(filter);
+      matched.forEach((doc) => applyUpdate(doc, update));
+      return { modifiedCount: matched.length };
+    },
+  });
+
+  for (const doc of docs) store.push(new Model(doc));
+
+  return Model;
+}
+
+module.exports = { createMemoryModel, matches };
@@ -0,0 +1,63 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const impersonationService = require("../services/impersonationService");
+
+const request = (method, originalUrl) => ({ method, originalUrl });
+
+describe("isBlockedAction", () => {
+  it("blocks sensitive auth actions", () => {
+    assert.equal(
+      impersonationService.isBlockedAction(
+        request("POST", "/api/auth/change-password"),
+      ),
+      true,
+    );
+  });
+
+  it("blocks paths with a trailing slash, like Express routes them", () => {
+    assert.equal(
+      impersonationService.isBlockedAction(
+        request("POST", "/api/auth/change-password/"),
+      ),
+      true,
+    );
+  });
+
+  it("blocks paths regardless of case", () => {
+    assert.equal(
+      impersonationService.isBlockedAction(
+        request("POST", "/API/Auth/Change-Password"),
+      ),
+      true,
+    );
+    assert.equal(
+      impersonationService.isBlockedAction(
+        request("POST", "/api/Student/PAYMENTS/submit"),
+      ),
+      true,
+    );
+  });
+
+  it("blocks percent-encoded paths", () => {
+    assert.equal(
+      impersonationService.isBlockedAction(
+        request("POST", "/api/auth/change%2Dpassword?x=1"),
+      ),
+      true,
+    );
+  });
+
+  it("lets reads through", () => {
+    assert.equal(
+      impersonationService.isBlockedAction(
+        request("GET", "/api/student/payments"),
+      ),
+      false,
+    );
+    assert.equal(
+      impersonationService.isBlockedAction(request("GET", "/api/auth/me")),
+      false,
+    );
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+
+const scopeService = require("../services/scopeService");
+const {
+  enforceSchoolIsolation,
+  requireJurisdiction,
+} = require("../middleware/jurisdiction");
+const { createMemoryModel } = require("./helpers/memoryModel");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const region = id();
+const ownDistrict = id();
+const otherDistrict = id();
+const ownSchool = { _id: id(), regionId: region, districtId: ownDistrict };
+const otherSchool = { _id: id(), regionId: region, districtId: otherDistrict };
+
+const studentIn = (school) => ({
+  _id: id(),
+  role: "student",
+  firstName: "Student",
+  schoolId: school._id,
+  regionId: school.regionId,
+  districtId: school.districtId,
+});
+const ownStudent = studentIn(ownSchool);
+const otherStudent = studentIn(otherSchool);
+
+const callers = {
+  district_official: {
+    id: id().toString(),
+    role: "district_official",
+    regionId: region,
+    districtId: ownDistrict,
+  },
+  headmaster: {
+    id: id().toString(),
+    role: "headmaster",
+    schoolId: ownSchool._id,
+  },
+};
+
+// Same middleware chain as the student routes in server.js; the caller is
+// picked with a header instead of a JWT
+function buildApp(User) {
+  const app = express();
+  const authenticate = (req, res, next) => {
+    req.user = callers[req.headers["x-test-role"]];
+    next();
+  };
+
+  app.get(
+    "/api/students/:id",
+    authenticate,
+    enforceSchoolIsolation,
+    requireJurisdiction("User"),
+    async (req, res) => {
+      const student = await User.findOne(
+        await req.scopeQuery("User", { _id: req.params.id }),
+      ).lean();
+
+      if (!student) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Student not found" });
+      }
+
+      res.json({ success: true, data: student });
+    },
+  );
+
+  return app;
+}
+
+describe("scoped student route", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const User = createMemoryModel([ownStudent, otherStudent]);
+    scopeService.initialize({
+      School: createMemoryModel([ownSchool, otherSchool]),
+      User,
+    });
+
+    server = buildApp(User).listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const getStudent = (role, studentId) =>
+    fetch(`${baseUrl}/api/students/${studentId}`, {
+      headers: { "x-test-role": role },
+    });
+
+  it("returns a student inside the official's district", async () => {
+    const res = await getStudent("district_official", ownStudent._id);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.data._id, ownStudent._id.toString());
+  });
+
+  it("answers 403 when an official asks for another district", async () => {
+    const res = await getStudent("district_official", otherStudent._id);
+    const body = await res.json();
+
+    assert.equal(res.status, 403);
+    assert.equal(body.errorType, "OUTSIDE_JURISDICTION");
+  });
+
+  it("answers 404 when school staff ask for another school", async () => {
+    const res = await getStudent("headmaster", otherStudent._id);
+
+    assert.equal(res.status, 404);
+  });
+
+  it("returns a student from the headmaster's own school", async () => {
+    const res = await getStudent("headmaster", ownStudent._id);
+
+    assert.equal(res.status, 200);
+  });
+});
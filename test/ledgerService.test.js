@@ -0,0 +1,93 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const ledgerService = require("../services/ledgerService");
+const { createMemoryModel } = require("./helpers/memoryModel");
+
+let JournalEntry;
+
+beforeEach(() => {
+  JournalEntry = createMemoryModel([], { unique: [["postingKey"]] });
+  ledgerService.initialize({ JournalEntry, User: createMemoryModel() });
+});
+
+describe("postPayment", () => {
+  const paymentId = new mongoose.Types.ObjectId();
+  const payment = (status) => ({
+    _id: paymentId,
+    userId: new mongoose.Types.ObjectId(),
+    invoiceId: new mongoose.Types.ObjectId(),
+    transactionType: "registration_fee",
+    amount: 5000,
+    currency: "TZS",
+    status,
+  });
+
+  it("posts a verified payment once", async () => {
+    await ledgerService.postPayment(payment("verified"));
+    const again = await ledgerService.postPayment(payment("verified"));
+
+    assert.equal(again, null);
+    assert.deepEqual(
+      JournalEntry.docs.map((entry) => entry.postingKey),
+      [`payment_received:${paymentId}`],
+    );
+  });
+
+  it("posts a payment again when it is verified after a reversal", async () => {
+    await ledgerService.postPayment(payment("verified"));
+    await ledgerService.postPayment(payment("rejected"));
+    await ledgerService.postPayment(payment("verified"));
+    await ledgerService.postPayment(payment("rejected"));
+
+    assert.deepEqual(
+      JournalEntry.docs.map((entry) => entry.postingKey),
+      [
+        `payment_received:${paymentId}`,
+        `payment_reversed:${paymentId}`,
+        `payment_received:${paymentId}:1`,
+        `payment_reversed:${paymentId}:1`,
+      ],
+    );
+
+    const cash = JournalEntry.docs
+      .flatMap((entry) => entry.lines)
+      .filter((line) => line.account === "cash")
+      .reduce((sum, line) => sum + (line.debit || 0) - (line.credit || 0), 0);
+    assert.equal(cash, 0);
+  });
+
+  it("does not reverse a payment that was never posted", async () => {
+    const reversal = await ledgerService.postPayment(payment("rejected"));
+
+    assert.equal(reversal, null);
+    assert.equal(JournalEntry.docs.length, 0);
+  });
+});
+
+describe("getTrialBalance", () => {
+  it("treats totals equal to the cent as balanced", async () => {
+    // 0.1 + 0.2 !== 0.3 in floating point
+    JournalEntry.aggregate = async () => [
+      { _id: "cash", debit: 0.1 + 0.2, credit: 0 },
+      { _id: "fee_revenue", debit: 0, credit: 0.3 },
+    ];
+
+    const trialBalance = await ledgerService.getTrialBalance();
+
+    assert.equal(trialBalance.balanced, true);
+    assert.deepEqual(trialBalance.totals, { debit: 0.3, credit: 0.3 });
+  });
+
+  it("reports a real difference as unbalanced", async () => {
+    JournalEntry.aggregate = async () => [
+      { _id: "cash", debit: 100, credit: 0 },
+      { _id: "fee_revenue", debit: 0, credit: 99.99 },
+    ];
+
+    const trialBalance = await ledgerService.getTrialBalance();
+
+    assert.equal(trialBalance.balanced, false);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const otpService = require("../services/otpService");
+const { createMemoryModel } = require("./helpers/memoryModel");
+
+process.env.OTP_SECRET = "test-otp-secret";
+
+const phoneNumber = "255700000001";
+const purpose = "password_reset";
+const { maxAttempts } = otpService.OTP_POLICIES[purpose];
+
+const hash = (code) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_SECRET)
+    .update(`${purpose}:${phoneNumber}:${code}`)
+    .digest("hex");
+
+describe("verifyOTP", () => {
+  let OTP;
+
+  beforeEach(() => {
+    OTP = createMemoryModel([
+      {
+        phoneNumber,
+        purpose,
+        codeHash: hash("123456"),
+        expiresAt: new Date(Date.now() + 60000),
+        attempts: 0,
+      },
+    ]);
+    otpService.initialize({
+      OTP,
+      User: createMemoryModel(),
+      SMSLog: createMemoryModel(),
+    });
+  });
+
+  it("counts every parallel wrong guess and locks at maxAttempts", async () => {
+    const results = await Promise.all(
+      Array.from({ length: maxAttempts + 3 }, () =>
+        otpService.verifyOTP(phoneNumber, "000000", purpose),
+      ),
+    );
+
+    const invalid = results.filter((r) => r.errorType === "OTP_INVALID");
+    const locked = results.filter((r) => r.errorType === "OTP_LOCKED");
+    assert.equal(invalid.length, maxAttempts - 1);
+    assert.equal(locked.length, 1);
+
+    const [record] = OTP.docs;
+    assert.equal(record.attempts, maxAttempts);
+    assert.equal(record.codeHash, null);
+    assert.ok(record.lockedUntil > new Date());
+  });
+
+  it("accepts a code only once when verified in parallel", async () => {
+    const results = await Promise.all([
+      otpService.verifyOTP(phoneNumber, "123456", purpose),
+      otpService.verifyOTP(phoneNumber, "123456", purpose),
+    ]);
+
+    assert.equal(results.filter((r) => r.success).length, 1);
+    assert.equal(OTP.docs[0].codeHash, null);
+    assert.ok(OTP.docs[0].verifiedAt);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const paymentGatewayService = require("../services/paymentGatewayService");
+
+const ENV_KEYS = [
+  "NODE_ENV",
+  "JWT_SECRET",
+  "PAYMENT_GATEWAY_PROVIDER",
+  "PAYMENT_CALLBACK_TOKEN",
+  "AZAMPAY_APP_NAME",
+  "AZAMPAY_CLIENT_ID",
+  "AZAMPAY_CLIENT_SECRET",
+  "AZAMPAY_API_KEY",
+];
+
+const AZAMPAY_ENV = {
+  AZAMPAY_APP_NAME: "app",
+  AZAMPAY_CLIENT_ID: "client",
+  AZAMPAY_CLIENT_SECRET: "secret",
+  AZAMPAY_API_KEY: "key",
+};
+
+describe("payment gateway configuration", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+    process.env.JWT_SECRET = "jwt-secret";
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it("falls back to the fake provider and JWT secret outside production", () => {
+    assert.equal(paymentGatewayService.getProviderName(), "fake");
+    assert.equal(
+      paymentGatewayService.isValidCallbackToken("jwt-secret"),
+      true,
+    );
+    assert.deepEqual(paymentGatewayService.getConfigErrors(), []);
+  });
+
+  it("never falls back to the fake provider in production", () => {
+    process.env.NODE_ENV = "production";
+
+    assert.equal(paymentGatewayService.getProviderName(), "azampay");
+    assert.deepEqual(paymentGatewayService.getConfigErrors(), [
+      "AZAMPAY_APP_NAME is missing",
+      "AZAMPAY_CLIENT_ID is missing",
+      "AZAMPAY_CLIENT_SECRET is missing",
+      "AZAMPAY_API_KEY is missing",
+      "PAYMENT_CALLBACK_TOKEN is missing",
+    ]);
+  });
+
+  it("rejects an explicit fake provider in production", () => {
+    Object.assign(process.env, AZAMPAY_ENV, {
+      NODE_ENV: "production",
+      PAYMENT_GATEWAY_PROVIDER: "fake",
+      PAYMENT_CALLBACK_TOKEN: "callback-token",
+    });
+
+    assert.deepEqual(paymentGatewayService.getConfigErrors(), [
+      "the fake provider cannot be used in production",
+    ]);
+  });
+
+  it("does not accept the JWT secret as a callback token in production", () => {
+    Object.assign(process.env, AZAMPAY_ENV, { NODE_ENV: "production" });
+
+    assert.equal(
+      paymentGatewayService.isValidCallbackToken("jwt-secret"),
+      false,
+    );
+
+    process.env.PAYMENT_CALLBACK_TOKEN = "jwt-secret";
+    assert.deepEqual(paymentGatewayService.getConfigErrors(), [
+      "PAYMENT_CALLBACK_TOKEN must differ from JWT_SECRET",
+    ]);
+  });
+
+  it("refuses to initialize in production when misconfigured", () => {
+    process.env.NODE_ENV = "production";
+
+    assert.throws(
+      () => paymentGatewayService.initialize({}),
+      /not configured for production/,
+    );
+  });
+
+  it("accepts a complete production configuration", () => {
+    Object.assign(process.env, AZAMPAY_ENV, {
+      NODE_ENV: "production",
+      PAYMENT_CALLBACK_TOKEN: "callback-token",
+    });
+
+    assert.deepEqual(paymentGatewayService.getConfigErrors(), []);
+    assert.equal(
+      paymentGatewayService.isValidCallbackToken("callback-token"),
+      true,
+    );
+  });
+});
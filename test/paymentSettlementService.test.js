@@ -0,0 +1,279 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const paymentSettlementService = require("../services/paymentSettlementService");
+const discountService = require("../services/discountService");
+const taxService = require("../services/taxService");
+const ledgerService = require("../services/ledgerService");
+const { createMemoryModel } = require("./helpers/memoryModel");
+
+const id = () => new mongoose.Types.ObjectId();
+
+let models;
+
+function setup({ failFirstSave = false } = {}) {
+  const userId = id();
+  let failNextSave = failFirstSave;
+
+  models = {
+    User: createMemoryModel([{ _id: userId, role: "student" }], {
+      methods: {
+        async save() {
+          return this;
+        },
+      },
+    }),
+    Invoice: createMemoryModel([
+      {
+        userId,
+        invoiceNumber: "INV-1",
+        controlNumber: "991234567890",
+        type: "monthly_fee",
+        description: "Monthly fee",
+        amount: 10000,
+        currency: "TZS",
+        status: "unpaid",
+      },
+    ]),
+    PaymentHistory: createMemoryModel([], {
+      unique: [
+        ["metadata.provider", "metadata.providerTransactionId", "invoiceId"],
+      ],
+      methods: {
+        async changeStatus(status) {
+          this.status = status;
+          if (failNextSave) {
+            failNextSave = false;
+            throw new Error("Database unavailable");
+          }
+          return this.save();
+        },
+      },
+    }),
+    PaymentCheckout: createMemoryModel(),
+    PaymentWebhookEvent: createMemoryModel([], {
+      unique: [["provider", "providerTransactionId"]],
+      defaults: { attempts: 1 },
+    }),
+    SMSLog: createMemoryModel(),
+  };
+
+  paymentSettlementService.initialize(models);
+}
+
+const webhook = (overrides = {}) => ({
+  transactionId: "TX-1",
+  amount: 10000,
+  controlNumber: "991234567890",
+  status: "success",
+  ...overrides,
+});
+
+describe("handleWebhook", () => {
+  beforeEach(() => setup());
+
+  it("settles a payment once per provider transaction", async () => {
+    const first = await paymentSettlementService.handleWebhook(
+      "mpesa",
+      webhook(),
+    );
+    const retry = await paymentSettlementService.handleWebhook(
+      "mpesa",
+      webhook(),
+    );
+
+    assert.equal(first.outcome, "settled");
+    assert.equal(retry.outcome, "duplicate");
+    assert.equal(models.PaymentHistory.docs.length, 1);
+    assert.equal(models.Invoice.docs[0].status, "paid");
+  });
+
+  it("does not record a transaction twice on the same invoice", async () => {
+    const [invoice] = models.Invoice.docs;
+    const payment = {
+      amount: 10000,
+      provider: "mpesa",
+      providerTransactionId: "TX-1",
+      source: "checkout_callback",
+    };
+
+    const first = await paymentSettlementService.settlePayment(
+      invoice,
+      payment,
+    );
+    const second = await paymentSettlementService.settlePayment(
+      invoice,
+      payment,
+    );
+
+    assert.equal(first.duplicate, false);
+    assert.equal(second.duplicate, true);
+    assert.equal(
+      second.paymentHistory._id.toString(),
+      first.paymentHistory._id.toString(),
+    );
+    assert.equal(models.PaymentHistory.docs.length, 1);
+  });
+});
+
+describe("handleWebhook when settlement fails", () => {
+  beforeEach(() => setup({ failFirstSave: true }));
+
+  it("keeps the event as failed and settles it on the provider's retry", async () => {
+    await assert.rejects(
+      paymentSettlementService.handleWebhook("mpesa", webhook()),
+      /Database unavailable/,
+    );
+
+    const [event] = models.PaymentWebhookEvent.docs;
+    assert.equal(event.status, "failed");
+    assert.match(event.statusReason, /Database unavailable/);
+
+    const retry = await paymentSettlementService.handleWebhook(
+      "mpesa",
+      webhook(),
+    );
+
+    assert.equal(retry.outcome, "settled");
+    assert.equal(retry.event.attempts, 2);
+    assert.equal(models.PaymentWebhookEvent.docs.length, 1);
+    assert.equal(models.PaymentHistory.docs.length, 1);
+    assert.equal(models.Invoice.docs[0].status, "paid");
+  });
+});
+
+describe("applyPaymentToUser with VAT", () => {
+  // Silver student package for a private school: TZS 20,000 before VAT
+  const registrationFee = 20000;
+
+  function setupRegistration(pricing, paid) {
+    const user = {
+      _id: id(),
+      role: "student",
+      registration_type: "silver",
+      institutionType: "private",
+      accountStatus: "inactive",
+      createdAt: new Date(),
+      async save() {
+        return this;
+      },
+    };
+
+    const Invoice = createMemoryModel();
+    Invoice.aggregate = async () => [];
+
+    const registrationModels = {
+      User: createMemoryModel(),
+      Invoice,
+      PaymentHistory: createMemoryModel([
+        {
+          userId: user._id,
+          transactionType: "registration_fee",
+          amount: paid,
+          status: "verified",
+        },
+      ]),
+      DiscountRule: createMemoryModel(),
+      TaxRate: createMemoryModel([
+        {
+          code: "VAT",
+          name: "VAT",
+          rate: 18,
+          pricing,
+          appliesTo: { types: ["registration_fee"], roles: [] },
+          validFrom: new Date("2020-01-01"),
+          isActive: true,
+        },
+      ]),
+    };
+
+    paymentSettlementService.initialize(registrationModels);
+    discountService.initialize(registrationModels);
+    taxService.initialize(registrationModels);
+
+    return user;
+  }
+
+  it("requires the VAT on top of an exclusive price", async () => {
+    const user = setupRegistration("exclusive", registrationFee);
+
+    const result = await paymentSettlementService.applyPaymentToUser(user);
+
+    assert.equal(result.paymentStatus, "partial_paid");
+    assert.equal(result.activated, false);
+  });
+
+  it("activates once the gross amount is paid under an exclusive rate", async () => {
+    const user = setupRegistration("exclusive", 23600);
+
+    const result = await paymentSettlementService.applyPaymentToUser(user);
+
+    assert.equal(result.paymentStatus, "paid");
+    assert.equal(result.activated, true);
+  });
+
+  it("activates on the listed price under an inclusive rate", async () => {
+    const user = setupRegistration("inclusive", registrationFee);
+
+    const result = await paymentSettlementService.applyPaymentToUser(user);
+
+    assert.equal(result.paymentStatus, "paid");
+    assert.equal(result.activated, true);
+  });
+});
+
+describe("changePaymentStatus", () => {
+  it("saves approved payments so they are posted to the ledger", async () => {
+    const userId = id();
+    const JournalEntry = createMemoryModel([], { unique: [["postingKey"]] });
+    const PaymentHistory = createMemoryModel(
+      [
+        {
+          userId,
+          invoiceId: id(),
+          transactionType: "registration_fee",
+          amount: 15000,
+          currency: "TZS",
+          status: "pending",
+          statusHistory: [],
+        },
+      ],
+      {
+        methods: {
+          changeStatus(status, changedBy, reason) {
+            this.status = status;
+            this.verifiedBy = changedBy;
+            this.statusHistory.push({ status, changedBy, reason });
+            return this.save();
+          },
+          // Same as the PaymentHistory post("save") ledger hook in server.js
+          async save() {
+            await ledgerService.postPayment(this);
+            return this;
+          },
+        },
+      },
+    );
+
+    ledgerService.initialize({ JournalEntry, User: createMemoryModel() });
+    paymentSettlementService.initialize({ PaymentHistory });
+
+    const adminId = id();
+    const payments = await paymentSettlementService.changePaymentStatus(
+      { userId, status: "pending" },
+      "verified",
+      adminId,
+      "Account approved by admin",
+    );
+
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].status, "verified");
+    assert.equal(JournalEntry.docs.length, 1);
+    assert.equal(JournalEntry.docs[0].eventType, "payment_received");
+    assert.equal(
+      JournalEntry.docs[0].sourceId.toString(),
+      payments[0]._id.toString(),
+    );
+  });
+});
@@ -0,0 +1,307 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const scopeService = require("../services/scopeService");
+const { createMemoryModel, matches } = require("./helpers/memoryModel");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Two regions; region 1 has districts 1 and 2, region 2 has district 3
+const region1 = id();
+const region2 = id();
+const district1 = id();
+const district2 = id();
+const district3 = id();
+
+const school1 = { _id: id(), regionId: region1, districtId: district1 };
+const school2 = { _id: id(), regionId: region1, districtId: district2 };
+const school3 = { _id: id(), regionId: region2, districtId: district3 };
+
+const student = (school) => ({
+  _id: id(),
+  role: "student",
+  schoolId: school._id,
+  regionId: school.regionId,
+  districtId: school.districtId,
+});
+const student1 = student(school1);
+const student2 = student(school2);
+const student3 = student(school3);
+
+const payment1 = { _id: id(), userId: student1._id };
+const payment2 = { _id: id(), userId: student2._id };
+const payment3 = { _id: id(), userId: student3._id };
+
+const regionalOfficial = {
+  id: id().toString(),
+  role: "regional_official",
+  regionId: region1,
+};
+const districtOfficial = {
+  id: id().toString(),
+  role: "district_official",
+  regionId: region1,
+  districtId: district1,
+};
+const headmaster = {
+  id: id().toString(),
+  role: "headmaster",
+  schoolId: school1._id,
+};
+
+const idsMatching = (docs, filter) =>
+  docs.filter((doc) => matches(doc, filter)).map((doc) => doc._id.toString());
+
+before(async () => {
+  const models = {
+    School: createMemoryModel([school1, school2, school3]),
+    User: createMemoryModel([student1, student2, student3]),
+  };
+  scopeService.initialize(models);
+
+  // Payments carry their owner's area, as the schema hook stamps it
+  for (const payment of [payment1, payment2, payment3]) {
+    await scopeService.stampJurisdiction(payment);
+  }
+  models.PaymentHistory = createMemoryModel([payment1, payment2, payment3]);
+});
+
+describe("getJurisdiction", () => {
+  it("maps officials and school staff to their area", () => {
+    assert.equal(
+      scopeService.getJurisdiction(regionalOfficial).level,
+      "region",
+    );
+    assert.equal(
+      scopeService.getJurisdiction(districtOfficial).level,
+      "district",
+    );
+    assert.equal(scopeService.getJurisdiction(headmaster).level, "school");
+  });
+
+  it("gives officials without an area no scope", () => {
+    const jurisdiction = scopeService.getJurisdiction({
+      id: id().toString(),
+      role: "district_official",
+    });
+
+    assert.equal(jurisdiction.level, "none");
+    assert.equal(scopeService.isOfficialJurisdiction(jurisdiction), true);
+  });
+});
+
+describe("getJurisdiction for staff and service accounts", () => {
+  for (const role of ["staff", "service_account"]) {
+    it(`gives ${role} with no area no scope`, () => {
+      const jurisdiction = scopeService.getJurisdiction({
+        id: id().toString(),
+        role,
+      });
+
+      assert.equal(jurisdiction.level, "none");
+      assert.equal(scopeService.isOfficialJurisdiction(jurisdiction), true);
+    });
+
+    it(`gives ${role} national scope only when flagged`, () => {
+      assert.equal(
+        scopeService.getJurisdiction({
+          id: id().toString(),
+          role,
+          nationalScope: true,
+        }).level,
+        "national",
+      );
+    });
+
+    it(`limits ${role} to an assigned district`, () => {
+      const jurisdiction = scopeService.getJurisdiction({
+        id: id().toString(),
+        role,
+        districtId: district1,
+        nationalScope: true,
+      });
+
+      assert.equal(jurisdiction.level, "district");
+    });
+  }
+});
+
+describe("getScopeFilter / scopeQuery", () => {
+  const users = [student1, student2, student3];
+  const payments = [payment1, payment2, payment3];
+
+  it("limits a regional official to users in their region", async () => {
+    const filter = await scopeService.getScopeFilter(
+      scopeService.getJurisdiction(regionalOfficial),
+      "User",
+    );
+
+    assert.deepEqual(idsMatching(users, filter), [
+      student1._id.toString(),
+      student2._id.toString(),
+    ]);
+  });
+
+  it("limits a district official to users in their district", async () => {
+    const filter = await scopeService.getScopeFilter(
+      scopeService.getJurisdiction(districtOfficial),
+      "User",
+    );
+
+    assert.deepEqual(idsMatching(users, filter), [student1._id.toString()]);
+  });
+
+  it("limits a headmaster to their own school", async () => {
+    const jurisdiction = scopeService.getJurisdiction(headmaster);
+
+    assert.deepEqual(
+      idsMatching(
+        [school1, school2, school3],
+        await scopeService.getScopeFilter(jurisdiction, "School"),
+      ),
+      [school1._id.toString()],
+    );
+    assert.deepEqual(
+      idsMatching(
+        users,
+        await scopeService.getScopeFilter(jurisdiction, "User"),
+      ),
+      [student1._id.toString()],
+    );
+  });
+
+  it("scopes billing records by their owner's stored area", async () => {
+    const filter = await scopeService.getScopeFilter(
+      scopeService.getJurisdiction(districtOfficial),
+      "PaymentHistory",
+    );
+
+    assert.deepEqual(idsMatching(payments, filter), [payment1._id.toString()]);
+  });
+
+  it("cannot be widened by the caller's own filter", async () => {
+    const jurisdiction = scopeService.getJurisdiction(districtOfficial);
+    const query = await scopeService.scopeQuery(jurisdiction, "User", {
+      $or: [{ districtId: district2 }, { districtId: district3 }],
+    });
+
+    assert.ok(query.$and);
+    assert.deepEqual(idsMatching(users, query), []);
+  });
+
+  it("returns the caller's query untouched for national scope", async () => {
+    const query = { role: "student" };
+    const scoped = await scopeService.scopeQuery(
+      scopeService.getJurisdiction({
+        id: id().toString(),
+        role: "super_admin",
+      }),
+      "User",
+      query,
+    );
+
+    assert.equal(scoped, query);
+  });
+
+  it("matches nothing for an official without an area", async () => {
+    const filter = await scopeService.getScopeFilter(
+      scopeService.getJurisdiction({
+        id: id().toString(),
+        role: "regional_official",
+      }),
+      "User",
+    );
+
+    assert.deepEqual(idsMatching(users, filter), []);
+  });
+});
+
+describe("isInScope", () => {
+  it("accepts a record inside the official's district", async () => {
+    const jurisdiction = scopeService.getJurisdiction(districtOfficial);
+
+    assert.equal(
+      await scopeService.isInScope(jurisdiction, "User", student1._id),
+      true,
+    );
+  });
+
+  it("rejects records in another district", async () => {
+    const jurisdiction = scopeService.getJurisdiction(districtOfficial);
+
+    assert.equal(
+      await scopeService.isInScope(jurisdiction, "User", student2._id),
+      false,
+    );
+    assert.equal(
+      await scopeService.isInScope(jurisdiction, "School", school2._id),
+      false,
+    );
+    assert.equal(
+      await scopeService.isInScope(
+        jurisdiction,
+        "PaymentHistory",
+        payment2._id,
+      ),
+      false,
+    );
+  });
+
+  it("rejects records in another region", async () => {
+    const jurisdiction = scopeService.getJurisdiction(regionalOfficial);
+
+    assert.equal(
+      await scopeService.isInScope(jurisdiction, "User", student3._id),
+      false,
+    );
+  });
+});
+
+describe("stampJurisdiction", () => {
+  it("copies the owner's area and keeps fields already set", async () => {
+    const record = { userId: student2._id, schoolId: school1._id };
+
+    await scopeService.stampJurisdiction(record);
+
+    assert.equal(record.schoolId, school1._id);
+    assert.equal(record.districtId.toString(), district2.toString());
+    assert.equal(record.regionId.toString(), region1.toString());
+  });
+
+  it("stores null when the owner has no area", async () => {
+    const record = { userId: id() };
+
+    await scopeService.stampJurisdiction(record);
+
+    assert.deepEqual(
+      [record.schoolId, record.districtId, record.regionId],
+      [null, null, null],
+    );
+  });
+});
+
+describe("backfillJurisdiction", () => {
+  it("stamps older records once", async () => {
+    const Invoice = createMemoryModel([
+      { userId: student1._id },
+      { userId: student3._id },
+    ]);
+    scopeService.initialize({
+      School: createMemoryModel([school1, school2, school3]),
+      User: createMemoryModel([student1, student2, student3]),
+      Invoice,
+    });
+
+    assert.deepEqual(await scopeService.backfillJurisdiction(), {
+      Invoice: 2,
+    });
+    assert.deepEqual(
+      Invoice.docs.map((invoice) => invoice.regionId.toString()),
+      [region1.toString(), region2.toString()],
+    );
+    assert.deepEqual(await scopeService.backfillJurisdiction(), {
+      Invoice: 0,
+    });
+  });
+});
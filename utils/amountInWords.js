@@ -0,0 +1,114 @@
+// ============================================
+// AMOUNT IN WORDS
+// ============================================
+// Spells out amounts for invoices and receipts, e.g.
+// 150000 TZS -> "One Hundred Fifty Thousand Tanzanian Shillings Only"
+
+const ONES = [
+  "Zero",
+  "One",
+  "Two",
+  "Three",
+  "Four",
+  "Five",
+  "Six",
+  "Seven",
+  "Eight",
+  "Nine",
+  "Ten",
+  "Eleven",
+  "Twelve",
+  "Thirteen",
+  "Fourteen",
+  "Fifteen",
+  "Sixteen",
+  "Seventeen",
+  "Eighteen",
+  "Nineteen",
+];
+const TENS = [
+  "",
+  "",
+  "Twenty",
+  "Thirty",
+  "Forty",
+  "Fifty",
+  "Sixty",
+  "Seventy",
+  "Eighty",
+  "Ninety",
+];
+const SCALES = ["", "Thousand", "Million", "Billion", "Trillion"];
+
+const CURRENCIES = {
+  TZS: { major: "Tanzanian Shillings", minor: "Cents" },
+  USD: { major: "US Dollars", minor: "Cents" },
+  EUR: { major: "Euros", minor: "Cents" },
+};
+
+// 0-999
+function hundredsToWords(number) {
+  const words = [];
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+
+  if (hundreds) words.push(`${ONES[hundreds]} Hundred`);
+  if (rest >= 20) {
+    words.push(
+      TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${ONES[rest % 10]}` : ""),
+    );
+  } else if (rest > 0) {
+    words.push(ONES[rest]);
+  }
+
+  return words.join(" ");
+}
+
+/**
+ * Spell out a whole number
+ * @param {number} number - Non-negative integer
+ * @returns {string}
+ */
+function numberToWords(number) {
+  let value = Math.floor(Math.abs(number));
+  if (value === 0) return ONES[0];
+
+  const groups = [];
+  let scale = 0;
+  while (value > 0) {
+    const chunk = value % 1000;
+    if (chunk) {
+      groups.unshift(
+        `${hundredsToWords(chunk)}${SCALES[scale] ? ` ${SCALES[scale]}` : ""}`,
+      );
+    }
+    value = Math.floor(value / 1000);
+    scale++;
+  }
+
+  return groups.join(" ");
+}
+
+/**
+ * Spell out a money amount
+ * @param {number} amount
+ * @param {string} currency - TZS, USD or EUR
+ * @returns {string} e.g. "Five Thousand Tanzanian Shillings Only"
+ */
+function amountInWords(amount, currency = "TZS") {
+  const names = CURRENCIES[currency] || { major: currency, minor: "Cents" };
+  const major = Math.floor(Math.abs(amount));
+  const minor = Math.round((Math.abs(amount) - major) * 100);
+
+  let words = `${numberToWords(major)} ${names.major}`;
+  if (minor > 0) {
+    words += ` and ${numberToWords(minor)} ${names.minor}`;
+  }
+
+  return `${words} Only`;
+}
+
+module.exports = {
+  numberToWords,
+  amountInWords,
+};
@@ -0,0 +1,99 @@
+// ============================================
+// CSV HELPER
+// ============================================
+// Minimal RFC 4180 parser for uploaded statements (quoted fields,
+// escaped quotes, CRLF/LF line endings, UTF-8 BOM) and writer for exports
+
+/**
+ * Parse CSV text into rows of string fields
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field separator (default ",")
+ * @returns {string[][]} Rows, with blank lines removed
+ */
+function parseCsv(text, delimiter = ",") {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Guess the delimiter from the first lines (comma, semicolon or tab)
+ */
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, 10).join("\n");
+  const counts = [",", ";", "\t"].map((d) => [d, sample.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * Format one field: quoted when needed, and text a spreadsheet would run
+ * as a formula (=, +, -, @) prefixed with an apostrophe
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV text (CRLF line endings, UTF-8 BOM so spreadsheets
+ * read non-ASCII names correctly)
+ * @param {Array[]} rows - Rows of values, header row first
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return (
+    "\uFEFF" +
+    rows.map((row) => row.map(formatCsvField).join(",")).join("\r\n") +
+    "\r\n"
+  );
+}
+
+module.exports = {
+  parseCsv,
+  detectDelimiter,
+  toCsv,
+};
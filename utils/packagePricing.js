@@ -4,6 +4,7 @@
 // ✅ Centralized pricing for students and entrepreneurs
 // ✅ UPDATED: 2026-01-31 - NEW PRICING WITH EDUCATION LEVEL SUPPORT
 // ✅ Single source of truth for ALL fees (registration + monthly)
+// ✅ Prices resolve from the effective-dated catalog (see getCatalog)
 // ==========================================
 
 /**
@@ -137,6 +138,70 @@ const ENTREPRENEUR_PACKAGES = {
   },
 };
 
+// ==========================================
+// EFFECTIVE-DATED CATALOG
+// ==========================================
+// The constants above are the built-in catalog. Published versions from the
+// PricingCatalog collection are loaded by pricingCatalogService; every
+// function below takes an optional `asOf` date and uses the version in force
+// on that date (default: now). Price changes never need a deploy, and
+// existing users/invoices keep the prices they were created with.
+
+const DEFAULT_CATALOG = {
+  version: 0,
+  effectiveFrom: new Date(0),
+  ctmClubFees: CTM_CLUB_FEES,
+  studentPackages: STUDENT_PACKAGES,
+  entrepreneurPackages: ENTREPRENEUR_PACKAGES,
+};
+
+let catalogVersions = [];
+
+/**
+ * Replace the loaded catalog versions (called by pricingCatalogService)
+ * @param {Array} versions - Published versions { version, effectiveFrom, ctmClubFees, studentPackages, entrepreneurPackages }
+ */
+function setCatalogVersions(versions) {
+  catalogVersions = [...versions].sort(
+    (a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom)
+  );
+}
+
+/**
+ * Get the catalog in force on a date
+ * @param {Date} asOf - Date to resolve prices for (default: now)
+ * @returns {object} { version, effectiveFrom, ctmClubFees, studentPackages, entrepreneurPackages }
+ */
+function getCatalog(asOf = null) {
+  const time = asOf ? new Date(asOf).getTime() : Date.now();
+  let catalog = null;
+
+  for (const version of catalogVersions) {
+    if (new Date(version.effectiveFrom).getTime() > time) break;
+    catalog = version;
+  }
+
+  return catalog || DEFAULT_CATALOG;
+}
+
+function normalizePackageType(packageType) {
+  return packageType
+    .toLowerCase()
+    .replace('_registration', '')
+    .replace('-', '_');
+}
+
+// CTM Club is stored in the catalog as the 'normal' student package
+function getStudentPackage(catalog, packageType) {
+  const normalizedType = normalizePackageType(packageType);
+  return catalog.studentPackages[normalizedType === 'ctm_club' ? 'normal' : normalizedType];
+}
+
+function isHigherEducationLevel(educationLevel) {
+  const level = educationLevel?.toLowerCase();
+  return level === 'college' || level === 'university';
+}
+
 // ==========================================
 // REGISTRATION FEE FUNCTIONS
 // ==========================================
@@ -145,92 +210,86 @@ const ENTREPRENEUR_PACKAGES = {
  * Get CTM Club fees based on institution type and education level
  * @param {string} institutionType - 'government' or 'private'
  * @param {string} educationLevel - 'primary_secondary' or 'college_university'
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {object} Fee breakdown
  */
-function getCtmClubFees(institutionType = 'government', educationLevel = 'primary_secondary') {
-  return CTM_CLUB_FEES[institutionType]?.[educationLevel] || CTM_CLUB_FEES.government.primary_secondary;
+function getCtmClubFees(institutionType = 'government', educationLevel = 'primary_secondary', asOf = null) {
+  const fees = getCatalog(asOf).ctmClubFees;
+  return fees[institutionType]?.[educationLevel] || fees.government.primary_secondary;
+}
+
+/**
+ * CTM Club yearly total for a student's institution and education level
+ * (Colleges/Universities use the college_university fees)
+ */
+function getCtmClubTotal(institutionType, educationLevel, asOf = null) {
+  return getCtmClubFees(
+    institutionType === 'private' ? 'private' : 'government',
+    isHigherEducationLevel(educationLevel) ? 'college_university' : 'primary_secondary',
+    asOf
+  ).total;
 }
 
 /**
  * Get required registration fee for a student
- * ✅ UPDATED: January 31, 2026 - NEW PRICING WITH EDUCATION LEVEL SUPPORT
- * 
- * CTM Club Pricing:
- * - Primary/Secondary (Government): TZS 3,000/year
- * - Primary/Secondary (Private): TZS 10,000/year
- * - College/University (Government): TZS 10,000/year
- * - College/University (Private): TZS 10,000/year
- * 
+ * CTM Club (normal) fees depend on institution type AND education level;
+ * packages have a fixed registration fee.
+ *
  * @param {string} registrationType - Student's registration type
  * @param {string} institutionType - Institution type (government or private)
  * @param {string} educationLevel - Education level (primary, secondary, college, university)
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {number} Required fee
  */
-function getStudentRegistrationFee(registrationType, institutionType = 'government', educationLevel = null) {
+function getStudentRegistrationFee(registrationType, institutionType = 'government', educationLevel = null, asOf = null) {
   if (!registrationType) {
-    // Default to CTM Club government primary/secondary pricing
-    const isHigherEducation = educationLevel?.toLowerCase() === 'college' || educationLevel?.toLowerCase() === 'university';
-    
-    if (isHigherEducation) {
-      return 10000; // Always 10k for colleges/universities
-    }
-    
-    return institutionType === 'private' ? 10000 : 3000;
+    // Default to CTM Club pricing
+    return getCtmClubTotal(institutionType, educationLevel, asOf);
   }
 
-  // Normalize the registration type
-  const normalizedType = registrationType
-    .toLowerCase()
-    .replace('_registration', '')
-    .replace('-', '_');
+  const normalizedType = normalizePackageType(registrationType);
 
   // ✅ Handle CTM Club (normal) - variable pricing based on institution AND education level
   if (normalizedType === 'ctm_club' || normalizedType === 'normal') {
-    // Check if college/university level
-    const isHigherEducation = educationLevel?.toLowerCase() === 'college' || educationLevel?.toLowerCase() === 'university';
-    
-    // Colleges/Universities: Always TZS 10,000 (both government and private)
-    if (isHigherEducation) {
-      return 10000;
-    }
-    
-    // Primary/Secondary: Government = TZS 3,000, Private = TZS 10,000
-    return institutionType === 'private' ? 10000 : 3000;
+    return getCtmClubTotal(institutionType, educationLevel, asOf);
   }
 
   // Handle student packages (fixed pricing)
-  const packageData = STUDENT_PACKAGES[normalizedType];
+  const packageData = getCatalog(asOf).studentPackages[normalizedType];
   if (packageData) {
     return packageData.registrationFee;
   }
 
   // Default to CTM Club government primary/secondary pricing
-  return 3000;
+  return getCtmClubFees('government', 'primary_secondary', asOf).total;
 }
 
 /**
  * Get entrepreneur package details
  * @param {string} packageType - 'silver', 'gold', or 'platinum'
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {object} Package details with fees
  */
-function getEntrepreneurPackage(packageType) {
-  if (!packageType) return ENTREPRENEUR_PACKAGES.silver; // Default to silver
+function getEntrepreneurPackage(packageType, asOf = null) {
+  const packages = getCatalog(asOf).entrepreneurPackages;
+  if (!packageType) return packages.silver; // Default to silver
 
   const normalizedType = packageType.toLowerCase();
-  return ENTREPRENEUR_PACKAGES[normalizedType] || ENTREPRENEUR_PACKAGES.silver;
+  return packages[normalizedType] || packages.silver;
 }
 
 /**
  * Get total required fee for entrepreneur registration
  * @param {string} packageType - 'silver', 'gold', or 'platinum'
  * @param {boolean} includeFirstMonth - Whether to include first month fee
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {number} Total fee required
  */
-function getEntrepreneurRegistrationFee(packageType, includeFirstMonth = true) {
-  const pkg = getEntrepreneurPackage(packageType);
+function getEntrepreneurRegistrationFee(packageType, includeFirstMonth = true, asOf = null) {
+  const pkg = getEntrepreneurPackage(packageType, asOf);
 
   if (includeFirstMonth) {
-    return pkg.totalFirstMonth;
+    return pkg.totalFirstMonth ?? pkg.registrationFee + (pkg.monthlyFee || 0);
   }
 
   return pkg.registrationFee;
@@ -243,32 +302,28 @@ function getEntrepreneurRegistrationFee(packageType, includeFirstMonth = true) {
 /**
  * Get monthly subscription fee for entrepreneurs
  * @param {string} packageType - 'silver', 'gold', or 'platinum'
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {number|null} Monthly fee amount or null if not monthly
  */
-function getEntrepreneurMonthlyFee(packageType) {
+function getEntrepreneurMonthlyFee(packageType, asOf = null) {
   if (!packageType) return null;
 
   const normalizedType = packageType.toLowerCase();
-  const pkg = ENTREPRENEUR_PACKAGES[normalizedType];
+  const pkg = getCatalog(asOf).entrepreneurPackages[normalizedType];
 
   return pkg ? pkg.monthlyFee : null;
 }
 
 /**
  * Get monthly subscription fee for students
- * ✅ UPDATED: January 29, 2026 - CORRECT MONTHLY PRICING
  * @param {string} registrationType - 'silver', 'gold', or 'platinum'
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {number|null} Monthly fee or null if not monthly
  */
-function getStudentMonthlyFee(registrationType) {
+function getStudentMonthlyFee(registrationType, asOf = null) {
   if (!registrationType) return null;
 
-  const normalizedType = registrationType
-    .toLowerCase()
-    .replace('_registration', '')
-    .replace('-', '_');
-
-  const packageData = STUDENT_PACKAGES[normalizedType];
+  const packageData = getCatalog(asOf).studentPackages[normalizePackageType(registrationType)];
 
   // Return monthly fee if it exists
   if (packageData && packageData.monthlyFee) {
@@ -283,15 +338,16 @@ function getStudentMonthlyFee(registrationType) {
  * ✅ PRIMARY FUNCTION for monthly billing service
  * @param {string} packageType - Package/registration type
  * @param {string} role - User role (student, entrepreneur, nonstudent)
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {number|null} Monthly fee or null if not applicable
  */
-function getMonthlyFee(packageType, role) {
+function getMonthlyFee(packageType, role, asOf = null) {
   if (!packageType || !role) return null;
 
   if (role === 'student') {
-    return getStudentMonthlyFee(packageType);
+    return getStudentMonthlyFee(packageType, asOf);
   } else if (role === 'entrepreneur' || role === 'nonstudent') {
-    return getEntrepreneurMonthlyFee(packageType);
+    return getEntrepreneurMonthlyFee(packageType, asOf);
   }
 
   return null; // Other roles don't have monthly fees
@@ -299,16 +355,21 @@ function getMonthlyFee(packageType, role) {
 
 /**
  * Check if a package has monthly billing
+ * (student packages with a monthly cycle, and all entrepreneur tiers)
  * @param {string} packageType - Package/registration type
+ * @param {Date} asOf - Date to resolve the catalog for (default: now)
  * @returns {boolean} True if monthly billing applies
  */
-function hasMonthlyBilling(packageType) {
+function hasMonthlyBilling(packageType, asOf = null) {
   if (!packageType) return false;
 
-  const monthlyPackages = ['silver', 'gold', 'platinum'];
-  const normalizedType = packageType.toLowerCase().replace('_registration', '');
+  const catalog = getCatalog(asOf);
+  const normalizedType = normalizePackageType(packageType);
 
-  return monthlyPackages.includes(normalizedType);
+  return (
+    getStudentPackage(catalog, packageType)?.billingCycle === 'monthly' ||
+    !!catalog.entrepreneurPackages[normalizedType]
+  );
 }
 
 // ==========================================
@@ -317,42 +378,24 @@ function hasMonthlyBilling(packageType) {
 
 /**
  * Get annual renewal fee for students
- * ✅ UPDATED: January 31, 2026 - NEW PRICING WITH EDUCATION LEVEL SUPPORT
- * ✅ CTM Club (normal) renews annually
- * 
- * CTM Club Pricing:
- * - Primary/Secondary (Government): TZS 3,000/year
- * - Primary/Secondary (Private): TZS 10,000/year
- * - College/University (Government): TZS 10,000/year
- * - College/University (Private): TZS 10,000/year
- * 
+ * ✅ CTM Club (normal) renews annually at the CTM Club fee for the
+ *    student's institution type and education level
+ *
  * @param {string} registrationType - Student's registration type
  * @param {string} institutionType - Institution type (government or private)
  * @param {string} educationLevel - Education level (primary, secondary, college, university)
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {number|null} Annual fee or null if not annual billing
  */
-function getStudentAnnualFee(registrationType, institutionType = 'government', educationLevel = null) {
+function getStudentAnnualFee(registrationType, institutionType = 'government', educationLevel = null, asOf = null) {
   if (!registrationType) return null;
 
-  const normalizedType = registrationType
-    .toLowerCase()
-    .replace('_registration', '')
-    .replace('-', '_');
-
-  const packageData = STUDENT_PACKAGES[normalizedType];
+  // ✅ FIXED: 'ctm-club' (the stored value) resolves to the CTM Club package
+  const packageData = getStudentPackage(getCatalog(asOf), registrationType);
 
   // ✅ CTM Club packages have annual billing
   if (packageData && packageData.annualFee) {
-    // Check if college/university level
-    const isHigherEducation = educationLevel?.toLowerCase() === 'college' || educationLevel?.toLowerCase() === 'university';
-    
-    // Colleges/Universities: Always TZS 10,000 (both government and private)
-    if (isHigherEducation) {
-      return 10000;
-    }
-    
-    // Primary/Secondary: Government = TZS 3,000, Private = TZS 10,000
-    return institutionType === 'private' ? 10000 : 3000;
+    return getCtmClubTotal(institutionType, educationLevel, asOf);
   }
 
   return null; // Silver/Gold/Platinum don't have annual billing (monthly instead)
@@ -363,13 +406,14 @@ function getStudentAnnualFee(registrationType, institutionType = 'government', e
  * @param {string} packageType - Package/registration type
  * @param {string} role - User role (student, entrepreneur, nonstudent)
  * @param {string} institutionType - Institution type (for students)
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {number|null} Annual fee or null if not applicable
  */
-function getAnnualFee(packageType, role, institutionType = 'government') {
+function getAnnualFee(packageType, role, institutionType = 'government', asOf = null) {
   if (!packageType || !role) return null;
 
   if (role === 'student') {
-    return getStudentAnnualFee(packageType, institutionType);
+    return getStudentAnnualFee(packageType, institutionType, null, asOf);
   }
 
   // Entrepreneurs don't have annual billing (monthly instead)
@@ -380,40 +424,37 @@ function getAnnualFee(packageType, role, institutionType = 'government') {
  * Check if a package has annual billing
  * ✅ CTM Club (normal) renews annually
  * @param {string} packageType - Package/registration type
+ * @param {Date} asOf - Date to resolve the catalog for (default: now)
  * @returns {boolean} True if annual billing applies
  */
-function hasAnnualBilling(packageType) {
+function hasAnnualBilling(packageType, asOf = null) {
   if (!packageType) return false;
 
-  const annualPackages = ['normal', 'ctm-club', 'ctm_club'];
-  const normalizedType = packageType.toLowerCase().replace('_registration', '');
-
-  return annualPackages.includes(normalizedType);
+  return getStudentPackage(getCatalog(asOf), packageType)?.billingCycle === 'annual';
 }
 
 /**
  * Get billing cycle for a package
  * @param {string} packageType - Package/registration type
+ * @param {Date} asOf - Date to resolve the catalog for (default: now)
  * @returns {string} 'monthly', 'annual', or 'one-time'
  */
-function getBillingCycle(packageType) {
+function getBillingCycle(packageType, asOf = null) {
   if (!packageType) return 'one-time';
 
-  const normalizedType = packageType.toLowerCase().replace('_registration', '');
-
   // Check student packages first
-  const studentPkg = STUDENT_PACKAGES[normalizedType];
+  const studentPkg = getStudentPackage(getCatalog(asOf), packageType);
   if (studentPkg && studentPkg.billingCycle) {
     return studentPkg.billingCycle;
   }
 
   // Check if it's a monthly package
-  if (hasMonthlyBilling(packageType)) {
+  if (hasMonthlyBilling(packageType, asOf)) {
     return 'monthly';
   }
 
   // Check if it's an annual package
-  if (hasAnnualBilling(packageType)) {
+  if (hasAnnualBilling(packageType, asOf)) {
     return 'annual';
   }
 
@@ -426,17 +467,18 @@ function getBillingCycle(packageType) {
  * @param {string} packageType - Package/registration type
  * @param {string} role - User role
  * @param {string} institutionType - Institution type (for students)
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {number|null} Recurring fee amount or null
  */
-function getRecurringFee(packageType, role, institutionType = 'government') {
+function getRecurringFee(packageType, role, institutionType = 'government', asOf = null) {
   if (!packageType || !role) return null;
 
   // Check for monthly fee first
-  const monthlyFee = getMonthlyFee(packageType, role);
+  const monthlyFee = getMonthlyFee(packageType, role, asOf);
   if (monthlyFee) return monthlyFee;
 
   // Check for annual fee
-  const annualFee = getAnnualFee(packageType, role, institutionType);
+  const annualFee = getAnnualFee(packageType, role, institutionType, asOf);
   if (annualFee) return annualFee;
 
   return null; // No recurring fees
@@ -446,24 +488,74 @@ function getRecurringFee(packageType, role, institutionType = 'government') {
 // UTILITY FUNCTIONS
 // ==========================================
 
+/**
+ * Apply discount rules to an amount, in the order given
+ * ✅ Each rule takes its cut of what is left: a percentage of the remaining
+ *    amount, or a fixed amount capped at the remaining amount
+ * ✅ Sponsorship lines are paid by the sponsor; all other kinds are waived
+ * @param {number} amount - Amount before discounts
+ * @param {Array} discounts - Rules/snapshots with { valueType, value, kind }
+ * @returns {object} { originalAmount, discountAmount, sponsoredAmount, netAmount, lines }
+ */
+function applyDiscounts(amount, discounts = []) {
+  const originalAmount = amount || 0;
+  let remaining = originalAmount;
+  const lines = [];
+
+  for (const discount of discounts) {
+    if (remaining <= 0) break;
+
+    const cut = discount.valueType === 'percentage'
+      ? Math.round((remaining * Math.min(discount.value, 100)) / 100)
+      : Math.min(discount.value, remaining);
+
+    if (cut <= 0) continue;
+
+    remaining -= cut;
+    lines.push({ ...discount, amount: cut });
+  }
+
+  const sponsoredAmount = lines
+    .filter((line) => line.kind === 'sponsorship')
+    .reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    originalAmount,
+    discountAmount: originalAmount - remaining,
+    sponsoredAmount,
+    netAmount: remaining,
+    lines,
+  };
+}
+
 /**
  * Calculate required total based on user role and registration type
  * ✅ Used for payment validation and partial payment calculations
+ * ✅ Pass the user's registration date as asOf so later price changes
+ *    don't reprice existing users
+ * ✅ Pass the user's discounts (see services/discountService) to get the
+ *    amount the user has to pay themselves
  * @param {string} role - User role (student, entrepreneur, nonstudent)
  * @param {string} registrationType - Registration type
  * @param {string} institutionType - Institution type (for students)
+ * @param {Date} asOf - Date to resolve prices for (default: now)
+ * @param {Array} discounts - Discounts on the registration fee (default: none)
  * @returns {number} Total amount required
  */
-function getRequiredTotal(role, registrationType, institutionType = 'government') {
+function getRequiredTotal(role, registrationType, institutionType = 'government', asOf = null, discounts = []) {
+  let total = 0;
+
   if (role === 'entrepreneur' || role === 'nonstudent') {
     // Entrepreneurs: registration fee only (monthly fees are separate)
-    return getEntrepreneurRegistrationFee(registrationType, false);
+    total = getEntrepreneurRegistrationFee(registrationType, false, asOf);
   } else if (role === 'student') {
-    return getStudentRegistrationFee(registrationType, institutionType);
+    total = getStudentRegistrationFee(registrationType, institutionType, null, asOf);
   }
 
-  // Default for other roles (teachers, staff, etc.)
-  return 0;
+  // Default for other roles (teachers, staff, etc.) is 0
+  if (!total || discounts.length === 0) return total;
+
+  return applyDiscounts(total, discounts).netAmount;
 }
 
 /**
@@ -479,18 +571,20 @@ function formatTZS(amount) {
  * Get package description
  * @param {string} packageType - Package/registration type
  * @param {string} role - User role
+ * @param {Date} asOf - Date to resolve the catalog for (default: now)
  * @returns {string} Package description
  */
-function getPackageDescription(packageType, role) {
+function getPackageDescription(packageType, role, asOf = null) {
   if (!packageType) return 'No package selected';
 
+  const catalog = getCatalog(asOf);
   const normalizedType = packageType.toLowerCase().replace('_registration', '');
 
   if (role === 'student') {
-    const pkg = STUDENT_PACKAGES[normalizedType];
+    const pkg = catalog.studentPackages[normalizedType];
     return pkg ? pkg.description : 'Student Package';
   } else if (role === 'entrepreneur' || role === 'nonstudent') {
-    const pkg = ENTREPRENEUR_PACKAGES[normalizedType];
+    const pkg = catalog.entrepreneurPackages[normalizedType];
     return pkg ? pkg.description : 'Entrepreneur Package';
   }
 
@@ -503,25 +597,27 @@ function getPackageDescription(packageType, role) {
  * @param {string} packageType - Package/registration type
  * @param {string} role - User role
  * @param {string} institutionType - Institution type (for students)
+ * @param {Date} asOf - Date to resolve prices for (default: now)
  * @returns {object} Complete package details
  */
-function getPackageDetails(packageType, role, institutionType = 'government') {
+function getPackageDetails(packageType, role, institutionType = 'government', asOf = null) {
   const normalizedType = packageType ? packageType.toLowerCase().replace('_registration', '') : 'normal';
 
   return {
     packageType: normalizedType,
     role,
+    pricingVersion: getCatalog(asOf).version,
     registrationFee: role === 'student' 
-      ? getStudentRegistrationFee(packageType, institutionType)
-      : getEntrepreneurRegistrationFee(packageType, false),
-    monthlyFee: getMonthlyFee(packageType, role),
-    hasMonthlyBilling: hasMonthlyBilling(packageType),
-    annualFee: getAnnualFee(packageType, role, institutionType),
-    hasAnnualBilling: hasAnnualBilling(packageType),
-    billingCycle: getBillingCycle(packageType),
-    recurringFee: getRecurringFee(packageType, role, institutionType),
-    description: getPackageDescription(packageType, role),
-    totalRequired: getRequiredTotal(role, packageType, institutionType),
+      ? getStudentRegistrationFee(packageType, institutionType, null, asOf)
+      : getEntrepreneurRegistrationFee(packageType, false, asOf),
+    monthlyFee: getMonthlyFee(packageType, role, asOf),
+    hasMonthlyBilling: hasMonthlyBilling(packageType, asOf),
+    annualFee: getAnnualFee(packageType, role, institutionType, asOf),
+    hasAnnualBilling: hasAnnualBilling(packageType, asOf),
+    billingCycle: getBillingCycle(packageType, asOf),
+    recurringFee: getRecurringFee(packageType, role, institutionType, asOf),
+    description: getPackageDescription(packageType, role, asOf),
+    totalRequired: getRequiredTotal(role, packageType, institutionType, asOf),
   };
 }
 
@@ -530,10 +626,15 @@ function getPackageDetails(packageType, role, institutionType = 'government') {
 // ==========================================
 
 module.exports = {
-  // Constants
+  // Constants (built-in catalog, used until a version is published)
   CTM_CLUB_FEES,
   STUDENT_PACKAGES,
   ENTREPRENEUR_PACKAGES,
+  DEFAULT_CATALOG,
+
+  // Effective-dated catalog
+  setCatalogVersions,
+  getCatalog,
 
   // Registration Fee Functions
   getCtmClubFees,
@@ -541,6 +642,7 @@ module.exports = {
   getEntrepreneurPackage,
   getEntrepreneurRegistrationFee,
   getRequiredTotal,
+  applyDiscounts,
 
   // ✅ Monthly Billing Functions
   getEntrepreneurMonthlyFee,
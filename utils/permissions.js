@@ -0,0 +1,287 @@
+// ============================================
+// PERMISSION REGISTRY
+// ============================================
+// Single source of truth for "who can do what".
+// Routes check actions with requirePermission("payments.verify")
+// instead of repeating role lists.
+
+const ALL_ROLES = [
+  "student",
+  "entrepreneur",
+  "teacher",
+  "headmaster",
+  "staff",
+  "district_official",
+  "regional_official",
+  "national_official",
+  "tamisemi",
+  "super_admin",
+  "nonstudent",
+];
+
+/**
+ * Roles whose permissions can be adjusted per school
+ * (officials and super admins are never affected by school overrides)
+ */
+const SCHOOL_OVERRIDE_ROLES = ["headmaster", "teacher", "staff"];
+
+/**
+ * Permission matrix
+ * - roles: roles granted the action by default
+ * - schoolOverridable: whether a school may grant/deny it for SCHOOL_OVERRIDE_ROLES
+ */
+const PERMISSIONS = {
+  // Payments
+  "payments.view": {
+    description: "View payment history, pending payments and payment proofs",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "payments.viewUserHistory": {
+    description: "View the payment history of a single user",
+    roles: [
+      "super_admin",
+      "national_official",
+      "headmaster",
+      "district_official",
+    ],
+    schoolOverridable: true,
+  },
+  "payments.record": {
+    description: "Record payments (single and batch)",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "payments.verify": {
+    description: "Verify, approve or reject payments and payment proofs",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "payments.remind": {
+    description: "Send a payment reminder to a user",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "payments.bulkRemind": {
+    description:
+      "Run the dunning stages due now (reminders, warnings and suspensions)",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "dunning.manage": {
+    description:
+      "Manage dunning policies and preview or run the nightly dunning job",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+  "payments.viewReminderStats": {
+    description: "View payment reminder statistics",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+  "payments.reconcile": {
+    description:
+      "Resolve or dismiss unmatched provider payments (suspense queue)",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+  "discounts.manage": {
+    description:
+      "Manage discount, scholarship and sponsorship rules, sponsors and sponsor invoices",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+  "schoolBilling.view": {
+    description: "View a school's billing account and statement",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "schoolBilling.manage": {
+    description:
+      "Set up a school billing account and issue consolidated school invoices",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "creditNotes.issue": {
+    description:
+      "Issue credit notes and refunds, and cancel invoices (large amounts need approval)",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "creditNotes.approve": {
+    description:
+      "Approve or reject credit notes and refunds above the approval threshold",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+  "receivables.view": {
+    description:
+      "View and export the accounts-receivable aging report for users in their area",
+    roles: [
+      "super_admin",
+      "national_official",
+      "regional_official",
+      "district_official",
+      "headmaster",
+    ],
+    schoolOverridable: true,
+  },
+  "invoices.writeOff": {
+    description: "Write off uncollectable invoice balances",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+  "ledger.view": {
+    description:
+      "View the general ledger: trial balance, journal entries and consistency check",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+  "ledger.manage": {
+    description: "Post missing journal entries for legacy records",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "tax.view": {
+    description:
+      "View fiscal receipts and Z reports, and export monthly VAT summaries",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+  "tax.manage": {
+    description: "Manage tax rates and retry failed fiscal receipts",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "pricing.manage": {
+    description: "Draft, publish and withdraw package price catalog versions",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+
+  // Users
+  "users.approve": {
+    description: "Approve a pending user account",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "users.bulkApprove": {
+    description: "Approve many user accounts at once",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "users.bulkImport": {
+    description: "Import users from a file",
+    roles: ["super_admin", "headmaster"],
+    schoolOverridable: true,
+  },
+  "users.bulkDelete": {
+    description: "Delete many user accounts at once",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "users.changePlan": {
+    description: "Upgrade or downgrade another user's package",
+    roles: ["super_admin", "national_official", "headmaster"],
+    schoolOverridable: true,
+  },
+  "users.deactivate": {
+    description: "Deactivate a user account",
+    roles: ["super_admin", "national_official", "regional_official"],
+    schoolOverridable: false,
+  },
+  "users.unlock": {
+    description: "Unlock accounts locked after failed logins",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "users.resetTwoFactor": {
+    description: "Reset a user's two-factor authentication",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "users.impersonate": {
+    description: "Sign in as another user for a limited time (read-only)",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+
+  // Schools & businesses
+  "schools.suspend": {
+    description: "Suspend or reactivate a school",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "businesses.verify": {
+    description: "Verify an entrepreneur business",
+    roles: ["super_admin", "national_official"],
+    schoolOverridable: false,
+  },
+
+  // Security & access control
+  "security.manage": {
+    description: "Manage security policies (2FA enforcement, lockouts)",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "permissions.view": {
+    description: "View the permission matrix and users' effective permissions",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "permissions.manage": {
+    description: "Manage per-school permission overrides",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+  "apiKeys.manage": {
+    description: "Manage partner service accounts and their API keys",
+    roles: ["super_admin"],
+    schoolOverridable: false,
+  },
+};
+
+/**
+ * Check if a permission exists in the registry
+ */
+function isValidPermission(permission) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+}
+
+/**
+ * Default (role-based) check, ignoring school overrides
+ */
+function roleHasPermission(role, permission) {
+  const definition = PERMISSIONS[permission];
+  return !!definition && definition.roles.includes(role);
+}
+
+/**
+ * All permissions granted to a role by default
+ */
+function getPermissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter((permission) =>
+    roleHasPermission(role, permission),
+  );
+}
+
+/**
+ * Whether a school may override this permission for this role
+ */
+function canOverrideForSchool(permission, role) {
+  return (
+    isValidPermission(permission) &&
+    PERMISSIONS[permission].schoolOverridable &&
+    SCHOOL_OVERRIDE_ROLES.includes(role)
+  );
+}
+
+module.exports = {
+  ALL_ROLES,
+  SCHOOL_OVERRIDE_ROLES,
+  PERMISSIONS,
+  isValidPermission,
+  roleHasPermission,
+  getPermissionsForRole,
+  canOverrideForSchool,
+};
@@ -0,0 +1,27 @@
+// ============================================
+// REVENUE SPLIT
+// ============================================
+// Platform commission taken from each kind of revenue, e.g.
+// 10000 TZS book sale -> 1500 commission, 8500 net to the seller
+
+const COMMISSION_RATES = {
+  book_sale: 0.15, // 15% platform commission
+  event_fee: 0.1, // 10% platform commission
+  product_sale: 0.12, // 12% platform commission
+  service_fee: 0.15, // 15% platform commission
+  default: 0.1, // 10% default
+};
+
+// Calculate revenue split
+function calculateRevenueSplit(amount, type = "default") {
+  const rate = COMMISSION_RATES[type] || COMMISSION_RATES.default;
+  const commission = Math.round(amount * rate);
+  const netAmount = amount - commission;
+
+  return { commission, netAmount };
+}
+
+module.exports = {
+  COMMISSION_RATES,
+  calculateRevenueSplit,
+};
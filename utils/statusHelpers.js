@@ -95,11 +95,16 @@ function shouldAutoActivate(role, totalPaid, requiredAmount) {
 
 /**
  * Calculate payment status based on amounts
+ * (credits = credit notes issued against the required amount)
  */
-function calculatePaymentStatus(totalPaid, requiredAmount, dueDate) {
-  if (totalPaid === 0) {
+function calculatePaymentStatus(totalPaid, requiredAmount, dueDate, credits = 0) {
+  const amountDue = requiredAmount - credits;
+
+  if (credits > 0 && totalPaid >= amountDue) {
+    return 'paid';
+  } else if (totalPaid === 0) {
     return 'no_payment';
-  } else if (totalPaid >= requiredAmount) {
+  } else if (totalPaid >= amountDue) {
     return 'paid';
   } else if (dueDate && new Date() > new Date(dueDate)) {
     return 'overdue';
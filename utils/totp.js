@@ -0,0 +1,159 @@
+// ============================================
+// TOTP HELPER (RFC 6238 / RFC 4226)
+// ============================================
+// Time-based one-time passwords compatible with Google Authenticator,
+// Microsoft Authenticator, Authy, etc. (SHA1, 6 digits, 30s step)
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DEFAULT_DIGITS = 6;
+const DEFAULT_STEP_SECONDS = 30;
+
+/**
+ * Encode a buffer as base32 (no padding)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (spaces and padding are ignored)
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 secret (160 bits by default)
+ */
+function generateSecret(byteLength = 20) {
+  return base32Encode(crypto.randomBytes(byteLength));
+}
+
+/**
+ * HOTP value for a counter
+ */
+function generateHOTP(secret, counter, digits = DEFAULT_DIGITS) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+}
+
+/**
+ * Current time step
+ */
+function getTimeStep(time = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS) {
+  return Math.floor(time / 1000 / stepSeconds);
+}
+
+/**
+ * TOTP value for a point in time
+ */
+function generateTOTP(secret, time = Date.now()) {
+  return generateHOTP(secret, getTimeStep(time));
+}
+
+/**
+ * Verify a TOTP token, allowing for clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {object} options - { window: steps before/after to accept, time }
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+function verifyTOTP(secret, token, options = {}) {
+  const { window = 1, time = Date.now() } = options;
+  const code = String(token || "").replace(/\s/g, "");
+
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps (QR code content)
+ */
+function buildOtpauthUri({ secret, accountName, issuer = "ECONNECT" }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+};